@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Local echo server for the WebSocket and SSE probes
+//
+// Any WebSocket connection gets every text or binary message echoed back.
+// GET /events is an endless Server-Sent Events stream, one event every
+// ?interval= milliseconds (default 1000). Both allow any origin, so the page
+// can ping them directly.
+//
+// Usage: node companion/echo-server.js [--port 8788] [--host 127.0.0.1]
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArgs(argv) {
+    const options = { port: 8788, host: '127.0.0.1' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port' || arg === '-p') {
+            options.port = parseInt(argv[++i]);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    if (length < 126) {
+        header[1] = length;
+    } else if (length < 65536) {
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Reads the complete frames at the start of `buffer`. Returns them with
+// whatever is left over for the next chunk.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let start = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < start + 2) break;
+            length = buffer.readUInt16BE(start);
+            start += 2;
+        } else if (length === 127) {
+            if (buffer.length < start + 8) break;
+            length = Number(buffer.readBigUInt64BE(start));
+            start += 8;
+        }
+
+        const mask = masked ? buffer.subarray(start, start + 4) : null;
+        if (masked) start += 4;
+        if (buffer.length < start + length) break;
+
+        const payload = Buffer.from(buffer.subarray(start, start + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode, payload });
+        offset = start + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+
+        for (const { opcode, payload } of frames) {
+            if (opcode === 0x1 || opcode === 0x2) {
+                socket.write(encodeFrame(opcode, payload));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(0xa, payload));
+            } else if (opcode === 0x8) {
+                socket.end(encodeFrame(0x8, payload));
+                return;
+            }
+        }
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+function handleEvents(req, res, url) {
+    const interval = Math.max(10, parseInt(url.searchParams.get('interval') || '1000') || 1000);
+    let id = 0;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': http-ping echo server\n\n');
+
+    const send = () => {
+        id++;
+        res.write(`id: ${id}\ndata: ${JSON.stringify({ id, time: new Date().toISOString() })}\n\n`);
+    };
+    send();
+    const timer = setInterval(send, interval);
+    req.on('close', () => clearInterval(timer));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node companion/echo-server.js [--port 8788] [--host 127.0.0.1]');
+        return;
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (req.method === 'GET' && url.pathname === '/events') {
+            handleEvents(req, res, url);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+        res.end('http-ping echo server: WebSocket on any path, SSE on /events\n');
+    });
+    server.on('upgrade', handleUpgrade);
+
+    // --port 0 takes a free port; the one given is printed
+    server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        console.log(`Echo server listening on ${options.host}:${port}`);
+        console.log(`  WebSocket: ws://${options.host}:${port}/`);
+        console.log(`  SSE:       http://${options.host}:${port}/events`);
+    });
+}
+
+main();
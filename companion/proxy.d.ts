@@ -0,0 +1,18 @@
+// Types for proxy.js, for the TypeScript command line that bundles it.
+
+import type { ProxyRequest, ProxyResponse } from '../src/engine/companion.ts';
+
+export interface RedirectHop {
+  url: string;
+  status: number;
+  location: string;
+  time: number;
+}
+
+export function toErrorPayload(error: Error & { code?: string }): { code: string; message: string };
+
+export function proxyRequest(spec: ProxyRequest): Promise<ProxyResponse & {
+  url: string;
+  redirected: boolean;
+  redirects: RedirectHop[];
+}>;
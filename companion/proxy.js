@@ -0,0 +1,172 @@
+// HTTP exchange behind the companion proxy
+//
+// Performs one request from Node (following redirects when asked) and
+// reports the status line, headers, size, remote address and a per-phase
+// timing breakdown. Shared by the proxy server and the httping command line,
+// which calls it in-process instead of over HTTP.
+
+import http from 'node:http';
+import https from 'node:https';
+import { performance } from 'node:perf_hooks';
+
+const MAX_REDIRECTS = 10;
+const MAX_RESPONSE_BODY = 1024 * 1024;
+// Not passed on to another origin when following a redirect, as browsers
+// and curl do not; the names config.ts treats as secrets
+const CREDENTIAL_HEADERS = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|x-auth-token)$/i;
+
+const ERROR_MESSAGES = {
+    ENOTFOUND: 'Name or service not known',
+    EAI_AGAIN: 'Temporary failure in name resolution',
+    ECONNREFUSED: 'Connection refused',
+    ECONNRESET: 'Connection reset by peer',
+    EHOSTUNREACH: 'No route to host',
+    ENETUNREACH: 'Network is unreachable',
+    ETIMEDOUT: 'Request timeout'
+};
+
+export function toErrorPayload(error) {
+    const code = error.code || 'EREQUEST';
+    let message = ERROR_MESSAGES[code] || error.message;
+
+    if (code.startsWith('ERR_TLS') || code.includes('CERT') || code.includes('SIGNATURE')) {
+        message = `SSL certificate problem: ${error.message}`;
+    }
+
+    return { code, message };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Performs one HTTP exchange (no redirect handling) and resolves with the
+// status, headers, size and a per-phase timing breakdown. With includeBody
+// the first MAX_RESPONSE_BODY bytes are returned as text as well.
+function performRequest(target, options) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(target);
+        const transport = url.protocol === 'https:' ? https : http;
+        const marks = { start: performance.now() };
+
+        const req = transport.request(url, {
+            method: options.method,
+            headers: options.headers,
+            agent: false,
+            rejectUnauthorized: !options.insecure,
+            timeout: options.timeout
+        });
+
+        req.on('socket', (socket) => {
+            socket.once('lookup', () => { marks.lookup = performance.now(); });
+            socket.once('connect', () => { marks.connect = performance.now(); });
+            socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+        });
+
+        req.on('finish', () => { marks.requestSent = performance.now(); });
+
+        req.on('timeout', () => {
+            const error = new Error('Request timeout');
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+
+        req.on('error', reject);
+
+        req.on('response', (res) => {
+            marks.firstByte = performance.now();
+            const chunks = [];
+            let size = 0;
+
+            res.on('data', (chunk) => {
+                if (options.includeBody && size < MAX_RESPONSE_BODY) {
+                    chunks.push(chunk.subarray(0, MAX_RESPONSE_BODY - size));
+                }
+                size += chunk.length;
+            });
+            res.on('error', reject);
+            res.on('end', () => {
+                marks.end = performance.now();
+                const connectStart = marks.lookup || marks.start;
+                const connectEnd = marks.connect || connectStart;
+                const requestStart = marks.secureConnect || connectEnd;
+                const requestSent = Math.max(marks.requestSent || requestStart, requestStart);
+
+                const result = {
+                    url: target,
+                    status: res.statusCode,
+                    statusText: res.statusMessage || '',
+                    httpVersion: res.httpVersion,
+                    headers: res.headers,
+                    size,
+                    remoteAddress: res.socket ? res.socket.remoteAddress : null,
+                    remotePort: res.socket ? res.socket.remotePort : null,
+                    timing: {
+                        dns: round(connectStart - marks.start),
+                        connect: round(connectEnd - connectStart),
+                        tls: marks.secureConnect ? round(marks.secureConnect - connectEnd) : 0,
+                        request: round(requestSent - requestStart),
+                        ttfb: round(marks.firstByte - requestSent),
+                        download: round(marks.end - marks.firstByte),
+                        total: round(marks.end - marks.start)
+                    }
+                };
+                if (options.includeBody) {
+                    result.body = Buffer.concat(chunks).toString('utf8');
+                    result.bodyTruncated = size > MAX_RESPONSE_BODY;
+                }
+                resolve(result);
+            });
+        });
+
+        if (options.body) {
+            req.write(options.body);
+        }
+        req.end();
+    });
+}
+
+export async function proxyRequest(spec) {
+    const method = (spec.method || 'GET').toUpperCase();
+    const options = {
+        method,
+        headers: spec.headers || {},
+        body: ['GET', 'HEAD'].includes(method) ? undefined : spec.body,
+        insecure: Boolean(spec.insecure),
+        includeBody: Boolean(spec.includeBody),
+        timeout: spec.timeout || 5000
+    };
+
+    const redirects = [];
+    let target = spec.url;
+    let result = await performRequest(target, options);
+
+    while (spec.followRedirects && result.status >= 300 && result.status < 400 && result.headers.location) {
+        if (redirects.length >= MAX_REDIRECTS) {
+            const error = new Error(`Maximum (${MAX_REDIRECTS}) redirects followed`);
+            error.code = 'ETOOMANYREDIRECTS';
+            throw error;
+        }
+
+        redirects.push({ url: target, status: result.status, location: result.headers.location, time: result.timing.total });
+        const next = new URL(result.headers.location, target);
+        if (next.origin !== new URL(target).origin) {
+            options.headers = Object.fromEntries(Object.entries(options.headers)
+                .filter(([name]) => !CREDENTIAL_HEADERS.test(name.trim())));
+        }
+        target = next.toString();
+
+        if (result.status === 303 || ([301, 302].includes(result.status) && options.method === 'POST')) {
+            options.method = 'GET';
+            options.body = undefined;
+        }
+
+        result = await performRequest(target, options);
+    }
+
+    if (redirects.length > 0) {
+        result.timing.total = round(result.timing.total + redirects.reduce((sum, hop) => sum + hop.time, 0));
+    }
+
+    return { ...result, redirected: redirects.length > 0, redirects };
+}
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// HTTP Ping companion proxy
+//
+// A tiny local server that performs HTTP requests on behalf of the browser
+// tool. Node is not bound by CORS, so the page gets the real status line,
+// headers, body size and timing for any host.
+//
+// Usage: node companion/server.js [--port 8787] [--host 127.0.0.1] [--allow-origin <origin>]
+
+import http from 'node:http';
+import net from 'node:net';
+import { proxyRequest, toErrorPayload } from './proxy.js';
+
+const VERSION = '1.0.0';
+const MAX_REQUEST_BODY = 1024 * 1024;
+
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.HTTPING_COMPANION_PORT || '8787'),
+        host: process.env.HTTPING_COMPANION_HOST || '127.0.0.1',
+        allowOrigins: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port' || arg === '-p') {
+            options.port = parseInt(argv[++i]);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--allow-origin') {
+            options.allowOrigins.push(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Only pages served from this machine may drive the proxy, otherwise any
+// website could use it to reach the local network. Sandboxed iframes and
+// data: pages on any site send "Origin: null", so null (and, on /proxy, no
+// Origin at all) is only accepted with --allow-origin null, e.g. for the
+// page opened from disk.
+function isOriginAllowed(origin, allowOrigins, pathname) {
+    if (!origin) {
+        return pathname !== '/proxy' || allowOrigins.includes('null');
+    }
+    if (origin === 'null') {
+        return allowOrigins.includes('null');
+    }
+    if (allowOrigins.includes('*') || allowOrigins.includes(origin)) {
+        return true;
+    }
+
+    try {
+        const { hostname } = new URL(origin);
+        return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+    } catch (error) {
+        return false;
+    }
+}
+
+// A DNS rebinding page reaches the proxy under its own host name, so the
+// Host header must be an IP address, localhost or the name it listens on.
+function isHostAllowed(host, bindHost) {
+    let hostname;
+    try {
+        hostname = new URL(`http://${host}`).hostname;
+    } catch (error) {
+        return false;
+    }
+    return hostname === 'localhost'
+        || hostname === bindHost.toLowerCase()
+        || net.isIP(hostname.replace(/^\[(.*)\]$/, '$1')) !== 0;
+}
+
+function corsHeaders(origin) {
+    return {
+        'Access-Control-Allow-Origin': origin || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin'
+    };
+}
+
+function sendJson(res, status, payload, origin) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders(origin) });
+    res.end(JSON.stringify(payload));
+}
+
+function readRequestBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_REQUEST_BODY) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function createServer(config) {
+    return http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!isHostAllowed(req.headers.host || '', config.host)) {
+            sendJson(res, 403, { error: { code: 'EHOST', message: `Host ${req.headers.host} is not allowed` } });
+            return;
+        }
+        if (!isOriginAllowed(origin, config.allowOrigins, pathname)) {
+            sendJson(res, 403, { error: { code: 'EORIGIN', message: `Origin ${origin || '(none)'} is not allowed` } });
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders(origin));
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && pathname === '/health') {
+            sendJson(res, 200, { ok: true, name: 'httping-companion', version: VERSION }, origin);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/proxy') {
+            let spec;
+            try {
+                spec = JSON.parse(await readRequestBody(req));
+                const url = new URL(spec.url);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    throw new Error(`Unsupported protocol ${url.protocol}`);
+                }
+            } catch (error) {
+                sendJson(res, 400, { error: { code: 'EBADREQUEST', message: error.message } }, origin);
+                return;
+            }
+
+            try {
+                sendJson(res, 200, await proxyRequest(spec), origin);
+            } catch (error) {
+                sendJson(res, 502, { error: toErrorPayload(error) }, origin);
+            }
+            return;
+        }
+
+        sendJson(res, 404, { error: { code: 'ENOROUTE', message: 'Not found' } }, origin);
+    });
+}
+
+const config = parseArgs(process.argv.slice(2));
+
+if (config.help) {
+    console.log('Usage: node companion/server.js [--port 8787] [--host 127.0.0.1] [--allow-origin <origin>]');
+    process.exit(0);
+}
+
+createServer(config).listen(config.port, config.host, () => {
+    console.log(`HTTP Ping companion proxy listening on http://${config.host}:${config.port}`);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying httping's --webhook and --slack-webhook
+//
+// Prints every POST it gets, with its Idempotency-Key, and flags keys it
+// has seen before on the same path. --fail n answers the first n requests
+// with 503 so the sender's retries can be watched.
+//
+// Usage: node companion/webhook-receiver.js [--port 8789] [--host 127.0.0.1] [--fail 0]
+
+import http from 'node:http';
+
+function parseArgs(argv) {
+    const options = { port: 8789, host: '127.0.0.1', fail: 0 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port' || arg === '-p') {
+            options.port = parseInt(argv[++i]);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--fail') {
+            options.fail = parseInt(argv[++i]) || 0;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node companion/webhook-receiver.js [--port 8789] [--host 127.0.0.1] [--fail 0]');
+        return;
+    }
+
+    const seen = new Set();
+    let failures = options.fail;
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'POST') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('http-ping webhook receiver: POST anything to any path\n');
+            return;
+        }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const key = req.headers['idempotency-key'] || null;
+            const time = new Date().toISOString();
+
+            if (failures > 0) {
+                failures--;
+                console.log(`${time} ${req.method} ${req.url} key=${key}: answered 503 (${failures} failures left)`);
+                res.writeHead(503, { 'Content-Type': 'text/plain' });
+                res.end('failing on purpose\n');
+                return;
+            }
+
+            // Each hook gets every change, so keys are only unique per path
+            const seenKey = `${req.url} ${key}`;
+            const duplicate = key !== null && seen.has(seenKey);
+            if (key !== null) {
+                seen.add(seenKey);
+            }
+            const body = Buffer.concat(chunks).toString('utf8');
+            let text = body;
+            try {
+                text = JSON.stringify(JSON.parse(body), null, 2);
+            } catch {
+                // Not JSON; printed as it came
+            }
+            console.log(`${time} ${req.method} ${req.url} key=${key}${duplicate ? ' DUPLICATE' : ''}`);
+            console.log(text);
+
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('ok\n');
+        });
+    });
+
+    // --port 0 takes a free port; the one given is printed
+    server.listen(options.port, options.host, () => {
+        console.log(`Webhook receiver listening on http://${options.host}:${server.address().port}/`);
+    });
+}
+
+main();
@@ -1,9 +1,578 @@
-import React from 'react';
+import { useEffect, useRef, useState } from 'react';
+import {
+  buildConfig, OPTIONS_HELP, parseArgs, splitCommandLine, UsageError, usesChecks, usesExporter,
+} from './cli/args.ts';
+import { DEFAULT_WINDOW } from './engine/alerts.ts';
+import type { AlertEpisode } from './engine/alerts.ts';
+import type { Assertion } from './engine/assertions.ts';
+import { ScheduledChecks } from './engine/checks.ts';
+import { mergeConfig, withoutSecrets } from './engine/config.ts';
+import type { PingConfig } from './engine/config.ts';
+import { PingEngine } from './engine/engine.ts';
+import type { RunSnapshot } from './engine/engine.ts';
+import {
+  formatAlert, formatLoadInterval, formatLoadReport, formatPingLine, formatResolve, formatStatistics, formatTeamChange, formatTrace,
+  formatVerbose, line,
+} from './engine/format.ts';
+import { RunHistory } from './engine/history.ts';
+import type { StoredRun } from './engine/history.ts';
+import { LoadTest, loadTestConfig } from './engine/load.ts';
+import { MultiTargetMonitor, targetStatus } from './engine/multi.ts';
+import { isReceived, parseSessionFile, recordsWithoutSecrets, toCSV, toHAR, toJSON } from './engine/session.ts';
+import type { Session } from './engine/session.ts';
+import { supabaseBackend } from './engine/supabase.ts';
+import { TeamSync } from './engine/sync.ts';
+import type { SyncSettings } from './engine/sync.ts';
+import { targetLabel } from './engine/targets.ts';
+import { AlertBanner } from './components/AlertBanner.tsx';
+import type { BannerMessage } from './components/AlertBanner.tsx';
+import type { AlertCueSettings } from './components/AlertEditor.tsx';
+import { BrowserBanner } from './components/BrowserBanner.tsx';
+import { CompareView } from './components/CompareView.tsx';
+import { Controls } from './components/Controls.tsx';
+import type { ExportFormat } from './components/Controls.tsx';
+import { Dashboard } from './components/Dashboard.tsx';
+import { HistorySidebar } from './components/HistorySidebar.tsx';
+import { StatsPanel } from './components/StatsPanel.tsx';
+import type { RunStatus } from './components/StatsPanel.tsx';
+import { TeamSidebar } from './components/TeamSidebar.tsx';
+import { Terminal } from './components/Terminal.tsx';
+import { beep, episodeDuration, notify } from './ui/alert-cues.ts';
+import { downloadFile } from './ui/download.ts';
+import { loadLastConfig, parseConfigLink, saveLastConfig } from './ui/presets.ts';
+import { CommandHistory, PROMPT_HELP } from './ui/prompt.ts';
+import { loadOutbox, loadSyncSettings, saveOutbox, saveSyncSettings } from './ui/sync-store.ts';
+import { savedScrollback, TerminalBuffer } from './ui/terminal-buffer.ts';
+import { loadUptimeLog } from './ui/uptime-store.ts';
+
+function showWelcome(terminal: TerminalBuffer): void {
+  terminal.push(
+    line('HTTP Ping utility ready. Enter a URL or IP address to begin.', 'info'),
+    line('Type a ping command (try "help") or use the controls. Ctrl+C stops pinging.', 'info'),
+    line(''),
+  );
+}
+
+// Assertion fields are edited as typed; surrounding spaces are not part of
+// the expected value.
+function trimAssertions(assertions: Assertion[]): Assertion[] {
+  return assertions.map(assertion => {
+    const trimmed = { ...assertion, value: assertion.value.trim() };
+    if (assertion.name !== undefined) trimmed.name = assertion.name.trim();
+    if (assertion.path !== undefined) trimmed.path = assertion.path.trim();
+    return trimmed;
+  });
+}
+
+// The config a run starts with, from what is in the controls.
+function runConfig(config: PingConfig): PingConfig {
+  return {
+    ...config,
+    url: config.url.trim(),
+    window: config.window || DEFAULT_WINDOW,
+    assertions: trimAssertions(config.assertions),
+  };
+}
+
+const EXPORT_FORMATS: ExportFormat[] = ['json', 'csv', 'har'];
+
+// Prints a help text line by line, keeping its indentation.
+function textLines(text: string) {
+  return text.split('\n').map(entry => line(entry, 'info'));
+}
 
 function App() {
+  const [terminal] = useState(() => {
+    const buffer = new TerminalBuffer(savedScrollback());
+    showWelcome(buffer);
+    return buffer;
+  });
+  // Saved state that cannot be read is left behind with a warning
+  const warn = (message: string) => terminal.push(line(`Warning: ${message}`, 'warning'));
+  const [engine] = useState(() => new PingEngine());
+  const [monitor] = useState(() => new MultiTargetMonitor(engine.companion));
+  const [loadTest] = useState(() => new LoadTest({ companion: engine.companion }));
+  const [checks] = useState(() => new ScheduledChecks({ companion: engine.companion, log: loadUptimeLog(warn) }));
+  const [history] = useState(() => new RunHistory());
+  const [sync] = useState(() => new TeamSync({ outbox: loadOutbox(warn) }));
+
+  const [config, setConfig] = useState(() => loadLastConfig(warn));
+  const [cues, setCues] = useState<AlertCueSettings>({ notify: false, sound: true });
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState<RunStatus>('ready');
+  const [snapshot, setSnapshot] = useState<RunSnapshot>(() => engine.snapshot());
+  const [companionAvailable, setCompanionAvailable] = useState(false);
+  const [episodes, setEpisodes] = useState<AlertEpisode[]>([]);
+  const [banner, setBanner] = useState<BannerMessage | null>(null);
+  const [dashboardOpen, setDashboardOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [teamOpen, setTeamOpen] = useState(false);
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [historyRevision, setHistoryRevision] = useState(0);
+  const [comparison, setComparison] = useState<StoredRun[] | null>(null);
+  const [commands] = useState(() => new CommandHistory());
+
+  const cuesRef = useRef(cues);
+  cuesRef.current = cues;
+  // The prompt command that started the current run, echoed after the
+  // terminal is cleared for it
+  const startCommand = useRef<string | null>(null);
+  const linkOpened = useRef(false);
+
+  // Terminal output, figures, alerts and history all follow the engine's events
+  useEffect(() => {
+    const active = new Set<AlertEpisode>();
+
+    const cue = (title: string, body: string, frequencies: number[]) => {
+      if (cuesRef.current.notify) {
+        notify(title, body);
+      }
+      if (cuesRef.current.sound) {
+        beep(frequencies);
+      }
+    };
+
+    const clearAlerts = () => {
+      active.clear();
+      setEpisodes([]);
+      setBanner(null);
+    };
+
+    const saveRun = async () => {
+      const startedAt = engine.startedAt || Date.now();
+      const host = engine.target.host || 'session';
+      const run = {
+        name: `${host} ${engine.config.method} ${new Date(startedAt).toLocaleString()}`,
+        startedAt,
+        finishedAt: Date.now(),
+        config: withoutSecrets(engine.config),
+        target: { host, address: engine.target.address },
+        records: recordsWithoutSecrets(engine.records, engine.config),
+      };
+      sync.publishRun(run);
+      try {
+        await history.save(run);
+        setHistoryRevision(revision => revision + 1);
+      } catch (error) {
+        terminal.push(line(`Warning: run not saved to history: ${(error as Error).message}`, 'warning'));
+      }
+    };
+
+    const onStart = () => {
+      terminal.clear();
+      if (startCommand.current !== null) {
+        terminal.push(line(`$ ${startCommand.current}`));
+        startCommand.current = null;
+      }
+      clearAlerts();
+      setRunning(true);
+      setStatus('running');
+    };
+
+    const unsubscribe = [
+      engine.on('start', onStart),
+      engine.on('notice', notice => terminal.push(notice)),
+      engine.on('companion', ({ available }) => setCompanionAvailable(available)),
+      engine.on('resolve', event => terminal.push(...formatResolve(event))),
+      engine.on('ping', ({ record, result }) => {
+        terminal.push(formatPingLine(record), ...formatTrace(record));
+        if (result && engine.config.verbose) {
+          terminal.push(...formatVerbose(result));
+        }
+      }),
+      engine.on('stats', setSnapshot),
+      engine.on('reset', next => {
+        clearAlerts();
+        setSnapshot(next);
+      }),
+      engine.on('alert', ({ type, episode, host }) => {
+        if (type === 'start') {
+          terminal.push(formatAlert(type, episode));
+          active.add(episode);
+          setBanner({ text: `ALERT ${host}: ${episode.description}`, recovered: false });
+          cue(`Alert: ${host}`, episode.description, [880, 660]);
+        } else if (type === 'end') {
+          terminal.push(formatAlert(type, episode));
+          active.delete(episode);
+          setBanner(active.size === 0
+            ? { text: `RECOVERED ${host}: ${episode.description} back to normal`, recovered: true }
+            : { text: `ALERT ${host}: ${[...active].map(entry => entry.description).join(', ')}`, recovered: false });
+          cue(`Recovered: ${host}`, `${episode.description} back to normal after ${episodeDuration(episode)}`, [660, 880]);
+        } else {
+          // Still open when the run ended: no recovery cue
+          active.delete(episode);
+          if (active.size === 0) {
+            setBanner(current => (current && current.recovered ? current : null));
+          }
+        }
+        setEpisodes(current => (current.includes(episode) ? [...current] : [episode, ...current]));
+      }),
+      engine.on('done', ({ reason, snapshot: final }) => {
+        const statistics = formatStatistics(final, engine.config.assertions);
+        if (reason === 'stopped' && final.sent > 0) {
+          terminal.push(line(''), line('^C', 'warning'), ...statistics);
+        } else if (reason === 'completed' || reason === 'loaded') {
+          terminal.push(line(''), ...statistics);
+        }
+
+        setRunning(false);
+        setStatus(reason === 'stopped' ? 'stopped' : reason === 'failed' ? 'error' : 'ready');
+        if ((reason === 'completed' || reason === 'stopped') && engine.records.length > 0) {
+          saveRun();
+        }
+      }),
+      loadTest.on('start', onStart),
+      loadTest.on('notice', notice => terminal.push(notice)),
+      loadTest.on('interval', ({ interval }) => terminal.push(formatLoadInterval(interval))),
+      loadTest.on('done', ({ reason, report }) => {
+        const summary = formatLoadReport(report, loadTest.host || 'unknown');
+        if (reason === 'stopped') {
+          terminal.push(line(''), line('^C', 'warning'), ...summary);
+        } else if (reason === 'completed') {
+          terminal.push(line(''), ...summary);
+        }
+        setRunning(false);
+        setStatus(reason === 'stopped' ? 'stopped' : reason === 'failed' ? 'error' : 'ready');
+      }),
+      monitor.on('companion-lost', () => setCompanionAvailable(engine.companion.available)),
+      checks.on('companion-lost', () => setCompanionAvailable(engine.companion.available)),
+      monitor.on('ping', ({ state, record }) => sync.publishMonitor(state.target, targetStatus(state), record)),
+      checks.on('check', ({ target, record }) => sync.publishMonitor(target, isReceived(record) ? 'up' : 'down', record)),
+      monitor.on('error', ({ target, message }) => {
+        terminal.push(line(`Error: dashboard ping of ${targetLabel(target)} failed: ${message}`, 'error'));
+      }),
+      checks.on('error', ({ target, message }) => {
+        terminal.push(line(`Error: uptime check of ${targetLabel(target)} failed: ${message}`, 'error'));
+      }),
+      sync.on('outbox', saveOutbox),
+      sync.on('monitor-change', ({ row }) => terminal.push(formatTeamChange(row))),
+      sync.on('rejected', ({ table, rows, message }) => {
+        terminal.push(line(`Warning: team sync dropped ${rows} ${table} rows the server refused: ${message}`, 'warning'));
+      }),
+    ];
+
+    engine.detectCompanion();
+    return () => unsubscribe.forEach(off => off());
+  }, [engine, monitor, loadTest, checks, history, sync, terminal]);
+
+  // Team sync runs whenever it is enabled, whichever view is open. Changes
+  // made offline wait in the outbox until the browser is back online.
+  useEffect(() => {
+    if (!syncSettings.enabled) {
+      return;
+    }
+    try {
+      sync.connect(supabaseBackend(syncSettings.url, syncSettings.anonKey), syncSettings.team, syncSettings.member);
+    } catch (error) {
+      terminal.push(line(`Error: cannot connect team sync: ${(error as Error).message}`, 'error'));
+      return;
+    }
+    const flush = () => sync.flush();
+    window.addEventListener('online', flush);
+    return () => {
+      window.removeEventListener('online', flush);
+      sync.disconnect();
+    };
+  }, [sync, syncSettings, terminal]);
+
+  // A shared link (#config=...) replaces the controls and may start the run.
+  // It is taken off the address so a reload keeps later edits.
+  useEffect(() => {
+    if (linkOpened.current) {
+      return;
+    }
+    linkOpened.current = true;
+
+    let link;
+    try {
+      // A bad saved config was already reported at startup
+      link = parseConfigLink(location.hash, loadLastConfig(() => {}));
+    } catch (error) {
+      terminal.push(line(`Warning: ignoring the config in this link: ${(error as Error).message}`, 'warning'));
+      return;
+    }
+    if (!link) {
+      return;
+    }
+    window.history.replaceState(null, '', location.pathname + location.search);
+    setConfig(link.config);
+    terminal.push(line(`Opened a shared config for ${link.config.url}`, 'info'));
+    if (link.config.loadTest) {
+      terminal.push(line('It is a load test: check the target and settings, then press Start to run it', 'warning'));
+    } else if (link.autoStart) {
+      engine.run(runConfig(link.config)).catch(error => terminal.push(line(`Error: ${(error as Error).message}`, 'error')));
+    }
+  }, [engine, loadTest, terminal]);
+
+  useEffect(() => saveLastConfig(config), [config]);
+
+  const resetOutput = () => {
+    terminal.clear();
+    if (!engine.running) {
+      engine.reset();
+      setStatus('ready');
+    }
+  };
+
+  const clearOutput = () => {
+    resetOutput();
+    showWelcome(terminal);
+  };
+
+  // Start pings or a load test, whichever the config asks for. The engine
+  // has ended the run by the time it rejects; only the reason is left to show.
+  const start = (next: PingConfig) => {
+    if (next.loadTest) {
+      loadTest.run(loadTestConfig(runConfig(next)));
+    } else {
+      engine.run(runConfig(next)).catch(error => terminal.push(line(`Error: ${(error as Error).message}`, 'error')));
+    }
+  };
+
+  const stop = () => {
+    engine.stop();
+    loadTest.stop();
+  };
+
+  const exportSession = (format: ExportFormat) => {
+    if (engine.records.length === 0) {
+      terminal.push(line('Nothing to export yet: run a ping or import a session first', 'warning'));
+      return;
+    }
+
+    const session: Session = { ...engine.session(), exportedAt: new Date().toISOString() };
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const basename = `http-ping-${engine.target.host || 'session'}-${stamp}`;
+
+    switch (format) {
+      case 'csv':
+        downloadFile(`${basename}.csv`, toCSV(session), 'text/csv');
+        break;
+      case 'har':
+        downloadFile(`${basename}.har`, toHAR(session), 'application/json');
+        break;
+      default:
+        downloadFile(`${basename}.json`, toJSON(session), 'application/json');
+    }
+  };
+
+  // `ping [options] [url]`: the flags of the httping command line, applied
+  // to the controls before the run starts
+  const pingCommand = (command: string, argv: string[]) => {
+    const args = parseArgs(argv);
+    if (args.help) {
+      terminal.push(line('Usage: ping [options] [url]', 'info'), ...textLines(OPTIONS_HELP));
+      return;
+    }
+    if (args.json || args.quiet || args.configFile || args.maxLoss > 0 || usesChecks(args) || usesExporter(args)) {
+      terminal.push(line(
+        'ping: --json, --quiet, --config, --max-loss, the scheduled check, metrics and webhook flags only apply to httping; ignored',
+        'warning',
+      ));
+    }
+    if (engine.running || loadTest.running) {
+      terminal.push(line(`ping: a ${loadTest.running ? 'load test' : 'ping run'} is already in progress (Ctrl+C stops it)`, 'error'));
+      return;
+    }
+
+    // Assertions given on the command line replace those in the controls
+    const base = args.assertions.length > 0 ? { ...config, assertions: [] } : config;
+    const next = buildConfig(base, args);
+    setConfig(next);
+    startCommand.current = command;
+    start(next);
+  };
+
+  const runCommand = (command: string) => {
+    const echo = () => terminal.push(line(`$ ${command}`));
+    let words;
+    try {
+      words = splitCommandLine(command);
+    } catch (error) {
+      echo();
+      terminal.push(line(`Error: ${(error as Error).message}`, 'error'));
+      return;
+    }
+    const [name, ...argv] = words;
+
+    if (name === 'ping') {
+      try {
+        pingCommand(command, argv);
+      } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        echo();
+        terminal.push(line(`ping: ${error.message}`, 'error'));
+      }
+      return;
+    }
+    if (name === 'clear') {
+      resetOutput();
+      return;
+    }
+
+    echo();
+    switch (name) {
+      case undefined:
+        break;
+      case 'stop':
+        stop();
+        break;
+      case 'stats':
+        if (engine.records.length === 0) {
+          terminal.push(line('No pings yet', 'info'));
+        } else {
+          terminal.push(...formatStatistics(engine.snapshot(), engine.config.assertions));
+        }
+        break;
+      case 'history':
+        commands.entries.forEach((entry, index) => terminal.push(line(`${String(index + 1).padStart(5)}  ${entry}`)));
+        break;
+      case 'export': {
+        const format = (argv[0] || 'json') as ExportFormat;
+        if (EXPORT_FORMATS.includes(format)) {
+          exportSession(format);
+        } else {
+          terminal.push(line(`export: unknown format "${argv[0]}" (json, csv or har)`, 'error'));
+        }
+        break;
+      }
+      case 'help':
+        terminal.push(...textLines(PROMPT_HELP), line(''), line('ping options:', 'info'), ...textLines(OPTIONS_HELP));
+        break;
+      default:
+        terminal.push(line(`${name}: command not found (try "help")`, 'error'));
+    }
+  };
+
+  // Rebuilds the terminal, statistics and charts from saved records
+  const loadSession = (session: Session, description: string) => {
+    stop();
+    terminal.clear();
+    terminal.push(line(description, 'info'));
+    setConfig(current => mergeConfig(current, session.config));
+    engine.load(session);
+  };
+
+  const importSession = async (file: File) => {
+    let session;
+    try {
+      session = parseSessionFile(await file.text(), file.name);
+    } catch (error) {
+      terminal.push(line(`Error: cannot import ${file.name}: ${(error as Error).message}`, 'error'));
+      return;
+    }
+    loadSession(session, `Imported ${session.records.length} pings from ${file.name}`);
+  };
+
+  const changeSyncSettings = (next: SyncSettings) => {
+    saveSyncSettings(next);
+    setSyncSettings(next);
+  };
+
+  const openRun = (run: StoredRun) => {
+    loadSession(run, `Opened run "${run.name}" from ${new Date(run.startedAt).toLocaleString()}`);
+  };
+
   return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-      <p>Start prompting (or editing) to see magic happen :)</p>
+    <div className="container">
+      <BrowserBanner />
+      <AlertBanner message={banner} onDismiss={() => setBanner(null)} />
+
+      <header>
+        <h1>HTTP PING</h1>
+        <p className="subtitle">Terminal-style HTTP/HTTPS ping utility</p>
+        <div className="header-actions">
+          <button className="btn btn-small" onClick={() => setDashboardOpen(open => !open)}>
+            {dashboardOpen ? 'Single target' : 'Dashboard'}
+          </button>
+          <button
+            className="btn btn-small"
+            onClick={() => {
+              setHistoryOpen(open => !open);
+              setTeamOpen(false);
+            }}
+          >
+            History
+          </button>
+          <button
+            className="btn btn-small"
+            onClick={() => {
+              setTeamOpen(open => !open);
+              setHistoryOpen(false);
+            }}
+          >
+            Team
+          </button>
+        </div>
+      </header>
+
+      <HistorySidebar
+        history={history}
+        open={historyOpen}
+        revision={historyRevision}
+        onClose={() => setHistoryOpen(false)}
+        onOpen={openRun}
+        onCompare={setComparison}
+        onError={message => terminal.push(line(message, 'error'))}
+      />
+      <TeamSidebar
+        sync={sync}
+        settings={syncSettings}
+        open={teamOpen}
+        onClose={() => setTeamOpen(false)}
+        onSettingsChange={changeSyncSettings}
+        onLoadConfig={(shared, name) => {
+          setConfig(current => mergeConfig(current, shared));
+          terminal.push(line(`Loaded the config of team run "${name}"`, 'info'));
+        }}
+      />
+      {comparison && <CompareView runs={comparison} onClose={() => setComparison(null)} />}
+
+      <Dashboard
+        monitor={monitor}
+        checks={checks}
+        open={dashboardOpen}
+        settings={{
+          request: config.request,
+          assertions: trimAssertions(config.assertions),
+          followRedirects: config.followRedirects,
+          insecure: config.ignoreSsl,
+        }}
+        detectCompanion={() => engine.detectCompanion(config.companionUrl)}
+      />
+
+      <div className="main-content" hidden={dashboardOpen}>
+        <Controls
+          config={config}
+          cues={cues}
+          running={running}
+          onChange={setConfig}
+          onCuesChange={setCues}
+          onCompanionUrlCommit={url => engine.detectCompanion(url)}
+          onStart={() => start(config)}
+          onStop={stop}
+          onClear={clearOutput}
+          onExport={exportSession}
+          onImport={importSession}
+          onError={message => terminal.push(line(message, 'error'))}
+        />
+        <Terminal
+          buffer={terminal}
+          commands={commands}
+          hosts={[config.url]}
+          running={running}
+          onCommand={runCommand}
+          onInterrupt={stop}
+        />
+        <StatsPanel
+          engine={engine}
+          snapshot={snapshot}
+          status={status}
+          companionAvailable={companionAvailable}
+          episodes={episodes}
+          windowSize={config.window || DEFAULT_WINDOW}
+        />
+      </div>
     </div>
   );
 }
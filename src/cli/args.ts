@@ -0,0 +1,537 @@
+// Command-line flags of httping.
+//
+// The flags mirror the controls of the web UI (-c, -i, -k, -L, -v, -t) and
+// ping's own spelling where the UI has none (-W for the timeout). parseArgs
+// only reads argv; buildConfig applies the result on top of a PingConfig so
+// a saved config file can supply the defaults.
+
+import type { Assertion, AssertionOp } from '../engine/assertions.ts';
+import type { PingConfig } from '../engine/config.ts';
+import type { AddressStrategy, DnsFormat } from '../engine/dns.ts';
+import type { LoadSettings } from '../engine/load.ts';
+import { isHttpMethod } from '../engine/request.ts';
+import type { Field } from '../engine/request.ts';
+import type { Slo } from '../engine/uptime.ts';
+import type { Webhook } from '../engine/webhooks.ts';
+
+// The option list, shared by `httping --help` and the page's `help` command.
+export const OPTIONS_HELP = `Options:
+  -c, --count <n>            Stop after n pings (default 4)
+  -i, --interval <ms>        Wait ms between pings (default 1000)
+  -W, --timeout <ms>         Per-ping timeout in ms (default 5000)
+  -t, --continuous           Ping until interrupted
+  -X, --method <method>      HTTP method (default GET)
+  -H, --header <'Name: v'>   Add a request header (repeatable)
+  -d, --data <body>          Send a raw request body
+  -u, --user <user:pass>     Basic auth credentials
+  -k, --insecure             Ignore TLS certificate errors
+  -L, --location             Follow redirects
+      --trace                Request each redirect hop on its own and show it
+      --max-hops <n>         Redirects a trace follows (default 10)
+      --ws-message <text>    Message a ws:// or wss:// target echoes (default ping)
+      --sse                  Ping an event stream: time to first event and gaps
+      --events <n>           Events an SSE ping waits for (default 3)
+  -v, --verbose              Print request and response headers and timing
+      --keep-going           Keep pinging after a network error (default: stop)
+      --dns <url>            DNS-over-HTTPS resolver URL
+      --dns-format <fmt>     Resolver format: json or wire
+  -4, -6                     Report the first IPv4 / IPv6 address
+      --window <n>           Rolling window for continuous runs (default 100)
+
+Load test (instead of pinging; any of these turns it on):
+      --load                 Run a load test with the settings below
+      --concurrency <n>      Parallel workers (default 5, at most 50)
+      --rate <n>             Requests per second, open model (default 0:
+                             as fast as the workers go; at most 200)
+      --ramp-up <s>          Seconds to ramp up to full rate (default 0)
+      --duration <s>         Seconds to run (default 30, at most 600)
+
+Assertions (a ping that fails one counts as lost):
+      --expect-status <ranges>      e.g. 200-299,304 or 2xx
+      --expect-header <name[: v]>   Header exists, or equals v (or /regex/)
+      --expect-body <text>          Body contains text (or matches /regex/)
+      --expect-json <path[=v]>      JSONPath ($.a.b) exists, or equals v (or /regex/)
+      --max-latency <ms>            Response time limit
+      --max-size <bytes>            Response size limit`;
+
+export const USAGE = `Usage: httping [options] <url>
+
+Ping an HTTP(S), WebSocket (ws://, wss://) or SSE endpoint and print
+ping-style statistics.
+
+${OPTIONS_HELP}
+
+Scheduled checks (until interrupted, then an uptime report):
+      --check-every <s>      Check the URL every s seconds (default 60)
+      --targets <file>       Check the targets of an exported dashboard list
+      --uptime-file <file>   Keep the hourly and daily rollups in file, so
+                             reports span several runs
+      --slo <pct>            Availability target (default 99.9)
+      --slo-latency <ms>     p95 latency target (default none)
+      --days <n>             Days the report covers (default 7)
+      --report <md|html>     Report format (default md). With --uptime-file
+                             and no URL, prints the report without checking
+
+Metrics and webhooks (pings and scheduled checks):
+      --metrics <[host:]port>
+                             Serve OpenMetrics on /metrics while running
+                             (host defaults to 127.0.0.1)
+      --webhook <url>        POST a JSON document when a target goes down
+                             or comes back (repeatable)
+      --slack-webhook <url>  The same as a Slack message (repeatable)
+      --down-after <n>       Lost pings in a row before a target counts as
+                             down (default 1)
+
+Output:
+  -q, --quiet                Print only the final statistics
+      --json                 Print the session and statistics as JSON
+      --config <file>        Start from a saved config or exported session
+      --max-loss <pct>       Highest packet loss that still exits 0
+
+Exit status:
+  0  loss at or below --max-loss (default 0%); every SLO met for checks
+  1  loss above --max-loss; an SLO missed for checks
+  2  usage error, or the run could not start
+  3  loss above --max-loss with at least one failed assertion
+
+  -h, --help                 Show this help`;
+
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export type ReportFormat = 'md' | 'html';
+
+export interface CheckArgs {
+  // Milliseconds between checks, when set on the command line
+  every: number | null;
+  targetsFile: string | null;
+  uptimeFile: string | null;
+  report: ReportFormat | null;
+  days: number;
+  slo: Partial<Slo>;
+}
+
+export interface ExporterArgs {
+  metrics: { host: string; port: number } | null;
+  webhooks: Webhook[];
+  downAfter: number;
+}
+
+export interface CliArgs {
+  url: string | null;
+  configFile: string | null;
+  settings: Partial<Pick<PingConfig, 'method' | 'count' | 'interval' | 'timeout' | 'window' | 'continuous' | 'ignoreSsl'
+    | 'followRedirects' | 'traceRedirects' | 'maxHops' | 'wsMessage' | 'eventStream' | 'sseEvents' | 'verbose' | 'keepGoing' | 'loadTest'>>;
+  load: Partial<LoadSettings>;
+  headers: Field[];
+  body: string | null;
+  user: string | null;
+  assertions: Assertion[];
+  dns: { url?: string; format?: DnsFormat; pick?: AddressStrategy };
+  checks: CheckArgs;
+  exporter: ExporterArgs;
+  json: boolean;
+  quiet: boolean;
+  maxLoss: number;
+  help: boolean;
+}
+
+// Flags that take no value; the single-letter ones can be grouped (-kLv).
+const SWITCHES: Record<string, (args: CliArgs) => void> = {
+  '-t': args => { args.settings.continuous = true; },
+  '-k': args => { args.settings.ignoreSsl = true; },
+  '-L': args => { args.settings.followRedirects = true; },
+  '-v': args => { args.settings.verbose = true; },
+  '-q': args => { args.quiet = true; },
+  '-4': args => { args.dns.pick = 'ipv4'; },
+  '-6': args => { args.dns.pick = 'ipv6'; },
+  '-h': args => { args.help = true; },
+  '--trace': args => { args.settings.traceRedirects = true; },
+  '--keep-going': args => { args.settings.keepGoing = true; },
+  '--sse': args => { args.settings.eventStream = true; },
+  '--load': args => { args.settings.loadTest = true; },
+};
+
+const LONG_SWITCHES: Record<string, string> = {
+  '--continuous': '-t',
+  '--insecure': '-k',
+  '--location': '-L',
+  '--verbose': '-v',
+  '--quiet': '-q',
+  '--help': '-h',
+};
+
+const SHORT_OPTIONS: Record<string, string> = {
+  '-c': '--count',
+  '-i': '--interval',
+  '-W': '--timeout',
+  '-X': '--method',
+  '-H': '--header',
+  '-d': '--data',
+  '-u': '--user',
+};
+
+function isRegex(value: string): boolean {
+  return /^\/.*\/[a-z]*$/s.test(value);
+}
+
+function integer(flag: string, value: string, min: number): number {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`${flag} expects a whole number of at least ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+// "Name: value" with an optional value; used by -H and --expect-header.
+function splitHeader(flag: string, value: string, requireValue: boolean): [string, string | null] {
+  const colon = value.indexOf(':');
+  const name = (colon === -1 ? value : value.slice(0, colon)).trim();
+  const rest = colon === -1 ? null : value.slice(colon + 1).trim();
+
+  if (!name || (requireValue && rest === null)) {
+    throw new UsageError(`${flag} expects "Name: value", got "${value}"`);
+  }
+  return [name, rest];
+}
+
+function valueAssertion(type: 'header' | 'jsonpath', target: string, expected: string | null): Assertion {
+  const assertion: Assertion = expected === null || expected === ''
+    ? { type, op: 'exists', value: '' }
+    : { type, op: isRegex(expected) ? 'matches' : 'equals', value: expected };
+
+  if (type === 'header') assertion.name = target;
+  if (type === 'jsonpath') assertion.path = target;
+  return assertion;
+}
+
+function applyOption(args: CliArgs, flag: string, value: string): void {
+  switch (flag) {
+    case '--count':
+      args.settings.count = integer(flag, value, 1);
+      break;
+    case '--interval':
+      args.settings.interval = integer(flag, value, 0);
+      break;
+    case '--timeout':
+      args.settings.timeout = integer(flag, value, 1);
+      break;
+    case '--window':
+      args.settings.window = integer(flag, value, 1);
+      break;
+    case '--max-hops':
+      args.settings.maxHops = integer(flag, value, 1);
+      break;
+    case '--ws-message':
+      args.settings.wsMessage = value;
+      break;
+    case '--events':
+      args.settings.sseEvents = integer(flag, value, 1);
+      args.settings.eventStream = true;
+      break;
+    case '--concurrency':
+      args.settings.loadTest = true;
+      args.load.concurrency = integer(flag, value, 1);
+      break;
+    case '--rate':
+      args.settings.loadTest = true;
+      args.load.rate = integer(flag, value, 0);
+      break;
+    case '--ramp-up':
+      args.settings.loadTest = true;
+      args.load.rampUp = integer(flag, value, 0);
+      break;
+    case '--duration':
+      args.settings.loadTest = true;
+      args.load.duration = integer(flag, value, 1);
+      break;
+    case '--method': {
+      const method = value.toUpperCase();
+      if (!isHttpMethod(method)) {
+        throw new UsageError(`unsupported method "${value}"`);
+      }
+      args.settings.method = method;
+      break;
+    }
+    case '--header': {
+      const [name, headerValue] = splitHeader(flag, value, true);
+      args.headers.push({ name, value: headerValue as string, enabled: true });
+      break;
+    }
+    case '--data':
+      args.body = value;
+      break;
+    case '--user':
+      if (!value.includes(':')) {
+        throw new UsageError(`${flag} expects "user:password"`);
+      }
+      args.user = value;
+      break;
+    case '--config':
+      args.configFile = value;
+      break;
+    case '--dns':
+      args.dns.url = value;
+      break;
+    case '--dns-format':
+      if (value !== 'json' && value !== 'wire') {
+        throw new UsageError(`${flag} expects json or wire, got "${value}"`);
+      }
+      args.dns.format = value;
+      break;
+    case '--max-loss': {
+      const loss = Number(value);
+      if (!(loss >= 0 && loss <= 100)) {
+        throw new UsageError(`${flag} expects a percentage between 0 and 100, got "${value}"`);
+      }
+      args.maxLoss = loss;
+      break;
+    }
+    case '--expect-status':
+      args.assertions.push({ type: 'status', value });
+      break;
+    case '--expect-header': {
+      const [name, expected] = splitHeader(flag, value, false);
+      args.assertions.push(valueAssertion('header', name, expected));
+      break;
+    }
+    case '--expect-body': {
+      const op: AssertionOp = isRegex(value) ? 'matches' : 'contains';
+      args.assertions.push({ type: 'body', op, value });
+      break;
+    }
+    case '--expect-json': {
+      const equals = value.indexOf('=');
+      args.assertions.push(equals === -1
+        ? valueAssertion('jsonpath', value, null)
+        : valueAssertion('jsonpath', value.slice(0, equals), value.slice(equals + 1)));
+      break;
+    }
+    case '--check-every':
+      args.checks.every = integer(flag, value, 1) * 1000;
+      break;
+    case '--targets':
+      args.checks.targetsFile = value;
+      break;
+    case '--uptime-file':
+      args.checks.uptimeFile = value;
+      break;
+    case '--slo': {
+      const availability = Number(value);
+      if (!(availability > 0 && availability <= 100)) {
+        throw new UsageError(`${flag} expects a percentage above 0 and at most 100, got "${value}"`);
+      }
+      args.checks.slo.availability = availability;
+      break;
+    }
+    case '--slo-latency':
+      args.checks.slo.latency = integer(flag, value, 0);
+      break;
+    case '--days':
+      args.checks.days = integer(flag, value, 1);
+      break;
+    case '--report':
+      if (value !== 'md' && value !== 'html') {
+        throw new UsageError(`${flag} expects md or html, got "${value}"`);
+      }
+      args.checks.report = value;
+      break;
+    case '--metrics': {
+      const colon = value.lastIndexOf(':');
+      const host = colon === -1 ? '127.0.0.1' : value.slice(0, colon).replace(/^\[(.*)\]$/, '$1');
+      const port = colon === -1 ? value : value.slice(colon + 1);
+      if (!host || !/^\d+$/.test(port) || Number(port) > 65535) {
+        throw new UsageError(`${flag} expects [host:]port, got "${value}"`);
+      }
+      args.exporter.metrics = { host, port: Number(port) };
+      break;
+    }
+    case '--webhook':
+    case '--slack-webhook':
+      if (!/^https?:\/\/[^/]/i.test(value)) {
+        throw new UsageError(`${flag} expects an http:// or https:// URL, got "${value}"`);
+      }
+      args.exporter.webhooks.push({ url: value, format: flag === '--webhook' ? 'json' : 'slack' });
+      break;
+    case '--down-after':
+      args.exporter.downAfter = integer(flag, value, 1);
+      break;
+    case '--max-latency':
+      args.assertions.push({ type: 'max-latency', value: String(integer(flag, value, 0)) });
+      break;
+    case '--max-size':
+      args.assertions.push({ type: 'max-size', value: String(integer(flag, value, 0)) });
+      break;
+    default:
+      throw new UsageError(`unknown option ${flag}`);
+  }
+}
+
+// Options that take a value, in their long spelling.
+const VALUE_OPTIONS = new Set([
+  '--count', '--interval', '--timeout', '--window', '--max-hops', '--ws-message', '--events',
+  '--concurrency', '--rate', '--ramp-up', '--duration', '--method', '--header', '--data', '--user',
+  '--config', '--dns', '--dns-format', '--max-loss',
+  '--expect-status', '--expect-header', '--expect-body', '--expect-json', '--max-latency', '--max-size',
+  '--check-every', '--targets', '--uptime-file', '--slo', '--slo-latency', '--days', '--report',
+  '--metrics', '--webhook', '--slack-webhook', '--down-after',
+]);
+
+// Every flag spelling, for completion.
+export const FLAGS = [
+  ...Object.keys(SWITCHES), ...Object.keys(LONG_SWITCHES), '--json',
+  ...Object.keys(SHORT_OPTIONS), ...VALUE_OPTIONS,
+];
+
+// Splits a command line into words the way a POSIX shell would for plain
+// arguments: whitespace separates, single quotes are literal, double quotes
+// and backslashes escape.
+export function splitCommandLine(text: string): string[] {
+  const words: string[] = [];
+  let word = '';
+  let inWord = false;
+  let quote: '"' | "'" | null = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (char === '\\' && i + 1 < text.length && (quote === null || /["\\$`]/.test(text[i + 1]))) {
+      word += text[++i];
+      inWord = true;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else word += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      if (inWord) words.push(word);
+      word = '';
+      inWord = false;
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new UsageError(`unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (inWord) words.push(word);
+  return words;
+}
+
+export function parseArgs(argv: string[]): CliArgs {
+  const args: CliArgs = {
+    url: null,
+    configFile: null,
+    settings: {},
+    load: {},
+    headers: [],
+    body: null,
+    user: null,
+    assertions: [],
+    dns: {},
+    checks: { every: null, targetsFile: null, uptimeFile: null, report: null, days: 7, slo: {} },
+    exporter: { metrics: null, webhooks: [], downAfter: 1 },
+    json: false,
+    quiet: false,
+    maxLoss: 0,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inlineValue: string | null = null;
+
+    if (arg === '--') {
+      args.url = argv[i + 1] ?? args.url;
+      break;
+    }
+    if (arg.startsWith('--') && arg.includes('=')) {
+      inlineValue = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+
+    if (arg === '--json') {
+      args.json = true;
+    } else if (LONG_SWITCHES[arg]) {
+      SWITCHES[LONG_SWITCHES[arg]](args);
+    } else if (SWITCHES[arg]) {
+      SWITCHES[arg](args);
+    } else if (SHORT_OPTIONS[arg] || VALUE_OPTIONS.has(arg)) {
+      const flag = SHORT_OPTIONS[arg] || arg;
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      applyOption(args, flag, value);
+    } else if (/^-[a-zA-Z0-9]{2,}$/.test(arg) && arg.slice(1).split('').every(letter => SWITCHES[`-${letter}`])) {
+      arg.slice(1).split('').forEach(letter => SWITCHES[`-${letter}`](args));
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`unknown option ${arg}`);
+    } else if (args.url === null) {
+      args.url = arg;
+    } else {
+      throw new UsageError(`unexpected argument "${arg}"`);
+    }
+  }
+
+  return args;
+}
+
+// True when any scheduled check flag was given.
+export function usesChecks(args: CliArgs): boolean {
+  const { every, targetsFile, uptimeFile, report, slo } = args.checks;
+  return every !== null || targetsFile !== null || uptimeFile !== null || report !== null || Object.keys(slo).length > 0;
+}
+
+// True when --metrics or a webhook was given.
+export function usesExporter(args: CliArgs): boolean {
+  return args.exporter.metrics !== null || args.exporter.webhooks.length > 0;
+}
+
+// Applies parsed flags on top of `base` (the defaults or a config file).
+export function buildConfig(base: PingConfig, args: CliArgs): PingConfig {
+  const config: PingConfig = {
+    ...base,
+    ...args.settings,
+    // Certificates are verified unless -k is given; a config saved from the
+    // page does not turn that off
+    ignoreSsl: Boolean(args.settings.ignoreSsl),
+    request: { ...base.request, headers: [...base.request.headers], auth: { ...base.request.auth }, body: { ...base.request.body } },
+    assertions: [...base.assertions, ...args.assertions],
+    dns: { ...base.dns, ...args.dns },
+    load: { ...base.load, ...args.load },
+  };
+
+  if (args.url !== null) {
+    config.url = args.url;
+  }
+
+  // A flag replaces a header of the same name instead of sending it twice
+  args.headers.forEach(header => {
+    const name = header.name.toLowerCase();
+    config.request.headers = [...config.request.headers.filter(entry => entry.name.toLowerCase() !== name), header];
+  });
+  if (args.body !== null) {
+    config.request.body = { ...config.request.body, type: 'raw', text: args.body };
+  }
+  if (args.user !== null) {
+    const colon = args.user.indexOf(':');
+    config.request.auth = {
+      ...config.request.auth,
+      type: 'basic',
+      username: args.user.slice(0, colon),
+      password: args.user.slice(colon + 1),
+    };
+  }
+
+  return config;
+}
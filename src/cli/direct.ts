@@ -0,0 +1,81 @@
+// In-process stand-in for the companion proxy.
+//
+// Node is not bound by CORS, so the command line performs every request
+// itself with the same code the proxy server uses (companion/proxy.js) and
+// gets the real status line, headers, remote address and timing. Hosts are
+// looked up the way those requests do it, with the system resolver.
+
+import { lookup } from 'node:dns/promises';
+import { proxyRequest, toErrorPayload } from '../../companion/proxy.js';
+import { CompanionClient, CompanionError } from '../engine/companion.ts';
+import type { ProxyRequest, ProxyResponse } from '../engine/companion.ts';
+import { DnsError } from '../engine/dns.ts';
+import type { HostResolver, Resolution } from '../engine/dns.ts';
+
+function abortError(): Error {
+  const error = new Error('This operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class DirectClient extends CompanionClient {
+  direct = true;
+
+  constructor() {
+    super('direct:');
+    this.available = true;
+  }
+
+  async detect(): Promise<boolean> {
+    this.available = true;
+    return true;
+  }
+
+  async request(spec: ProxyRequest, signal?: AbortSignal): Promise<ProxyResponse> {
+    const aborted = new Promise<never>((_, reject) => {
+      signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+    });
+
+    try {
+      return await Promise.race([proxyRequest(spec), aborted]);
+    } catch (error) {
+      if ((error as Error).name === 'AbortError') {
+        throw error;
+      }
+      const { code, message } = toErrorPayload(error as Error & { code?: string });
+      throw new CompanionError(code, message);
+    }
+  }
+}
+
+// getaddrinfo through node:dns, so /etc/hosts, search domains and intranet
+// names resolve as they do for the requests. It reports no TTLs or aliases.
+export class SystemResolver implements HostResolver {
+  label = 'the system resolver';
+  system = true;
+
+  async resolve(hostname: string): Promise<Resolution> {
+    const startTime = performance.now();
+    let entries;
+    try {
+      entries = await lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      const { code = 'EDNS', message } = error as Error & { code?: string };
+      if (code === 'ENOTFOUND') {
+        throw new DnsError('ENOTFOUND', 'Name or service not known');
+      }
+      if (code === 'ENODATA') {
+        throw new DnsError('ENODATA', 'No address associated with hostname');
+      }
+      throw new DnsError('ESERVFAIL', message);
+    }
+
+    return {
+      hostname,
+      addresses: entries.map(({ address, family }) => ({ address, family: family === 6 ? 6 : 4, ttl: null })),
+      aliases: [],
+      ttl: null,
+      time: performance.now() - startTime,
+    };
+  }
+}
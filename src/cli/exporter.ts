@@ -0,0 +1,78 @@
+// --metrics and the webhooks of httping.
+//
+// Feeds every finished ping into a PingMetrics, serves its exposition on
+// /metrics and hands its state changes to a WebhookNotifier. Closing
+// stops the server and waits for the webhooks still being delivered.
+
+import http from 'node:http';
+import { OPENMETRICS_TYPE, PingMetrics } from '../engine/metrics.ts';
+import type { PingRecord } from '../engine/session.ts';
+import type { CheckTarget } from '../engine/uptime.ts';
+import { WebhookNotifier } from '../engine/webhooks.ts';
+import type { Webhook } from '../engine/webhooks.ts';
+import type { ExporterArgs } from './args.ts';
+
+export interface Exporter {
+  observe(target: CheckTarget, record: PingRecord): void;
+  close(): Promise<void>;
+}
+
+// Webhook URLs often carry their secret in the path; only the host is shown
+function hookName(hook: Webhook): string {
+  return `${hook.format === 'slack' ? 'Slack webhook' : 'webhook'} ${new URL(hook.url).host}`;
+}
+
+function listen(server: http.Server, host: string, port: number): Promise<void> {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+// Rejects when the metrics port cannot be opened. `warn` gets webhook
+// deliveries that gave up.
+export async function startExporter(options: ExporterArgs, warn: (message: string) => void): Promise<Exporter> {
+  const metrics = new PingMetrics({ downAfter: options.downAfter });
+  const notifier = new WebhookNotifier({ hooks: options.webhooks });
+  metrics.on('change', change => notifier.notify(change));
+  notifier.on('failed', ({ hook, attempts, error }) => {
+    warn(`${hookName(hook)}: gave up after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${error}`);
+  });
+
+  let server: http.Server | null = null;
+  if (options.metrics) {
+    const { host, port } = options.metrics;
+    server = http.createServer((req, res) => {
+      const path = (req.url || '/').split('?')[0];
+      if (path !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('httping serves metrics on /metrics\n');
+      } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+        res.end('Method not allowed\n');
+      } else {
+        res.writeHead(200, { 'Content-Type': OPENMETRICS_TYPE });
+        res.end(req.method === 'HEAD' ? undefined : metrics.render());
+      }
+    });
+    try {
+      await listen(server, host, port);
+    } catch (error) {
+      throw new Error(`cannot serve metrics on ${host}:${port}: ${(error as Error).message}`);
+    }
+  }
+
+  return {
+    observe: (target, record) => metrics.observe(target, record),
+    async close() {
+      if (server) {
+        server.close();
+        server.closeAllConnections();
+      }
+      await notifier.drain();
+    },
+  };
+}
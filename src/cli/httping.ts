@@ -0,0 +1,426 @@
+// httping: the ping engine on the command line.
+//
+// Runs the same PingEngine (or LoadTest for --load, ScheduledChecks for
+// --check-every) as the page, with a DirectClient in place of the companion
+// proxy, and prints the engine's events with the shared formatters. Ping
+// output goes to stdout, errors to stderr; --json replaces both with one
+// session document that the web UI can import. --metrics and the webhook
+// flags add an Exporter fed with every ping.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { describeAssertion } from '../engine/assertions.ts';
+import { ScheduledChecks } from '../engine/checks.ts';
+import { defaultPingConfig, mergeConfig } from '../engine/config.ts';
+import type { PingConfig } from '../engine/config.ts';
+import { DEFAULT_DOH_URL } from '../engine/dns.ts';
+import { PingEngine } from '../engine/engine.ts';
+import type { RunSnapshot } from '../engine/engine.ts';
+import {
+  formatAlert,
+  formatCheckLine,
+  formatLoadInterval,
+  formatLoadReport,
+  formatPingLine,
+  formatResolve,
+  formatStatistics,
+  formatTrace,
+  formatVerbose,
+  line,
+} from '../engine/format.ts';
+import type { LineType, TerminalLine } from '../engine/format.ts';
+import { LoadTest, loadTestConfig } from '../engine/load.ts';
+import type { LoadReport } from '../engine/load.ts';
+import { isWebSocketUrl } from '../engine/realtime.ts';
+import { SESSION_VERSION } from '../engine/session.ts';
+import { createTarget, parseTargets, targetLabel, validateTargets } from '../engine/targets.ts';
+import type { Target } from '../engine/targets.ts';
+import { DEFAULT_CHECK_INTERVAL, defaultSlo, toHTML, toMarkdown, UptimeLog, uptimeReport, validateSlo } from '../engine/uptime.ts';
+import type { Slo } from '../engine/uptime.ts';
+import { buildConfig, parseArgs, UsageError, USAGE, usesChecks, usesExporter } from './args.ts';
+import type { CliArgs } from './args.ts';
+import { DirectClient, SystemResolver } from './direct.ts';
+import { startExporter } from './exporter.ts';
+import type { Exporter } from './exporter.ts';
+
+const EXIT_OK = 0;
+const EXIT_LOSS = 1;
+const EXIT_ERROR = 2;
+const EXIT_ASSERTION = 3;
+
+const COLORS: Record<LineType, string> = {
+  '': '',
+  success: '\x1b[32m',
+  warning: '\x1b[33m',
+  error: '\x1b[31m',
+  info: '\x1b[36m',
+  dns: '\x1b[35m',
+};
+
+const useColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+
+function print(lines: TerminalLine[], stream: NodeJS.WriteStream = process.stdout): void {
+  lines.forEach(({ text, type }) => {
+    stream.write(useColor && COLORS[type] ? `${COLORS[type]}${text}\x1b[0m\n` : `${text}\n`);
+  });
+}
+
+// A config file is either an exported session or a bare config object.
+async function loadConfigFile(path: string): Promise<PingConfig> {
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`cannot read config file ${path}: ${(error as Error).message}`);
+  }
+  if (!data || typeof data !== 'object') {
+    throw new UsageError(`config file ${path} does not contain a config object`);
+  }
+  const saved = data.config && typeof data.config === 'object' ? data.config : data;
+  return mergeConfig(defaultPingConfig(), saved);
+}
+
+function loss(snapshot: RunSnapshot): number {
+  return snapshot.sent > 0 ? ((snapshot.sent - snapshot.received) / snapshot.sent) * 100 : 0;
+}
+
+function exitCode(snapshot: RunSnapshot, args: CliArgs): number {
+  if (loss(snapshot) <= args.maxLoss) {
+    return EXIT_OK;
+  }
+  return snapshot.assertionFailures > 0 ? EXIT_ASSERTION : EXIT_LOSS;
+}
+
+function jsonReport(engine: PingEngine, snapshot: RunSnapshot, result: string, errors: string[], code: number) {
+  return {
+    version: SESSION_VERSION,
+    tool: 'http-ping',
+    exportedAt: new Date().toISOString(),
+    ...engine.session(),
+    result,
+    statistics: {
+      sent: snapshot.sent,
+      received: snapshot.received,
+      outcomes: snapshot.outcomes,
+      loss: Math.round(loss(snapshot) * 100) / 100,
+      rtt: snapshot.rtt,
+      timing: snapshot.timing,
+      episodes: snapshot.episodes,
+      assertions: snapshot.assertionTallies.map((tally, index) => ({
+        assertion: engine.config.assertions[index] ? describeAssertion(engine.config.assertions[index]) : `assertion #${index + 1}`,
+        checked: tally ? tally.checked : 0,
+        failed: tally ? tally.failed : 0,
+      })),
+    },
+    errors,
+    exitCode: code,
+  };
+}
+
+async function main(argv: string[]): Promise<number> {
+  let args: CliArgs;
+  let config: PingConfig;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return EXIT_OK;
+    }
+    const base = args.configFile ? await loadConfigFile(args.configFile) : defaultPingConfig();
+    const { every, targetsFile, uptimeFile } = args.checks;
+    if (!args.url && !args.configFile && !targetsFile && !(uptimeFile && every === null)) {
+      throw new UsageError('no URL given');
+    }
+    config = buildConfig(base, args);
+    if (config.loadTest && !usesChecks(args) && usesExporter(args)) {
+      throw new UsageError('--metrics and the webhook flags do not apply to load tests');
+    }
+    // Otherwise every ping would fail and read as an outage
+    if (!config.loadTest && !usesChecks(args) && isWebSocketUrl(config.url) && typeof WebSocket === 'undefined') {
+      throw new UsageError(`ws:// and wss:// targets need Node 22, or --experimental-websocket on Node 20 (this is Node ${process.versions.node})`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`httping: ${error.message}\nTry 'httping --help' for more information.\n`);
+      return EXIT_ERROR;
+    }
+    throw error;
+  }
+
+  let exporter: Exporter | null = null;
+  if (usesExporter(args)) {
+    try {
+      exporter = await startExporter(args.exporter, message => print([line(`httping: ${message}`, 'warning')], process.stderr));
+    } catch (error) {
+      process.stderr.write(`httping: ${(error as Error).message}\n`);
+      return EXIT_ERROR;
+    }
+    const { metrics } = args.exporter;
+    if (metrics && !args.json && !args.quiet) {
+      const host = metrics.host.includes(':') ? `[${metrics.host}]` : metrics.host;
+      // Beside the live lines of checks, which leave stdout to an HTML report
+      const stream = args.checks.report === 'html' ? process.stderr : process.stdout;
+      print([line(`Serving metrics on http://${host}:${metrics.port}/metrics`, 'info')], stream);
+    }
+  }
+
+  if (usesChecks(args)) {
+    return runChecks(config, args, exporter);
+  }
+  return config.loadTest ? runLoadTest(config, args) : runPings(config, args, exporter);
+}
+
+// Ping and error lines as they come. Error lines are kept for --json.
+function createOutput(args: CliArgs) {
+  const live = !args.json && !args.quiet;
+  const errors: string[] = [];
+
+  return {
+    live,
+    errors,
+    report(output: TerminalLine | TerminalLine[]): void {
+      const lines = Array.isArray(output) ? output : [output];
+      lines.filter(entry => entry.type === 'error').forEach(entry => errors.push(entry.text));
+      if (live) {
+        print(lines);
+      }
+    },
+    notice(notice: TerminalLine): void {
+      if (notice.type === 'error') {
+        errors.push(notice.text);
+        print([notice], process.stderr);
+      } else if (live) {
+        print([notice]);
+      }
+    },
+  };
+}
+
+// First Ctrl+C ends the run with statistics, a second one gives up.
+// Returns the function that removes the handler.
+function onInterrupt(stop: () => void): () => void {
+  let interrupted = false;
+  const handler = () => {
+    if (interrupted) {
+      process.exit(130);
+    }
+    interrupted = true;
+    stop();
+  };
+  process.on('SIGINT', handler);
+  return () => process.off('SIGINT', handler);
+}
+
+async function runPings(config: PingConfig, args: CliArgs, exporter: Exporter | null): Promise<number> {
+  // A resolver picked with --dns (or in a config file) is used as given
+  const doh = config.dns.url.trim();
+  const resolver = doh && doh !== DEFAULT_DOH_URL ? null : new SystemResolver();
+  const engine = new PingEngine({ companion: new DirectClient(), resolver });
+  const output = createOutput(args);
+
+  engine.on('notice', output.notice);
+  engine.on('resolve', event => output.report(formatResolve(event)));
+  engine.on('ping', ({ record, result }) => {
+    if (exporter) {
+      exporter.observe({ name: engine.target.host || record.url, url: record.url, method: record.method }, record);
+    }
+    output.report([formatPingLine(record), ...formatTrace(record)]);
+    if (output.live && result && engine.config.verbose) {
+      print(formatVerbose(result));
+    }
+  });
+  engine.on('alert', ({ type, episode }) => {
+    if (type !== 'close') {
+      output.report(formatAlert(type, episode));
+    }
+  });
+
+  // Not engine.run() itself: after a stop it still waits for the ping in flight
+  const done = new Promise<{ reason: string; snapshot: RunSnapshot }>(resolve => {
+    engine.on('done', resolve);
+  });
+  const removeInterrupt = onInterrupt(() => engine.stop());
+  // A run that throws still ends with 'done' (failed); only its error is left
+  engine.run(config).catch(error => output.notice(line(`Error: ${(error as Error).message}`, 'error')));
+  const { reason, snapshot } = await done;
+  removeInterrupt();
+  if (exporter) {
+    await exporter.close();
+  }
+
+  const code = reason === 'failed' ? EXIT_ERROR : exitCode(snapshot, args);
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(jsonReport(engine, snapshot, reason, output.errors, code), null, 2)}\n`);
+  } else if (reason !== 'failed') {
+    print([line(''), ...formatStatistics(snapshot, engine.config.assertions)]);
+  }
+  return code;
+}
+
+async function runLoadTest(config: PingConfig, args: CliArgs): Promise<number> {
+  const test = new LoadTest({ companion: new DirectClient() });
+  const output = createOutput(args);
+
+  test.on('notice', output.notice);
+  test.on('interval', ({ interval }) => output.report(formatLoadInterval(interval)));
+
+  const removeInterrupt = onInterrupt(() => test.stop());
+  const done = new Promise<{ reason: string; report: LoadReport }>(resolve => {
+    test.on('done', resolve);
+    // A test that throws ends without 'done'
+    test.run(loadTestConfig(config)).catch(error => {
+      output.notice(line(`Error: ${(error as Error).message}`, 'error'));
+      resolve({ reason: 'failed', report: test.report() });
+    });
+  });
+  const { reason, report } = await done;
+  removeInterrupt();
+
+  let code = EXIT_ERROR;
+  if (reason !== 'failed') {
+    const failed = report.started > 0 ? ((report.failed + report.unsent) / report.started) * 100 : 0;
+    code = failed <= args.maxLoss ? EXIT_OK : report.errors['assertion-failed'] ? EXIT_ASSERTION : EXIT_LOSS;
+  }
+
+  if (args.json) {
+    const result = {
+      version: SESSION_VERSION,
+      tool: 'http-ping',
+      exportedAt: new Date().toISOString(),
+      config,
+      target: { host: test.host },
+      result: reason,
+      load: report,
+      errors: output.errors,
+      exitCode: code,
+    };
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else if (reason !== 'failed') {
+    print([line(''), ...formatLoadReport(report, test.host || 'unknown')]);
+  }
+  return code;
+}
+
+async function loadTargetsFile(path: string): Promise<Target[]> {
+  try {
+    return parseTargets(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`cannot read targets file ${path}: ${(error as Error).message}`);
+  }
+}
+
+// A missing file starts an empty log; one that cannot be read stops the run
+// rather than being overwritten.
+async function loadUptimeFile(path: string): Promise<UptimeLog> {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return new UptimeLog();
+    }
+    throw new UsageError(`cannot read uptime file ${path}: ${(error as Error).message}`);
+  }
+  try {
+    return UptimeLog.parse(text);
+  } catch (error) {
+    throw new UsageError(`uptime file ${path} is not usable: ${(error as Error).message}`);
+  }
+}
+
+// Checks the URL (or every target of --targets) until interrupted, then
+// prints the uptime report. Without a URL or targets, only prints the
+// report of --uptime-file.
+async function runChecks(config: PingConfig, args: CliArgs, exporter: Exporter | null): Promise<number> {
+  const slo: Slo = { ...defaultSlo(), ...args.checks.slo };
+  const { every, targetsFile, uptimeFile } = args.checks;
+  const checking = every !== null || targetsFile !== null || args.url !== null || args.configFile !== null;
+  let targets: Target[] = [];
+  let log: UptimeLog;
+  try {
+    if (checking) {
+      targets = targetsFile
+        ? await loadTargetsFile(targetsFile)
+        : [createTarget({ url: config.url, method: config.method, timeout: config.timeout })];
+    }
+    log = uptimeFile ? await loadUptimeFile(uptimeFile) : new UptimeLog();
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`httping: ${error.message}\n`);
+    return EXIT_ERROR;
+  }
+
+  const problems = [...(checking ? validateTargets(targets) : []), ...validateSlo(slo)];
+  if (problems.length > 0) {
+    problems.forEach(problem => process.stderr.write(`httping: ${problem}\n`));
+    return EXIT_ERROR;
+  }
+
+  if (checking) {
+    const checks = new ScheduledChecks({ companion: new DirectClient(), log });
+    const live = !args.json && !args.quiet;
+    // An HTML report goes to stdout alone, so it can be redirected to a file
+    const stream = args.checks.report === 'html' ? process.stderr : process.stdout;
+    // One write at a time, each with everything checked so far
+    let saving = Promise.resolve();
+    const save = () => {
+      if (uptimeFile) {
+        saving = saving.then(() => writeFile(uptimeFile, log.serialize())).catch(error => {
+          process.stderr.write(`httping: cannot write uptime file ${uptimeFile}: ${(error as Error).message}\n`);
+        });
+      }
+    };
+
+    checks.on('check', ({ uptime, record }) => {
+      if (exporter) {
+        exporter.observe({ name: uptime.name, url: uptime.url, method: uptime.method }, record);
+      }
+      if (live) {
+        print([formatCheckLine(uptime.name, record)], stream);
+      }
+      save();
+    });
+    checks.on('error', ({ target, message }) => {
+      print([line(`httping: check of ${targetLabel(target)} failed: ${message}`, 'warning')], process.stderr);
+    });
+    const stopped = new Promise<void>(resolve => {
+      checks.on('running', running => {
+        if (!running) resolve();
+      });
+    });
+    const removeInterrupt = onInterrupt(() => checks.stop());
+    if (live) {
+      const interval = (every ?? DEFAULT_CHECK_INTERVAL) / 1000;
+      print([line(`Checking ${targets.length} target${targets.length === 1 ? '' : 's'} every ${interval}s; Ctrl+C ends with the uptime report`, 'info')], stream);
+    }
+    checks.start(targets, {
+      request: config.request,
+      assertions: config.assertions,
+      followRedirects: config.followRedirects,
+      insecure: config.ignoreSsl,
+    }, every ?? undefined);
+    await stopped;
+    removeInterrupt();
+    await saving;
+    if (exporter) {
+      await exporter.close();
+    }
+  }
+
+  const report = uptimeReport(log, { days: args.checks.days, slo });
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    process.stdout.write(args.checks.report === 'html' ? toHTML(report) : `${checking ? '\n' : ''}${toMarkdown(report)}`);
+  }
+  return report.targets.some(target => target.met === false) ? EXIT_LOSS : EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(
+  // A ping interrupted mid-flight would otherwise hold the process open
+  // until its timeout; exit once the output has been written.
+  code => process.stdout.write('', () => process.exit(code)),
+  error => {
+    process.stderr.write(`httping: ${(error as Error).stack || error}\n`);
+    process.exit(EXIT_ERROR);
+  },
+);
@@ -0,0 +1,18 @@
+export interface BannerMessage {
+  text: string;
+  recovered: boolean;
+}
+
+interface AlertBannerProps {
+  message: BannerMessage | null;
+  onDismiss: () => void;
+}
+
+export function AlertBanner({ message, onDismiss }: AlertBannerProps) {
+  return (
+    <div className={`alert-banner${message && message.recovered ? ' recovered' : ''}`} role="alert" hidden={!message}>
+      <span>{message ? message.text : ''}</span>
+      <button className="alert-dismiss" aria-label="Dismiss alert" onClick={onDismiss}>×</button>
+    </div>
+  );
+}
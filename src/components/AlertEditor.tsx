@@ -0,0 +1,124 @@
+import { ALERT_RULE_TYPES } from '../engine/alerts.ts';
+import type { AlertRule, AlertRuleType } from '../engine/alerts.ts';
+import { requestNotificationPermission } from '../ui/alert-cues.ts';
+
+const RULE_LABELS: Record<AlertRuleType, string> = {
+  'loss': 'Loss over (%)',
+  'p95': 'P95 over (ms)',
+  'consecutive': 'Consecutive failures',
+};
+
+export interface AlertCueSettings {
+  notify: boolean;
+  sound: boolean;
+}
+
+// Rebuilds a rule from the row's controls, keeping the window when the type
+// changes between windowed rules.
+function toRule(type: AlertRuleType, value: number, window: number): AlertRule {
+  return type === 'consecutive' ? { type, count: value } : { type, threshold: value, window };
+}
+
+interface AlertEditorProps {
+  rules: AlertRule[];
+  cues: AlertCueSettings;
+  disabled: boolean;
+  onChange: (rules: AlertRule[]) => void;
+  onCuesChange: (cues: AlertCueSettings) => void;
+}
+
+// Alert rule editor in the controls panel.
+export function AlertEditor({ rules, cues, disabled, onChange, onCuesChange }: AlertEditorProps) {
+  const update = (index: number, rule: AlertRule) => {
+    onChange(rules.map((entry, position) => (position === index ? rule : entry)));
+  };
+
+  return (
+    <div className="request-editor">
+      <details className="request-section">
+        <summary>Alerts <span>{rules.length > 0 ? `(${rules.length})` : ''}</span></summary>
+        <div className="kv-editor">
+          {rules.map((rule, index) => {
+            const value = rule.type === 'consecutive' ? rule.count : rule.threshold;
+            const window = rule.type === 'consecutive' ? 20 : rule.window;
+
+            return (
+              <div key={index} className="alert-rule-row">
+                <select
+                  className="alert-rule-type"
+                  value={rule.type}
+                  disabled={disabled}
+                  onChange={event => update(index, toRule(event.target.value as AlertRuleType, value, window))}
+                >
+                  {ALERT_RULE_TYPES.map(type => <option key={type} value={type}>{RULE_LABELS[type]}</option>)}
+                </select>
+                <input
+                  type="number"
+                  className="alert-rule-threshold"
+                  min="0"
+                  title="Threshold"
+                  value={Number.isNaN(value) ? '' : value}
+                  disabled={disabled}
+                  onChange={event => update(index, toRule(rule.type, parseFloat(event.target.value), window))}
+                />
+                <span className="alert-rule-label" hidden={rule.type === 'consecutive'}>in last</span>
+                <input
+                  type="number"
+                  className="alert-rule-window"
+                  min="1"
+                  title="Pings in the window"
+                  hidden={rule.type === 'consecutive'}
+                  value={Number.isNaN(window) ? '' : window}
+                  disabled={disabled}
+                  onChange={event => update(index, toRule(rule.type, value, parseInt(event.target.value)))}
+                />
+                <button
+                  type="button"
+                  className="kv-remove"
+                  title="Remove"
+                  disabled={disabled}
+                  onClick={() => onChange(rules.filter((_, position) => position !== index))}
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        <button
+          type="button"
+          className="btn-link"
+          disabled={disabled}
+          onClick={() => onChange([...rules, { type: 'loss', threshold: 10, window: 20 }])}
+        >
+          + Add rule
+        </button>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={cues.notify}
+            disabled={disabled}
+            onChange={event => {
+              if (event.target.checked) {
+                requestNotificationPermission();
+              }
+              onCuesChange({ ...cues, notify: event.target.checked });
+            }}
+          />
+          <span className="checkmark"></span>
+          Browser notifications
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={cues.sound}
+            disabled={disabled}
+            onChange={event => onCuesChange({ ...cues, sound: event.target.checked })}
+          />
+          <span className="checkmark"></span>
+          Sound
+        </label>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { ASSERTION_TYPES } from '../engine/assertions.ts';
+import type { Assertion, AssertionOp, AssertionType } from '../engine/assertions.ts';
+
+const TYPE_LABELS: Record<AssertionType, string> = {
+  'status': 'Status',
+  'header': 'Header',
+  'body': 'Body',
+  'jsonpath': 'JSONPath',
+  'max-size': 'Max size (bytes)',
+  'max-latency': 'Max latency (ms)',
+};
+
+const OPERATORS: Partial<Record<AssertionType, AssertionOp[]>> = {
+  'header': ['equals', 'matches', 'exists'],
+  'body': ['contains', 'matches'],
+  'jsonpath': ['equals', 'matches', 'exists'],
+};
+
+const PLACEHOLDERS: Record<AssertionType, string> = {
+  'status': '200-299, 304',
+  'header': 'Expected value or /regex/',
+  'body': 'Text or /regex/',
+  'jsonpath': 'Expected value or /regex/',
+  'max-size': '1048576',
+  'max-latency': '500',
+};
+
+// Rebuilds an assertion from the row's controls. The header name or path
+// field is shared, so switching type keeps what was typed there.
+function toAssertion(type: AssertionType, target: string, op: AssertionOp | undefined, value: string): Assertion {
+  const operators = OPERATORS[type];
+  const assertion: Assertion = { type, value };
+
+  if (operators) assertion.op = op && operators.includes(op) ? op : operators[0];
+  if (type === 'header') assertion.name = target;
+  if (type === 'jsonpath') assertion.path = target;
+  return assertion;
+}
+
+interface AssertionEditorProps {
+  assertions: Assertion[];
+  disabled: boolean;
+  onChange: (assertions: Assertion[]) => void;
+}
+
+// Assertion list editor in the controls panel.
+export function AssertionEditor({ assertions, disabled, onChange }: AssertionEditorProps) {
+  const update = (index: number, assertion: Assertion) => {
+    onChange(assertions.map((entry, position) => (position === index ? assertion : entry)));
+  };
+
+  return (
+    <div className="request-editor">
+      <details className="request-section">
+        <summary>Assertions <span>{assertions.length > 0 ? `(${assertions.length})` : ''}</span></summary>
+        <div className="kv-editor">
+          {assertions.map((assertion, index) => {
+            const operators = OPERATORS[assertion.type];
+            const target = assertion.name ?? assertion.path ?? '';
+            const change = (fields: { type?: AssertionType; target?: string; op?: AssertionOp; value?: string }) => update(index, toAssertion(
+              fields.type ?? assertion.type,
+              fields.target ?? target,
+              fields.op ?? assertion.op,
+              fields.value ?? assertion.value,
+            ));
+
+            return (
+              <div key={index} className="assertion-row">
+                <select
+                  className="assertion-type"
+                  value={assertion.type}
+                  disabled={disabled}
+                  onChange={event => change({ type: event.target.value as AssertionType })}
+                >
+                  {ASSERTION_TYPES.map(type => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+                </select>
+                <input
+                  type="text"
+                  className="assertion-target"
+                  hidden={assertion.type !== 'header' && assertion.type !== 'jsonpath'}
+                  placeholder={assertion.type === 'jsonpath' ? '$.status' : 'Header name'}
+                  value={target}
+                  disabled={disabled}
+                  onChange={event => change({ target: event.target.value })}
+                />
+                <select
+                  className="assertion-op"
+                  hidden={!operators}
+                  value={assertion.op ?? ''}
+                  disabled={disabled}
+                  onChange={event => change({ op: event.target.value as AssertionOp })}
+                >
+                  {(operators || []).map(op => <option key={op} value={op}>{op}</option>)}
+                </select>
+                <input
+                  type="text"
+                  className="assertion-value"
+                  hidden={Boolean(operators) && assertion.op === 'exists'}
+                  placeholder={PLACEHOLDERS[assertion.type]}
+                  value={assertion.value}
+                  disabled={disabled}
+                  onChange={event => change({ value: event.target.value })}
+                />
+                <button
+                  type="button"
+                  className="kv-remove"
+                  title="Remove"
+                  disabled={disabled}
+                  onClick={() => onChange(assertions.filter((_, position) => position !== index))}
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        <button
+          type="button"
+          className="btn-link"
+          disabled={disabled}
+          onClick={() => onChange([...assertions, { type: 'status', value: '200-299' }])}
+        >
+          + Add assertion
+        </button>
+        <p className="request-hint">A ping is received only when every assertion passes. A status assertion replaces the default 2xx check.</p>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { useState } from 'react';
+
+export function BrowserBanner() {
+  const [visible, setVisible] = useState(true);
+
+  if (!visible) {
+    return null;
+  }
+  return (
+    <div className="browser-banner">
+      <div className="banner-content">
+        <span className="banner-icon">🌐</span>
+        <span className="banner-text">This HTTP ping tool runs entirely in your local browser | To ping any host without CORS limits, start the companion proxy: npm run companion</span>
+        <span className="banner-close" onClick={() => setVisible(false)}>×</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import type { RunSummary, StoredRun } from '../engine/history.ts';
+import { isReceived } from '../engine/session.ts';
+import { DistributionChart } from '../ui/charts.ts';
+
+const COMPARE_COLORS = ['#00ccff', '#ff00ff'];
+
+const COMPARE_ROWS: { key: keyof RunSummary; label: string; unit: string }[] = [
+  { key: 'loss', label: 'Loss', unit: '%' },
+  { key: 'avg', label: 'Avg', unit: 'ms' },
+  { key: 'p50', label: 'P50', unit: 'ms' },
+  { key: 'p90', label: 'P90', unit: 'ms' },
+  { key: 'p95', label: 'P95', unit: 'ms' },
+  { key: 'p99', label: 'P99', unit: 'ms' },
+  { key: 'jitter', label: 'Jitter', unit: 'ms' },
+];
+
+function formatDelta(before: number, after: number, unit: string): string {
+  const delta = after - before;
+  const sign = delta > 0 ? '+' : '';
+  const relative = before > 0 && unit === 'ms' ? ` (${sign}${((delta / before) * 100).toFixed(0)}%)` : '';
+  return `${sign}${delta.toFixed(1)}${unit}${relative}`;
+}
+
+interface CompareViewProps {
+  runs: StoredRun[];
+  onClose: () => void;
+}
+
+// Overlays the RTT distributions of two saved runs with the deltas in loss
+// and percentiles. The older run is the baseline ("before").
+export function CompareView({ runs, onClose }: CompareViewProps) {
+  const chartRef = useRef<HTMLCanvasElement>(null);
+  const ordered = [...runs].sort((a, b) => a.startedAt - b.startedAt);
+  const series = ordered.map((run, index) => ({
+    label: run.name,
+    color: COMPARE_COLORS[index],
+    times: run.records.filter(isReceived).map(record => record.time ?? 0),
+  }));
+
+  useEffect(() => {
+    new DistributionChart(chartRef.current as HTMLCanvasElement).draw(series);
+  });
+
+  return (
+    <div className="compare-view">
+      <div className="compare-dialog">
+        <div className="history-header">
+          <h3>Run Comparison</h3>
+          <button className="history-close" aria-label="Close comparison" onClick={onClose}>×</button>
+        </div>
+        <div className="compare-legend">
+          {series.map((entry, index) => (
+            <span key={index} className="compare-legend-item" style={{ color: entry.color }}>
+              {`${index === 0 ? 'A (before)' : 'B (after)'}: ${entry.label}`}
+            </span>
+          ))}
+        </div>
+        <canvas ref={chartRef} className="chart-canvas compare"></canvas>
+        <table className="compare-table">
+          <tbody>
+            <tr>
+              {['', 'A', 'B', 'Δ'].map(text => <th key={text}>{text}</th>)}
+            </tr>
+            {COMPARE_ROWS.map(({ key, label, unit }) => {
+              const [before, after] = ordered.map(run => run.summary[key]);
+              const delta = after - before;
+              return (
+                <tr key={key}>
+                  <th>{label}</th>
+                  <td>{`${before.toFixed(1)}${unit}`}</td>
+                  <td>{`${after.toFixed(1)}${unit}`}</td>
+                  <td className={delta > 0 ? 'worse' : delta < 0 ? 'better' : ''}>{formatDelta(before, after, unit)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
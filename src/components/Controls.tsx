@@ -0,0 +1,321 @@
+import { useRef, useState } from 'react';
+import type { PingConfig } from '../engine/config.ts';
+import type { AddressStrategy, DnsFormat } from '../engine/dns.ts';
+import { HTTP_METHODS } from '../engine/request.ts';
+import type { HttpMethod } from '../engine/request.ts';
+import { AlertEditor } from './AlertEditor.tsx';
+import type { AlertCueSettings } from './AlertEditor.tsx';
+import { AssertionEditor } from './AssertionEditor.tsx';
+import { LoadEditor } from './LoadEditor.tsx';
+import { PresetBar } from './PresetBar.tsx';
+import { RealtimeEditor } from './RealtimeEditor.tsx';
+import { RequestEditor } from './RequestEditor.tsx';
+
+export type ExportFormat = 'json' | 'csv' | 'har';
+
+interface ControlsProps {
+  config: PingConfig;
+  cues: AlertCueSettings;
+  running: boolean;
+  onChange: (config: PingConfig) => void;
+  onCuesChange: (cues: AlertCueSettings) => void;
+  onCompanionUrlCommit: (url: string) => void;
+  onStart: () => void;
+  onStop: () => void;
+  onClear: () => void;
+  onExport: (format: ExportFormat) => void;
+  onImport: (file: File) => void;
+  onError: (message: string) => void;
+}
+
+// Number inputs keep NaN while they are empty; validation reports it.
+function numberValue(value: number): number | string {
+  return Number.isNaN(value) ? '' : value;
+}
+
+export function Controls(props: ControlsProps) {
+  const { config, cues, running, onChange } = props;
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('json');
+  const importFileRef = useRef<HTMLInputElement>(null);
+
+  const set = <K extends keyof PingConfig>(key: K, value: PingConfig[K]) => onChange({ ...config, [key]: value });
+  const setDns = (changes: Partial<PingConfig['dns']>) => set('dns', { ...config.dns, ...changes });
+
+  return (
+    <div className="controls-panel">
+      <PresetBar config={config} running={running} onLoad={onChange} onError={props.onError} />
+
+      <div className="input-group">
+        <label htmlFor="target-url">Target URL or IP:</label>
+        <input
+          type="text"
+          id="target-url"
+          placeholder="example.com or https://example.com or 8.8.8.8"
+          value={config.url}
+          disabled={running}
+          onChange={event => set('url', event.target.value)}
+        />
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="companion-url">Companion proxy:</label>
+        <input
+          type="text"
+          id="companion-url"
+          placeholder="http://127.0.0.1:8787"
+          value={config.companionUrl}
+          disabled={running}
+          onChange={event => set('companionUrl', event.target.value)}
+          onBlur={event => props.onCompanionUrlCommit(event.target.value)}
+        />
+      </div>
+
+      <div className="options-grid">
+        <div className="option-group">
+          <label htmlFor="ping-count">Count (-c):</label>
+          <input
+            type="number"
+            id="ping-count"
+            min="1"
+            max="100"
+            value={numberValue(config.count)}
+            disabled={running || config.continuous}
+            onChange={event => set('count', parseInt(event.target.value))}
+          />
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="ping-interval">Interval (-i) ms:</label>
+          <input
+            type="number"
+            id="ping-interval"
+            min="100"
+            max="10000"
+            value={numberValue(config.interval)}
+            disabled={running}
+            onChange={event => set('interval', parseInt(event.target.value))}
+          />
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="http-method">Method:</label>
+          <select
+            id="http-method"
+            value={config.method}
+            disabled={running}
+            onChange={event => set('method', event.target.value as HttpMethod)}
+          >
+            {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+          </select>
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="timeout">Timeout (ms):</label>
+          <input
+            type="number"
+            id="timeout"
+            min="1000"
+            max="30000"
+            value={numberValue(config.timeout)}
+            disabled={running}
+            onChange={event => set('timeout', parseInt(event.target.value))}
+          />
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="stats-window">Rolling window (pings):</label>
+          <input
+            type="number"
+            id="stats-window"
+            min="10"
+            max="10000"
+            value={numberValue(config.window)}
+            disabled={running}
+            onChange={event => set('window', parseInt(event.target.value))}
+          />
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="max-hops">Max redirect hops:</label>
+          <input
+            type="number"
+            id="max-hops"
+            min="1"
+            max="50"
+            value={numberValue(config.maxHops)}
+            disabled={running || !config.traceRedirects}
+            onChange={event => set('maxHops', parseInt(event.target.value))}
+          />
+        </div>
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="dns-resolver">DNS-over-HTTPS resolver:</label>
+        <input
+          type="text"
+          id="dns-resolver"
+          placeholder="https://cloudflare-dns.com/dns-query"
+          value={config.dns.url}
+          disabled={running}
+          onChange={event => setDns({ url: event.target.value })}
+        />
+      </div>
+
+      <div className="options-grid">
+        <div className="option-group">
+          <label htmlFor="dns-format">DNS format:</label>
+          <select
+            id="dns-format"
+            value={config.dns.format}
+            disabled={running}
+            onChange={event => setDns({ format: event.target.value as DnsFormat })}
+          >
+            <option value="json">JSON</option>
+            <option value="wire">Wire (RFC 8484)</option>
+          </select>
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="dns-pick">Report address:</label>
+          <select
+            id="dns-pick"
+            value={config.dns.pick}
+            disabled={running}
+            onChange={event => setDns({ pick: event.target.value as AddressStrategy })}
+          >
+            <option value="ipv4">First IPv4</option>
+            <option value="ipv6">First IPv6</option>
+            <option value="first">First returned</option>
+            <option value="random">Random</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="checkbox-options">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="continuous-mode"
+            checked={config.continuous}
+            disabled={running}
+            onChange={event => set('continuous', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Ping until stopped (-t)
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="ignore-ssl"
+            checked={config.ignoreSsl}
+            disabled={running}
+            onChange={event => set('ignoreSsl', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Ignore SSL certificate errors (-k)
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="follow-redirects"
+            checked={config.followRedirects}
+            disabled={running}
+            onChange={event => set('followRedirects', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Follow redirects (-L)
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="trace-redirects"
+            checked={config.traceRedirects}
+            disabled={running}
+            onChange={event => set('traceRedirects', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Trace redirects hop by hop (--trace)
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="verbose-mode"
+            checked={config.verbose}
+            disabled={running}
+            onChange={event => set('verbose', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Verbose output (-v)
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="keep-going"
+            checked={config.keepGoing}
+            disabled={running}
+            onChange={event => set('keepGoing', event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Keep going after network errors (--keep-going)
+        </label>
+      </div>
+
+      <RequestEditor spec={config.request} disabled={running} onChange={request => set('request', request)} />
+      <AssertionEditor assertions={config.assertions} disabled={running} onChange={assertions => set('assertions', assertions)} />
+      <AlertEditor
+        rules={config.alerts}
+        cues={cues}
+        disabled={running}
+        onChange={alerts => set('alerts', alerts)}
+        onCuesChange={props.onCuesChange}
+      />
+      <RealtimeEditor
+        settings={config}
+        disabled={running}
+        onChange={changes => onChange({ ...config, ...changes })}
+      />
+      <LoadEditor
+        enabled={config.loadTest}
+        settings={config.load}
+        disabled={running}
+        onEnabledChange={enabled => set('loadTest', enabled)}
+        onChange={load => set('load', load)}
+      />
+
+      <div className="control-buttons">
+        <button className="btn btn-primary" disabled={running} onClick={props.onStart}>
+          {config.loadTest ? 'Start Load Test' : 'Start Ping'}
+        </button>
+        <button className="btn btn-secondary" disabled={!running} onClick={props.onStop}>Stop (Ctrl+C)</button>
+        <button className="btn btn-tertiary" onClick={props.onClear}>Clear</button>
+      </div>
+
+      <div className="session-actions">
+        <select
+          aria-label="Export format"
+          value={exportFormat}
+          onChange={event => setExportFormat(event.target.value as ExportFormat)}
+        >
+          <option value="json">JSON</option>
+          <option value="csv">CSV</option>
+          <option value="har">HAR 1.2</option>
+        </select>
+        <button className="btn btn-small" onClick={() => props.onExport(exportFormat)}>Export</button>
+        <button className="btn btn-small" disabled={running} onClick={() => importFileRef.current?.click()}>Import</button>
+        <input
+          type="file"
+          ref={importFileRef}
+          accept=".json,.har,.csv"
+          hidden
+          onChange={event => {
+            const file = event.target.files && event.target.files[0];
+            event.target.value = '';
+            if (file) {
+              props.onImport(file);
+            }
+          }}
+        />
+      </div>
+    </div>
+  );
+}
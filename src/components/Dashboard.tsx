@@ -0,0 +1,244 @@
+import { useEffect, useRef, useState } from 'react';
+import { validateAssertions } from '../engine/assertions.ts';
+import type { ScheduledChecks } from '../engine/checks.ts';
+import type { MonitorSettings, MultiTargetMonitor } from '../engine/multi.ts';
+import { HTTP_METHODS, validateRequestSpec } from '../engine/request.ts';
+import type { HttpMethod } from '../engine/request.ts';
+import { createTarget, parseTargets, serializeTargets, validateTargets } from '../engine/targets.ts';
+import type { Target } from '../engine/targets.ts';
+import { downloadFile } from '../ui/download.ts';
+import { TargetCard } from './TargetCard.tsx';
+import { TargetLog } from './TargetLog.tsx';
+import { UptimePanel } from './UptimePanel.tsx';
+
+const STORAGE_KEY = 'http-ping-targets';
+
+function loadTargets(warn: (message: string) => void): Target[] {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      return parseTargets(saved);
+    }
+  } catch (error) {
+    warn(`Ignoring the saved targets: ${(error as Error).message}`);
+  }
+  return [createTarget({ name: 'httpbin', url: 'httpbin.org/get' })];
+}
+
+function persistTargets(targets: Target[]): void {
+  try {
+    localStorage.setItem(STORAGE_KEY, serializeTargets(targets));
+  } catch {
+    // Private mode or storage full; the list still works for this page
+  }
+}
+
+interface DashboardProps {
+  monitor: MultiTargetMonitor;
+  checks: ScheduledChecks;
+  open: boolean;
+  settings: MonitorSettings;
+  detectCompanion: () => Promise<boolean>;
+}
+
+// Multi-target view: the target list editor and a card per target. Cards
+// only redraw while the dashboard is open.
+export function Dashboard({ monitor, checks, open, settings, detectCompanion }: DashboardProps) {
+  // Saved targets that cannot be read are reported in the message area
+  const [saved] = useState(() => {
+    const problems: string[] = [];
+    return { targets: loadTargets(problem => problems.push(problem)), problems };
+  });
+  const [targets, setTargets] = useState(saved.targets);
+  const [running, setRunning] = useState(monitor.running);
+  const [message, setMessage] = useState<{ lines: string[]; type: string }>({ lines: saved.problems, type: 'warning' });
+  const [revisions, setRevisions] = useState<Record<string, number>>({});
+  const [logTargetId, setLogTargetId] = useState<string | null>(null);
+  const importFileRef = useRef<HTMLInputElement>(null);
+  const openRef = useRef(open);
+  openRef.current = open;
+
+  // Idempotent: keeps the figures of targets that are still listed
+  monitor.setTargets(targets);
+
+  useEffect(() => {
+    const unsubscribe = [
+      monitor.on('running', setRunning),
+      monitor.on('ping', ({ state }) => {
+        if (openRef.current) {
+          setRevisions(current => ({ ...current, [state.target.id]: (current[state.target.id] || 0) + 1 }));
+        }
+      }),
+    ];
+    return () => unsubscribe.forEach(off => off());
+  }, [monitor]);
+
+  // Catch up on pings that arrived while the dashboard was hidden
+  useEffect(() => {
+    if (open) {
+      setRevisions(current => Object.fromEntries(Object.entries(current).map(([id, revision]) => [id, revision + 1])));
+    }
+  }, [open]);
+
+  const changeTargets = (next: Target[]) => {
+    setTargets(next);
+    persistTargets(next);
+  };
+
+  const updateTarget = (target: Target, changes: Partial<Target>) => {
+    changeTargets(targets.map(entry => (entry === target ? { ...target, ...changes } : entry)));
+  };
+
+  const showMessage = (lines: string[], type = 'error') => setMessage({ lines, type });
+
+  const start = async () => {
+    const problems = [
+      ...validateTargets(targets),
+      ...validateRequestSpec(settings.request),
+      ...validateAssertions(settings.assertions),
+    ];
+    if (problems.length > 0) {
+      showMessage(problems);
+      return;
+    }
+    showMessage([]);
+
+    setRunning(true);
+    await detectCompanion();
+    monitor.start(targets, settings);
+    setRevisions({});
+  };
+
+  const importTargets = async (file: File) => {
+    let imported;
+    try {
+      imported = parseTargets(await file.text());
+    } catch (error) {
+      showMessage([`Cannot import ${file.name}: ${(error as Error).message}`]);
+      return;
+    }
+    showMessage([`Imported ${imported.length} targets from ${file.name}`], 'info');
+    changeTargets(imported);
+  };
+
+  const logState = logTargetId ? monitor.states.get(logTargetId) : undefined;
+
+  return (
+    <section className="dashboard" hidden={!open}>
+      <div className="dashboard-controls">
+        <div className="dashboard-toolbar">
+          <h3>Targets</h3>
+          <button className="btn btn-small" disabled={running} onClick={() => changeTargets([...targets, createTarget({ url: '' })])}>
+            + Add target
+          </button>
+          <button className="btn btn-small" disabled={running} onClick={() => importFileRef.current?.click()}>Import</button>
+          <button
+            className="btn btn-small"
+            onClick={() => downloadFile('http-ping-targets.json', serializeTargets(targets), 'application/json')}
+          >
+            Export
+          </button>
+          <input
+            type="file"
+            ref={importFileRef}
+            accept=".json"
+            hidden
+            onChange={event => {
+              const file = event.target.files && event.target.files[0];
+              event.target.value = '';
+              if (file) {
+                importTargets(file);
+              }
+            }}
+          />
+          <button className="btn btn-primary" disabled={running} onClick={start}>Start all</button>
+          <button className="btn btn-secondary" disabled={!running} onClick={() => monitor.stop()}>Stop all</button>
+        </div>
+        <div className="target-row target-row-header">
+          <span>Name</span>
+          <span>URL</span>
+          <span>Method</span>
+          <span>Interval (ms)</span>
+          <span>Timeout (ms)</span>
+          <span></span>
+        </div>
+        <div className="target-list">
+          {targets.map(target => (
+            <div key={target.id} className="target-row">
+              <input
+                type="text"
+                className="target-name-input"
+                placeholder="Name"
+                value={target.name}
+                disabled={running}
+                onChange={event => updateTarget(target, { name: event.target.value })}
+              />
+              <input
+                type="text"
+                className="target-url-input"
+                placeholder="https://api.example.com/health"
+                value={target.url}
+                disabled={running}
+                onChange={event => updateTarget(target, { url: event.target.value })}
+              />
+              <select
+                value={target.method}
+                disabled={running}
+                onChange={event => updateTarget(target, { method: event.target.value as HttpMethod })}
+              >
+                {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+              </select>
+              <input
+                type="number"
+                min="100"
+                title="Interval (ms)"
+                value={Number.isNaN(target.interval) ? '' : target.interval}
+                disabled={running}
+                onChange={event => updateTarget(target, { interval: parseInt(event.target.value) })}
+              />
+              <input
+                type="number"
+                min="100"
+                title="Timeout (ms)"
+                value={Number.isNaN(target.timeout) ? '' : target.timeout}
+                disabled={running}
+                onChange={event => updateTarget(target, { timeout: parseInt(event.target.value) })}
+              />
+              <button
+                type="button"
+                className="kv-remove"
+                title="Remove target"
+                disabled={running}
+                onClick={() => changeTargets(targets.filter(entry => entry !== target))}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+        <p className="request-hint">Headers, auth, body, assertions, redirects and the companion proxy are shared with the single-target controls.</p>
+        <div className="dashboard-message" hidden={message.lines.length === 0}>
+          {message.lines.map((line, index) => <div key={index} className={`terminal-line ${message.type}`}>{line}</div>)}
+        </div>
+      </div>
+
+      <div className="dashboard-grid">
+        {targets.length === 0 && <div className="dashboard-empty">Add a target to get started.</div>}
+        {[...monitor.states.values()].map(state => (
+          <TargetCard
+            key={state.target.id}
+            state={state}
+            revision={revisions[state.target.id] || 0}
+            onOpen={() => setLogTargetId(state.target.id)}
+          />
+        ))}
+      </div>
+
+      <UptimePanel checks={checks} targets={targets} settings={settings} detectCompanion={detectCompanion} />
+
+      {logState && (
+        <TargetLog state={logState} revision={revisions[logState.target.id] || 0} onClose={() => setLogTargetId(null)} />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,58 @@
+import type { Field } from '../engine/request.ts';
+
+interface FieldListProps {
+  fields: Field[];
+  namePlaceholder: string;
+  valuePlaceholder: string;
+  disabled: boolean;
+  onChange: (fields: Field[]) => void;
+}
+
+// Name/value rows with a "send this entry" checkbox, for headers and form
+// body fields.
+export function FieldList({ fields, namePlaceholder, valuePlaceholder, disabled, onChange }: FieldListProps) {
+  const update = (index: number, changes: Partial<Field>) => {
+    onChange(fields.map((field, position) => (position === index ? { ...field, ...changes } : field)));
+  };
+
+  return (
+    <div className="kv-editor">
+      {fields.map((field, index) => (
+        <div key={index} className="kv-row">
+          <input
+            type="checkbox"
+            title="Send this entry"
+            checked={field.enabled !== false}
+            disabled={disabled}
+            onChange={event => update(index, { enabled: event.target.checked })}
+          />
+          <input
+            type="text"
+            className="kv-name"
+            placeholder={namePlaceholder}
+            value={field.name}
+            disabled={disabled}
+            onChange={event => update(index, { name: event.target.value })}
+          />
+          <input
+            type="text"
+            className="kv-value"
+            placeholder={valuePlaceholder}
+            value={field.value}
+            disabled={disabled}
+            onChange={event => update(index, { value: event.target.value })}
+          />
+          <button
+            type="button"
+            className="kv-remove"
+            title="Remove"
+            disabled={disabled}
+            onClick={() => onChange(fields.filter((_, position) => position !== index))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useState } from 'react';
+import type { RunHistory, SavedRun, StoredRun } from '../engine/history.ts';
+
+interface HistorySidebarProps {
+  history: RunHistory;
+  open: boolean;
+  // Bumped by the app whenever a run is saved
+  revision: number;
+  onClose: () => void;
+  onOpen: (run: StoredRun) => void;
+  onCompare: (runs: StoredRun[]) => void;
+  onError: (message: string) => void;
+}
+
+// Lists saved runs, newest first, with rename, delete, open and a two-run
+// comparison.
+export function HistorySidebar({ history, open, revision, onClose, onOpen, onCompare, onError }: HistorySidebarProps) {
+  const [runs, setRuns] = useState<SavedRun[]>([]);
+  const [failure, setFailure] = useState<string | null>(null);
+  const [selected, setSelected] = useState<Set<number>>(new Set());
+  const [renaming, setRenaming] = useState<{ id: number; name: string } | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await history.list();
+      const ids = new Set(list.map(run => run.id));
+      setRuns(list);
+      setFailure(null);
+      setSelected(current => new Set([...current].filter(id => ids.has(id))));
+    } catch (error) {
+      setFailure(`History unavailable: ${(error as Error).message}`);
+    }
+  }, [history]);
+
+  useEffect(() => {
+    if (open) {
+      refresh();
+    }
+  }, [open, revision, refresh]);
+
+  const toggleSelected = (id: number, checked: boolean) => {
+    setSelected(current => {
+      const next = new Set(current);
+      if (checked) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+  };
+
+  const finishRename = async (save: boolean) => {
+    if (!renaming) {
+      return;
+    }
+    const run = runs.find(entry => entry.id === renaming.id);
+    const name = renaming.name.trim();
+    setRenaming(null);
+    if (save && run && name && name !== run.name) {
+      await history.rename(run.id, name);
+    }
+    refresh();
+  };
+
+  const openRun = async (id: number) => {
+    const run = await history.get(id);
+    if (run) {
+      onOpen(run);
+    }
+  };
+
+  const remove = async (run: SavedRun) => {
+    if (!confirm(`Delete run "${run.name}"?`)) {
+      return;
+    }
+    await history.delete(run.id);
+    refresh();
+  };
+
+  const compare = async () => {
+    let loaded;
+    try {
+      loaded = await Promise.all([...selected].map(id => history.get(id)));
+    } catch (error) {
+      onError(`Cannot load runs for comparison: ${(error as Error).message}`);
+      return;
+    }
+    onCompare(loaded.filter((run): run is StoredRun => run !== null));
+  };
+
+  return (
+    <aside className="history-sidebar" hidden={!open}>
+      <div className="history-header">
+        <h3>Run History</h3>
+        <button className="history-close" aria-label="Close history" onClick={onClose}>×</button>
+      </div>
+      <button className="btn btn-small" disabled={selected.size !== 2} onClick={compare}>
+        {selected.size === 2 ? 'Compare selected' : `Select 2 runs to compare (${selected.size})`}
+      </button>
+      <ul className="history-list">
+        {failure && <li className="history-empty">{failure}</li>}
+        {!failure && runs.length === 0 && <li className="history-empty">Finished runs will appear here.</li>}
+        {!failure && runs.map(run => {
+          const { summary } = run;
+          const rtt = summary.received > 0 ? ` · p95 ${Math.round(summary.p95)}ms` : '';
+
+          return (
+            <li key={run.id} className="history-item">
+              <input
+                type="checkbox"
+                title="Select for comparison"
+                checked={selected.has(run.id)}
+                onChange={event => toggleSelected(run.id, event.target.checked)}
+              />
+              <div className="history-info">
+                {renaming && renaming.id === run.id
+                  ? (
+                    <input
+                      className="history-rename"
+                      autoFocus
+                      value={renaming.name}
+                      onFocus={event => event.target.select()}
+                      onChange={event => setRenaming({ id: run.id, name: event.target.value })}
+                      onBlur={() => finishRename(true)}
+                      onKeyDown={event => {
+                        if (event.key === 'Enter') finishRename(true);
+                        if (event.key === 'Escape') finishRename(false);
+                      }}
+                    />
+                  )
+                  : <div className="history-name">{run.name}</div>}
+                <div className="history-meta">{new Date(run.startedAt).toLocaleString()}</div>
+                <div className="history-meta">{`${summary.sent} sent · ${summary.loss.toFixed(1)}% loss${rtt}`}</div>
+              </div>
+              <div className="history-actions">
+                <button className="history-action" onClick={() => openRun(run.id)}>Open</button>
+                <button className="history-action" onClick={() => setRenaming({ id: run.id, name: run.name })}>Rename</button>
+                <button className="history-action danger" onClick={() => remove(run)}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,58 @@
+import { LOAD_LIMITS } from '../engine/load.ts';
+import type { LoadSettings } from '../engine/load.ts';
+
+interface LoadEditorProps {
+  enabled: boolean;
+  settings: LoadSettings;
+  disabled: boolean;
+  onEnabledChange: (enabled: boolean) => void;
+  onChange: (settings: LoadSettings) => void;
+}
+
+const FIELDS: { key: keyof LoadSettings; id: string; label: string; min: number; max: number }[] = [
+  { key: 'concurrency', id: 'load-concurrency', label: 'Workers:', min: 1, max: LOAD_LIMITS.concurrency },
+  { key: 'rate', id: 'load-rate', label: 'Rate (req/s, 0 = unthrottled):', min: 0, max: LOAD_LIMITS.rate },
+  { key: 'rampUp', id: 'load-ramp-up', label: 'Ramp-up (s):', min: 0, max: LOAD_LIMITS.duration },
+  { key: 'duration', id: 'load-duration', label: 'Duration (s):', min: 1, max: LOAD_LIMITS.duration },
+];
+
+// Load-test settings in the controls panel. When enabled, Start runs a load
+// test instead of pinging.
+export function LoadEditor({ enabled, settings, disabled, onEnabledChange, onChange }: LoadEditorProps) {
+  return (
+    <div className="request-editor">
+      <details className="request-section">
+        <summary>Load test <span>{enabled ? '(on)' : ''}</span></summary>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="load-test"
+            checked={enabled}
+            disabled={disabled}
+            onChange={event => onEnabledChange(event.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Run a load test instead of pinging
+        </label>
+        {FIELDS.map(field => (
+          <div key={field.key} className="option-group">
+            <label htmlFor={field.id}>{field.label}</label>
+            <input
+              type="number"
+              id={field.id}
+              min={field.min}
+              max={field.max}
+              value={Number.isNaN(settings[field.key]) ? '' : settings[field.key]}
+              disabled={disabled || !enabled}
+              onChange={event => onChange({ ...settings, [field.key]: parseInt(event.target.value) })}
+            />
+          </div>
+        ))}
+        <p className="request-hint">
+          {`With a rate, requests are scheduled on the clock and latency counts from the scheduled start. `
+            + `Capped at ${LOAD_LIMITS.concurrency} workers, ${LOAD_LIMITS.rate} req/s and ${LOAD_LIMITS.duration}s.`}
+        </p>
+      </details>
+    </div>
+  );
+}
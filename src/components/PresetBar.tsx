@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import type { PingConfig } from '../engine/config.ts';
+import { configLink, loadPresets, savePresets } from '../ui/presets.ts';
+import type { Preset } from '../ui/presets.ts';
+
+interface PresetBarProps {
+  config: PingConfig;
+  running: boolean;
+  onLoad: (config: PingConfig) => void;
+  onError: (message: string) => void;
+}
+
+// Named presets of the whole config, and a link that opens this page with
+// the current one (credentials left out).
+export function PresetBar({ config, running, onLoad, onError }: PresetBarProps) {
+  const [presets, setPresets] = useState(() => loadPresets(message => onError(`Warning: ${message}`)));
+  const [selected, setSelected] = useState('');
+  const [name, setName] = useState('');
+  const [autoStart, setAutoStart] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const update = (next: Preset[]) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return;
+    }
+    // Saving under an existing name replaces that preset
+    update([...presets.filter(preset => preset.name !== trimmed), { name: trimmed, config }]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    setSelected(trimmed);
+    setName('');
+  };
+
+  const load = () => {
+    const preset = presets.find(entry => entry.name === selected);
+    if (preset) {
+      onLoad(preset.config);
+    }
+  };
+
+  const remove = () => {
+    update(presets.filter(preset => preset.name !== selected));
+    setSelected('');
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(configLink(config, autoStart));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      onError('Copy failed: the browser did not allow access to the clipboard');
+    }
+  };
+
+  return (
+    <div className="preset-bar">
+      <select
+        aria-label="Preset"
+        value={selected}
+        disabled={running}
+        onChange={event => setSelected(event.target.value)}
+      >
+        <option value="">{presets.length > 0 ? 'Choose a preset' : 'No presets yet'}</option>
+        {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+      </select>
+      <button className="btn btn-small" disabled={running || !selected} onClick={load}>Load</button>
+      <button className="btn btn-small" disabled={!selected} onClick={remove}>Delete</button>
+      <input
+        type="text"
+        aria-label="Preset name"
+        placeholder="Preset name"
+        value={name}
+        onChange={event => setName(event.target.value)}
+        onKeyDown={event => event.key === 'Enter' && save()}
+      />
+      <button className="btn btn-small" disabled={!name.trim()} onClick={save}>Save as</button>
+      <button className="btn btn-small" onClick={copyLink}>{copied ? 'Copied' : 'Copy link'}</button>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          id="link-autostart"
+          checked={autoStart && !config.loadTest}
+          disabled={config.loadTest}
+          title={config.loadTest ? 'A link never starts a load test' : undefined}
+          onChange={event => setAutoStart(event.target.checked)}
+        />
+        <span className="checkmark"></span>
+        Link starts pinging
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import type { PingConfig } from '../engine/config.ts';
+
+type RealtimeSettings = Pick<PingConfig, 'wsMessage' | 'eventStream' | 'sseEvents'>;
+
+interface RealtimeEditorProps {
+  settings: RealtimeSettings;
+  disabled: boolean;
+  onChange: (changes: Partial<RealtimeSettings>) => void;
+}
+
+// WebSocket and Server-Sent Events settings. A ws:// or wss:// target is
+// always pinged over WebSocket; SSE is chosen here for http(s) targets.
+export function RealtimeEditor({ settings, disabled, onChange }: RealtimeEditorProps) {
+  return (
+    <div className="request-editor">
+      <details className="request-section">
+        <summary>WebSocket / SSE <span>{settings.eventStream ? '(SSE)' : ''}</span></summary>
+        <div className="option-group">
+          <label htmlFor="ws-message">WebSocket message:</label>
+          <input
+            type="text"
+            id="ws-message"
+            value={settings.wsMessage}
+            disabled={disabled}
+            onChange={event => onChange({ wsMessage: event.target.value })}
+          />
+        </div>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id="event-stream"
+            checked={settings.eventStream}
+            disabled={disabled}
+            onChange={event => onChange({ eventStream: event.target.checked })}
+          />
+          <span className="checkmark"></span>
+          Ping as a Server-Sent Events stream (--sse)
+        </label>
+        <div className="option-group">
+          <label htmlFor="sse-events">Events per ping:</label>
+          <input
+            type="number"
+            id="sse-events"
+            min="1"
+            value={Number.isNaN(settings.sseEvents) ? '' : settings.sseEvents}
+            disabled={disabled || !settings.eventStream}
+            onChange={event => onChange({ sseEvents: parseInt(event.target.value) })}
+          />
+        </div>
+        <p className="request-hint">
+          {'A ws:// or wss:// target times the echo of the message ({{seq}} and the other variables work). '
+            + 'An SSE ping times the first event and the gaps between the next ones. Neither goes through the companion proxy.'}
+        </p>
+      </details>
+    </div>
+  );
+}
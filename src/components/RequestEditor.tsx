@@ -0,0 +1,167 @@
+import type { AuthSpec, AuthType, BodySpec, BodyType, RequestSpec } from '../engine/request.ts';
+import { FieldList } from './FieldList.tsx';
+
+interface RequestEditorProps {
+  spec: RequestSpec;
+  disabled: boolean;
+  onChange: (spec: RequestSpec) => void;
+}
+
+// Headers, auth and body editor in the controls panel.
+export function RequestEditor({ spec, disabled, onChange }: RequestEditorProps) {
+  const { auth, body } = spec;
+  const headerCount = spec.headers.filter(field => field.enabled !== false && field.name.trim()).length;
+
+  const setAuth = (changes: Partial<AuthSpec>) => onChange({ ...spec, auth: { ...auth, ...changes } });
+  const setBody = (changes: Partial<BodySpec>) => onChange({ ...spec, body: { ...body, ...changes } });
+
+  return (
+    <div className="request-editor">
+      <details className="request-section">
+        <summary>Headers <span>{headerCount > 0 ? `(${headerCount})` : ''}</span></summary>
+        <FieldList
+          fields={spec.headers}
+          namePlaceholder="Header"
+          valuePlaceholder="Value"
+          disabled={disabled}
+          onChange={headers => onChange({ ...spec, headers })}
+        />
+        <button
+          type="button"
+          className="btn-link"
+          disabled={disabled}
+          onClick={() => onChange({ ...spec, headers: [...spec.headers, { name: '', value: '' }] })}
+        >
+          + Add header
+        </button>
+      </details>
+
+      <details className="request-section">
+        <summary>Auth</summary>
+        <div className="option-group">
+          <select
+            aria-label="Auth type"
+            value={auth.type}
+            disabled={disabled}
+            onChange={event => setAuth({ type: event.target.value as AuthType })}
+          >
+            <option value="none">No auth</option>
+            <option value="bearer">Bearer token</option>
+            <option value="basic">Basic auth</option>
+            <option value="apikey">API key</option>
+          </select>
+        </div>
+        <div className="option-group" hidden={auth.type !== 'bearer'}>
+          <input
+            type="password"
+            placeholder="Token"
+            autoComplete="off"
+            value={auth.token}
+            disabled={disabled}
+            onChange={event => setAuth({ token: event.target.value })}
+          />
+        </div>
+        <div className="option-group auth-pair" hidden={auth.type !== 'basic'}>
+          <input
+            type="text"
+            placeholder="Username"
+            autoComplete="off"
+            value={auth.username}
+            disabled={disabled}
+            onChange={event => setAuth({ username: event.target.value })}
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete="off"
+            value={auth.password}
+            disabled={disabled}
+            onChange={event => setAuth({ password: event.target.value })}
+          />
+        </div>
+        <div className="option-group auth-pair" hidden={auth.type !== 'apikey'}>
+          <input
+            type="text"
+            placeholder="Key name"
+            value={auth.keyName}
+            disabled={disabled}
+            onChange={event => setAuth({ keyName: event.target.value })}
+          />
+          <input
+            type="password"
+            placeholder="Key value"
+            autoComplete="off"
+            value={auth.keyValue}
+            disabled={disabled}
+            onChange={event => setAuth({ keyValue: event.target.value })}
+          />
+          <select
+            aria-label="Send API key in"
+            value={auth.keyIn}
+            disabled={disabled}
+            onChange={event => setAuth({ keyIn: event.target.value as AuthSpec['keyIn'] })}
+          >
+            <option value="header">in header</option>
+            <option value="query">in query string</option>
+          </select>
+        </div>
+      </details>
+
+      <details className="request-section">
+        <summary>Body</summary>
+        <div className="option-group">
+          <select
+            aria-label="Body type"
+            value={body.type}
+            disabled={disabled}
+            onChange={event => setBody({ type: event.target.value as BodyType })}
+          >
+            <option value="none">No body</option>
+            <option value="raw">Raw text</option>
+            <option value="json">JSON</option>
+            <option value="form">Form (urlencoded)</option>
+            <option value="multipart">Multipart form</option>
+          </select>
+        </div>
+        <div className="option-group">
+          <input
+            type="text"
+            placeholder="Content-Type"
+            hidden={body.type !== 'raw'}
+            value={body.contentType}
+            disabled={disabled}
+            onChange={event => setBody({ contentType: event.target.value })}
+          />
+          <textarea
+            rows={4}
+            spellCheck={false}
+            hidden={body.type !== 'raw' && body.type !== 'json'}
+            value={body.text}
+            disabled={disabled}
+            onChange={event => setBody({ text: event.target.value })}
+          />
+        </div>
+        <div className="option-group" hidden={body.type !== 'form' && body.type !== 'multipart'}>
+          <FieldList
+            fields={body.fields}
+            namePlaceholder="Field"
+            valuePlaceholder="Value"
+            disabled={disabled}
+            onChange={fields => setBody({ fields })}
+          />
+          <button
+            type="button"
+            className="btn-link"
+            disabled={disabled}
+            onClick={() => setBody({ fields: [...body.fields, { name: '', value: '' }] })}
+          >
+            + Add field
+          </button>
+        </div>
+        <p className="request-hint">Sent with POST, PUT, PATCH and DELETE.</p>
+      </details>
+
+      <p className="request-hint">Template variables: {'{{seq}} {{timestamp}} {{isotime}} {{uuid}} {{random}}'}</p>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useEffect, useRef } from 'react';
+import { describeRule, formatPeak } from '../engine/alerts.ts';
+import type { AlertEpisode } from '../engine/alerts.ts';
+import type { PingEngine, RunSnapshot } from '../engine/engine.ts';
+import { packetLoss } from '../engine/format.ts';
+import { chartKind } from '../engine/session.ts';
+import { episodeDuration } from '../ui/alert-cues.ts';
+import { LatencyChart, LatencyHistogram } from '../ui/charts.ts';
+
+export type RunStatus = 'ready' | 'running' | 'stopped' | 'error';
+
+const STATUS_TEXT: Record<RunStatus, string> = {
+  ready: 'Ready',
+  running: 'Pinging...',
+  stopped: 'Stopped',
+  error: 'Error',
+};
+
+function formatTime(timestamp: number): string {
+  return new Date(timestamp).toLocaleTimeString();
+}
+
+function ms(value: number | null | undefined, digits = 0): string {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return digits > 0 ? `${value.toFixed(digits)}ms` : `${Math.round(value)}ms`;
+}
+
+interface StatItemProps {
+  label: string;
+  value: string | number;
+  className?: string;
+}
+
+function StatItem({ label, value, className = '' }: StatItemProps) {
+  return (
+    <div className="stat-item">
+      <span className="stat-label">{label}</span>
+      <span className={`stat-value ${className}`.trim()}>{value}</span>
+    </div>
+  );
+}
+
+function AlertLogItem({ episode }: { episode: AlertEpisode }) {
+  const ended = episode.endedAt !== null;
+  const span = ended
+    ? `${formatTime(episode.startedAt)} – ${formatTime(episode.endedAt as number)} (${episodeDuration(episode)})`
+    : `${formatTime(episode.startedAt)} – ongoing`;
+
+  return (
+    <li className={`alert-log-item${ended ? '' : ' ongoing'}`}>
+      <div className="alert-log-rule">{describeRule(episode.rule)}</div>
+      <div className="alert-log-meta">
+        {`${span} · seq ${episode.startSequence}–${episode.endSequence ?? '…'} · peak ${formatPeak(episode)}`}
+      </div>
+    </li>
+  );
+}
+
+// Draws the RTT chart and histogram from the engine's ping events.
+function LatencyCharts({ engine }: { engine: PingEngine }) {
+  const chartRef = useRef<HTMLCanvasElement>(null);
+  const tooltipRef = useRef<HTMLDivElement>(null);
+  const histogramRef = useRef<HTMLCanvasElement>(null);
+
+  useEffect(() => {
+    const chart = new LatencyChart(chartRef.current as HTMLCanvasElement, tooltipRef.current as HTMLDivElement);
+    const histogram = new LatencyHistogram(histogramRef.current as HTMLCanvasElement);
+    const clear = () => {
+      chart.reset();
+      histogram.scheduleDraw([]);
+    };
+    clear();
+
+    const unsubscribe = [
+      engine.on('start', clear),
+      engine.on('reset', clear),
+      engine.on('ping', ({ record }) => {
+        const label = record.status > 0 ? `HTTP/${record.status} ${record.statusText}` : (record.message || record.outcome);
+        chart.addSample({ sequence: record.sequence, time: record.time, kind: chartKind(record.outcome), label });
+        histogram.scheduleDraw(chart.samples);
+      }),
+    ];
+
+    return () => {
+      unsubscribe.forEach(off => off());
+      chart.dispose();
+      histogram.dispose();
+    };
+  }, [engine]);
+
+  return (
+    <>
+      <div className="chart-section">
+        <div className="chart-title">RTT over time (ms)</div>
+        <div className="chart-container">
+          <canvas ref={chartRef} className="chart-canvas"></canvas>
+          <div ref={tooltipRef} className="chart-tooltip"></div>
+        </div>
+        <div className="chart-legend">
+          <span className="legend-item success">● ok</span>
+          <span className="legend-item error">● http error</span>
+          <span className="legend-item warning">✕ timeout</span>
+          <span className="legend-item error">✕ failed</span>
+        </div>
+      </div>
+
+      <div className="chart-section">
+        <div className="chart-title">Latency histogram</div>
+        <canvas ref={histogramRef} className="chart-canvas histogram"></canvas>
+      </div>
+    </>
+  );
+}
+
+interface StatsPanelProps {
+  engine: PingEngine;
+  snapshot: RunSnapshot;
+  status: RunStatus;
+  companionAvailable: boolean;
+  // Newest first
+  episodes: AlertEpisode[];
+  windowSize: number;
+}
+
+export function StatsPanel({ engine, snapshot, status, companionAvailable, episodes, windowSize }: StatsPanelProps) {
+  const rtt = snapshot.rtt;
+  const recent = snapshot.window && snapshot.window.count > 0 ? snapshot.window : null;
+
+  return (
+    <div className="stats-panel">
+      <div className="stats-header">
+        <h3>Statistics</h3>
+        <div className="stats-indicator">
+          <span className={`indicator ${status}`}></span>
+          <span id="status-text">{STATUS_TEXT[status]}</span>
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        <StatItem label="Packets Sent:" value={snapshot.sent} />
+        <StatItem label="Packets Received:" value={snapshot.received} />
+        <StatItem label="Packet Loss:" value={`${packetLoss(snapshot)}%`} />
+        <StatItem label="Min RTT:" value={ms(rtt?.min)} />
+        <StatItem label="Max RTT:" value={ms(rtt?.max)} />
+        <StatItem label="Avg RTT:" value={ms(rtt?.avg)} />
+        <StatItem label="P50 RTT:" value={ms(rtt?.p50)} />
+        <StatItem label="P90 RTT:" value={ms(rtt?.p90)} />
+        <StatItem label="P95 RTT:" value={ms(rtt?.p95)} />
+        <StatItem label="P99 RTT:" value={ms(rtt?.p99)} />
+        <StatItem label="Std Dev:" value={ms(rtt?.stddev, 1)} />
+        <StatItem label="Mdev:" value={ms(rtt?.mdev, 1)} />
+        <StatItem label="Jitter:" value={ms(rtt?.jitter, 1)} />
+        <StatItem
+          label={`Loss (last ${recent ? recent.count : windowSize}):`}
+          value={recent ? `${recent.loss.toFixed(1)}%` : '-'}
+        />
+        <StatItem label="P95 (window):" value={ms(recent?.p95)} />
+        <StatItem
+          label="Proxy:"
+          value={companionAvailable ? 'Connected' : 'Not running'}
+          className={companionAvailable ? '' : 'offline'}
+        />
+      </div>
+
+      <div className="alert-log-section">
+        <div className="chart-title">Alert episodes</div>
+        <ul className="alert-log">
+          {episodes.length === 0
+            ? <li className="alert-log-empty">No alerts.</li>
+            : episodes.map(episode => <AlertLogItem key={`${episode.startedAt}-${episode.startSequence}-${describeRule(episode.rule)}`} episode={episode} />)}
+        </ul>
+      </div>
+
+      <LatencyCharts engine={engine} />
+    </div>
+  );
+}
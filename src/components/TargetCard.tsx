@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react';
+import { targetStatus } from '../engine/multi.ts';
+import type { TargetState } from '../engine/multi.ts';
+import { targetLabel } from '../engine/targets.ts';
+import { Sparkline } from '../ui/charts.ts';
+
+interface TargetCardProps {
+  state: TargetState;
+  // Bumped on every ping of this target so the card redraws
+  revision: number;
+  onOpen: () => void;
+}
+
+export function TargetCard({ state, revision, onOpen }: TargetCardProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const { target } = state;
+  const status = targetStatus(state);
+  const loss = state.sent > 0 ? ((state.sent - state.received) / state.sent) * 100 : 0;
+  const summary = state.stats.count > 0 ? state.stats.summary() : null;
+
+  let last = '-';
+  if (state.last && status !== 'down') {
+    last = `${Math.round(state.last.time ?? 0)}ms`;
+  } else if (state.last) {
+    last = state.last.outcome;
+  }
+
+  useEffect(() => {
+    new Sparkline(canvasRef.current as HTMLCanvasElement).draw(state.recent);
+  }, [state, revision]);
+
+  return (
+    <div
+      className="target-card"
+      tabIndex={0}
+      role="button"
+      onClick={onOpen}
+      onKeyDown={event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          onOpen();
+        }
+      }}
+    >
+      <div className="target-card-header">
+        <span className={`target-status ${status}`} title={status}></span>
+        <span className="target-card-name">{targetLabel(target)}</span>
+        <span className="target-card-last">{last}</span>
+      </div>
+      <div className="target-card-url">{`${target.method} ${target.url} · every ${target.interval}ms`}</div>
+      <canvas ref={canvasRef} className="target-sparkline"></canvas>
+      <div className="target-card-figures">
+        <span>{`sent ${state.sent}`}</span>
+        <span className={loss > 0 ? 'lossy' : ''}>{`loss ${loss.toFixed(1)}%`}</span>
+        <span>{`avg ${summary ? Math.round(summary.avg) : '-'}ms`}</span>
+        <span>{`p95 ${summary ? Math.round(summary.p95) : '-'}ms`}</span>
+      </div>
+    </div>
+  );
+}
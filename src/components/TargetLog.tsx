@@ -0,0 +1,39 @@
+import { useLayoutEffect, useRef } from 'react';
+import type { TargetState } from '../engine/multi.ts';
+import { normalizeTargetUrl, targetLabel } from '../engine/targets.ts';
+
+interface TargetLogProps {
+  state: TargetState;
+  revision: number;
+  onClose: () => void;
+}
+
+// One target's own terminal log, opened from its dashboard card.
+export function TargetLog({ state, revision, onClose }: TargetLogProps) {
+  const outputRef = useRef<HTMLDivElement>(null);
+  const { target, lines } = state;
+
+  useLayoutEffect(() => {
+    const output = outputRef.current;
+    if (output) {
+      output.scrollTop = output.scrollHeight;
+    }
+  }, [state, revision]);
+
+  return (
+    <div className="compare-view">
+      <div className="compare-dialog target-log-dialog">
+        <div className="history-header">
+          <h3>{`${targetLabel(target)} — ${target.method} ${normalizeTargetUrl(target.url)}`}</h3>
+          <button className="history-close" aria-label="Close log" onClick={onClose}>×</button>
+        </div>
+        <div ref={outputRef} className="terminal-output target-log">
+          {lines.length === 0 && <div className="terminal-line info">No pings yet.</div>}
+          {lines.map((line, index) => (
+            <div key={state.sent - lines.length + index} className={`terminal-line ${line.type}`}>{line.text}</div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
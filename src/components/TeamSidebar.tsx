@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react';
+import type { PingConfig } from '../engine/config.ts';
+import { validateSyncSettings } from '../engine/sync.ts';
+import type { SyncSettings, SyncStatus, TeamSync } from '../engine/sync.ts';
+
+interface TeamSidebarProps {
+  sync: TeamSync;
+  settings: SyncSettings;
+  open: boolean;
+  onClose: () => void;
+  // Saves the settings and connects or disconnects as they say
+  onSettingsChange: (settings: SyncSettings) => void;
+  onLoadConfig: (config: Partial<PingConfig>, name: string) => void;
+}
+
+function statusText(status: SyncStatus): string {
+  const pending = status.pending > 0 ? ` · ${status.pending} changes waiting` : '';
+  switch (status.state) {
+    case 'off':
+      return `Not connected${pending}`;
+    case 'syncing':
+      return `Syncing…${pending}`;
+    case 'offline':
+      return `Offline: ${status.message}${pending}`;
+    default:
+      return 'Synced';
+  }
+}
+
+// Team sync settings, the team's monitors and its recent runs.
+export function TeamSidebar({ sync, settings, open, onClose, onSettingsChange, onLoadConfig }: TeamSidebarProps) {
+  const [form, setForm] = useState(settings);
+  const [problems, setProblems] = useState<string[]>([]);
+  const [status, setStatus] = useState(sync.status);
+  // Bumped whenever the team's monitors or runs change
+  const [, setRevision] = useState(0);
+
+  useEffect(() => setForm(settings), [settings]);
+
+  useEffect(() => {
+    const unsubscribe = [
+      sync.on('status', setStatus),
+      sync.on('team', () => setRevision(revision => revision + 1)),
+    ];
+    return () => unsubscribe.forEach(off => off());
+  }, [sync]);
+
+  const set = <K extends keyof SyncSettings>(key: K, value: SyncSettings[K]) => setForm({ ...form, [key]: value });
+
+  const connect = () => {
+    const next = { ...form, url: form.url.trim(), anonKey: form.anonKey.trim(), member: form.member.trim(), enabled: true };
+    const found = validateSyncSettings(next);
+    setProblems(found);
+    if (found.length === 0) {
+      onSettingsChange(next);
+    }
+  };
+
+  const monitors = [...sync.monitors.values()];
+
+  return (
+    <aside className="history-sidebar team-sidebar" hidden={!open}>
+      <div className="history-header">
+        <h3>Team</h3>
+        <button className="history-close" aria-label="Close team" onClick={onClose}>×</button>
+      </div>
+
+      <div className="team-form">
+        <div className="input-group">
+          <label htmlFor="sync-url">Supabase project URL:</label>
+          <input
+            type="text"
+            id="sync-url"
+            placeholder="https://<project>.supabase.co"
+            value={form.url}
+            disabled={settings.enabled}
+            onChange={event => set('url', event.target.value)}
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="sync-key">Anon key:</label>
+          <input
+            type="password"
+            id="sync-key"
+            autoComplete="off"
+            value={form.anonKey}
+            disabled={settings.enabled}
+            onChange={event => set('anonKey', event.target.value)}
+          />
+        </div>
+        <div className="options-grid">
+          <div className="input-group">
+            <label htmlFor="sync-team">Team:</label>
+            <input
+              type="text"
+              id="sync-team"
+              value={form.team}
+              disabled={settings.enabled}
+              onChange={event => set('team', event.target.value)}
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="sync-member">Your name:</label>
+            <input
+              type="text"
+              id="sync-member"
+              value={form.member}
+              disabled={settings.enabled}
+              onChange={event => set('member', event.target.value)}
+            />
+          </div>
+        </div>
+        {settings.enabled
+          ? <button className="btn btn-secondary" onClick={() => onSettingsChange({ ...settings, enabled: false })}>Disconnect</button>
+          : <button className="btn btn-primary" onClick={connect}>Connect</button>}
+        <div className={`team-status ${status.state}`}>{statusText(status)}</div>
+        {problems.map((problem, index) => <div key={index} className="terminal-line error">{problem}</div>)}
+      </div>
+
+      <h4 className="team-heading">Monitors</h4>
+      <ul className="history-list team-list">
+        {monitors.length === 0 && (
+          <li className="history-empty">Dashboard targets you and your team ping will appear here.</li>
+        )}
+        {monitors.map(monitor => (
+          <li key={`${monitor.member}\n${monitor.key}`} className="team-item">
+            <span className={`target-status ${monitor.state}`} title={monitor.state}></span>
+            <div className="history-info">
+              <div className="history-name" title={monitor.key}>{monitor.name}</div>
+              <div className="history-meta">
+                {`${monitor.member} · ${monitor.state}`}
+                {monitor.latency === null ? '' : ` · ${monitor.latency}ms`}
+                {` · ${new Date(monitor.checked_at).toLocaleTimeString()}`}
+              </div>
+              {monitor.message && monitor.state === 'down' && <div className="history-meta">{monitor.message}</div>}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <h4 className="team-heading">Recent runs</h4>
+      <ul className="history-list team-list">
+        {sync.runs.length === 0 && <li className="history-empty">Finished runs of the team will appear here.</li>}
+        {sync.runs.map(run => {
+          const { summary } = run;
+          const rtt = summary.received > 0 ? ` · p95 ${Math.round(summary.p95)}ms` : '';
+
+          return (
+            <li key={run.id} className="team-item">
+              <div className="history-info">
+                <div className="history-name">{run.name}</div>
+                <div className="history-meta">{`${run.member} · ${new Date(run.started_at).toLocaleString()}`}</div>
+                <div className="history-meta">{`${summary.sent} sent · ${summary.loss.toFixed(1)}% loss${rtt}`}</div>
+                <div className="history-actions">
+                  <button className="history-action" onClick={() => onLoadConfig(run.config, run.name)}>Load config</button>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
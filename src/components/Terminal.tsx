@@ -0,0 +1,255 @@
+import { useLayoutEffect, useRef, useState, useSyncExternalStore } from 'react';
+import type { KeyboardEvent, MouseEvent } from 'react';
+import { line } from '../engine/format.ts';
+import type { LineType } from '../engine/format.ts';
+import { complete } from '../ui/prompt.ts';
+import type { CommandHistory } from '../ui/prompt.ts';
+import { saveScrollback, SCROLLBACK_OPTIONS } from '../ui/terminal-buffer.ts';
+import type { LineFilter, TerminalBuffer } from '../ui/terminal-buffer.ts';
+
+interface TerminalProps {
+  buffer: TerminalBuffer;
+  commands: CommandHistory;
+  // Completion candidates besides those from earlier commands
+  hosts: string[];
+  running: boolean;
+  onCommand: (command: string) => void;
+  onInterrupt: () => void;
+}
+
+// Every line is one row of this height (see .terminal-line), which is what
+// lets the output render only the rows in view
+const ROW_HEIGHT = 20;
+// Rows rendered above and below the visible ones
+const OVERSCAN = 20;
+const FILTER_TYPES: LineType[] = ['success', 'warning', 'error', 'dns', 'info'];
+
+export function Terminal({ buffer, commands, hosts, running, onCommand, onInterrupt }: TerminalProps) {
+  const revision = useSyncExternalStore(buffer.subscribe, buffer.getSnapshot);
+  const [input, setInput] = useState('');
+  const [filter, setFilter] = useState<LineFilter>({ types: [], text: '' });
+  const [scrollback, setScrollback] = useState(buffer.limit);
+  const [view, setView] = useState({ top: 0, height: 0 });
+  // Stays at the newest line until the user scrolls up
+  const [following, setFollowing] = useState(true);
+  // Line ids of the first and last clicked line
+  const [selection, setSelection] = useState<{ anchor: number; focus: number } | null>(null);
+  const [copied, setCopied] = useState(false);
+  const outputRef = useRef<HTMLDivElement>(null);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  // The buffer keeps the lines passing the filter up to date as lines come in
+  buffer.setFilter(filter);
+  const count = buffer.shownCount;
+  // Before the first layout (and outside a browser) assume a tall view
+  const height = view.height || 600;
+  const first = Math.max(0, Math.floor(view.top / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(count, Math.ceil((view.top + height) / ROW_HEIGHT) + OVERSCAN);
+  const rows = [];
+  for (let row = first; row < last; row++) {
+    rows.push({ row, line: buffer.shown(row) });
+  }
+
+  const range = selection && [Math.min(selection.anchor, selection.focus), Math.max(selection.anchor, selection.focus)];
+
+  const measure = () => {
+    const output = outputRef.current;
+    if (output) {
+      setView({ top: output.scrollTop, height: output.clientHeight });
+    }
+  };
+
+  // Keep up with new lines while following, before the browser paints
+  useLayoutEffect(() => {
+    const output = outputRef.current;
+    if (output && following) {
+      output.scrollTop = output.scrollHeight;
+    }
+    measure();
+  }, [revision, filter, following]);
+
+  const onScroll = () => {
+    const output = outputRef.current;
+    if (output) {
+      setFollowing(output.scrollTop + output.clientHeight >= output.scrollHeight - ROW_HEIGHT);
+      measure();
+    }
+  };
+
+  const jumpToLatest = () => {
+    setFollowing(true);
+    inputRef.current?.focus();
+  };
+
+  const toggleType = (type: LineType) => {
+    setFilter(current => ({
+      ...current,
+      types: current.types.includes(type) ? current.types.filter(entry => entry !== type) : [...current.types, type],
+    }));
+  };
+
+  const changeScrollback = (limit: number) => {
+    buffer.setLimit(limit);
+    saveScrollback(limit);
+    setScrollback(limit);
+  };
+
+  const copySelection = async () => {
+    if (!range) {
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(buffer.text(range[0], range[1], filter));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      buffer.push(line('Copy failed: the browser did not allow access to the clipboard', 'error'));
+    }
+  };
+
+  const onKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+    const field = event.currentTarget;
+
+    if (event.ctrlKey && event.key === 'c' && field.selectionStart === field.selectionEnd) {
+      event.preventDefault();
+      if (running) {
+        onInterrupt();
+      } else {
+        buffer.push(line(`$ ${input}^C`));
+        setInput('');
+      }
+      return;
+    }
+
+    switch (event.key) {
+      case 'Enter': {
+        event.preventDefault();
+        commands.add(input.trim());
+        setInput('');
+        setFollowing(true);
+        onCommand(input);
+        break;
+      }
+      case 'ArrowUp': {
+        event.preventDefault();
+        const previous = commands.up(input);
+        if (previous !== null) setInput(previous);
+        break;
+      }
+      case 'ArrowDown': {
+        event.preventDefault();
+        const next = commands.down();
+        if (next !== null) setInput(next);
+        break;
+      }
+      case 'Tab': {
+        event.preventDefault();
+        const { value, options } = complete(input, [...commands.hosts(), ...hosts]);
+        if (options.length > 0 && value === input) {
+          buffer.push(line(`$ ${input}`), line(options.join('  ')));
+        }
+        setInput(value);
+        break;
+      }
+      case 'Escape':
+        setSelection(null);
+        break;
+    }
+  };
+
+  // Clicking a line selects it and Shift+click extends the selection;
+  // dragging still selects text as usual
+  const selectLine = (event: MouseEvent, id: number) => {
+    if (window.getSelection()?.toString()) {
+      return;
+    }
+    setSelection(current => (event.shiftKey && current ? { ...current, focus: id } : { anchor: id, focus: id }));
+  };
+
+  // Clicking the output focuses the prompt, unless text is being selected
+  const focusPrompt = () => {
+    if (!window.getSelection()?.toString()) {
+      inputRef.current?.focus();
+    }
+  };
+
+  const selected = range ? buffer.count(range[0], range[1]) : 0;
+
+  return (
+    <div className="terminal-section">
+      <div className="terminal-header">
+        <div className="terminal-controls">
+          <span className="terminal-dot red"></span>
+          <span className="terminal-dot yellow"></span>
+          <span className="terminal-dot green"></span>
+        </div>
+        <div className="terminal-title">HTTP Ping Terminal</div>
+        <div className="terminal-toolbar">
+          {FILTER_TYPES.map(type => (
+            <button
+              key={type}
+              className={`terminal-filter ${type}${filter.types.includes(type) ? ' active' : ''}`}
+              aria-pressed={filter.types.includes(type)}
+              onClick={() => toggleType(type)}
+            >
+              {type}
+            </button>
+          ))}
+          <input
+            type="search"
+            className="terminal-search"
+            placeholder="Filter"
+            aria-label="Filter lines"
+            value={filter.text}
+            onChange={event => setFilter(current => ({ ...current, text: event.target.value }))}
+          />
+          <select
+            aria-label="Scrollback"
+            title="Scrollback"
+            value={scrollback}
+            onChange={event => changeScrollback(Number(event.target.value))}
+          >
+            {SCROLLBACK_OPTIONS.map(limit => (
+              <option key={limit} value={limit}>{`${limit.toLocaleString()} lines`}</option>
+            ))}
+          </select>
+          {range && (
+            <button className="terminal-filter" onClick={copySelection}>
+              {copied ? 'Copied' : `Copy ${selected} line${selected === 1 ? '' : 's'}`}
+            </button>
+          )}
+          {!following && <button className="terminal-filter" onClick={jumpToLatest}>Latest ↓</button>}
+        </div>
+      </div>
+
+      <div ref={outputRef} className="terminal-output" onScroll={onScroll} onClick={focusPrompt}>
+        <div className="terminal-lines" style={{ height: count * ROW_HEIGHT }}>
+          {rows.map(({ row, line }) => (
+            <div
+              key={line.id}
+              className={`terminal-line ${line.type}${range && line.id >= range[0] && line.id <= range[1] ? ' selected' : ''}`}
+              style={{ top: row * ROW_HEIGHT }}
+              onClick={event => selectLine(event, line.id)}
+            >
+              {line.text}
+            </div>
+          ))}
+        </div>
+        <div className="terminal-prompt">
+          <span className="terminal-prompt-sign">$</span>
+          <input
+            ref={inputRef}
+            id="terminal-input"
+            type="text"
+            value={input}
+            onChange={event => setInput(event.target.value)}
+            onKeyDown={onKeyDown}
+            spellCheck={false}
+            autoComplete="off"
+            aria-label="Terminal command"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
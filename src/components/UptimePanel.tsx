@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { validateAssertions } from '../engine/assertions.ts';
+import type { ScheduledChecks } from '../engine/checks.ts';
+import type { MonitorSettings } from '../engine/multi.ts';
+import { validateRequestSpec } from '../engine/request.ts';
+import { validateTargets } from '../engine/targets.ts';
+import type { Target } from '../engine/targets.ts';
+import {
+  formatAvailability, formatDuration, REPORT_RANGES, toHTML, toMarkdown, uptimeReport, validateSlo,
+} from '../engine/uptime.ts';
+import { downloadFile } from '../ui/download.ts';
+import { loadUptimeSettings, saveUptimeLog, saveUptimeSettings } from '../ui/uptime-store.ts';
+import type { UptimeSettings } from '../ui/uptime-store.ts';
+
+interface UptimePanelProps {
+  checks: ScheduledChecks;
+  targets: Target[];
+  settings: MonitorSettings;
+  detectCompanion: () => Promise<boolean>;
+}
+
+function hourClass(availability: number | null): string {
+  if (availability === null) return '';
+  return availability === 100 ? 'up' : availability > 0 ? 'degraded' : 'down';
+}
+
+function latency(value: number | undefined): string {
+  return value === undefined ? '–' : `${value}ms`;
+}
+
+// Scheduled checks of the dashboard targets and their uptime report
+export function UptimePanel({ checks, targets, settings, detectCompanion }: UptimePanelProps) {
+  const [options, setOptions] = useState(loadUptimeSettings);
+  const [running, setRunning] = useState(checks.running);
+  const [problems, setProblems] = useState<string[]>([]);
+  // Bumped on every check so the report is worked out again
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    const unsubscribe = [
+      checks.on('running', setRunning),
+      checks.on('check', () => {
+        saveUptimeLog(checks.log);
+        setRevision(revision => revision + 1);
+      }),
+    ];
+    return () => unsubscribe.forEach(off => off());
+  }, [checks]);
+
+  const change = (changes: Partial<UptimeSettings>) => {
+    const next = { ...options, ...changes };
+    setOptions(next);
+    saveUptimeSettings(next);
+  };
+
+  const report = uptimeReport(checks.log, { days: options.days, slo: options.slo });
+
+  const start = async () => {
+    const found = [
+      ...validateTargets(targets),
+      ...validateRequestSpec(settings.request),
+      ...validateAssertions(settings.assertions),
+      ...validateSlo(options.slo),
+      ...(options.interval >= 1 ? [] : ['Check interval must be at least 1 second']),
+    ];
+    setProblems(found);
+    if (found.length > 0) {
+      return;
+    }
+    setRunning(true);
+    await detectCompanion();
+    checks.start(targets, settings, options.interval * 1000);
+  };
+
+  const clear = () => {
+    if (window.confirm('Delete every saved check result?')) {
+      checks.log.clear();
+      saveUptimeLog(checks.log);
+      setRevision(revision => revision + 1);
+    }
+  };
+
+  const basename = `http-ping-uptime-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <div className="uptime-panel">
+      <div className="dashboard-toolbar">
+        <h3>Uptime</h3>
+        <label htmlFor="check-interval">Check every (s):</label>
+        <input
+          type="number"
+          id="check-interval"
+          min="1"
+          value={Number.isNaN(options.interval) ? '' : options.interval}
+          disabled={running}
+          onChange={event => change({ interval: parseInt(event.target.value) })}
+        />
+        <button className="btn btn-primary" disabled={running} onClick={start}>Start checks</button>
+        <button className="btn btn-secondary" disabled={!running} onClick={() => checks.stop()}>Stop checks</button>
+      </div>
+
+      <div className="dashboard-toolbar">
+        <label htmlFor="slo-availability">SLO availability (%):</label>
+        <input
+          type="number"
+          id="slo-availability"
+          min="0"
+          max="100"
+          step="0.01"
+          value={Number.isNaN(options.slo.availability) ? '' : options.slo.availability}
+          onChange={event => change({ slo: { ...options.slo, availability: parseFloat(event.target.value) } })}
+        />
+        <label htmlFor="slo-latency">p95 at most (ms, 0 for none):</label>
+        <input
+          type="number"
+          id="slo-latency"
+          min="0"
+          value={Number.isNaN(options.slo.latency) ? '' : options.slo.latency}
+          onChange={event => change({ slo: { ...options.slo, latency: parseInt(event.target.value) } })}
+        />
+        <select aria-label="Report range" value={options.days} onChange={event => change({ days: Number(event.target.value) })}>
+          {REPORT_RANGES.map(days => <option key={days} value={days}>{days === 1 ? 'Today' : `Last ${days} days`}</option>)}
+        </select>
+        <button
+          className="btn btn-small"
+          onClick={() => downloadFile(`${basename}.md`, toMarkdown(report), 'text/markdown')}
+        >
+          Markdown
+        </button>
+        <button className="btn btn-small" onClick={() => downloadFile(`${basename}.html`, toHTML(report), 'text/html')}>HTML</button>
+        <button className="btn btn-small" disabled={running} onClick={clear}>Clear data</button>
+      </div>
+
+      <table className="compare-table uptime-table">
+        <thead>
+          <tr>
+            <th>Target</th>
+            <th>Availability</th>
+            <th>Checks</th>
+            <th>Outages</th>
+            <th>Downtime</th>
+            <th>MTTR</th>
+            <th>p50</th>
+            <th>p95</th>
+            <th>p99</th>
+            <th>SLO</th>
+            <th>Last 24 hours</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.targets.length === 0 && (
+            <tr><td colSpan={11} className="dashboard-empty">No checks yet. Start checks to build the report.</td></tr>
+          )}
+          {report.targets.map(target => (
+            <tr key={`${target.method} ${target.url}`}>
+              <th title={`${target.method} ${target.url}`}>{target.name || target.url}</th>
+              <td>{formatAvailability(target.availability)}</td>
+              <td>{target.checks}</td>
+              <td>{target.outages.length}</td>
+              <td>{formatDuration(target.downtime)}</td>
+              <td>{target.mttr === null ? '–' : formatDuration(target.mttr)}</td>
+              <td>{latency(target.p50)}</td>
+              <td>{latency(target.p95)}</td>
+              <td>{latency(target.p99)}</td>
+              <td className={target.met === false ? 'worse' : target.met ? 'better' : ''}>
+                {target.met === null ? '–' : target.met ? 'met' : 'missed'}
+              </td>
+              <td>
+                <span className="uptime-hours">
+                  {target.hours.map((availability, index) => (
+                    <span
+                      key={index}
+                      className={`uptime-hour ${hourClass(availability)}`}
+                      title={`${23 - index}h ago: ${formatAvailability(availability)}`}
+                    ></span>
+                  ))}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="request-hint">
+        {`Checks every target once per interval, whatever its ping interval, while this page is open. `
+          + 'Results are kept in the browser: hourly for a week, daily for 400 days. Days are UTC days.'}
+      </p>
+      <div className="dashboard-message" hidden={problems.length === 0}>
+        {problems.map((problem, index) => <div key={index} className="terminal-line error">{problem}</div>)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+// Continuous monitoring: a rolling window over the latest pings and alert
+// rules evaluated against it.
+//
+// A rule is plain data:
+//   { type: 'loss', threshold: percent, window: pings }
+//   { type: 'p95', threshold: ms, window: pings }
+//   { type: 'consecutive', count: failures }
+// AlertMonitor.add() feeds one ping and returns the alert episodes that
+// started or ended with it, so the caller can notify and log them.
+
+export const ALERT_RULE_TYPES = ['loss', 'p95', 'consecutive'] as const;
+
+export type AlertRuleType = typeof ALERT_RULE_TYPES[number];
+
+export const DEFAULT_WINDOW = 100;
+
+export type AlertRule =
+  | { type: 'loss' | 'p95'; threshold: number; window: number }
+  | { type: 'consecutive'; count: number };
+
+export interface AlertEpisode {
+  rule: AlertRule;
+  description: string;
+  startedAt: number;
+  endedAt: number | null;
+  startSequence: number;
+  endSequence: number | null;
+  // Worst value seen, in the rule's unit
+  peak: number;
+}
+
+export interface AlertChange {
+  type: 'start' | 'end';
+  episode: AlertEpisode;
+}
+
+export interface WindowEntry {
+  ok: boolean;
+  time: number | null;
+}
+
+export interface WindowSummary {
+  count: number;
+  received: number;
+  loss: number;
+  min: number | null;
+  max: number | null;
+  avg: number | null;
+  p50: number | null;
+  p95: number | null;
+}
+
+export function defaultAlertRules(): AlertRule[] {
+  return [
+    { type: 'loss', threshold: 20, window: 20 },
+    { type: 'consecutive', count: 3 },
+  ];
+}
+
+// Fixed-size ring buffer of { ok, time } entries, oldest first.
+export class RollingWindow {
+  size: number;
+  count = 0;
+  private buffer: WindowEntry[];
+  private next = 0;
+
+  constructor(size = DEFAULT_WINDOW) {
+    this.size = size;
+    this.buffer = new Array(size);
+  }
+
+  reset(): void {
+    this.buffer = new Array(this.size);
+    this.next = 0;
+    this.count = 0;
+  }
+
+  add(entry: WindowEntry): void {
+    this.buffer[this.next] = entry;
+    this.next = (this.next + 1) % this.size;
+    this.count = Math.min(this.count + 1, this.size);
+  }
+
+  // The newest `n` entries, oldest first.
+  latest(n = this.count): WindowEntry[] {
+    const length = Math.min(n, this.count);
+    const entries: WindowEntry[] = [];
+    for (let i = length; i > 0; i--) {
+      entries.push(this.buffer[(this.next - i + this.size) % this.size]);
+    }
+    return entries;
+  }
+
+  // Loss and RTT figures over the newest `n` entries.
+  summary(n = this.size): WindowSummary {
+    const entries = this.latest(n);
+    const times = entries.filter(entry => entry.ok).map(entry => entry.time ?? 0).sort((a, b) => a - b);
+    const rank = (p: number) => times[Math.min(times.length - 1, Math.ceil((p / 100) * times.length) - 1)];
+
+    return {
+      count: entries.length,
+      received: times.length,
+      loss: entries.length > 0 ? ((entries.length - times.length) / entries.length) * 100 : 0,
+      min: times.length > 0 ? times[0] : null,
+      max: times.length > 0 ? times[times.length - 1] : null,
+      avg: times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : null,
+      p50: times.length > 0 ? rank(50) : null,
+      p95: times.length > 0 ? rank(95) : null,
+    };
+  }
+}
+
+export function describeRule(rule: AlertRule): string {
+  switch (rule.type) {
+    case 'loss':
+      return `loss > ${rule.threshold}% over last ${rule.window} pings`;
+    case 'p95':
+      return `p95 > ${rule.threshold}ms over last ${rule.window} pings`;
+    case 'consecutive':
+      return `${rule.count} consecutive failures`;
+    default:
+      return (rule as AlertRule).type;
+  }
+}
+
+// Checks rules before a run starts. Returns a list of problems (empty when
+// every rule is usable).
+export function validateAlertRules(rules: AlertRule[]): string[] {
+  const problems: string[] = [];
+
+  rules.forEach(rule => {
+    const label = describeRule(rule);
+    if (!(ALERT_RULE_TYPES as readonly string[]).includes(rule.type)) {
+      problems.push(`Unknown alert rule type "${rule.type}"`);
+    } else if (rule.type === 'consecutive') {
+      if (!(Number.isInteger(Number(rule.count)) && Number(rule.count) > 0)) {
+        problems.push(`Invalid alert rule "${label}": expected a positive failure count`);
+      }
+    } else if (!(Number(rule.threshold) >= 0)) {
+      problems.push(`Invalid alert rule "${label}": expected a threshold of 0 or more`);
+    } else if (!(Number.isInteger(Number(rule.window)) && Number(rule.window) > 0)) {
+      problems.push(`Invalid alert rule "${label}": expected a positive window size`);
+    }
+  });
+
+  return problems;
+}
+
+// Current value of a rule and whether it is breached, or null while there is
+// not enough data yet (the window is not full).
+function evaluateRule(rule: AlertRule, window: RollingWindow, consecutiveFailures: number) {
+  if (rule.type === 'consecutive') {
+    return { value: consecutiveFailures, breached: consecutiveFailures >= rule.count };
+  }
+  if (window.count < rule.window) {
+    return null;
+  }
+
+  const summary = window.summary(rule.window);
+  if (rule.type === 'loss') {
+    return { value: summary.loss, breached: summary.loss > rule.threshold };
+  }
+  if (summary.p95 === null) {
+    return null;
+  }
+  return { value: summary.p95, breached: summary.p95 > rule.threshold };
+}
+
+export class AlertMonitor {
+  rules: AlertRule[];
+  windowSize: number;
+  window: RollingWindow;
+  episodes: AlertEpisode[] = [];
+  private consecutiveFailures = 0;
+  private active = new Map<number, AlertEpisode>();
+
+  constructor(rules: AlertRule[], windowSize = DEFAULT_WINDOW) {
+    this.rules = rules.map(rule => (rule.type === 'consecutive'
+      ? { ...rule, count: Number(rule.count) }
+      : { ...rule, threshold: Number(rule.threshold), window: Number(rule.window) }));
+    const largest = Math.max(windowSize, ...this.rules.map(rule => (rule.type === 'consecutive' ? 0 : rule.window)));
+    this.windowSize = windowSize;
+    this.window = new RollingWindow(largest);
+  }
+
+  add(ping: { ok: boolean; time: number | null; sequence: number; timestamp: number }): AlertChange[] {
+    this.window.add({ ok: ping.ok, time: ping.time });
+    this.consecutiveFailures = ping.ok ? 0 : this.consecutiveFailures + 1;
+
+    const changes: AlertChange[] = [];
+    this.rules.forEach((rule, index) => {
+      const result = evaluateRule(rule, this.window, this.consecutiveFailures);
+      const episode = this.active.get(index);
+
+      if (result && result.breached) {
+        if (episode) {
+          episode.peak = Math.max(episode.peak, result.value);
+          return;
+        }
+        const started: AlertEpisode = {
+          rule,
+          description: describeRule(rule),
+          startedAt: ping.timestamp,
+          endedAt: null,
+          startSequence: ping.sequence,
+          endSequence: null,
+          peak: result.value,
+        };
+        this.active.set(index, started);
+        this.episodes.push(started);
+        changes.push({ type: 'start', episode: started });
+      } else if (result && episode) {
+        this.close(index, ping.timestamp, ping.sequence);
+        changes.push({ type: 'end', episode });
+      }
+    });
+
+    return changes;
+  }
+
+  private close(index: number, timestamp: number, sequence: number): void {
+    const episode = this.active.get(index);
+    if (episode) {
+      episode.endedAt = timestamp;
+      episode.endSequence = sequence;
+      this.active.delete(index);
+    }
+  }
+
+  // Ends every ongoing episode, e.g. when the run is stopped.
+  closeAll(timestamp: number, sequence: number): AlertEpisode[] {
+    const closed = [...this.active.values()];
+    [...this.active.keys()].forEach(index => this.close(index, timestamp, sequence));
+    return closed;
+  }
+
+  windowSummary(): WindowSummary {
+    return this.window.summary(this.windowSize);
+  }
+}
+
+// Worst value seen during an episode, in the rule's unit.
+export function formatPeak(episode: AlertEpisode): string {
+  switch (episode.rule.type) {
+    case 'loss':
+      return `${episode.peak.toFixed(1)}%`;
+    case 'p95':
+      return `${Math.round(episode.peak)}ms`;
+    default:
+      return `${episode.peak} failures`;
+  }
+}
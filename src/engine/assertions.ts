@@ -0,0 +1,262 @@
+// Response assertions.
+//
+// An assertion is plain data:
+//   { type: 'status', value: '200-299, 304' }
+//   { type: 'header', name: 'content-type', op: 'equals' | 'matches' | 'exists', value }
+//   { type: 'body', op: 'contains' | 'matches', value }
+//   { type: 'jsonpath', path: '$.status', op: 'equals' | 'matches' | 'exists', value }
+//   { type: 'max-size', value: bytes }
+//   { type: 'max-latency', value: ms }
+// evaluateAssertions() checks a response against a list of them and
+// returns one result per assertion.
+
+export const ASSERTION_TYPES = ['status', 'header', 'body', 'jsonpath', 'max-size', 'max-latency'] as const;
+
+export type AssertionType = typeof ASSERTION_TYPES[number];
+
+export type AssertionOp = 'equals' | 'matches' | 'exists' | 'contains';
+
+export interface Assertion {
+  type: AssertionType;
+  value: string;
+  op?: AssertionOp;
+  name?: string;
+  path?: string;
+}
+
+export interface AssertionResponse {
+  status: number;
+  // Lower-cased names
+  headers: Record<string, string>;
+  body: string | null;
+  size: number | null;
+  time: number | null;
+}
+
+export interface AssertionResult {
+  index: number;
+  assertion: Assertion;
+  passed: boolean;
+  message: string | null;
+}
+
+type PathToken = { wildcard: true } | { wildcard?: false; key: string | number };
+
+// Parses "200-299, 304, 4xx" into [[200, 299], [304, 304], [400, 499]]
+export function parseStatusRanges(text: string): [number, number][] {
+  return String(text).split(',').map(part => part.trim()).filter(Boolean).map((part): [number, number] => {
+    let match = part.match(/^([1-5])xx$/i);
+    if (match) {
+      return [Number(match[1]) * 100, Number(match[1]) * 100 + 99];
+    }
+    match = part.match(/^(\d{3})\s*-\s*(\d{3})$/);
+    if (match) {
+      return [Number(match[1]), Number(match[2])];
+    }
+    match = part.match(/^(\d{3})$/);
+    if (match) {
+      return [Number(match[1]), Number(match[1])];
+    }
+    throw new Error(`Invalid status code or range "${part}"`);
+  });
+}
+
+function tokenizePath(path: string): PathToken[] {
+  const trimmed = path.trim();
+  if (!trimmed.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: "${path}"`);
+  }
+
+  const tokens: PathToken[] = [];
+  const pattern = /\.(\*|[A-Za-z_$][\w$-]*)|\[(\*|\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\]/y;
+  let offset = 1;
+
+  while (offset < trimmed.length) {
+    pattern.lastIndex = offset;
+    const match = pattern.exec(trimmed);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at "${trimmed.slice(offset)}"`);
+    }
+    const raw = match[1] !== undefined ? match[1] : match[2];
+    if (raw === '*') {
+      tokens.push({ wildcard: true });
+    } else if (/^\d+$/.test(raw) && match[2] !== undefined) {
+      tokens.push({ key: Number(raw) });
+    } else {
+      tokens.push({ key: raw.replace(/^['"]|['"]$/g, '') });
+    }
+    offset = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+// Evaluates a JSONPath subset ($, .key, ['key'], [index], [*], .*) and
+// returns every matching value.
+export function queryJsonPath(data: unknown, path: string): unknown[] {
+  let values = [data];
+
+  tokenizePath(path).forEach(token => {
+    const next: unknown[] = [];
+    values.forEach(value => {
+      if (value === null || typeof value !== 'object') {
+        return;
+      }
+      if (token.wildcard) {
+        next.push(...Object.values(value));
+      } else if (Object.prototype.hasOwnProperty.call(value, token.key)) {
+        next.push((value as Record<string | number, unknown>)[token.key]);
+      }
+    });
+    values = next;
+  });
+
+  return values;
+}
+
+function toText(value: unknown): string {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function compileRegex(source: string): RegExp {
+  const match = String(source).match(/^\/(.*)\/([a-z]*)$/s);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(source);
+}
+
+export function describeAssertion(assertion: Assertion): string {
+  switch (assertion.type) {
+    case 'status':
+      return `status in ${assertion.value}`;
+    case 'header':
+      return assertion.op === 'exists'
+        ? `header ${assertion.name} exists`
+        : `header ${assertion.name} ${assertion.op} ${assertion.value}`;
+    case 'body':
+      return `body ${assertion.op} ${assertion.value}`;
+    case 'jsonpath':
+      return assertion.op === 'exists'
+        ? `${assertion.path} exists`
+        : `${assertion.path} ${assertion.op} ${assertion.value}`;
+    case 'max-size':
+      return `size <= ${assertion.value} bytes`;
+    case 'max-latency':
+      return `time <= ${assertion.value}ms`;
+    default:
+      return (assertion as Assertion).type;
+  }
+}
+
+export function needsBody(assertions: Assertion[]): boolean {
+  return assertions.some(assertion => assertion.type === 'body' || assertion.type === 'jsonpath');
+}
+
+export function hasStatusAssertion(assertions: Assertion[]): boolean {
+  return assertions.some(assertion => assertion.type === 'status');
+}
+
+// Checks assertions up front so mistakes are reported before a run starts.
+// Returns a list of problems (empty when everything is usable).
+export function validateAssertions(assertions: Assertion[]): string[] {
+  const problems: string[] = [];
+
+  assertions.forEach(assertion => {
+    const label = describeAssertion(assertion);
+    try {
+      if (assertion.type === 'status') {
+        if (parseStatusRanges(assertion.value).length === 0) {
+          throw new Error('no status codes given');
+        }
+      } else if (assertion.type === 'header' && !assertion.name) {
+        throw new Error('header name missing');
+      } else if (assertion.type === 'jsonpath') {
+        tokenizePath(assertion.path || '');
+      } else if ((assertion.type === 'max-size' || assertion.type === 'max-latency') && !(Number(assertion.value) >= 0)) {
+        throw new Error('expected a number');
+      }
+      if (assertion.op === 'matches') {
+        compileRegex(assertion.value);
+      }
+    } catch (error) {
+      problems.push(`Invalid assertion "${label}": ${(error as Error).message}`);
+    }
+  });
+
+  return problems;
+}
+
+function check(assertion: Assertion, response: AssertionResponse): string | null {
+  switch (assertion.type) {
+    case 'status': {
+      const ok = parseStatusRanges(assertion.value).some(([low, high]) => response.status >= low && response.status <= high);
+      return ok ? null : `status ${response.status} not in ${assertion.value}`;
+    }
+    case 'header': {
+      const name = assertion.name || '';
+      const actual = response.headers[name.toLowerCase()];
+      if (actual === undefined) {
+        return `header ${name} missing`;
+      }
+      if (assertion.op === 'equals' && actual !== assertion.value) {
+        return `header ${name} is "${actual}", expected "${assertion.value}"`;
+      }
+      if (assertion.op === 'matches' && !compileRegex(assertion.value).test(actual)) {
+        return `header ${name} "${actual}" does not match ${assertion.value}`;
+      }
+      return null;
+    }
+    case 'body': {
+      if (response.body === null) {
+        return 'body unavailable';
+      }
+      if (assertion.op === 'matches') {
+        return compileRegex(assertion.value).test(response.body) ? null : `body does not match ${assertion.value}`;
+      }
+      return response.body.includes(assertion.value) ? null : `body does not contain "${assertion.value}"`;
+    }
+    case 'jsonpath': {
+      const path = assertion.path || '';
+      if (response.body === null) {
+        return 'body unavailable';
+      }
+      let values;
+      try {
+        values = queryJsonPath(JSON.parse(response.body), path);
+      } catch (error) {
+        return `body is not JSON (${(error as Error).message})`;
+      }
+      if (values.length === 0) {
+        return `${path} not found`;
+      }
+      if (assertion.op === 'equals' && !values.some(value => toText(value) === assertion.value)) {
+        return `${path} is ${toText(values[0])}, expected ${assertion.value}`;
+      }
+      if (assertion.op === 'matches' && !values.some(value => compileRegex(assertion.value).test(toText(value)))) {
+        return `${path} ${toText(values[0])} does not match ${assertion.value}`;
+      }
+      return null;
+    }
+    case 'max-size':
+      if (response.size === null || response.size === undefined) {
+        return 'size unknown';
+      }
+      return response.size <= Number(assertion.value) ? null : `size ${response.size} > ${assertion.value} bytes`;
+    case 'max-latency':
+      return response.time !== null && response.time <= Number(assertion.value)
+        ? null
+        : `time ${Math.round(response.time ?? 0)}ms > ${assertion.value}ms`;
+    default:
+      return `unknown assertion type ${(assertion as Assertion).type}`;
+  }
+}
+
+export function evaluateAssertions(assertions: Assertion[], response: AssertionResponse): AssertionResult[] {
+  return assertions.map((assertion, index) => {
+    let message;
+    try {
+      message = check(assertion, response);
+    } catch (error) {
+      message = (error as Error).message;
+    }
+    return { index, assertion, passed: message === null, message };
+  });
+}
@@ -0,0 +1,95 @@
+// Scheduled uptime checks.
+//
+// Probes every target once per check interval (a minute by default)
+// through one shared PingScheduler, whatever the target's own ping
+// interval, and rolls each result into an UptimeLog. Runs for as long as
+// the page or the command line does.
+
+import { pageHidden, SLEEP_GAP } from './clock.ts';
+import type { CompanionClient } from './companion.ts';
+import { Emitter } from './events.ts';
+import type { MonitorSettings } from './multi.ts';
+import { probe } from './probe.ts';
+import { PingScheduler } from './scheduler.ts';
+import type { PingRecord } from './session.ts';
+import { normalizeTargetUrl, targetLabel } from './targets.ts';
+import type { Target } from './targets.ts';
+import { checkFromRecord, DEFAULT_CHECK_INTERVAL, UptimeLog } from './uptime.ts';
+import type { TargetUptime } from './uptime.ts';
+
+export interface CheckEvents {
+  check: { target: Target; record: PingRecord; uptime: TargetUptime };
+  // A check threw instead of giving a record
+  error: { target: Target; message: string };
+  'companion-lost': void;
+  running: boolean;
+}
+
+export class ScheduledChecks extends Emitter<CheckEvents> {
+  companion: CompanionClient;
+  log: UptimeLog;
+  running = false;
+  private scheduler = new PingScheduler();
+  private sequences = new Map<string, number>();
+  private targets = new Map<string, Target>();
+
+  constructor({ companion, log = new UptimeLog() }: { companion: CompanionClient; log?: UptimeLog }) {
+    super();
+    this.companion = companion;
+    this.log = log;
+    this.scheduler.on('error', ({ id, error }) => {
+      const target = this.targets.get(id);
+      if (target) {
+        this.emit('error', { target, message: error.message });
+      }
+    });
+  }
+
+  start(targets: Target[], settings: MonitorSettings, interval = DEFAULT_CHECK_INTERVAL): void {
+    this.scheduler.clear();
+    this.sequences.clear();
+    this.targets = new Map(targets.map(target => [target.id, target]));
+    this.running = true;
+    targets.forEach(target => {
+      this.scheduler.add(target.id, interval, dueAt => this.check(target, settings, dueAt));
+    });
+    this.scheduler.start();
+    this.emit('running', true);
+  }
+
+  stop(): void {
+    this.scheduler.stop();
+    this.running = false;
+    this.emit('running', false);
+  }
+
+  // `dueAt` is when the scheduler had the check due (epoch ms).
+  private async check(target: Target, settings: MonitorSettings, dueAt: number): Promise<void> {
+    const url = normalizeTargetUrl(target.url);
+    const asleep = Date.now() - dueAt > SLEEP_GAP;
+    const hidden = pageHidden();
+    const sequence = (this.sequences.get(target.id) || 0) + 1;
+    this.sequences.set(target.id, sequence);
+    const result = await probe({
+      ...settings,
+      url,
+      method: target.method,
+      sequence,
+      timeout: target.timeout,
+      address: new URL(url).hostname,
+      companion: this.companion,
+    });
+    if (!this.running) {
+      return;
+    }
+
+    const { record } = result;
+    Object.assign(record, { scheduledAt: dueAt, hidden: hidden || pageHidden(), asleep });
+    const uptime = this.log.record({ name: targetLabel(target), url, method: target.method }, checkFromRecord(record));
+    this.log.prune(record.timestamp);
+    if (result.companionLost) {
+      this.emit('companion-lost', undefined);
+    }
+    this.emit('check', { target, record, uptime });
+  }
+}
@@ -0,0 +1,109 @@
+// Timers for ping runs that keep their cadence in background tabs.
+//
+// Browsers throttle setTimeout on a hidden page (Chrome down to once a
+// minute), which stretches the interval of long runs. The clock runs its
+// timers in a Web Worker, where they are not throttled, and falls back to
+// setTimeout where there are no workers (Node, old browsers) or the worker
+// cannot start.
+
+// A wake-up this much later than due means the machine was asleep (or the
+// whole browser was frozen), not a slow timer
+export const SLEEP_GAP = 5000;
+
+interface Pending {
+  callback: () => void;
+  due: number;
+  timer: ReturnType<typeof setTimeout> | null;
+}
+
+export class Clock {
+  private worker: Worker | null | undefined;
+  private nextId = 1;
+  private pending = new Map<number, Pending>();
+
+  setTimeout(callback: () => void, delay: number): number {
+    const id = this.nextId++;
+    const entry: Pending = { callback, due: performance.now() + delay, timer: null };
+    this.pending.set(id, entry);
+
+    const worker = this.start();
+    if (worker) {
+      worker.postMessage({ id, delay });
+    } else {
+      entry.timer = setTimeout(() => this.fire(id), delay);
+    }
+    return id;
+  }
+
+  clearTimeout(id: number | null): void {
+    const entry = id !== null && this.pending.get(id);
+    if (!entry) {
+      return;
+    }
+    this.pending.delete(id);
+    if (entry.timer !== null) {
+      clearTimeout(entry.timer);
+    } else if (this.worker) {
+      this.worker.postMessage({ id });
+    }
+  }
+
+  // The worker, started on first use; null when timers stay on this thread.
+  private start(): Worker | null {
+    if (this.worker !== undefined) {
+      return this.worker;
+    }
+    this.worker = null;
+    if (typeof Worker === 'undefined') {
+      return null;
+    }
+
+    try {
+      const worker = new Worker(new URL('./clock.worker.ts', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', (event: MessageEvent<number>) => this.fire(event.data));
+      worker.addEventListener('error', () => this.fallBack());
+      this.worker = worker;
+    } catch {
+      // Blocked by a content security policy; keep the main thread timers
+    }
+    return this.worker;
+  }
+
+  // The worker failed to load: re-arm what it was timing on this thread.
+  private fallBack(): void {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending.forEach((entry, id) => {
+      if (entry.timer === null) {
+        entry.timer = setTimeout(() => this.fire(id), Math.max(0, entry.due - performance.now()));
+      }
+    });
+  }
+
+  private fire(id: number): void {
+    const entry = this.pending.get(id);
+    if (entry) {
+      this.pending.delete(id);
+      entry.callback();
+    }
+  }
+}
+
+// Shared by everything that schedules pings, so a page runs one worker
+export const clock = new Clock();
+
+// When the ping after one due at `due` is due, on a fixed grid of
+// `interval` ms (ping's -i: from send to send, not from reply to send). A
+// ping that ran past its slot makes the next one due at once; slots missed
+// entirely, as after a sleep, are skipped instead of sent in a burst.
+export function nextDue(due: number, interval: number, now: number): number {
+  const next = due + interval;
+  if (interval <= 0 || now - next < interval) {
+    return next;
+  }
+  return now - ((now - next) % interval);
+}
+
+export function pageHidden(): boolean {
+  return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+}
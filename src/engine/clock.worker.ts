@@ -0,0 +1,19 @@
+// Timer thread of clock.ts. Browsers throttle timers on the main thread of
+// a hidden page, not in workers, so the timers run here and only their
+// expiry is posted back.
+
+const timers = new Map<number, ReturnType<typeof setTimeout>>();
+
+// { id, delay } arms a timer, { id } alone clears it
+addEventListener('message', (event: MessageEvent<{ id: number; delay?: number }>) => {
+  const { id, delay } = event.data;
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+
+  if (delay !== undefined) {
+    timers.set(id, setTimeout(() => {
+      timers.delete(id);
+      postMessage(id);
+    }, delay));
+  }
+});
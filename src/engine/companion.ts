@@ -0,0 +1,110 @@
+// Client for the local companion proxy (companion/server.js).
+//
+// The proxy performs requests from Node, so responses are not subject to
+// CORS and carry the real status, headers, size and server-side timing.
+
+import type { TimingPhase } from './timing.ts';
+
+export const DEFAULT_COMPANION_URL = 'http://127.0.0.1:8787';
+
+export interface ProxyRequest {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  timeout: number;
+  followRedirects: boolean;
+  insecure: boolean;
+  includeBody: boolean;
+}
+
+export interface ProxyResponse {
+  status: number;
+  statusText: string;
+  httpVersion: string;
+  headers: Record<string, string | string[]>;
+  size: number;
+  remoteAddress: string | null;
+  timing: Partial<Record<TimingPhase, number>> & { total: number };
+  body?: string;
+  bodyTruncated?: boolean;
+}
+
+export class CompanionError extends Error {
+  code: string;
+
+  constructor(code: string, message: string) {
+    super(message);
+    this.name = 'CompanionError';
+    this.code = code;
+  }
+}
+
+export class CompanionClient {
+  baseUrl = '';
+  available = false;
+  // Requests run in this process rather than through a proxy server (the
+  // command line), so there is nothing to announce or lose
+  direct = false;
+  info: Record<string, unknown> | null = null;
+
+  constructor(baseUrl = DEFAULT_COMPANION_URL) {
+    this.setBaseUrl(baseUrl);
+  }
+
+  setBaseUrl(baseUrl: string): void {
+    const normalized = (baseUrl || DEFAULT_COMPANION_URL).trim().replace(/\/+$/, '');
+    if (normalized !== this.baseUrl) {
+      this.baseUrl = normalized;
+      this.available = false;
+      this.info = null;
+    }
+  }
+
+  async detect(timeout = 1000): Promise<boolean> {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/health`, {
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+      const info = await response.json();
+      this.available = response.ok && info.name === 'httping-companion';
+      this.info = this.available ? info : null;
+    } catch {
+      this.available = false;
+      this.info = null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    return this.available;
+  }
+
+  async request(spec: ProxyRequest, signal?: AbortSignal): Promise<ProxyResponse> {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/proxy`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(spec),
+        signal,
+      });
+    } catch (error) {
+      if ((error as Error).name === 'AbortError') {
+        throw error;
+      }
+      this.available = false;
+      throw new CompanionError('EPROXY', 'Companion proxy unreachable');
+    }
+
+    const payload = await response.json();
+    if (payload.error) {
+      throw new CompanionError(payload.error.code, payload.error.message);
+    }
+
+    return payload;
+  }
+}
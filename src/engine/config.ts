@@ -0,0 +1,162 @@
+// Settings of a single-target ping run.
+//
+// A config is plain data: it is saved with every run, exported with a
+// session and applied back to the controls when one is opened.
+
+import { defaultAlertRules, DEFAULT_WINDOW, validateAlertRules } from './alerts.ts';
+import type { AlertRule } from './alerts.ts';
+import { validateAssertions } from './assertions.ts';
+import type { Assertion } from './assertions.ts';
+import { DEFAULT_COMPANION_URL } from './companion.ts';
+import { DEFAULT_DOH_URL } from './dns.ts';
+import type { AddressStrategy, DnsFormat } from './dns.ts';
+import { defaultLoadSettings, validateLoadSettings } from './load.ts';
+import type { LoadSettings } from './load.ts';
+import { DEFAULT_SSE_EVENTS, DEFAULT_WS_MESSAGE, isWebSocketUrl } from './realtime.ts';
+import { defaultRequestSpec, isSecretHeader, normalizeRequestSpec, validateRequestSpec } from './request.ts';
+import type { HttpMethod, RequestSpec } from './request.ts';
+import { DEFAULT_MAX_HOPS } from './trace.ts';
+import { withoutCredentials } from './url.ts';
+
+export interface DnsSettings {
+  url: string;
+  format: DnsFormat;
+  pick: AddressStrategy;
+}
+
+export interface PingConfig {
+  url: string;
+  method: HttpMethod;
+  count: number;
+  interval: number;
+  timeout: number;
+  // Ping until stopped instead of `count` times (-t)
+  continuous: boolean;
+  // Pings in the rolling window of continuous runs
+  window: number;
+  ignoreSsl: boolean;
+  followRedirects: boolean;
+  // Request every redirect hop on its own (--trace), up to maxHops
+  traceRedirects: boolean;
+  maxHops: number;
+  // Message a ws:// or wss:// target echoes back
+  wsMessage: string;
+  // Ping an http(s) target as a Server-Sent Events stream (--sse), timing
+  // `sseEvents` events
+  eventStream: boolean;
+  sseEvents: number;
+  verbose: boolean;
+  // Ping on through network errors instead of stopping at the first one
+  keepGoing: boolean;
+  // Run a load test with `load` instead of pinging (load.ts)
+  loadTest: boolean;
+  load: LoadSettings;
+  request: RequestSpec;
+  assertions: Assertion[];
+  alerts: AlertRule[];
+  companionUrl: string;
+  dns: DnsSettings;
+}
+
+export function defaultPingConfig(): PingConfig {
+  return {
+    url: 'httpbin.org/get',
+    method: 'GET',
+    count: 4,
+    interval: 1000,
+    timeout: 5000,
+    continuous: false,
+    window: DEFAULT_WINDOW,
+    ignoreSsl: false,
+    followRedirects: false,
+    traceRedirects: false,
+    maxHops: DEFAULT_MAX_HOPS,
+    wsMessage: DEFAULT_WS_MESSAGE,
+    eventStream: false,
+    sseEvents: DEFAULT_SSE_EVENTS,
+    verbose: false,
+    keepGoing: false,
+    loadTest: false,
+    load: defaultLoadSettings(),
+    request: defaultRequestSpec(),
+    assertions: [],
+    alerts: defaultAlertRules(),
+    companionUrl: DEFAULT_COMPANION_URL,
+    dns: { url: DEFAULT_DOH_URL, format: 'json', pick: 'ipv4' },
+  };
+}
+
+// The config with its auth helper reset and credential headers and URL
+// credentials dropped, for whatever leaves the controls: links, team sync,
+// exports and the run history.
+export function withoutSecrets(config: PingConfig): PingConfig {
+  return {
+    ...config,
+    url: withoutCredentials(config.url),
+    request: {
+      ...config.request,
+      auth: defaultRequestSpec().auth,
+      headers: config.request.headers.filter(header => !isSecretHeader(header.name)),
+    },
+  };
+}
+
+// Applies a saved (possibly partial or older) config on top of `base`.
+export function mergeConfig(base: PingConfig, saved: Partial<PingConfig>): PingConfig {
+  const config = { ...base };
+  if (saved.url) config.url = saved.url;
+  if (saved.method) config.method = saved.method;
+  if (saved.count) config.count = saved.count;
+  if (saved.interval) config.interval = saved.interval;
+  if (saved.timeout) config.timeout = saved.timeout;
+  if (saved.window) config.window = saved.window;
+  if ('continuous' in saved) config.continuous = Boolean(saved.continuous);
+  if ('ignoreSsl' in saved) config.ignoreSsl = Boolean(saved.ignoreSsl);
+  if ('followRedirects' in saved) config.followRedirects = Boolean(saved.followRedirects);
+  if ('traceRedirects' in saved) config.traceRedirects = Boolean(saved.traceRedirects);
+  if (saved.maxHops) config.maxHops = saved.maxHops;
+  if (typeof saved.wsMessage === 'string') config.wsMessage = saved.wsMessage;
+  if ('eventStream' in saved) config.eventStream = Boolean(saved.eventStream);
+  if (saved.sseEvents) config.sseEvents = saved.sseEvents;
+  if ('verbose' in saved) config.verbose = Boolean(saved.verbose);
+  if ('keepGoing' in saved) config.keepGoing = Boolean(saved.keepGoing);
+  if ('loadTest' in saved) config.loadTest = Boolean(saved.loadTest);
+  if (saved.load) config.load = { ...base.load, ...saved.load };
+  if (saved.request) config.request = normalizeRequestSpec(saved.request);
+  if (saved.assertions) config.assertions = saved.assertions;
+  if (saved.alerts) config.alerts = saved.alerts;
+  if (saved.companionUrl) config.companionUrl = saved.companionUrl;
+  if (saved.dns) config.dns = { ...base.dns, ...saved.dns };
+  return config;
+}
+
+// Checks everything a run needs before it starts. Returns a list of
+// problems (empty when the config is usable).
+export function validateConfig(config: PingConfig): string[] {
+  const problems: string[] = [];
+  if (!config.continuous && !(config.count >= 1)) {
+    problems.push('Count must be at least 1');
+  }
+  if (!(config.interval >= 0)) {
+    problems.push('Interval must be a number of milliseconds');
+  }
+  if (!(config.timeout >= 1)) {
+    problems.push('Timeout must be a number of milliseconds');
+  }
+  if (config.traceRedirects && !(config.maxHops >= 1)) {
+    problems.push('Max hops must be at least 1');
+  }
+  if (config.eventStream && !(config.sseEvents >= 1)) {
+    problems.push('SSE events must be at least 1');
+  }
+  if (config.eventStream && isWebSocketUrl(config.url)) {
+    problems.push('Server-Sent Events need an http:// or https:// URL');
+  }
+  return [
+    ...problems,
+    ...(config.loadTest ? validateLoadSettings(config.load) : []),
+    ...validateRequestSpec(config.request),
+    ...validateAssertions(config.assertions),
+    ...validateAlertRules(config.alerts),
+  ];
+}
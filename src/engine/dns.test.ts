@@ -0,0 +1,150 @@
+// DnsResolver against canned resolver answers, in the JSON API and in the
+// RFC 8484 wire format, served by a stand-in for fetch.
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { DnsError, DnsResolver } from './dns.ts';
+import type { DnsFormat } from './dns.ts';
+
+interface Answer {
+  name: string;
+  type: number;
+  TTL: number;
+  data: string;
+}
+
+interface Canned {
+  Status: number;
+  Answer?: Answer[];
+}
+
+const DOH_URL = 'https://doh.test/dns-query';
+const FORMATS: DnsFormat[] = ['json', 'wire'];
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function cname(name: string, data: string, TTL: number): Answer {
+  return { name, type: 5, TTL, data };
+}
+
+const CHAIN = [cname('www.example.com', 'cdn.example.net.', 300), cname('cdn.example.net', 'edge.example.net.', 120)];
+
+const ANSWERS: Record<'A' | 'AAAA', Canned> = {
+  A: { Status: 0, Answer: [...CHAIN, { name: 'edge.example.net', type: 1, TTL: 60, data: '192.0.2.10' }] },
+  AAAA: { Status: 0, Answer: [...CHAIN, { name: 'edge.example.net', type: 28, TTL: 90, data: '2001:db8::10' }] },
+};
+
+function encodeName(name: string): number[] {
+  return [...name.replace(/\.$/, '').split('.').flatMap(label => [label.length, ...Array.from(label, c => c.charCodeAt(0))]), 0];
+}
+
+function encodeData(answer: Answer): number[] {
+  if (answer.type === 1) {
+    return answer.data.split('.').map(Number);
+  }
+  if (answer.type === 28) {
+    const [head, tail] = answer.data.split('::').map(part => (part ? part.split(':') : []));
+    const groups = [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail];
+    return groups.flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]);
+  }
+  return encodeName(answer.data);
+}
+
+// The query with its flags, rcode and answers filled in
+function encodeAnswer(query: Uint8Array, canned: Canned): Uint8Array {
+  const bytes = [...query];
+  const answers = canned.Answer || [];
+  bytes[2] = 0x81;
+  bytes[3] = 0x80 | canned.Status;
+  bytes[7] = answers.length;
+  answers.forEach(answer => {
+    const data = encodeData(answer);
+    bytes.push(...encodeName(answer.name), 0, answer.type, 0, 1);
+    bytes.push(answer.TTL >>> 24, (answer.TTL >> 16) & 0xff, (answer.TTL >> 8) & 0xff, answer.TTL & 0xff);
+    bytes.push(data.length >> 8, data.length & 0xff, ...data);
+  });
+  return new Uint8Array(bytes);
+}
+
+function decodeBase64Url(text: string): Uint8Array {
+  return new Uint8Array(Buffer.from(text, 'base64url'));
+}
+
+// Serves `answer(type)` for every query; `wire` may change the encoded
+// answer before it is sent
+function serve(answer: (type: 'A' | 'AAAA') => Canned, wire: (bytes: Uint8Array) => Uint8Array = bytes => bytes): void {
+  globalThis.fetch = (async (input: string | URL) => {
+    const url = new URL(input);
+    const dns = url.searchParams.get('dns');
+    if (dns === null) {
+      const type = url.searchParams.get('type') as 'A' | 'AAAA';
+      return new Response(JSON.stringify(answer(type)), { headers: { 'Content-Type': 'application/dns-json' } });
+    }
+    const query = decodeBase64Url(dns);
+    const type = query[query.length - 3] === 28 ? 'AAAA' : 'A';
+    return new Response(wire(encodeAnswer(query, answer(type))), { headers: { 'Content-Type': 'application/dns-message' } });
+  }) as typeof fetch;
+}
+
+function rejectsWith(promise: Promise<unknown>, code: string, message?: RegExp): Promise<void> {
+  return assert.rejects(promise, (error: unknown) => {
+    assert.ok(error instanceof DnsError, String(error));
+    assert.equal(error.code, code, error.message);
+    if (message) {
+      assert.match(error.message, message);
+    }
+    return true;
+  });
+}
+
+FORMATS.forEach(format => {
+  test(`follows a CNAME chain to A and AAAA records (${format})`, async () => {
+    serve(type => ANSWERS[type]);
+    const resolution = await new DnsResolver({ url: DOH_URL, format }).resolve('www.example.com');
+    assert.deepEqual(resolution.addresses, [
+      { address: '192.0.2.10', family: 4, ttl: 60 },
+      { address: '2001:db8::10', family: 6, ttl: 90 },
+    ]);
+    assert.deepEqual(resolution.aliases, ['cdn.example.net', 'edge.example.net']);
+    assert.equal(resolution.ttl, 60);
+  });
+
+  test(`resolves a host with only an AAAA record (${format})`, async () => {
+    serve(type => (type === 'A' ? { Status: 0 } : ANSWERS.AAAA));
+    const resolution = await new DnsResolver({ url: DOH_URL, format }).resolve('www.example.com');
+    assert.deepEqual(resolution.addresses, [{ address: '2001:db8::10', family: 6, ttl: 90 }]);
+  });
+
+  test(`reports NXDOMAIN as an unknown name (${format})`, async () => {
+    serve(() => ({ Status: 3 }));
+    await rejectsWith(new DnsResolver({ url: DOH_URL, format }).resolve('nowhere.example'), 'ENOTFOUND', /not known/);
+  });
+});
+
+test('reports a truncated wire answer as malformed', async () => {
+  serve(type => ANSWERS[type], bytes => bytes.subarray(0, bytes.length - 3));
+  await rejectsWith(new DnsResolver({ url: DOH_URL, format: 'wire' }).resolve('www.example.com'), 'EFORMERR', /truncated/);
+});
+
+test('reports a wire answer cut inside its header as malformed', async () => {
+  serve(type => ANSWERS[type], bytes => bytes.subarray(0, 7));
+  await rejectsWith(new DnsResolver({ url: DOH_URL, format: 'wire' }).resolve('www.example.com'), 'EFORMERR');
+});
+
+test('reports JSON that does not parse or has no Status as malformed', async () => {
+  globalThis.fetch = (async () => new Response('<html>captive portal</html>')) as typeof fetch;
+  await rejectsWith(new DnsResolver({ url: DOH_URL }).resolve('www.example.com'), 'EFORMERR', /doh\.test/);
+
+  serve(() => ({ Answer: [] }) as unknown as Canned);
+  await rejectsWith(new DnsResolver({ url: DOH_URL }).resolve('www.example.com'), 'EFORMERR', /no Status/);
+});
+
+test('still reports a resolver that cannot be reached as unreachable', async () => {
+  globalThis.fetch = (async () => {
+    throw new TypeError('fetch failed');
+  }) as typeof fetch;
+  await rejectsWith(new DnsResolver({ url: DOH_URL }).resolve('www.example.com'), 'ECONNREFUSED', /unreachable/);
+});
@@ -0,0 +1,336 @@
+// DNS-over-HTTPS resolver.
+//
+// Looks up A and AAAA records through a DoH endpoint, either with the JSON
+// API (application/dns-json) or the RFC 8484 wire format
+// (application/dns-message). The resolver URL is configurable so a local
+// stand-in can answer instead of a public resolver.
+
+export const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+
+export type DnsFormat = 'json' | 'wire';
+
+// Which returned address the ping lines report
+export type AddressStrategy = 'ipv4' | 'ipv6' | 'first' | 'random';
+
+export interface ResolvedAddress {
+  address: string;
+  family: 4 | 6;
+  // null when the resolver does not say (the system resolver)
+  ttl: number | null;
+}
+
+export interface Resolution {
+  hostname: string;
+  addresses: ResolvedAddress[];
+  aliases: string[];
+  ttl: number | null;
+  time: number;
+}
+
+// What the engine looks hosts up with: DNS-over-HTTPS here, the operating
+// system's resolver on the command line.
+export interface HostResolver {
+  // Named in the "Resolving ... via" line
+  label: string;
+  // True when it answers for this machine, so an unknown name cannot be
+  // reached; a public DoH resolver does not see intranet names
+  system: boolean;
+  resolve(hostname: string): Promise<Resolution>;
+}
+
+interface DnsAnswer {
+  name: string;
+  type: number;
+  TTL: number;
+  data: string;
+}
+
+interface DnsResponse {
+  Status: number;
+  Answer?: DnsAnswer[];
+}
+
+const RECORD_TYPES = { A: 1, CNAME: 5, AAAA: 28 };
+
+const RCODE_MESSAGES: Record<number, string> = {
+  1: 'Format error',
+  2: 'Server failure',
+  3: 'Name or service not known',
+  4: 'Not implemented',
+  5: 'Query refused',
+};
+
+export class DnsError extends Error {
+  code: string;
+
+  constructor(code: string, message: string) {
+    super(message);
+    this.name = 'DnsError';
+    this.code = code;
+  }
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function encodeQuery(hostname: string, type: 'A' | 'AAAA'): Uint8Array {
+  const labels = hostname.replace(/\.$/, '').split('.');
+  const length = 12 + labels.reduce((sum, label) => sum + label.length + 1, 0) + 1 + 4;
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+
+  // ID 0 as recommended by RFC 8484 for cache friendliness, RD flag set
+  view.setUint16(0, 0);
+  view.setUint16(2, 0x0100);
+  view.setUint16(4, 1);
+
+  let offset = 12;
+  labels.forEach(label => {
+    bytes[offset++] = label.length;
+    for (let i = 0; i < label.length; i++) {
+      bytes[offset++] = label.charCodeAt(i);
+    }
+  });
+  bytes[offset++] = 0;
+
+  view.setUint16(offset, RECORD_TYPES[type]);
+  view.setUint16(offset + 2, 1);
+
+  return bytes;
+}
+
+function truncated(): DnsError {
+  return new DnsError('EFORMERR', 'Malformed DNS response (truncated)');
+}
+
+function readName(bytes: Uint8Array, offset: number): { name: string; next: number } {
+  const labels: string[] = [];
+  let jumped = false;
+  let next = offset;
+
+  for (let guard = 0; guard < 128; guard++) {
+    if (offset >= bytes.length) {
+      throw truncated();
+    }
+    const length = bytes[offset];
+    if (length === 0) {
+      if (!jumped) next = offset + 1;
+      return { name: labels.join('.'), next };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (!jumped) next = offset + 2;
+      offset = ((length & 0x3f) << 8) | bytes[offset + 1];
+      jumped = true;
+      continue;
+    }
+    labels.push(String.fromCharCode(...bytes.subarray(offset + 1, offset + 1 + length)));
+    offset += length + 1;
+  }
+
+  throw new DnsError('EFORMERR', 'Malformed DNS response');
+}
+
+function formatIPv6(bytes: Uint8Array): string {
+  const groups: string[] = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  // Compress the longest run of zero groups, as in RFC 5952
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+}
+
+export function decodeResponse(buffer: ArrayBuffer): DnsResponse {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 12) {
+    throw truncated();
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const rcode = view.getUint16(2) & 0x000f;
+  const questionCount = view.getUint16(4);
+  const answerCount = view.getUint16(6);
+
+  let offset = 12;
+  for (let i = 0; i < questionCount; i++) {
+    offset = readName(bytes, offset).next + 4;
+  }
+
+  const answers: DnsAnswer[] = [];
+  for (let i = 0; i < answerCount; i++) {
+    const { name, next } = readName(bytes, offset);
+    if (next + 10 > bytes.length) {
+      throw truncated();
+    }
+    const type = view.getUint16(next);
+    const ttl = view.getUint32(next + 4);
+    const length = view.getUint16(next + 8);
+    if (next + 10 + length > bytes.length) {
+      throw truncated();
+    }
+    const data = bytes.subarray(next + 10, next + 10 + length);
+
+    if (type === RECORD_TYPES.A) {
+      answers.push({ name, type, TTL: ttl, data: Array.from(data).join('.') });
+    } else if (type === RECORD_TYPES.AAAA) {
+      answers.push({ name, type, TTL: ttl, data: formatIPv6(data) });
+    } else if (type === RECORD_TYPES.CNAME) {
+      answers.push({ name, type, TTL: ttl, data: readName(bytes, next + 10).name });
+    }
+
+    offset = next + 10 + length;
+  }
+
+  return { Status: rcode, Answer: answers };
+}
+
+export class DnsResolver implements HostResolver {
+  url: string;
+  format: DnsFormat;
+  timeout: number;
+  system = false;
+
+  constructor({ url = DEFAULT_DOH_URL, format = 'json', timeout = 3000 }: { url?: string; format?: DnsFormat; timeout?: number } = {}) {
+    this.url = url;
+    this.format = format;
+    this.timeout = timeout;
+  }
+
+  get label(): string {
+    return `${this.url} (${this.format === 'wire' ? 'RFC 8484' : 'JSON'})`;
+  }
+
+  async query(hostname: string, type: 'A' | 'AAAA', signal: AbortSignal): Promise<DnsResponse> {
+    const endpoint = new URL(this.url);
+    let response;
+
+    if (this.format === 'wire') {
+      endpoint.searchParams.set('dns', base64UrlEncode(encodeQuery(hostname, type)));
+      response = await fetch(endpoint, { headers: { Accept: 'application/dns-message' }, signal });
+    } else {
+      endpoint.searchParams.set('name', hostname);
+      endpoint.searchParams.set('type', type);
+      response = await fetch(endpoint, { headers: { Accept: 'application/dns-json' }, signal });
+    }
+
+    if (!response.ok) {
+      throw new DnsError('ESERVFAIL', `Resolver returned HTTP ${response.status}`);
+    }
+
+    // An answer that cannot be read says nothing about whether the resolver
+    // is reachable, so it gets its own code rather than ECONNREFUSED
+    let answer: DnsResponse;
+    try {
+      answer = this.format === 'wire'
+        ? decodeResponse(await response.arrayBuffer())
+        : await response.json();
+    } catch (error) {
+      if (error instanceof DnsError || (error as Error).name === 'AbortError') {
+        throw error;
+      }
+      throw new DnsError('EFORMERR', `Malformed DNS response from ${this.url} (${(error as Error).message})`);
+    }
+    if (!answer || typeof answer.Status !== 'number' || (answer.Answer !== undefined && !Array.isArray(answer.Answer))) {
+      throw new DnsError('EFORMERR', `Malformed DNS response from ${this.url} (no Status or Answer list)`);
+    }
+    return answer;
+  }
+
+  // Resolves A and AAAA records in parallel. Resolves with every returned
+  // address, the CNAME chain, the lowest TTL and the lookup time in ms.
+  async resolve(hostname: string): Promise<Resolution> {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const startTime = performance.now();
+
+    let results: DnsResponse[];
+    try {
+      results = await Promise.all([
+        this.query(hostname, 'A', controller.signal),
+        this.query(hostname, 'AAAA', controller.signal),
+      ]);
+    } catch (error) {
+      if (error instanceof DnsError) {
+        throw error;
+      }
+      if ((error as Error).name === 'AbortError') {
+        throw new DnsError('ETIMEOUT', 'DNS resolution timeout');
+      }
+      throw new DnsError('ECONNREFUSED', `DNS-over-HTTPS resolver unreachable (${this.url})`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const time = performance.now() - startTime;
+    const failed = results.find(result => result.Status !== 0);
+    if (failed && results.every(result => result.Status !== 0)) {
+      throw new DnsError(failed.Status === 3 ? 'ENOTFOUND' : 'ESERVFAIL',
+        RCODE_MESSAGES[failed.Status] || `DNS error (rcode ${failed.Status})`);
+    }
+
+    const addresses: ResolvedAddress[] = [];
+    const aliases: string[] = [];
+    results.forEach(result => {
+      (result.Answer || []).forEach(answer => {
+        if (answer.type === RECORD_TYPES.A || answer.type === RECORD_TYPES.AAAA) {
+          if (!addresses.some(entry => entry.address === answer.data)) {
+            addresses.push({
+              address: answer.data,
+              family: answer.type === RECORD_TYPES.A ? 4 : 6,
+              ttl: answer.TTL,
+            });
+          }
+        } else if (answer.type === RECORD_TYPES.CNAME && !aliases.includes(answer.data.replace(/\.$/, ''))) {
+          aliases.push(answer.data.replace(/\.$/, ''));
+        }
+      });
+    });
+
+    if (addresses.length === 0) {
+      throw new DnsError('ENODATA', 'No address associated with hostname');
+    }
+
+    return {
+      hostname,
+      addresses,
+      aliases,
+      ttl: Math.min(...addresses.map(entry => entry.ttl as number)),
+      time,
+    };
+  }
+}
+
+// Picks the address to report from a resolution result. 'ipv4' (default)
+// and 'ipv6' fall back to the other family.
+export function pickAddress(addresses: ResolvedAddress[], strategy: AddressStrategy = 'ipv4'): string | null {
+  if (addresses.length === 0) {
+    return null;
+  }
+
+  switch (strategy) {
+    case 'ipv6':
+      return (addresses.find(entry => entry.family === 6) || addresses[0]).address;
+    case 'first':
+      return addresses[0].address;
+    case 'random':
+      return addresses[Math.floor(Math.random() * addresses.length)].address;
+    default:
+      return (addresses.find(entry => entry.family === 4) || addresses[0]).address;
+  }
+}
@@ -0,0 +1,508 @@
+// Single-target ping engine.
+//
+// Runs a ping session from a PingConfig without touching the page: it
+// resolves the host, sends the pings, keeps the statistics and alert state,
+// and reports everything as events. The React app and the command line
+// subscribe to the same events and only differ in how they show them.
+
+import { AlertMonitor } from './alerts.ts';
+import type { AlertEpisode, WindowSummary } from './alerts.ts';
+import { clock, nextDue, pageHidden, SLEEP_GAP } from './clock.ts';
+import { CompanionClient } from './companion.ts';
+import { defaultPingConfig, mergeConfig, validateConfig, withoutSecrets } from './config.ts';
+import type { PingConfig } from './config.ts';
+import { DnsResolver, pickAddress } from './dns.ts';
+import type { HostResolver, Resolution } from './dns.ts';
+import { Emitter } from './events.ts';
+import { corsHelpLines, formatUrlError, hiddenRedirectHelpLines, line } from './format.ts';
+import type { TerminalLine } from './format.ts';
+import { probe } from './probe.ts';
+import type { ProbeResult } from './probe.ts';
+import { isWebSocketUrl, probeEventStream, probeWebSocket } from './realtime.ts';
+import { isReceived, recordsWithoutSecrets } from './session.ts';
+import type { Outcome, PingRecord, Session } from './session.ts';
+import { RttStatistics } from './stats.ts';
+import type { RttSummary } from './stats.ts';
+import { PhaseStatistics } from './timing.ts';
+import type { PhaseSummary } from './timing.ts';
+import { traceRedirects } from './trace.ts';
+import { httpFallback, isLocalhost, parseTargetUrl, UrlError } from './url.ts';
+import type { ParsedUrl } from './url.ts';
+
+// Continuous runs keep only the newest pings in memory
+export const MAX_RECORDS = 100000;
+
+export type ResolveEvent =
+  | { phase: 'lookup'; hostname: string; resolver: string }
+  | { phase: 'resolved'; hostname: string; resolution: Resolution; address: string }
+  | { phase: 'failed'; hostname: string; code: string; message: string; fatal: boolean };
+
+export interface AlertEvent {
+  // 'close' marks episodes still open when the run ends, without a recovery
+  type: 'start' | 'end' | 'close';
+  episode: AlertEpisode;
+  host: string;
+}
+
+export interface AssertionTally {
+  checked: number;
+  failed: number;
+}
+
+export interface RunSnapshot {
+  host: string | null;
+  address: string | null;
+  sent: number;
+  received: number;
+  // Finished pings by outcome
+  outcomes: Partial<Record<Outcome, number>>;
+  rtt: RttSummary | null;
+  // WebSocket handshakes or SSE response headers, and gaps between events
+  connect: RttSummary | null;
+  gaps: RttSummary | null;
+  timing: PhaseSummary;
+  // Rolling window of a live run (null for loaded sessions)
+  window: WindowSummary | null;
+  continuous: boolean;
+  episodes: AlertEpisode[];
+  assertionFailures: number;
+  assertionTallies: AssertionTally[];
+}
+
+// 'failed' runs ended before the first ping (bad input, unknown host)
+export type DoneReason = 'completed' | 'stopped' | 'failed' | 'loaded';
+
+export interface EngineEvents {
+  start: { config: PingConfig; startedAt: number };
+  notice: TerminalLine;
+  companion: { available: boolean; url: string };
+  resolve: ResolveEvent;
+  // result is null for pings replayed from a saved session
+  ping: { record: PingRecord; result: ProbeResult | null };
+  stats: RunSnapshot;
+  alert: AlertEvent;
+  reset: RunSnapshot;
+  done: { reason: DoneReason; snapshot: RunSnapshot };
+}
+
+export class PingEngine extends Emitter<EngineEvents> {
+  companion: CompanionClient;
+  running = false;
+  config: PingConfig = defaultPingConfig();
+  records: PingRecord[] = [];
+  target: { host: string | null; address: string | null } = { host: null, address: null };
+  startedAt: number | null = null;
+
+  private resolver: HostResolver | null;
+  private sent = 0;
+  private received = 0;
+  private outcomes: Partial<Record<Outcome, number>> = {};
+  private rttStats = new RttStatistics();
+  private connectStats = new RttStatistics();
+  private gapStats = new RttStatistics();
+  private timingStats = new PhaseStatistics();
+  private assertionTallies: AssertionTally[] = [];
+  private assertionFailures = 0;
+  private monitor: AlertMonitor | null = null;
+  // Bumped whenever a run ends, so a stale await drops its result
+  private runId = 0;
+  private wake: (() => void) | null = null;
+  private timer: number | null = null;
+  // Opaque redirects are explained once per run
+  private hiddenRedirectExplained = false;
+
+  // `resolver` replaces the DNS-over-HTTPS one from the config (the command
+  // line passes the system resolver)
+  constructor({ companion = new CompanionClient(), resolver = null }: { companion?: CompanionClient; resolver?: HostResolver | null } = {}) {
+    super();
+    this.companion = companion;
+    this.resolver = resolver;
+  }
+
+  async detectCompanion(url = this.config.companionUrl): Promise<boolean> {
+    this.companion.setBaseUrl(url);
+    const available = await this.companion.detect();
+    this.emit('companion', { available, url: this.companion.baseUrl });
+    return available;
+  }
+
+  snapshot(): RunSnapshot {
+    return {
+      host: this.target.host,
+      address: this.target.address,
+      sent: this.sent,
+      received: this.received,
+      outcomes: { ...this.outcomes },
+      rtt: this.rttStats.count > 0 ? this.rttStats.summary() : null,
+      connect: this.connectStats.count > 0 ? this.connectStats.summary() : null,
+      gaps: this.gapStats.count > 0 ? this.gapStats.summary() : null,
+      timing: this.timingStats.summary(),
+      window: this.monitor ? this.monitor.windowSummary() : null,
+      continuous: this.config.continuous,
+      episodes: this.monitor ? [...this.monitor.episodes] : [],
+      assertionFailures: this.assertionFailures,
+      assertionTallies: [...this.assertionTallies],
+    };
+  }
+
+  // The current session in the shape session.ts exports, without the
+  // credentials its requests carried.
+  session(): Session {
+    return {
+      config: withoutSecrets(this.config),
+      target: { host: this.target.host || 'session', address: this.target.address },
+      records: recordsWithoutSecrets(this.records, this.config),
+    };
+  }
+
+  // Runs one ping session and resolves with its final figures once it is
+  // done, stopped or rejected.
+  async run(config: PingConfig): Promise<RunSnapshot> {
+    if (this.running) {
+      throw new Error('A ping run is already in progress');
+    }
+
+    const id = ++this.runId;
+    this.clearSession();
+    this.config = config;
+    this.running = true;
+    this.startedAt = Date.now();
+    this.emit('start', { config, startedAt: this.startedAt });
+    this.emit('stats', this.snapshot());
+
+    try {
+      return await this.pingSession(id, config);
+    } finally {
+      // A run that threw still ends, so the next one can start
+      if (id === this.runId && this.running) {
+        this.finish('failed');
+      }
+    }
+  }
+
+  private async pingSession(id: number, config: PingConfig): Promise<RunSnapshot> {
+    const url = config.url.trim();
+    if (!url) {
+      this.notice('Error: Please enter a target URL or IP address', 'error');
+      return this.finish('failed');
+    }
+
+    let parsedUrl: ParsedUrl;
+    try {
+      parsedUrl = parseTargetUrl(url);
+    } catch (error) {
+      if (!(error instanceof UrlError)) {
+        throw error;
+      }
+      formatUrlError(error).forEach(help => this.emit('notice', help));
+      return this.finish('failed');
+    }
+    this.target.host = parsedUrl.hostname;
+
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+      problems.forEach(problem => this.notice(`Error: ${problem}`, 'error'));
+      return this.finish('failed');
+    }
+
+    this.monitor = new AlertMonitor(config.alerts, config.window);
+
+    // Route through the companion proxy whenever it is reachable
+    const viaCompanion = await this.detectCompanion(config.companionUrl);
+    if (id !== this.runId) {
+      return this.snapshot();
+    }
+    const realtime = isWebSocketUrl(parsedUrl.fullUrl) || config.eventStream;
+    if (viaCompanion && !this.companion.direct) {
+      this.notice(`Using companion proxy at ${this.companion.baseUrl}${realtime ? ' (not for WebSocket or SSE pings)' : ''}`, 'info');
+    }
+
+    if (parsedUrl.address) {
+      this.target.address = parsedUrl.address;
+    } else {
+      if (parsedUrl.displayHost !== parsedUrl.hostname) {
+        this.notice(`${parsedUrl.displayHost} is ${parsedUrl.hostname} in DNS (IDN)`, 'info');
+      }
+      const resolved = await this.resolveHost(parsedUrl.hostname);
+      if (id !== this.runId) {
+        return this.snapshot();
+      }
+      if (!resolved) {
+        return this.finish('failed');
+      }
+    }
+    // Once the address is known, as ping prints it
+    this.notice(`PING ${parsedUrl.displayUrl} (${this.target.address})`, 'info');
+
+    if (parsedUrl.protocol === 'https:' && config.ignoreSsl) {
+      this.notice('SSL certificate verification disabled (-k flag)', 'warning');
+    }
+    if (config.traceRedirects) {
+      this.notice(`Tracing redirects hop by hop, up to ${config.maxHops} hops (--trace)`, 'info');
+    } else if (config.followRedirects) {
+      this.notice('Following redirects enabled (-L flag)', 'info');
+    }
+    if (isWebSocketUrl(parsedUrl.fullUrl)) {
+      this.notice(`WebSocket: connect, then time the echo of "${config.wsMessage}"`, 'info');
+    } else if (config.eventStream) {
+      this.notice(`Server-Sent Events: time to the first event, then the gaps up to ${config.sseEvents} events (--sse)`, 'info');
+    }
+    if (config.continuous) {
+      this.notice('Pinging until stopped (-t flag)', 'info');
+    }
+    this.notice('');
+
+    // A scheme chosen here may be swapped for http:// at the first ping
+    let target = parsedUrl.fullUrl;
+    let fallback = config.eventStream ? null : httpFallback(parsedUrl);
+    // Pings are due on a fixed grid, timed in wall-clock time as well so a
+    // sleeping machine shows up as a late wake-up
+    let due = performance.now();
+    let dueAt = Date.now();
+    for (let i = 0; (config.continuous || i < config.count) && id === this.runId; i++) {
+      target = await this.ping(id, target, i + 1, dueAt, fallback);
+      fallback = null;
+
+      if ((config.continuous || i < config.count - 1) && id === this.runId) {
+        const now = performance.now();
+        due = nextDue(due, config.interval, now);
+        dueAt = Date.now() + Math.round(due - now);
+        await this.sleep(due - now);
+      }
+    }
+
+    return id === this.runId ? this.finish('completed') : this.snapshot();
+  }
+
+  // Ends the current run; a ping still in flight is dropped.
+  stop(): void {
+    if (this.running) {
+      this.finish('stopped');
+    }
+  }
+
+  // Clears the figures without starting a run.
+  reset(): void {
+    if (!this.running) {
+      this.clearSession();
+      this.emit('reset', this.snapshot());
+    }
+  }
+
+  // Replays a saved or imported session through the same events as a live
+  // run, without alerts.
+  load(session: Session): RunSnapshot {
+    this.stop();
+    this.clearSession();
+    this.config = mergeConfig(defaultPingConfig(), session.config);
+    this.target = { host: session.target.host, address: session.target.address };
+    this.emit('reset', this.snapshot());
+
+    const url = session.config.url || (session.records[0] && session.records[0].url) || session.target.host;
+    this.notice(`PING ${url}${session.target.address ? ` (${session.target.address})` : ''}`, 'info');
+    this.notice('');
+
+    session.records.forEach(record => {
+      this.sent++;
+      this.report(record, null);
+    });
+
+    const snapshot = this.snapshot();
+    this.emit('stats', snapshot);
+    this.emit('done', { reason: 'loaded', snapshot });
+    return snapshot;
+  }
+
+  private notice(text: string, type: TerminalLine['type'] = ''): void {
+    this.emit('notice', line(text, type));
+  }
+
+  private clearSession(): void {
+    this.sent = 0;
+    this.received = 0;
+    this.outcomes = {};
+    this.rttStats.reset();
+    this.connectStats.reset();
+    this.gapStats.reset();
+    this.timingStats.reset();
+    this.records = [];
+    this.assertionTallies = [];
+    this.assertionFailures = 0;
+    this.monitor = null;
+    this.hiddenRedirectExplained = false;
+    this.target = { host: null, address: null };
+  }
+
+  // Looks up the host and picks the address to report. Returns false when
+  // the system resolver does not know the name; anything else only warns.
+  private async resolveHost(hostname: string): Promise<boolean> {
+    const { dns } = this.config;
+    const resolver = this.resolver || new DnsResolver({ url: dns.url.trim() || undefined, format: dns.format });
+    if (!resolver.system && isLocalhost(hostname)) {
+      // Never sent to a public resolver; the browser answers it itself
+      this.target.address = hostname;
+      return true;
+    }
+    this.emit('resolve', { phase: 'lookup', hostname, resolver: resolver.label });
+
+    try {
+      const resolution = await resolver.resolve(hostname);
+      const address = pickAddress(resolution.addresses, dns.pick) as string;
+      this.target.address = address;
+      this.emit('resolve', { phase: 'resolved', hostname, resolution, address });
+      return true;
+    } catch (error) {
+      const { code = 'EDNS', message } = error as Error & { code?: string };
+      const fatal = resolver.system && (code === 'ENOTFOUND' || code === 'ENODATA');
+      this.emit('resolve', { phase: 'failed', hostname, code, message, fatal });
+      if (!fatal) {
+        this.target.address = hostname;
+      }
+      return !fatal;
+    }
+  }
+
+  // `dueAt` is when the ping was scheduled (epoch ms).
+  // Resolves with the URL for the next ping: `url`, or `fallback` when
+  // `url` could not connect and the fallback answered instead.
+  private async ping(id: number, url: string, sequence: number, dueAt: number, fallback: string | null = null): Promise<string> {
+    const { config } = this;
+    const asleep = Date.now() - dueAt > SLEEP_GAP;
+    const hidden = pageHidden();
+    this.sent++;
+    this.emit('stats', this.snapshot());
+
+    const send = (target: string): Promise<ProbeResult> => {
+      const options = {
+        url: target,
+        method: config.method,
+        sequence,
+        timeout: config.timeout,
+        followRedirects: config.followRedirects,
+        insecure: config.ignoreSsl,
+        request: config.request,
+        assertions: config.assertions,
+        address: this.target.address,
+        companion: this.companion,
+      };
+      if (isWebSocketUrl(target)) {
+        return probeWebSocket({ ...options, message: config.wsMessage });
+      } else if (config.eventStream) {
+        return probeEventStream({ ...options, events: config.sseEvents });
+      } else if (config.traceRedirects) {
+        return traceRedirects({ ...options, maxHops: config.maxHops });
+      }
+      return probe(options);
+    };
+    let result = await send(url);
+    if (id !== this.runId) {
+      return url;
+    }
+
+    if (fallback && result.record.outcome === 'network-error' && !result.companionLost) {
+      const retry = await send(fallback);
+      if (id !== this.runId) {
+        return url;
+      }
+      if (retry.record.outcome !== 'network-error' && retry.record.outcome !== 'timeout') {
+        this.notice(`HTTPS failed (${(result.record.message || 'no connection').trim()}); falling back to ${fallback}`, 'warning');
+        result = retry;
+        url = fallback;
+      }
+    }
+
+    Object.assign(result.record, { scheduledAt: dueAt, hidden: hidden || pageHidden(), asleep });
+    this.report(result.record, result);
+    this.emit('stats', this.snapshot());
+
+    if (result.companionLost) {
+      this.emit('companion', { available: false, url: this.companion.baseUrl });
+      this.notice('Companion proxy went away, falling back to direct requests', 'warning');
+    }
+    if (result.trace && result.trace.hidden && !this.hiddenRedirectExplained) {
+      this.hiddenRedirectExplained = true;
+      hiddenRedirectHelpLines(this.companion.baseUrl).forEach(help => this.emit('notice', help));
+    }
+    if (result.record.outcome === 'cors-blocked') {
+      // Every other ping would be blocked the same way
+      corsHelpLines(this.companion.baseUrl).forEach(help => this.emit('notice', help));
+      this.stop();
+    } else if (result.record.outcome === 'network-error' && !result.companionLost && !config.keepGoing) {
+      this.notice('Stopped at a network error; turn on "Keep going" (--keep-going) to ping through them', 'warning');
+      this.stop();
+    }
+
+    return url;
+  }
+
+  // Stores a finished ping and feeds the statistics and alert rules
+  private report(record: PingRecord, result: ProbeResult | null): void {
+    this.records.push(record);
+    if (this.records.length > MAX_RECORDS) {
+      this.records.splice(0, this.records.length - MAX_RECORDS);
+    }
+
+    this.outcomes[record.outcome] = (this.outcomes[record.outcome] || 0) + 1;
+    if (isReceived(record)) {
+      this.received++;
+      this.rttStats.add(record.time as number);
+    }
+    if (record.timing) {
+      this.timingStats.add(record.timing);
+    }
+    if (record.realtime) {
+      if (record.realtime.connect !== null) this.connectStats.add(record.realtime.connect);
+      record.realtime.gaps.forEach(gap => this.gapStats.add(gap));
+    }
+    if (record.outcome === 'assertion-failed') {
+      this.assertionFailures++;
+    }
+    if (record.assertions) {
+      record.assertions.forEach((check, index) => {
+        const tally = this.assertionTallies[index] || (this.assertionTallies[index] = { checked: 0, failed: 0 });
+        tally.checked++;
+        if (!check.passed) tally.failed++;
+      });
+    }
+
+    this.emit('ping', { record, result });
+
+    if (this.monitor) {
+      const changes = this.monitor.add({
+        ok: isReceived(record),
+        time: record.time,
+        sequence: record.sequence,
+        timestamp: record.timestamp,
+      });
+      changes.forEach(({ type, episode }) => this.emit('alert', { type, episode, host: this.target.host || '' }));
+    }
+  }
+
+  private sleep(ms: number): Promise<void> {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = clock.setTimeout(resolve, Math.max(0, ms));
+    });
+  }
+
+  private finish(reason: DoneReason): RunSnapshot {
+    this.runId++;
+    this.running = false;
+    clock.clearTimeout(this.timer);
+    this.timer = null;
+    if (this.wake) {
+      this.wake();
+      this.wake = null;
+    }
+
+    if (this.monitor) {
+      this.monitor.closeAll(Date.now(), this.sent)
+        .forEach(episode => this.emit('alert', { type: 'close', episode, host: this.target.host || '' }));
+    }
+
+    const snapshot = this.snapshot();
+    this.emit('stats', snapshot);
+    this.emit('done', { reason, snapshot });
+    return snapshot;
+  }
+}
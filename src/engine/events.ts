@@ -0,0 +1,30 @@
+// Minimal typed event emitter for the engines.
+//
+// `on` returns an unsubscribe function so React effects can hand it back as
+// their cleanup.
+
+export type Listener<T> = (payload: T) => void;
+
+export class Emitter<Events> {
+  private listeners: { [K in keyof Events]?: Set<Listener<Events[K]>> } = {};
+
+  on<K extends keyof Events>(type: K, listener: Listener<Events[K]>): () => void {
+    const listeners = this.listeners[type] || (this.listeners[type] = new Set());
+    listeners.add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off<K extends keyof Events>(type: K, listener: Listener<Events[K]>): void {
+    const listeners = this.listeners[type];
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  protected emit<K extends keyof Events>(type: K, payload: Events[K]): void {
+    const listeners = this.listeners[type];
+    if (listeners) {
+      listeners.forEach(listener => listener(payload));
+    }
+  }
+}
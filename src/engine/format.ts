@@ -0,0 +1,364 @@
+// Terminal wording of the engine's events, in ping's own style.
+//
+// Shared by every front end so the page and the command line print the same
+// lines for the same run.
+
+import { formatPeak } from './alerts.ts';
+import type { AlertEpisode } from './alerts.ts';
+import { describeAssertion } from './assertions.ts';
+import type { Assertion } from './assertions.ts';
+import type { ResolveEvent, RunSnapshot } from './engine.ts';
+import type { LoadInterval, LoadReport } from './load.ts';
+import type { ProbeResult } from './probe.ts';
+import type { MonitorRow } from './sync.ts';
+import { isReceivedOutcome, OUTCOMES } from './session.ts';
+import type { Outcome, PingRecord, RealtimeTiming } from './session.ts';
+import { formatPhases, TIMING_PHASES } from './timing.ts';
+import type { UrlError } from './url.ts';
+
+export type LineType = '' | 'success' | 'warning' | 'error' | 'info' | 'dns';
+
+export interface TerminalLine {
+  text: string;
+  type: LineType;
+}
+
+export function line(text: string, type: LineType = ''): TerminalLine {
+  return { text, type };
+}
+
+// The main line for a record, with a note when the sample may be skewed.
+export function formatPingLine(record: PingRecord): TerminalLine {
+  const { text, type } = pingLine(record);
+  const notes = [record.hidden && 'page hidden', record.asleep && 'after sleep'].filter(Boolean);
+  return notes.length > 0 ? line(`${text} [${notes.join(', ')}]`, type) : line(text, type);
+}
+
+// A scheduled check: the ping line with the target's name in front.
+export function formatCheckLine(label: string, record: PingRecord): TerminalLine {
+  const { text, type } = formatPingLine(record);
+  return line(`[${label}] ${text}`, type);
+}
+
+// A teammate's monitor that went down or came back.
+export function formatTeamChange(row: MonitorRow): TerminalLine {
+  const detail = row.state === 'down' && row.message ? ` (${row.message})` : '';
+  const types: Record<MonitorRow['state'], LineType> = { up: 'success', degraded: 'warning', down: 'error', idle: 'info' };
+  return line(`[team] ${row.member}: ${row.name} (${row.method} ${row.url}) is ${row.state}${detail}`, types[row.state]);
+}
+
+// "WebSocket echo, connect=12ms" or "first event, gaps=1002/998ms".
+function realtimeNote(record: PingRecord): string {
+  const { kind, connect, gaps } = record.realtime as RealtimeTiming;
+  const note = kind === 'websocket'
+    ? `WebSocket echo, connect=${connect}ms`
+    : `first event${gaps.length > 0 ? `, gaps=${gaps.join('/')}ms` : ''}`;
+  return record.message ? `${note} (${record.message})` : note;
+}
+
+function pingLine(record: PingRecord): TerminalLine {
+  const from = record.address || 'unknown';
+  const status = `HTTP/${record.status} ${record.statusText}`.trimEnd();
+  const reply = `${record.size ?? 64} bytes from ${from}: seq=${record.sequence} time=${Math.round(record.time ?? 0)}ms`;
+
+  switch (record.outcome) {
+    case 'success':
+      return line(`${reply} ${record.realtime ? realtimeNote(record) : status}`, 'success');
+    case 'http-error':
+      return line(`${reply} ${status}${record.message ? ` (${record.message})` : ''}`, 'error');
+    case 'redirect':
+      return line(
+        `${reply}${record.status ? ` ${status}` : ''} (${record.message || `redirect to ${record.headers.location || 'unknown'}`})`,
+        'warning',
+      );
+    case 'opaque':
+      return line(`${reply} (no-cors mode - status unknown)`, 'warning');
+    case 'assertion-failed':
+      return line(`${reply} ${status} (assertion failed: ${record.message})`, 'error');
+    default:
+      return line(`From ${from}: seq=${record.sequence} ${record.message}`, 'error');
+  }
+}
+
+// Request and response headers plus the timing breakdown (-v).
+export function formatVerbose(result: ProbeResult): TerminalLine[] {
+  const { record, payload } = result;
+  const lines: TerminalLine[] = [];
+
+  if (result.noCors) {
+    lines.push(line('Note: no-cors mode prevents reading response details', 'info'));
+  } else if (record.status > 0) {
+    const url = new URL(payload.url);
+    lines.push(line(`> ${record.method} ${url.pathname} HTTP/1.1`, 'info'));
+    lines.push(line(`> Host: ${url.hostname}`, 'info'));
+    Object.entries(payload.headers).forEach(([name, value]) => lines.push(line(`> ${name}: ${value}`, 'info')));
+    lines.push(line(`< HTTP/${result.httpVersion} ${record.status} ${record.statusText}`, 'info'));
+    Object.entries(record.headers).forEach(([name, value]) => lines.push(line(`< ${name}: ${value}`, 'info')));
+  }
+  if (record.timing) {
+    lines.push(line(`* timing: ${formatPhases(record.timing)}`, 'info'));
+  }
+  if (record.scheduledAt) {
+    lines.push(line(`* sent ${Math.max(0, record.timestamp - record.scheduledAt)}ms after it was due`, 'info'));
+  }
+  return lines;
+}
+
+export function formatResolve(event: ResolveEvent): TerminalLine[] {
+  switch (event.phase) {
+    case 'lookup':
+      return [line(`Resolving ${event.hostname} via ${event.resolver}...`, 'dns')];
+    case 'resolved': {
+      const { hostname, resolution, address } = event;
+      const count = resolution.addresses.length;
+      const ttl = (value: number | null, label: string) => (value === null ? '' : ` (${label}=${value}s)`);
+      return [
+        ...resolution.aliases.map(alias => line(`${hostname} is an alias for ${alias}`, 'dns')),
+        ...resolution.addresses.map(entry => line(
+          `${hostname} has ${entry.family === 6 ? 'IPv6 address' : 'address'} ${entry.address}${ttl(entry.ttl, 'ttl')}`,
+          'dns',
+        )),
+        line(
+          `Resolved ${count} address${count === 1 ? '' : 'es'} in ${Math.round(resolution.time)}ms${ttl(resolution.ttl, 'min ttl')}, using ${address}`,
+          'dns',
+        ),
+      ];
+    }
+    default:
+      if (event.fatal) {
+        return [line(`ping: cannot resolve ${event.hostname}: ${event.message}`, 'error')];
+      }
+      // A public resolver does not know intranet or /etc/hosts names, and
+      // a failing resolver says nothing about the host: ping it anyway
+      return event.code === 'ENOTFOUND' || event.code === 'ENODATA'
+        ? [line(`Warning: ${event.hostname}: ${event.message} (DNS-over-HTTPS), pinging it anyway`, 'warning')]
+        : [line(`Warning: ${event.message}, continuing without an address`, 'warning')];
+  }
+}
+
+// The error, then the input with the bad part underlined.
+export function formatUrlError(error: UrlError): TerminalLine[] {
+  const width = (text: string) => Array.from(text).length;
+  const { input, start, end } = error;
+  return [
+    line(`Error: Invalid target: ${error.message}`, 'error'),
+    line(`  ${input}`, 'error'),
+    line(`  ${' '.repeat(width(input.slice(0, start)))}${'^'.repeat(width(input.slice(start, end)) || 1)}`, 'error'),
+  ];
+}
+
+export function formatAlert(type: 'start' | 'end', episode: AlertEpisode): TerminalLine {
+  return type === 'start'
+    ? line(`ALERT: ${episode.description} (seq=${episode.startSequence})`, 'error')
+    : line(`RECOVERED: ${episode.description} (seq=${episode.startSequence}-${episode.endSequence}, peak ${formatPeak(episode)})`, 'success');
+}
+
+export function corsHelpLines(companionUrl: string): TerminalLine[] {
+  return [
+    line(''),
+    line('⚠️  REQUEST BLOCKED BY THE BROWSER (CORS)', 'error'),
+    line(''),
+    line('CORS (Cross-Origin Resource Sharing) prevents this browser-based', 'warning'),
+    line('ping tool from reading responses from most websites directly.', 'warning'),
+    line(''),
+    line('Start the bundled companion proxy to ping any host:', 'info'),
+    line('npm run companion', 'info'),
+    line(`It is detected automatically at ${companionUrl}`, 'info'),
+    line(''),
+    line('Or try a CORS-enabled endpoint such as httpbin.org/get', 'info'),
+    line(''),
+  ];
+}
+
+// Printed once when the browser hides a redirect from a trace.
+export function hiddenRedirectHelpLines(companionUrl: string): TerminalLine[] {
+  return [
+    line(''),
+    line('The browser answered a redirect as "opaque": scripts may not see its', 'warning'),
+    line('status or Location, so the trace cannot follow it.', 'warning'),
+    line(`Start the companion proxy (npm run companion, detected at ${companionUrl})`, 'info'),
+    line('or use the httping command line to trace every hop.', 'info'),
+    line(''),
+  ];
+}
+
+// Hop lines of a traced ping (--trace), printed below its ping line.
+export function formatTrace(record: PingRecord): TerminalLine[] {
+  if (!record.hops || record.hops.length === 0) {
+    return [];
+  }
+
+  const lines: TerminalLine[] = [];
+  record.hops.forEach((hop, index) => {
+    const indent = ' '.repeat(`  hop ${index + 1}: `.length);
+    const time = hop.time !== null ? ` time=${Math.round(hop.time)}ms` : '';
+    const from = hop.address ? ` (${hop.address})` : '';
+    const status = hop.status ? `${hop.status} ${hop.statusText}`.trimEnd() : 'hidden by the browser';
+    const type = hop.status === 0 ? 'warning'
+      : hop.status >= 400 ? 'error'
+        : hop.status >= 300 ? 'info' : 'success';
+
+    lines.push(line(`  hop ${index + 1}: ${hop.method} ${hop.url}${from} → ${status}${time}`, type));
+    if (hop.location) {
+      const changes = hop.changes.length > 0 ? ` [${hop.changes.join(', ')}]` : '';
+      lines.push(line(`${indent}Location: ${hop.location}${changes}`, 'info'));
+    }
+    if (hop.timing && !hop.timing.restricted) {
+      lines.push(line(`${indent}${formatPhases(hop.timing)}`, 'info'));
+    }
+    hop.warnings.forEach(warning => lines.push(line(`${indent}Warning: ${warning}`, 'warning')));
+  });
+  return lines;
+}
+
+function percentiles(summary: { p50: number; p95: number; p99: number }): string {
+  return [summary.p50, summary.p95, summary.p99].map(value => value.toFixed(1)).join('/');
+}
+
+// One line per second of a load test.
+export function formatLoadInterval(interval: LoadInterval): TerminalLine {
+  const failed = interval.failed > 0 ? ` (${interval.failed} failed)` : '';
+  const latency = interval.latency ? `, latency p50/p95/p99 = ${percentiles(interval.latency)} ms` : '';
+  return line(
+    `[${String(interval.second).padStart(4)}s] ${interval.started} sent, ${interval.completed} done${failed}${latency}`,
+    interval.failed > 0 ? 'warning' : 'success',
+  );
+}
+
+// The closing block of a load test.
+export function formatLoadReport(report: LoadReport, host: string): TerminalLine[] {
+  const { settings } = report;
+  const failedShare = report.completed > 0 ? ` (${((report.failed / report.completed) * 100).toFixed(1)}%)` : '';
+  const rate = settings.rate ? `${settings.rate} req/s` : 'unthrottled';
+  const ramp = settings.rampUp ? `, ramp-up ${settings.rampUp}s` : '';
+  const unsent = report.unsent > 0 ? `, ${report.unsent} never sent (no free worker)` : '';
+  const lines: TerminalLine[] = [
+    line(`--- ${host} load test statistics ---`, 'info'),
+    line(`${settings.concurrency} workers, ${rate}${ramp}, ran ${report.elapsed.toFixed(1)}s`, 'info'),
+    line(
+      `${report.started} requests sent, ${report.completed} completed, ${report.succeeded} succeeded, ${report.failed} failed${failedShare}${unsent}`,
+      report.failed > 0 || report.unsent > 0 ? 'warning' : 'success',
+    ),
+  ];
+
+  const achieved = `${report.achievedRate.toFixed(1)} req/s`;
+  lines.push(line(report.requestedRate
+    ? `rate ${achieved} achieved of ${report.requestedRate} requested (${((report.achievedRate / report.requestedRate) * 100).toFixed(1)}%), throughput ${report.throughput.toFixed(1)} ok/s`
+    : `rate ${achieved}, throughput ${report.throughput.toFixed(1)} ok/s`, 'info'));
+
+  if (report.latency) {
+    const stats = report.latency;
+    const format = (values: number[]) => values.map(value => value.toFixed(3)).join('/');
+    const from = settings.rate ? 'from scheduled start' : 'per request';
+    lines.push(line(`latency ${from} min/avg/max = ${format([stats.min, stats.avg, stats.max])} ms`, 'info'));
+    lines.push(line(`p50/p90/p95/p99 = ${format([stats.p50, stats.p90, stats.p95, stats.p99])} ms`, 'info'));
+  }
+  if (report.service && settings.rate) {
+    lines.push(line(`request time alone p50/p95/p99 = ${percentiles(report.service)} ms`, 'info'));
+  }
+
+  const errors = Object.entries(report.errors).sort((a, b) => b[1] - a[1]);
+  if (errors.length > 0) {
+    lines.push(line('errors:', 'warning'));
+    errors.forEach(([kind, count]) => lines.push(line(`  ${kind}: ${count}`, 'warning')));
+  }
+  return lines;
+}
+
+const OUTCOME_LABELS: Record<Outcome, string> = {
+  'success': 'ok',
+  'http-error': 'HTTP error',
+  'redirect': 'redirect',
+  'opaque': 'opaque (no-cors)',
+  'timeout': 'timeout',
+  'network-error': 'network error',
+  'redirect-error': 'redirect error',
+  'cors-blocked': 'CORS blocked',
+  'assertion-failed': 'assertion failed',
+};
+
+// "8 ok, 1 timeout, 1 HTTP error", in the order of OUTCOMES.
+export function formatOutcomes(outcomes: Partial<Record<Outcome, number>>): string {
+  return OUTCOMES.filter(outcome => outcomes[outcome])
+    .map(outcome => `${outcomes[outcome]} ${OUTCOME_LABELS[outcome]}`)
+    .join(', ');
+}
+
+export function packetLoss(snapshot: RunSnapshot): number {
+  return snapshot.sent > 0 ? Math.round(((snapshot.sent - snapshot.received) / snapshot.sent) * 100) : 0;
+}
+
+// The closing `--- host ping statistics ---` block.
+export function formatStatistics(snapshot: RunSnapshot, assertions: Assertion[] = []): TerminalLine[] {
+  const lines: TerminalLine[] = [line(`--- ${snapshot.host || 'unknown'} ping statistics ---`, 'info')];
+  const loss = packetLoss(snapshot);
+  const failureNote = snapshot.assertionFailures > 0 ? `, +${snapshot.assertionFailures} failed assertions` : '';
+
+  lines.push(line(
+    `${snapshot.sent} packets transmitted, ${snapshot.received} received${failureNote}, ${loss}% packet loss`,
+    loss > 0 ? 'warning' : 'success',
+  ));
+  const breakdown = formatOutcomes(snapshot.outcomes);
+  if (breakdown) {
+    const lost = OUTCOMES.some(outcome => snapshot.outcomes[outcome] && !isReceivedOutcome(outcome));
+    lines.push(line(`outcomes: ${breakdown}`, lost ? 'warning' : 'info'));
+  }
+
+  if (snapshot.rtt) {
+    const stats = snapshot.rtt;
+    const format = (values: number[]) => values.map(value => value.toFixed(3)).join('/');
+    lines.push(line(`round-trip min/avg/max/mdev = ${format([stats.min, stats.avg, stats.max, stats.mdev])} ms`, 'info'));
+    lines.push(line(
+      `p50/p90/p95/p99 = ${format([stats.p50, stats.p90, stats.p95, stats.p99])} ms, jitter = ${stats.jitter.toFixed(3)} ms, stddev = ${stats.stddev.toFixed(3)} ms`,
+      'info',
+    ));
+  }
+
+  if (snapshot.connect) {
+    const { min, avg, max } = snapshot.connect;
+    lines.push(line(`connect min/avg/max = ${min.toFixed(3)}/${avg.toFixed(3)}/${max.toFixed(3)} ms`, 'info'));
+  }
+  if (snapshot.gaps) {
+    const { min, avg, max, jitter } = snapshot.gaps;
+    lines.push(line(`event gaps min/avg/max = ${min.toFixed(3)}/${avg.toFixed(3)}/${max.toFixed(3)} ms, jitter = ${jitter.toFixed(3)} ms`, 'info'));
+  }
+
+  const timing = snapshot.timing;
+  if (timing.samples > 0) {
+    lines.push(line(`timing breakdown over ${timing.samples} samples:`, 'info'));
+    TIMING_PHASES.forEach(phase => {
+      const summary = timing.phases[phase];
+      if (summary) {
+        const { min, avg, max } = summary;
+        lines.push(line(`  ${phase.padEnd(8)} min/avg/max = ${min.toFixed(1)}/${avg.toFixed(1)}/${max.toFixed(1)} ms`, 'info'));
+      }
+    });
+  }
+  if (timing.restricted > 0) {
+    lines.push(line(`${timing.restricted} samples without Timing-Allow-Origin: total time only, no phase breakdown`, 'warning'));
+  }
+
+  if (snapshot.window && snapshot.continuous) {
+    const recent = snapshot.window;
+    const p95 = recent.p95 !== null ? `, p95 = ${recent.p95.toFixed(3)} ms` : '';
+    lines.push(line(`last ${recent.count} pings: ${recent.loss.toFixed(1)}% packet loss${p95}`, 'info'));
+  }
+  if (snapshot.episodes.length > 0) {
+    lines.push(line(`${snapshot.episodes.length} alert episode${snapshot.episodes.length === 1 ? '' : 's'}:`, 'warning'));
+    snapshot.episodes.forEach(episode => {
+      const span = `${new Date(episode.startedAt).toLocaleTimeString()} - ${new Date(episode.endedAt ?? Date.now()).toLocaleTimeString()}`;
+      lines.push(line(`  ${span} ${episode.description} (peak ${formatPeak(episode)})`, 'warning'));
+    });
+  }
+
+  if (snapshot.assertionTallies.length > 0) {
+    lines.push(line('assertions:', 'info'));
+    snapshot.assertionTallies.forEach((tally, index) => {
+      if (!tally) return;
+      const label = assertions[index] ? describeAssertion(assertions[index]) : `assertion #${index + 1}`;
+      lines.push(line(`  ${label}: failed ${tally.failed}/${tally.checked}`, tally.failed > 0 ? 'error' : 'success'));
+    });
+  }
+
+  return lines;
+}
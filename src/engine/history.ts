@@ -0,0 +1,161 @@
+// Persistent run history in IndexedDB.
+//
+// Run metadata (name, config, target, summary) lives in the `runs` store so
+// the sidebar can list it cheaply; the per-ping records are kept separately
+// in `records`, keyed by run id, and only loaded when a run is opened.
+
+import type { PingConfig } from './config.ts';
+import { isReceived } from './session.ts';
+import type { PingRecord, SessionTarget } from './session.ts';
+import { RttStatistics } from './stats.ts';
+import type { RttSummary } from './stats.ts';
+
+const DB_NAME = 'http-ping';
+const DB_VERSION = 1;
+
+export interface RunSummary extends RttSummary {
+  sent: number;
+  received: number;
+  loss: number;
+}
+
+export interface NewRun {
+  name: string;
+  startedAt: number;
+  finishedAt: number;
+  config: Partial<PingConfig>;
+  target: SessionTarget;
+  records: PingRecord[];
+}
+
+export interface SavedRun extends Omit<NewRun, 'records'> {
+  id: number;
+  summary: RunSummary;
+}
+
+export interface StoredRun extends SavedRun {
+  records: PingRecord[];
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Computes the figures shown in the sidebar and the compare view.
+export function summarizeRecords(records: PingRecord[]): RunSummary {
+  const stats = new RttStatistics();
+  let received = 0;
+
+  records.forEach(record => {
+    if (isReceived(record)) {
+      received++;
+      stats.add(record.time as number);
+    }
+  });
+
+  const sent = records.length;
+  return {
+    sent,
+    received,
+    loss: sent > 0 ? ((sent - received) / sent) * 100 : 0,
+    ...stats.summary(),
+  };
+}
+
+export class RunHistory {
+  private indexedDB: IDBFactory | undefined;
+  private db: IDBDatabase | null = null;
+
+  constructor(indexedDB: IDBFactory | undefined = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+  }
+
+  get supported(): boolean {
+    return Boolean(this.indexedDB);
+  }
+
+  async open(): Promise<IDBDatabase> {
+    if (this.db) {
+      return this.db;
+    }
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+      runs.createIndex('startedAt', 'startedAt');
+      db.createObjectStore('records', { keyPath: 'runId' });
+    };
+
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  // Resolves with the new run id.
+  async save(run: NewRun): Promise<number> {
+    const db = await this.open();
+    const { records, ...metadata } = run;
+    const transaction = db.transaction(['runs', 'records'], 'readwrite');
+
+    const id = await promisify(transaction.objectStore('runs').add({
+      ...metadata,
+      summary: summarizeRecords(records),
+    })) as number;
+    transaction.objectStore('records').put({ runId: id, records });
+
+    await transactionDone(transaction);
+    return id;
+  }
+
+  // Newest first, without records
+  async list(): Promise<SavedRun[]> {
+    const db = await this.open();
+    const runs = await promisify(db.transaction('runs').objectStore('runs').index('startedAt').getAll());
+    return runs.reverse();
+  }
+
+  async get(id: number): Promise<StoredRun | null> {
+    const db = await this.open();
+    const transaction = db.transaction(['runs', 'records']);
+    const [run, entry] = await Promise.all([
+      promisify(transaction.objectStore('runs').get(id)),
+      promisify(transaction.objectStore('records').get(id)),
+    ]);
+
+    return run ? { ...run, records: entry ? entry.records : [] } : null;
+  }
+
+  async rename(id: number, name: string): Promise<void> {
+    const db = await this.open();
+    const transaction = db.transaction('runs', 'readwrite');
+    const store = transaction.objectStore('runs');
+    const run = await promisify(store.get(id));
+
+    if (run) {
+      store.put({ ...run, name });
+    }
+    await transactionDone(transaction);
+  }
+
+  async delete(id: number): Promise<void> {
+    const db = await this.open();
+    const transaction = db.transaction(['runs', 'records'], 'readwrite');
+    transaction.objectStore('runs').delete(id);
+    transaction.objectStore('records').delete(id);
+    await transactionDone(transaction);
+  }
+}
@@ -0,0 +1,469 @@
+// Load-test mode.
+//
+// Instead of one ping at a time, `concurrency` workers send requests for a
+// fixed duration. With a target rate the requests follow an open model:
+// arrivals are scheduled on the clock whether or not earlier responses are
+// back, a request waits for a free worker when all are busy, and its latency
+// counts from the scheduled start, so a slow server cannot hide its latency
+// by slowing the test down. Without a rate every worker sends back to back.
+// Either way the rate is ramped up over `rampUp` seconds and never exceeds
+// LOAD_LIMITS.rate.
+
+import { validateAssertions } from './assertions.ts';
+import type { Assertion } from './assertions.ts';
+import { CompanionClient } from './companion.ts';
+import type { PingConfig } from './config.ts';
+import { Emitter } from './events.ts';
+import { formatUrlError, line } from './format.ts';
+import type { TerminalLine } from './format.ts';
+import { probe } from './probe.ts';
+import { isWebSocketUrl } from './realtime.ts';
+import { validateRequestSpec } from './request.ts';
+import type { RequestSpec } from './request.ts';
+import { isReceived } from './session.ts';
+import type { PingRecord } from './session.ts';
+import { RttStatistics } from './stats.ts';
+import type { RttSummary } from './stats.ts';
+import { parseTargetUrl, UrlError } from './url.ts';
+import type { ParsedUrl } from './url.ts';
+
+export interface LoadSettings {
+  concurrency: number;
+  // Requests per second; 0 sends as fast as the workers allow
+  rate: number;
+  // Seconds
+  rampUp: number;
+  duration: number;
+}
+
+// The hard cap on what a load test may send
+export const LOAD_LIMITS = { concurrency: 50, rate: 200, duration: 600 };
+
+export function defaultLoadSettings(): LoadSettings {
+  return { concurrency: 5, rate: 0, rampUp: 0, duration: 30 };
+}
+
+export function validateLoadSettings(settings: LoadSettings): string[] {
+  const problems: string[] = [];
+  if (!(settings.concurrency >= 1 && settings.concurrency <= LOAD_LIMITS.concurrency)) {
+    problems.push(`Concurrency must be between 1 and ${LOAD_LIMITS.concurrency} workers`);
+  }
+  if (!(settings.rate >= 0 && settings.rate <= LOAD_LIMITS.rate)) {
+    problems.push(`Request rate must be between 0 (unthrottled) and ${LOAD_LIMITS.rate} per second`);
+  }
+  if (!(settings.duration >= 1 && settings.duration <= LOAD_LIMITS.duration)) {
+    problems.push(`Duration must be between 1 and ${LOAD_LIMITS.duration} seconds`);
+  }
+  if (!(settings.rampUp >= 0 && settings.rampUp <= settings.duration)) {
+    problems.push('Ramp-up must be between 0 and the duration');
+  }
+  return problems;
+}
+
+export interface LoadRequest {
+  url: string;
+  method: string;
+  timeout: number;
+  followRedirects: boolean;
+  insecure: boolean;
+  request: RequestSpec;
+  assertions: Assertion[];
+}
+
+// What a load test takes from the single-target settings.
+export function loadTestConfig(config: PingConfig): LoadRequest & LoadSettings {
+  return {
+    ...config.load,
+    url: config.url,
+    method: config.method,
+    timeout: config.timeout,
+    followRedirects: config.followRedirects,
+    insecure: config.ignoreSsl,
+    request: config.request,
+    assertions: config.assertions,
+  };
+}
+
+// One second of the run, by completion time
+export interface LoadInterval {
+  second: number;
+  started: number;
+  completed: number;
+  failed: number;
+  latency: RttSummary | null;
+}
+
+export interface LoadReport {
+  settings: LoadSettings;
+  // Seconds since the start
+  elapsed: number;
+  started: number;
+  completed: number;
+  succeeded: number;
+  failed: number;
+  // Arrivals still waiting for a worker when the run ended
+  unsent: number;
+  // Failures by outcome ("timeout", "HTTP 503", ...)
+  errors: Record<string, number>;
+  requestedRate: number | null;
+  achievedRate: number;
+  throughput: number;
+  // From the scheduled start (open model) or the send (workers)
+  latency: RttSummary | null;
+  // Request time alone
+  service: RttSummary | null;
+  intervals: LoadInterval[];
+}
+
+export type LoadDoneReason = 'completed' | 'stopped' | 'failed';
+
+export interface LoadEvents {
+  start: { config: LoadRequest & LoadSettings };
+  notice: TerminalLine;
+  interval: { interval: LoadInterval; report: LoadReport };
+  done: { reason: LoadDoneReason; report: LoadReport };
+}
+
+interface IntervalStats {
+  started: number;
+  completed: number;
+  failed: number;
+  latency: RttStatistics;
+}
+
+// Arrivals expected by `t` seconds when the rate ramps up linearly over
+// `rampUp` seconds, and its inverse: when arrival `k` is due.
+function arrivalsBy(t: number, rate: number, rampUp: number): number {
+  if (t < rampUp) {
+    return (rate * t * t) / (2 * rampUp);
+  }
+  return (rate * rampUp) / 2 + rate * (t - rampUp);
+}
+
+function arrivalTime(k: number, rate: number, rampUp: number): number {
+  const rampArrivals = (rate * rampUp) / 2;
+  if (k <= rampArrivals) {
+    return Math.sqrt((2 * k * rampUp) / rate);
+  }
+  return rampUp + (k - rampArrivals) / rate;
+}
+
+function errorKey(record: PingRecord): string {
+  return record.outcome === 'http-error' ? `HTTP ${record.status}` : record.outcome;
+}
+
+export class LoadTest extends Emitter<LoadEvents> {
+  companion: CompanionClient;
+  running = false;
+  host: string | null = null;
+
+  private config: (LoadRequest & LoadSettings) | null = null;
+  private runId = 0;
+  private startTime = 0;
+  private stopping = false;
+  private started = 0;
+  private completed = 0;
+  private succeeded = 0;
+  private errors: Record<string, number> = {};
+  private latency = new RttStatistics();
+  private service = new RttStatistics();
+  private intervals: IntervalStats[] = [];
+  // Open model: arrivals issued so far and those waiting for a worker
+  private arrivals = 0;
+  private queue: number[] = [];
+  private active = 0;
+  // Earliest time the next request may start under LOAD_LIMITS.rate
+  private nextSlot = 0;
+  // Pending timeouts, cancelled when the test ends
+  private timers = new Set<ReturnType<typeof setTimeout>>();
+  private arrivalTimer: ReturnType<typeof setTimeout> | null = null;
+  private settle: ((reason: LoadDoneReason) => void) | null = null;
+
+  constructor({ companion = new CompanionClient() }: { companion?: CompanionClient } = {}) {
+    super();
+    this.companion = companion;
+  }
+
+  report(): LoadReport {
+    const settings = this.config || { concurrency: 0, rate: 0, rampUp: 0, duration: 0 };
+    const elapsed = this.startTime ? Math.min((performance.now() - this.startTime) / 1000, settings.duration || Infinity) : 0;
+    return {
+      settings: { concurrency: settings.concurrency, rate: settings.rate, rampUp: settings.rampUp, duration: settings.duration },
+      elapsed,
+      started: this.started,
+      completed: this.completed,
+      succeeded: this.succeeded,
+      failed: this.completed - this.succeeded,
+      unsent: this.queue.length,
+      errors: { ...this.errors },
+      requestedRate: settings.rate || null,
+      achievedRate: elapsed > 0 ? this.started / elapsed : 0,
+      throughput: elapsed > 0 ? this.succeeded / elapsed : 0,
+      latency: this.latency.count > 0 ? this.latency.summary() : null,
+      service: this.service.count > 0 ? this.service.summary() : null,
+      // Seconds without a completion are holes in the array
+      intervals: Object.keys(this.intervals).map(second => this.intervalSummary(Number(second)) as LoadInterval),
+    };
+  }
+
+  // Runs a load test and resolves with its report once it is done or
+  // stopped. Requests still in flight when the duration is up are waited
+  // for (up to their timeout); arrivals that never got a worker are
+  // reported as unsent.
+  async run(config: LoadRequest & LoadSettings): Promise<LoadReport> {
+    if (this.running) {
+      throw new Error('A load test is already in progress');
+    }
+
+    const id = ++this.runId;
+    this.reset();
+    this.config = config;
+    this.host = null;
+    this.running = true;
+    this.emit('start', { config });
+
+    if (isWebSocketUrl(config.url)) {
+      this.notice('Error: Load tests only support http:// and https:// targets', 'error');
+      return this.finish('failed');
+    }
+    let parsedUrl: ParsedUrl;
+    try {
+      parsedUrl = parseTargetUrl(config.url);
+    } catch (error) {
+      if (!(error instanceof UrlError)) {
+        throw error;
+      }
+      formatUrlError(error).forEach(help => this.emit('notice', help));
+      return this.finish('failed');
+    }
+    const problems = [...validateLoadSettings(config), ...validateRequestSpec(config.request), ...validateAssertions(config.assertions)];
+    if (problems.length > 0) {
+      problems.forEach(problem => this.notice(`Error: ${problem}`, 'error'));
+      return this.finish('failed');
+    }
+
+    this.config = { ...config, url: parsedUrl.fullUrl };
+    this.host = parsedUrl.hostname;
+
+    const viaCompanion = await this.companion.detect();
+    if (id !== this.runId) {
+      return this.report();
+    }
+    if (viaCompanion && !this.companion.direct) {
+      this.notice(`Using companion proxy at ${this.companion.baseUrl}`, 'info');
+    } else if (!viaCompanion) {
+      this.notice('Warning: without the companion proxy the browser allows about 6 connections per host, and CORS applies', 'warning');
+    }
+
+    const rate = config.rate ? `${config.rate} req/s` : 'unthrottled';
+    const ramp = config.rampUp ? `, ramp-up ${config.rampUp}s` : '';
+    this.notice(`LOAD ${config.method} ${parsedUrl.displayUrl}: ${config.concurrency} workers, ${rate}${ramp}, ${config.duration}s`, 'info');
+    this.notice('');
+
+    const done = new Promise<LoadDoneReason>(resolve => { this.settle = resolve; });
+    this.startTime = performance.now();
+    this.nextSlot = this.startTime;
+    for (let second = 1; second <= config.duration; second++) {
+      this.later(second * 1000, () => this.tick(second - 1));
+    }
+    // After the last tick, which is due at the same time
+    this.later(config.duration * 1000, () => this.drain());
+
+    if (config.rate > 0) {
+      this.dispatch();
+    } else {
+      for (let worker = 0; worker < config.concurrency; worker++) {
+        this.worker(id, (config.rampUp * 1000 * worker) / config.concurrency);
+      }
+    }
+
+    return this.finish(await done);
+  }
+
+  stop(): void {
+    if (this.running && this.settle) {
+      this.settle('stopped');
+    } else if (this.running) {
+      this.finish('stopped');
+    }
+  }
+
+  private notice(text: string, type: TerminalLine['type'] = ''): void {
+    this.emit('notice', line(text, type));
+  }
+
+  private reset(): void {
+    this.startTime = 0;
+    this.stopping = false;
+    this.started = 0;
+    this.completed = 0;
+    this.succeeded = 0;
+    this.errors = {};
+    this.latency = new RttStatistics();
+    this.service = new RttStatistics();
+    this.intervals = [];
+    this.arrivals = 0;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  private interval(time: number): IntervalStats {
+    const second = Math.max(0, Math.floor((time - this.startTime) / 1000));
+    return this.intervals[second] || (this.intervals[second] = { started: 0, completed: 0, failed: 0, latency: new RttStatistics() });
+  }
+
+  private intervalSummary(second: number): LoadInterval | null {
+    const stats = this.intervals[second];
+    if (!stats) {
+      return null;
+    }
+    return {
+      second: second + 1,
+      started: stats.started,
+      completed: stats.completed,
+      failed: stats.failed,
+      latency: stats.latency.count > 0 ? stats.latency.summary() : null,
+    };
+  }
+
+  private tick(second: number): void {
+    const interval = this.intervalSummary(second) || { second: second + 1, started: 0, completed: 0, failed: 0, latency: null };
+    this.emit('interval', { interval, report: this.report() });
+  }
+
+  // Calls `callback` after `delay` ms unless the test ends first; the timer
+  // is forgotten once it fires, so a long closed-model test does not keep
+  // one per request.
+  private later(delay: number, callback: () => void): void {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  // Waits until the rate cap allows another request.
+  private async slot(): Promise<void> {
+    const now = performance.now();
+    const at = Math.max(now, this.nextSlot);
+    this.nextSlot = at + 1000 / LOAD_LIMITS.rate;
+    if (at > now) {
+      await new Promise<void>(resolve => this.later(at - now, resolve));
+    }
+  }
+
+  // Open model: queues every arrival that is due and hands queued ones to
+  // free workers.
+  private dispatch(): void {
+    const config = this.config as LoadRequest & LoadSettings;
+    const id = this.runId;
+    if (this.arrivalTimer !== null) {
+      clearTimeout(this.arrivalTimer);
+      this.arrivalTimer = null;
+    }
+    if (this.stopping) {
+      return;
+    }
+
+    const elapsed = (performance.now() - this.startTime) / 1000;
+    const due = Math.floor(arrivalsBy(elapsed, config.rate, config.rampUp) + 1e-9);
+    while (this.arrivals < due) {
+      this.arrivals++;
+      this.queue.push(this.startTime + arrivalTime(this.arrivals, config.rate, config.rampUp) * 1000);
+    }
+    while (this.active < config.concurrency && this.queue.length > 0) {
+      this.send(id, this.queue.shift() as number).then(() => {
+        if (id === this.runId) this.dispatch();
+      });
+    }
+
+    const next = arrivalTime(this.arrivals + 1, config.rate, config.rampUp) * 1000 + this.startTime;
+    this.arrivalTimer = setTimeout(() => this.dispatch(), Math.max(1, next - performance.now()));
+  }
+
+  // Closed model: one worker sending back to back.
+  private async worker(id: number, delay: number): Promise<void> {
+    if (delay > 0) {
+      await new Promise<void>(resolve => this.later(delay, resolve));
+    }
+    while (id === this.runId && !this.stopping) {
+      await this.slot();
+      if (id !== this.runId || this.stopping) {
+        return;
+      }
+      await this.send(id, performance.now());
+    }
+  }
+
+  private async send(id: number, scheduled: number): Promise<void> {
+    const config = this.config as LoadRequest & LoadSettings;
+    this.active++;
+    this.started++;
+    this.interval(performance.now()).started++;
+
+    const { record } = await probe({
+      url: config.url,
+      method: config.method,
+      sequence: this.started,
+      timeout: config.timeout,
+      followRedirects: config.followRedirects,
+      insecure: config.insecure,
+      request: config.request,
+      assertions: config.assertions,
+      companion: this.companion,
+    });
+    if (id !== this.runId) {
+      return;
+    }
+
+    const now = performance.now();
+    const interval = this.interval(now);
+    this.active--;
+    this.completed++;
+    interval.completed++;
+
+    if (isReceived(record)) {
+      this.succeeded++;
+      this.service.add(record.time as number);
+      this.latency.add(now - scheduled);
+      interval.latency.add(now - scheduled);
+    } else {
+      const key = errorKey(record);
+      this.errors[key] = (this.errors[key] || 0) + 1;
+      interval.failed++;
+    }
+
+    if (this.stopping && this.active === 0 && this.settle) {
+      this.settle('completed');
+    }
+  }
+
+  // Duration is up: no new requests, wait for those in flight.
+  private drain(): void {
+    this.stopping = true;
+    if (this.arrivalTimer !== null) {
+      clearTimeout(this.arrivalTimer);
+      this.arrivalTimer = null;
+    }
+    if (this.active === 0 && this.settle) {
+      this.settle('completed');
+    }
+  }
+
+  private finish(reason: LoadDoneReason): LoadReport {
+    this.runId++;
+    this.running = false;
+    this.stopping = true;
+    this.settle = null;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (this.arrivalTimer !== null) {
+      clearTimeout(this.arrivalTimer);
+      this.arrivalTimer = null;
+    }
+
+    const report = this.report();
+    this.emit('done', { reason, report });
+    return report;
+  }
+}
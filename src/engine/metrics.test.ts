@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PingMetrics } from './metrics.ts';
+import type { StateChange } from './metrics.ts';
+import type { Outcome, PingRecord } from './session.ts';
+
+const api = { name: 'api "v2"', url: 'https://api.example/health', method: 'GET' };
+const web = { name: 'web', url: 'http://127.0.0.1:8080/', method: 'HEAD' };
+
+function record(timestamp: number, outcome: Outcome, time: number | null): PingRecord {
+  return {
+    sequence: 1,
+    timestamp,
+    method: 'GET',
+    url: api.url,
+    address: null,
+    status: outcome === 'success' ? 200 : 0,
+    statusText: '',
+    time,
+    size: null,
+    outcome,
+    message: null,
+    headers: {},
+    timing: null,
+  };
+}
+
+test('renders the exposition of every target', () => {
+  const metrics = new PingMetrics();
+  metrics.observe(api, record(1000, 'success', 20));
+  metrics.observe(api, record(2000, 'success', 300));
+  metrics.observe(api, record(3000, 'timeout', null));
+  metrics.observe(web, record(1500, 'network-error', null));
+
+  const apiLabels = 'target="api \\"v2\\"",url="https://api.example/health",method="GET"';
+  const webLabels = 'target="web",url="http://127.0.0.1:8080/",method="HEAD"';
+  const buckets = (labels: string, counts: number[]) => [
+    '0.005', '0.01', '0.025', '0.05', '0.1', '0.25', '0.5', '1', '2.5', '5', '10', '+Inf',
+  ].map((le, index) => `httping_rtt_seconds_bucket{${labels},le="${le}"} ${counts[index]}`);
+
+  assert.equal(metrics.render(), [
+    '# TYPE httping_up gauge',
+    '# HELP httping_up Whether the target is up (1) or down (0).',
+    `httping_up{${apiLabels}} 0`,
+    `httping_up{${webLabels}} 0`,
+    '# TYPE httping_pings counter',
+    '# HELP httping_pings Finished pings by outcome and outcome class.',
+    `httping_pings_total{${apiLabels},outcome="success",class="success"} 2`,
+    `httping_pings_total{${apiLabels},outcome="timeout",class="timeout"} 1`,
+    `httping_pings_total{${webLabels},outcome="network-error",class="error"} 1`,
+    '# TYPE httping_pings_received counter',
+    '# HELP httping_pings_received Pings that counted as received.',
+    `httping_pings_received_total{${apiLabels}} 2`,
+    `httping_pings_received_total{${webLabels}} 0`,
+    '# TYPE httping_rtt_seconds histogram',
+    '# UNIT httping_rtt_seconds seconds',
+    '# HELP httping_rtt_seconds Round-trip time of received pings.',
+    ...buckets(apiLabels, [0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2]),
+    `httping_rtt_seconds_count{${apiLabels}} 2`,
+    `httping_rtt_seconds_sum{${apiLabels}} 0.32`,
+    ...buckets(webLabels, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    `httping_rtt_seconds_count{${webLabels}} 0`,
+    `httping_rtt_seconds_sum{${webLabels}} 0`,
+    '# TYPE httping_last_success_timestamp_seconds gauge',
+    '# UNIT httping_last_success_timestamp_seconds seconds',
+    '# HELP httping_last_success_timestamp_seconds When the target last answered, in Unix time.',
+    `httping_last_success_timestamp_seconds{${apiLabels}} 2`,
+    '# EOF',
+    '',
+  ].join('\n'));
+});
+
+test('renders only the header lines before the first ping', () => {
+  const lines = new PingMetrics().render().trimEnd().split('\n');
+  assert.ok(lines.every(line => line.startsWith('#')), lines.join('\n'));
+  assert.equal(lines[lines.length - 1], '# EOF');
+});
+
+test('reports a target down after downAfter lost pings in a row', () => {
+  const metrics = new PingMetrics({ downAfter: 2 });
+  const changes: StateChange[] = [];
+  metrics.on('change', change => changes.push(change));
+
+  metrics.observe(api, record(1000, 'success', 20));
+  metrics.observe(api, record(2000, 'timeout', null));
+  metrics.observe(api, record(3000, 'timeout', null));
+  metrics.observe(api, record(4000, 'success', 25));
+
+  assert.deepEqual(changes.map(({ state, previous, since, sent, received }) => ({ state, previous, since, sent, received })), [
+    { state: 'up', previous: null, since: 1000, sent: 1, received: 1 },
+    { state: 'down', previous: 'up', since: 2000, sent: 3, received: 1 },
+    { state: 'up', previous: 'down', since: 4000, sent: 4, received: 2 },
+  ]);
+});
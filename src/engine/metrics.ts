@@ -0,0 +1,191 @@
+// Per-target metrics in OpenMetrics text format.
+//
+// Counts pings the way the final statistics do: every finished ping is
+// sent, received ones (isReceived) add their round-trip time, and each is
+// tallied by outcome. A target is down once `downAfter` pings in a row
+// were lost and up again with the first one received; every change of
+// state is reported as an event, for webhooks.
+
+import { Emitter } from './events.ts';
+import { chartKind, isReceived, OUTCOMES } from './session.ts';
+import type { Outcome, PingRecord } from './session.ts';
+import { RttStatistics } from './stats.ts';
+import type { RttSummary } from './stats.ts';
+import type { CheckTarget } from './uptime.ts';
+
+export const OPENMETRICS_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Histogram bounds in seconds, Prometheus' default buckets
+export const RTT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export type TargetState = 'up' | 'down';
+
+export interface StateChange {
+  target: CheckTarget;
+  state: TargetState;
+  // null for a target seen for the first time
+  previous: TargetState | null;
+  // First ping of the new state (epoch ms)
+  since: number;
+  record: PingRecord;
+  sent: number;
+  received: number;
+  rtt: RttSummary | null;
+}
+
+interface Series {
+  target: CheckTarget;
+  sent: number;
+  received: number;
+  outcomes: Partial<Record<Outcome, number>>;
+  stats: RttStatistics;
+  // Received pings per RTT_BUCKETS bound, not cumulative; the last one is +Inf
+  buckets: number[];
+  rttSum: number;
+  lastSuccess: number | null;
+  state: TargetState | null;
+  lostInARow: number;
+  firstLost: number;
+}
+
+export interface MetricsEvents {
+  change: StateChange;
+}
+
+// Label values are quoted with \\, \" and \n escaped.
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(target: CheckTarget, extra: Record<string, string> = {}): string {
+  const all = { target: target.name, url: target.url, method: target.method, ...extra };
+  return `{${Object.entries(all).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function seconds(ms: number): string {
+  return String(ms / 1000);
+}
+
+export class PingMetrics extends Emitter<MetricsEvents> {
+  downAfter: number;
+  private series = new Map<string, Series>();
+
+  constructor({ downAfter = 1 }: { downAfter?: number } = {}) {
+    super();
+    this.downAfter = downAfter;
+  }
+
+  observe(target: CheckTarget, record: PingRecord): void {
+    const key = `${target.method} ${target.url}`;
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        target,
+        sent: 0,
+        received: 0,
+        outcomes: {},
+        stats: new RttStatistics(),
+        buckets: new Array(RTT_BUCKETS.length + 1).fill(0),
+        rttSum: 0,
+        lastSuccess: null,
+        state: null,
+        lostInARow: 0,
+        firstLost: 0,
+      };
+      this.series.set(key, series);
+    }
+    series.target = target;
+    series.sent++;
+    series.outcomes[record.outcome] = (series.outcomes[record.outcome] || 0) + 1;
+
+    let state: TargetState | null = series.state;
+    let since = record.timestamp;
+    if (isReceived(record)) {
+      const time = record.time as number;
+      series.received++;
+      series.stats.add(time);
+      series.rttSum += time;
+      const bound = RTT_BUCKETS.findIndex(limit => time / 1000 <= limit);
+      series.buckets[bound === -1 ? RTT_BUCKETS.length : bound]++;
+      series.lastSuccess = record.timestamp;
+      series.lostInARow = 0;
+      state = 'up';
+    } else {
+      if (series.lostInARow === 0) {
+        series.firstLost = record.timestamp;
+      }
+      series.lostInARow++;
+      if (series.lostInARow >= this.downAfter) {
+        state = 'down';
+        since = series.firstLost;
+      }
+    }
+
+    if (state !== null && state !== series.state) {
+      const previous = series.state;
+      series.state = state;
+      this.emit('change', {
+        target,
+        state,
+        previous,
+        since,
+        record,
+        sent: series.sent,
+        received: series.received,
+        rtt: series.stats.count > 0 ? series.stats.summary() : null,
+      });
+    }
+  }
+
+  // The exposition for a /metrics scrape, # EOF included.
+  render(): string {
+    const all = [...this.series.values()];
+    const out: string[] = [];
+
+    out.push('# TYPE httping_up gauge', '# HELP httping_up Whether the target is up (1) or down (0).');
+    all.filter(series => series.state !== null).forEach(series => {
+      out.push(`httping_up${labels(series.target)} ${series.state === 'up' ? 1 : 0}`);
+    });
+
+    out.push('# TYPE httping_pings counter', '# HELP httping_pings Finished pings by outcome and outcome class.');
+    all.forEach(series => {
+      OUTCOMES.forEach(outcome => {
+        const count = series.outcomes[outcome];
+        if (count) {
+          out.push(`httping_pings_total${labels(series.target, { outcome, class: chartKind(outcome) })} ${count}`);
+        }
+      });
+    });
+
+    out.push('# TYPE httping_pings_received counter', '# HELP httping_pings_received Pings that counted as received.');
+    all.forEach(series => out.push(`httping_pings_received_total${labels(series.target)} ${series.received}`));
+
+    out.push(
+      '# TYPE httping_rtt_seconds histogram',
+      '# UNIT httping_rtt_seconds seconds',
+      '# HELP httping_rtt_seconds Round-trip time of received pings.',
+    );
+    all.forEach(series => {
+      let cumulative = 0;
+      RTT_BUCKETS.forEach((limit, index) => {
+        cumulative += series.buckets[index];
+        out.push(`httping_rtt_seconds_bucket${labels(series.target, { le: String(limit) })} ${cumulative}`);
+      });
+      out.push(`httping_rtt_seconds_bucket${labels(series.target, { le: '+Inf' })} ${series.received}`);
+      out.push(`httping_rtt_seconds_count${labels(series.target)} ${series.received}`);
+      out.push(`httping_rtt_seconds_sum${labels(series.target)} ${seconds(series.rttSum)}`);
+    });
+
+    out.push(
+      '# TYPE httping_last_success_timestamp_seconds gauge',
+      '# UNIT httping_last_success_timestamp_seconds seconds',
+      '# HELP httping_last_success_timestamp_seconds When the target last answered, in Unix time.',
+    );
+    all.filter(series => series.lastSuccess !== null).forEach(series => {
+      out.push(`httping_last_success_timestamp_seconds${labels(series.target)} ${seconds(series.lastSuccess as number)}`);
+    });
+
+    out.push('# EOF');
+    return `${out.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,171 @@
+// Multi-target monitor behind the dashboard.
+//
+// Pings every target on its own method, interval and timeout through one
+// shared PingScheduler and keeps per-target figures, a short trend for the
+// sparkline and a terminal log. Reports every ping as an event.
+
+import type { Assertion } from './assertions.ts';
+import { pageHidden, SLEEP_GAP } from './clock.ts';
+import type { CompanionClient } from './companion.ts';
+import { Emitter } from './events.ts';
+import { formatPingLine } from './format.ts';
+import type { TerminalLine } from './format.ts';
+import { probe } from './probe.ts';
+import type { RequestSpec } from './request.ts';
+import { PingScheduler } from './scheduler.ts';
+import { isReceived } from './session.ts';
+import type { PingRecord } from './session.ts';
+import { RttStatistics } from './stats.ts';
+import { normalizeTargetUrl } from './targets.ts';
+import type { Target } from './targets.ts';
+
+export const SPARKLINE_SAMPLES = 60;
+export const MAX_LOG_LINES = 1000;
+
+export type TargetStatus = 'idle' | 'up' | 'degraded' | 'down';
+
+// Request settings shared by every target
+export interface MonitorSettings {
+  request: RequestSpec;
+  assertions: Assertion[];
+  followRedirects: boolean;
+  insecure: boolean;
+}
+
+export interface TargetState {
+  target: Target;
+  sequence: number;
+  sent: number;
+  received: number;
+  stats: RttStatistics;
+  recent: { time: number | null; ok: boolean }[];
+  lines: TerminalLine[];
+  last: PingRecord | null;
+}
+
+export interface MonitorEvents {
+  ping: { state: TargetState; record: PingRecord; line: TerminalLine };
+  // A ping threw instead of giving a record
+  error: { target: Target; message: string };
+  'companion-lost': void;
+  running: boolean;
+}
+
+function createState(target: Target): TargetState {
+  return {
+    target,
+    sequence: 0,
+    sent: 0,
+    received: 0,
+    stats: new RttStatistics(),
+    recent: [],
+    lines: [],
+    last: null,
+  };
+}
+
+// Up, or degraded while failures are still in the sparkline
+export function targetStatus(state: TargetState): TargetStatus {
+  if (!state.last) {
+    return 'idle';
+  }
+  if (!isReceived(state.last)) {
+    return 'down';
+  }
+  return state.recent.some(sample => !sample.ok) ? 'degraded' : 'up';
+}
+
+export class MultiTargetMonitor extends Emitter<MonitorEvents> {
+  companion: CompanionClient;
+  states = new Map<string, TargetState>();
+  running = false;
+  private scheduler = new PingScheduler();
+
+  constructor(companion: CompanionClient) {
+    super();
+    this.companion = companion;
+    this.scheduler.on('error', ({ id, error }) => {
+      const state = this.states.get(id);
+      if (state) {
+        this.emit('error', { target: state.target, message: error.message });
+      }
+    });
+  }
+
+  // Keeps the figures of targets that are still listed.
+  setTargets(targets: Target[]): void {
+    const states = new Map<string, TargetState>();
+    targets.forEach(target => {
+      const state = this.states.get(target.id) || createState(target);
+      state.target = target;
+      states.set(target.id, state);
+    });
+    this.states = states;
+  }
+
+  // Starts every target from fresh figures.
+  start(targets: Target[], settings: MonitorSettings): void {
+    this.states = new Map();
+    this.setTargets(targets);
+    this.running = true;
+    this.scheduler.clear();
+    this.states.forEach(state => {
+      this.scheduler.add(state.target.id, state.target.interval, dueAt => this.ping(state, settings, dueAt));
+    });
+    this.scheduler.start();
+    this.emit('running', true);
+  }
+
+  stop(): void {
+    this.scheduler.stop();
+    this.running = false;
+    this.emit('running', false);
+  }
+
+  // `dueAt` is when the scheduler had the ping due (epoch ms).
+  private async ping(state: TargetState, settings: MonitorSettings, dueAt: number): Promise<void> {
+    const { target } = state;
+    const url = normalizeTargetUrl(target.url);
+    const asleep = Date.now() - dueAt > SLEEP_GAP;
+    const hidden = pageHidden();
+    state.sequence++;
+
+    const result = await probe({
+      ...settings,
+      url,
+      method: target.method,
+      sequence: state.sequence,
+      timeout: target.timeout,
+      address: new URL(url).hostname,
+      companion: this.companion,
+    });
+    if (!this.running || this.states.get(target.id) !== state) {
+      return;
+    }
+
+    const { record } = result;
+    Object.assign(record, { scheduledAt: dueAt, hidden: hidden || pageHidden(), asleep });
+    state.sent++;
+    state.last = record;
+    const ok = isReceived(record);
+    if (ok) {
+      state.received++;
+      state.stats.add(record.time as number);
+    }
+    state.recent.push({ ok, time: record.time });
+    if (state.recent.length > SPARKLINE_SAMPLES) {
+      state.recent.shift();
+    }
+
+    const line = formatPingLine(record);
+    state.lines.push(line);
+    if (state.lines.length > MAX_LOG_LINES) {
+      state.lines.shift();
+    }
+
+    if (result.companionLost) {
+      this.emit('companion-lost', undefined);
+    }
+    this.emit('ping', { state, record, line });
+  }
+}
@@ -0,0 +1,300 @@
+// One HTTP ping, independent of the page.
+//
+// probe() sends a single request, directly with fetch or through the
+// companion proxy when it is available, and resolves with a ping record
+// (see session.ts) plus the details verbose output needs. It never throws:
+// every failure becomes a record with a failure outcome.
+
+import { evaluateAssertions, hasStatusAssertion, needsBody } from './assertions.ts';
+import type { Assertion } from './assertions.ts';
+import type { CompanionClient } from './companion.ts';
+import { buildRequest } from './request.ts';
+import type { RequestPayload, RequestSpec } from './request.ts';
+import { normalizeHeaders } from './session.ts';
+import type { PingRecord } from './session.ts';
+import { extractPhases, findResourceTiming, fromProxyTiming } from './timing.ts';
+import type { TraceResult } from './trace.ts';
+
+export interface ProbeOptions {
+  url: string;
+  method: string;
+  sequence: number;
+  timeout: number;
+  followRedirects?: boolean;
+  insecure?: boolean;
+  request: RequestSpec;
+  assertions?: Assertion[];
+  address?: string | null;
+  companion?: CompanionClient | null;
+}
+
+export interface ProbeResult {
+  record: PingRecord;
+  payload: RequestPayload;
+  httpVersion: string;
+  // Answered in no-cors mode: timing only, no status or headers
+  noCors: boolean;
+  // The companion proxy stopped answering during this ping
+  companionLost: boolean;
+  viaCompanion: boolean;
+  // Set by traceRedirects()
+  trace?: TraceResult;
+}
+
+interface Settings {
+  method: string;
+  timeout: number;
+  followRedirects: boolean;
+  insecure: boolean;
+  assertions: Assertion[];
+  companion: CompanionClient | null;
+}
+
+export function createRecord(method: string, sequence: number, payload: RequestPayload, address: string | null): PingRecord {
+  return {
+    sequence,
+    timestamp: Date.now(),
+    method,
+    url: payload.url,
+    address,
+    status: 0,
+    statusText: '',
+    time: null,
+    size: null,
+    outcome: 'network-error',
+    message: null,
+    headers: {},
+    requestHeaders: normalizeHeaders(payload.headers),
+    requestBody: payload.body || null,
+    timing: null,
+  };
+}
+
+// Decides the outcome of a response that has a status line. Configured
+// assertions decide success; a status assertion replaces the 2xx check.
+export function classifyResponse(
+  record: PingRecord,
+  body: string | null,
+  { assertions = [], followRedirects = false }: { assertions?: Assertion[]; followRedirects?: boolean } = {},
+): void {
+  if (!hasStatusAssertion(assertions)) {
+    if (!followRedirects && record.status >= 300 && record.status < 400) {
+      record.outcome = 'redirect';
+      return;
+    }
+    if (record.status < 200 || record.status >= 300) {
+      record.outcome = 'http-error';
+      return;
+    }
+  }
+
+  record.outcome = 'success';
+  if (assertions.length === 0) {
+    return;
+  }
+
+  const results = evaluateAssertions(assertions, {
+    status: record.status,
+    headers: record.headers,
+    body,
+    size: record.size,
+    time: record.time,
+  });
+  const failures = results.filter(result => !result.passed);
+  record.assertions = results.map(({ passed, message }) => ({ passed, message }));
+
+  if (failures.length > 0) {
+    record.outcome = 'assertion-failed';
+    record.message = failures.map(result => result.message).join('; ');
+  }
+}
+
+// Reads the body for its size and timing entry. Returns the body text when
+// `wantBody` is set, null otherwise.
+async function collectResponse(response: Response, record: PingRecord, startTime: number, wantBody: boolean): Promise<string | null> {
+  let body = null;
+
+  // The resource timing entry is only complete once the body has been read
+  try {
+    const buffer = await response.arrayBuffer();
+    record.size = buffer.byteLength;
+    if (wantBody) {
+      body = new TextDecoder().decode(buffer);
+    }
+  } catch {
+    // Opaque or aborted body, the entry is still recorded
+  }
+
+  const entry = await findResourceTiming(record.url, startTime);
+  if (entry) {
+    record.timing = extractPhases(entry);
+  }
+  return body;
+}
+
+async function fetchPing(payload: RequestPayload, record: PingRecord, options: Settings) {
+  const { method, timeout, followRedirects, assertions } = options;
+  const result = { record, payload, httpVersion: '1.1', noCors: false };
+  const startTime = performance.now();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let response;
+    try {
+      response = await fetch(payload.url, {
+        method,
+        mode: 'cors',
+        redirect: followRedirects ? 'follow' : 'manual',
+        signal: controller.signal,
+        headers: payload.headers,
+        body: payload.body,
+      });
+    } catch (corsError) {
+      if ((corsError as Error).name === 'AbortError') {
+        throw corsError;
+      }
+      clearTimeout(timeoutId);
+
+      // fetch rejects a CORS failure and an unreachable host with the same
+      // "Failed to fetch". A no-cors request is not subject to CORS, so
+      // whether it gets an answer tells the two apart. For GET that answer
+      // also stands in for the ping: no status, but a time.
+      const noCorsController = new AbortController();
+      const noCorsTimeoutId = setTimeout(() => noCorsController.abort(), timeout);
+      try {
+        response = await fetch(payload.url, {
+          method: method === 'GET' ? 'GET' : 'HEAD',
+          mode: 'no-cors',
+          signal: noCorsController.signal,
+          headers: {
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache',
+          },
+        });
+      } catch (error) {
+        if ((error as Error).name === 'AbortError') {
+          throw error;
+        }
+        record.outcome = 'network-error';
+        record.message = 'Network unreachable';
+        return result;
+      } finally {
+        clearTimeout(noCorsTimeoutId);
+      }
+
+      if (method !== 'GET') {
+        record.outcome = 'cors-blocked';
+        record.message = 'CORS policy blocked';
+        return result;
+      }
+      record.time = Math.round(performance.now() - startTime);
+      record.outcome = 'opaque';
+      await collectResponse(response, record, startTime, false);
+      record.size = null;
+      result.noCors = true;
+      return result;
+    }
+
+    record.time = Math.round(performance.now() - startTime);
+    if (response.type === 'opaqueredirect') {
+      // redirect: 'manual' answers a 3xx without its status or Location
+      record.outcome = 'redirect';
+      record.message = 'redirect hidden by the browser';
+      return result;
+    }
+    record.status = response.status;
+    record.statusText = response.statusText;
+    record.headers = normalizeHeaders(response.headers);
+    const body = await collectResponse(response, record, startTime, needsBody(assertions));
+    classifyResponse(record, body, { assertions, followRedirects });
+    return result;
+
+  } catch (error) {
+    const { name, message } = error as Error;
+    if (name === 'AbortError') {
+      record.outcome = 'timeout';
+      record.message = `Request timeout (>${timeout}ms)`;
+    } else if (message.includes('CORS')) {
+      record.outcome = 'cors-blocked';
+      record.message = 'CORS policy blocked';
+    } else {
+      record.outcome = 'network-error';
+      record.message = message;
+    }
+    return result;
+
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function proxiedPing(payload: RequestPayload, record: PingRecord, options: Settings & { companion: CompanionClient }) {
+  const { method, timeout, followRedirects, insecure, assertions, companion } = options;
+  const result = { record, payload, httpVersion: '1.1', noCors: false, companionLost: false };
+  const controller = new AbortController();
+  // Give the proxy a moment to report its own timeout before aborting
+  const timeoutId = setTimeout(() => controller.abort(), timeout + 1000);
+
+  try {
+    const response = await companion.request({
+      url: payload.url,
+      method,
+      timeout,
+      followRedirects,
+      insecure,
+      includeBody: needsBody(assertions),
+      headers: payload.headers,
+      body: payload.body,
+    }, controller.signal);
+
+    record.time = Math.round(response.timing.total);
+    record.timing = fromProxyTiming(response.timing);
+    record.address = response.remoteAddress || record.address;
+    record.status = response.status;
+    record.statusText = response.statusText;
+    record.size = response.size;
+    record.headers = normalizeHeaders(response.headers);
+    result.httpVersion = response.httpVersion;
+
+    classifyResponse(record, response.body ?? null, { assertions, followRedirects });
+
+  } catch (error) {
+    const { name, message, code } = error as Error & { code?: string };
+    if (name === 'AbortError' || code === 'ETIMEDOUT') {
+      record.outcome = 'timeout';
+      record.message = `Request timeout (>${timeout}ms)`;
+    } else {
+      record.outcome = 'network-error';
+      record.message = message;
+    }
+    result.companionLost = !companion.available;
+
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  return result;
+}
+
+export async function probe(options: ProbeOptions): Promise<ProbeResult> {
+  const { url, method, sequence, request, address = null, companion = null } = options;
+  const settings: Settings = {
+    method,
+    timeout: options.timeout,
+    followRedirects: Boolean(options.followRedirects),
+    insecure: Boolean(options.insecure),
+    assertions: options.assertions || [],
+    companion,
+  };
+  const payload = buildRequest(request, { url, method, sequence });
+  const record = createRecord(method, sequence, payload, address);
+
+  if (companion && companion.available) {
+    const result = await proxiedPing(payload, record, { ...settings, companion });
+    return { ...result, viaCompanion: true };
+  }
+
+  const result = await fetchPing(payload, record, settings);
+  return { ...result, companionLost: false, viaCompanion: false };
+}
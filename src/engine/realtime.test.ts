@@ -0,0 +1,83 @@
+// The WebSocket and SSE probes against companion/echo-server.js, which
+// echoes every WebSocket message and streams an event every ?interval= ms.
+
+import { spawn } from 'node:child_process';
+import type { ChildProcess } from 'node:child_process';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { probeEventStream, probeWebSocket } from './realtime.ts';
+import { defaultRequestSpec } from './request.ts';
+import type { RequestSpec } from './request.ts';
+
+const ECHO_SERVER = new URL('../../companion/echo-server.js', import.meta.url).pathname;
+
+let server: ChildProcess;
+let host = '';
+
+before(async () => {
+  server = spawn(process.execPath, [ECHO_SERVER, '--port', '0']);
+  host = await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('exit', code => reject(new Error(`echo server exited with ${code}`)));
+    server.stdout?.setEncoding('utf8');
+    server.stdout?.on('data', (text: string) => {
+      const listening = text.match(/listening on (\S+)/);
+      if (listening) {
+        resolve(listening[1]);
+      }
+    });
+  });
+});
+
+after(() => server.kill());
+
+function apiKey(): RequestSpec {
+  const spec = defaultRequestSpec();
+  return { ...spec, auth: { ...spec.auth, type: 'apikey', keyName: 'api_key', keyValue: 'k{{seq}}', keyIn: 'query' } };
+}
+
+test('times the echo of a WebSocket message', { skip: typeof WebSocket === 'undefined' && 'no WebSocket before Node 22' }, async () => {
+  const { record, payload } = await probeWebSocket({
+    url: `ws://${host}/`,
+    method: 'GET',
+    sequence: 4,
+    timeout: 2000,
+    request: apiKey(),
+    message: 'ping {{seq}}',
+  });
+  assert.equal(record.outcome, 'success', record.message ?? '');
+  assert.equal(record.status, 101);
+  assert.equal(record.url, `ws://${host}/?api_key=k4`);
+  assert.equal(payload.body, 'ping 4');
+  assert.equal(record.size, 'ping 4'.length);
+  assert.ok(record.realtime?.connect !== null);
+});
+
+test('times the first event of a stream and the gaps after it', async () => {
+  const { record } = await probeEventStream({
+    url: `http://${host}/events?interval=50`,
+    method: 'GET',
+    sequence: 2,
+    timeout: 2000,
+    request: apiKey(),
+    events: 3,
+  });
+  assert.equal(record.outcome, 'success', record.message ?? '');
+  assert.equal(record.url, `http://${host}/events?interval=50&api_key=k2`);
+  assert.equal(record.headers['content-type'], 'text/event-stream');
+  assert.equal(record.realtime?.gaps.length, 2);
+  assert.ok(record.realtime.gaps.every(gap => gap >= 30), record.realtime.gaps.join(', '));
+});
+
+test('keeps the first event of a stream slower than the timeout', async () => {
+  const { record } = await probeEventStream({
+    url: `http://${host}/events?interval=5000`,
+    method: 'GET',
+    sequence: 1,
+    timeout: 300,
+    request: defaultRequestSpec(),
+    events: 2,
+  });
+  assert.equal(record.outcome, 'success');
+  assert.equal(record.message, '1 of 2 events within 300ms');
+});
@@ -0,0 +1,188 @@
+// WebSocket and Server-Sent Events probes.
+//
+// A WebSocket ping opens a connection, sends a message and times the first
+// message back (the echo); the handshake is reported as its connect time.
+// An SSE ping opens the event stream and times the first event, then the
+// gaps between the next ones. Both resolve with the same ProbeResult as an
+// HTTP ping, so the terminal lines and statistics need no special path.
+// Neither can go through the companion proxy, which answers with whole
+// responses.
+
+import { createRecord } from './probe.ts';
+import type { ProbeOptions, ProbeResult } from './probe.ts';
+import { buildRequest, createTemplateContext, expandTemplate } from './request.ts';
+import { normalizeHeaders } from './session.ts';
+import type { RealtimeTiming } from './session.ts';
+
+export const DEFAULT_WS_MESSAGE = 'ping';
+export const DEFAULT_SSE_EVENTS = 3;
+
+export function isWebSocketUrl(url: string): boolean {
+  return /^wss?:\/\//i.test(url.trim());
+}
+
+function result(record: ProbeResult['record'], payload: ProbeResult['payload']): ProbeResult {
+  return { record, payload, httpVersion: '1.1', noCors: false, companionLost: false, viaCompanion: false };
+}
+
+// Connects to a ws:// or wss:// URL and times the echo of `message`
+// ({{seq}} and the other request templates are filled in). An API key sent
+// in the query goes on the URL; a WebSocket cannot carry request headers.
+export function probeWebSocket(options: ProbeOptions & { message?: string }): Promise<ProbeResult> {
+  const { url, sequence, timeout, request, address = null } = options;
+  const message = expandTemplate(options.message ?? DEFAULT_WS_MESSAGE, createTemplateContext(sequence));
+  const payload = { url: buildRequest(request, { url, method: 'GET', sequence }).url, headers: {}, body: message };
+  const record = createRecord('GET', sequence, payload, address);
+  const realtime: RealtimeTiming = { kind: 'websocket', connect: null, gaps: [] };
+  record.realtime = realtime;
+  const probeResult = result(record, payload);
+
+  if (typeof WebSocket === 'undefined') {
+    record.message = 'WebSocket is not available here (Node 22 or later has it)';
+    return Promise.resolve(probeResult);
+  }
+
+  return new Promise(resolve => {
+    const start = performance.now();
+    let sentAt = 0;
+    let socket: WebSocket;
+
+    const settle = (outcome: ProbeResult['record']['outcome'], text: string | null) => {
+      clearTimeout(timer);
+      record.outcome = outcome;
+      record.message = text;
+      socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+      if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+        socket.close();
+      }
+      resolve(probeResult);
+    };
+    const timer = setTimeout(() => settle('timeout', sentAt
+      ? `No echo within ${timeout}ms`
+      : `Request timeout (>${timeout}ms)`), timeout);
+
+    try {
+      socket = new WebSocket(payload.url);
+    } catch (error) {
+      clearTimeout(timer);
+      record.message = (error as Error).message;
+      resolve(probeResult);
+      return;
+    }
+
+    socket.onopen = () => {
+      realtime.connect = Math.round(performance.now() - start);
+      record.status = 101;
+      record.statusText = 'Switching Protocols';
+      sentAt = performance.now();
+      socket.send(message);
+    };
+    socket.onmessage = event => {
+      record.time = Math.round(performance.now() - sentAt);
+      record.size = typeof event.data === 'string' ? new TextEncoder().encode(event.data).length
+        : event.data instanceof Blob ? event.data.size : event.data.byteLength;
+      settle('success', null);
+    };
+    // The browser gives no reason for a failed handshake; close carries the code
+    socket.onerror = () => settle('network-error', 'WebSocket connection failed');
+    socket.onclose = event => settle('network-error', `Closed before the echo (code ${event.code})`);
+  });
+}
+
+// Splits an event stream into events, keeping partial input for the next
+// chunk. Only events with data are dispatched, as EventSource does.
+function takeEvents(buffer: string): { events: number; rest: string } {
+  const blocks = buffer.split(/\r\n\r\n|\r\r|\n\n/);
+  const rest = blocks.pop() as string;
+  const events = blocks.filter(block => block.split(/\r\n|\r|\n/).some(field => /^data(:|$)/.test(field))).length;
+  return { events, rest };
+}
+
+// Opens an event stream and times the first event and the gaps between
+// the next ones, up to `events` events or the timeout.
+export async function probeEventStream(options: ProbeOptions & { events?: number }): Promise<ProbeResult> {
+  const { url, sequence, timeout, request, address = null } = options;
+  const wanted = options.events || DEFAULT_SSE_EVENTS;
+  const payload = buildRequest(request, { url, method: 'GET', sequence });
+  payload.headers = { Accept: 'text/event-stream', 'Cache-Control': 'no-cache', ...payload.headers };
+  const record = createRecord('GET', sequence, payload, address);
+  record.realtime = { kind: 'sse', connect: null, gaps: [] };
+  const probeResult = result(record, payload);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const start = performance.now();
+  let received = 0;
+  let last = 0;
+
+  try {
+    const response = await fetch(payload.url, { headers: payload.headers, signal: controller.signal, cache: 'no-store' });
+    record.realtime.connect = Math.round(performance.now() - start);
+    record.status = response.status;
+    record.statusText = response.statusText;
+    record.headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      record.outcome = 'http-error';
+      return probeResult;
+    }
+    if (!(record.headers['content-type'] || '').startsWith('text/event-stream') || !response.body) {
+      record.outcome = 'http-error';
+      record.message = `not an event stream (${record.headers['content-type'] || 'no content type'})`;
+      return probeResult;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    record.size = 0;
+
+    while (received < wanted) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      record.size += value.byteLength;
+      const { events, rest } = takeEvents(buffer + decoder.decode(value, { stream: true }));
+      buffer = rest;
+
+      const now = performance.now();
+      for (let i = 0; i < events && received < wanted; i++, received++) {
+        if (received === 0) {
+          record.time = Math.round(now - start);
+        } else {
+          record.realtime.gaps.push(Math.round(now - last));
+        }
+        last = now;
+      }
+    }
+    reader.cancel().catch(() => {});
+
+    record.outcome = received > 0 ? 'success' : 'network-error';
+    if (received === 0) {
+      record.message = 'Stream ended before the first event';
+    } else if (received < wanted) {
+      record.message = `stream ended after ${received} of ${wanted} events`;
+    }
+
+  } catch (error) {
+    const { name, message } = error as Error;
+    if (name === 'AbortError' && received > 0) {
+      // The first event came in time; fewer gaps than asked for
+      record.outcome = 'success';
+      record.message = `${received} of ${wanted} events within ${timeout}ms`;
+    } else if (name === 'AbortError') {
+      record.outcome = 'timeout';
+      record.message = `No event within ${timeout}ms`;
+    } else {
+      record.outcome = 'network-error';
+      record.message = message;
+    }
+
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+
+  return probeResult;
+}
@@ -0,0 +1,231 @@
+// Request building: custom headers, auth helpers, body encodings and
+// per-ping template variables.
+//
+// A request spec is plain data so it can be saved with a run or a preset.
+// Every string may contain {{seq}}, {{timestamp}}, {{isotime}}, {{uuid}} or
+// {{random}}; they are filled in once per ping, so repeated {{uuid}}s in one
+// request share a value.
+
+export const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] as const;
+
+export type HttpMethod = typeof HTTP_METHODS[number];
+
+export const TEMPLATE_VARIABLES = ['seq', 'timestamp', 'isotime', 'uuid', 'random'];
+
+const METHODS_WITH_BODY: string[] = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+export interface Field {
+  name: string;
+  value: string;
+  enabled?: boolean;
+}
+
+export type AuthType = 'none' | 'bearer' | 'basic' | 'apikey';
+
+export interface AuthSpec {
+  type: AuthType;
+  token: string;
+  username: string;
+  password: string;
+  keyName: string;
+  keyValue: string;
+  keyIn: 'header' | 'query';
+}
+
+export type BodyType = 'none' | 'raw' | 'json' | 'form' | 'multipart';
+
+export interface BodySpec {
+  type: BodyType;
+  text: string;
+  contentType: string;
+  fields: Field[];
+}
+
+export interface RequestSpec {
+  headers: Field[];
+  auth: AuthSpec;
+  body: BodySpec;
+}
+
+// What is sent for one ping; body is always a string (or undefined) so the
+// same request can go through fetch or the companion proxy.
+export interface RequestPayload {
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export function isHttpMethod(value: unknown): value is HttpMethod {
+  return (HTTP_METHODS as readonly unknown[]).includes(value);
+}
+
+export function defaultRequestSpec(): RequestSpec {
+  return {
+    headers: [
+      { name: 'Cache-Control', value: 'no-cache', enabled: true },
+      { name: 'Pragma', value: 'no-cache', enabled: true },
+    ],
+    auth: { type: 'none', token: '', username: '', password: '', keyName: 'X-API-Key', keyValue: '', keyIn: 'header' },
+    body: { type: 'json', text: '{"timestamp": {{timestamp}}, "sequence": {{seq}}}', contentType: 'text/plain', fields: [] },
+  };
+}
+
+// Fills in the parts a saved or partial spec leaves out.
+export function normalizeRequestSpec(spec: Partial<RequestSpec> | undefined): RequestSpec {
+  const defaults = defaultRequestSpec();
+  return {
+    headers: spec && spec.headers ? spec.headers : defaults.headers,
+    auth: { ...defaults.auth, ...(spec && spec.auth) },
+    body: { ...defaults.body, ...(spec && spec.body) },
+  };
+}
+
+export function uuid(): string {
+  if (globalThis.crypto && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+export function createTemplateContext(sequence: number, now = Date.now()): Record<string, string> {
+  return {
+    seq: String(sequence),
+    timestamp: String(now),
+    isotime: new Date(now).toISOString(),
+    uuid: uuid(),
+    random: String(Math.floor(Math.random() * 1e9)),
+  };
+}
+
+// Replaces {{name}} placeholders; unknown names are left untouched.
+export function expandTemplate(text: string, context: Record<string, string>): string {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(context, name) ? context[name] : match
+  ));
+}
+
+function base64Utf8(text: string): string {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function enabledFields(fields: Field[] | undefined): Field[] {
+  return (fields || []).filter(field => field.enabled !== false && field.name.trim() !== '');
+}
+
+function encodeMultipart(fields: Field[], boundary: string): string {
+  const parts = fields.map(field => (
+    `--${boundary}\r\n`
+    + `Content-Disposition: form-data; name="${field.name.replace(/"/g, '%22')}"\r\n\r\n`
+    + `${field.value}\r\n`
+  ));
+  return `${parts.join('')}--${boundary}--\r\n`;
+}
+
+// Headers that carry credentials
+const SECRET_HEADERS = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|x-auth-token)$/i;
+
+export function isSecretHeader(name: string): boolean {
+  return SECRET_HEADERS.test(name.trim());
+}
+
+function hasHeader(headers: Record<string, string>, name: string): boolean {
+  return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+}
+
+// Builds the payload for one ping. Only POST, PUT, PATCH and DELETE carry a
+// body.
+export function buildRequest(
+  spec: RequestSpec,
+  { url, method, sequence, now }: { url: string; method: string; sequence: number; now?: number },
+): RequestPayload {
+  const context = createTemplateContext(sequence, now);
+  const fill = (text: string) => expandTemplate(text || '', context);
+  const target = new URL(url);
+  const headers: Record<string, string> = {};
+
+  enabledFields(spec.headers).forEach(header => {
+    headers[fill(header.name).trim()] = fill(header.value);
+  });
+
+  const auth = spec.auth || { type: 'none' };
+  if (auth.type === 'bearer') {
+    headers['Authorization'] = `Bearer ${fill(auth.token)}`;
+  } else if (auth.type === 'basic') {
+    headers['Authorization'] = `Basic ${base64Utf8(`${fill(auth.username)}:${fill(auth.password)}`)}`;
+  } else if (auth.type === 'apikey' && auth.keyName) {
+    if (auth.keyIn === 'query') {
+      target.searchParams.set(fill(auth.keyName), fill(auth.keyValue));
+    } else {
+      headers[fill(auth.keyName)] = fill(auth.keyValue);
+    }
+  }
+
+  const body = spec.body || { type: 'none' };
+  let payload: string | undefined;
+
+  if (METHODS_WITH_BODY.includes(method) && body.type !== 'none') {
+    let contentType: string;
+
+    switch (body.type) {
+      case 'json':
+        payload = fill(body.text);
+        contentType = 'application/json';
+        break;
+      case 'form':
+        payload = new URLSearchParams(enabledFields(body.fields).map(field => [fill(field.name), fill(field.value)])).toString();
+        contentType = 'application/x-www-form-urlencoded';
+        break;
+      case 'multipart': {
+        const boundary = `----httping${context.uuid.replace(/-/g, '')}`;
+        payload = encodeMultipart(enabledFields(body.fields).map(field => ({ name: fill(field.name), value: fill(field.value) })), boundary);
+        contentType = `multipart/form-data; boundary=${boundary}`;
+        break;
+      }
+      default:
+        payload = fill(body.text);
+        contentType = body.contentType || 'text/plain';
+    }
+
+    if (!hasHeader(headers, 'Content-Type')) {
+      headers['Content-Type'] = contentType;
+    }
+  }
+
+  return { url: target.toString(), headers, body: payload };
+}
+
+// Checks a spec before a run starts. Returns a list of problems (empty when
+// the spec is usable).
+export function validateRequestSpec(spec: RequestSpec): string[] {
+  const problems: string[] = [];
+  const sample = createTemplateContext(1);
+
+  enabledFields(spec.headers).forEach(header => {
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(expandTemplate(header.name, sample).trim())) {
+      problems.push(`Invalid header name "${header.name}"`);
+    }
+  });
+
+  if (spec.auth && spec.auth.type === 'bearer' && !spec.auth.token) {
+    problems.push('Bearer auth selected but no token given');
+  }
+  if (spec.auth && spec.auth.type === 'apikey' && !spec.auth.keyName) {
+    problems.push('API key auth selected but no key name given');
+  }
+
+  if (spec.body && spec.body.type === 'json' && spec.body.text.trim() !== '') {
+    try {
+      JSON.parse(expandTemplate(spec.body.text, sample));
+    } catch (error) {
+      problems.push(`JSON body is not valid JSON: ${(error as Error).message}`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,106 @@
+// Shared ping scheduler for several targets.
+//
+// Every job keeps its own interval, but one timer drives them all: it sleeps
+// until the earliest job is due and starts it. Runs are due on a fixed grid
+// of the interval, as a single target's pings are (clock.ts's nextDue()),
+// so they do not drift by the time each one takes. A job never has two runs
+// in flight; one that outlasts its slot makes the next run due at once, and
+// slots missed entirely are skipped rather than piled up. The timer is
+// clock.ts's, so hidden tabs keep their cadence. A task that throws is
+// reported as an `error` event and runs again when next due.
+
+import { clock, nextDue } from './clock.ts';
+import { Emitter } from './events.ts';
+
+interface Job {
+  id: string;
+  interval: number;
+  // Given when the run was due (epoch ms); may return a promise, and the
+  // job is idle again once it settles
+  task: (dueAt: number) => unknown;
+  nextDue: number;
+  busy: boolean;
+}
+
+export interface SchedulerEvents {
+  error: { id: string; error: Error };
+}
+
+export class PingScheduler extends Emitter<SchedulerEvents> {
+  running = false;
+  private jobs = new Map<string, Job>();
+  private timer: number | null = null;
+
+  add(id: string, interval: number, task: (dueAt: number) => unknown): void {
+    this.jobs.set(id, { id, interval, task, nextDue: performance.now(), busy: false });
+    this.schedule();
+  }
+
+  remove(id: string): void {
+    this.jobs.delete(id);
+    this.schedule();
+  }
+
+  clear(): void {
+    this.jobs.clear();
+    this.schedule();
+  }
+
+  start(): void {
+    this.running = true;
+    const now = performance.now();
+    this.jobs.forEach(job => { job.nextDue = now; });
+    this.schedule();
+  }
+
+  stop(): void {
+    this.running = false;
+    this.cancelTimer();
+  }
+
+  private cancelTimer(): void {
+    clock.clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  private schedule(): void {
+    this.cancelTimer();
+    if (!this.running) {
+      return;
+    }
+
+    let earliest = Infinity;
+    this.jobs.forEach(job => {
+      if (!job.busy) {
+        earliest = Math.min(earliest, job.nextDue);
+      }
+    });
+    if (earliest !== Infinity) {
+      this.timer = clock.setTimeout(() => this.tick(), Math.max(0, earliest - performance.now()));
+    }
+  }
+
+  private tick(): void {
+    const now = performance.now();
+    this.jobs.forEach(job => {
+      if (!job.busy && job.nextDue <= now) {
+        this.run(job, now);
+      }
+    });
+    this.schedule();
+  }
+
+  private async run(job: Job, now: number): Promise<void> {
+    job.busy = true;
+    const due = job.nextDue;
+    try {
+      await job.task(Date.now() - Math.round(now - due));
+    } catch (error) {
+      this.emit('error', { id: job.id, error: error as Error });
+    } finally {
+      job.nextDue = nextDue(due, job.interval, performance.now());
+      job.busy = false;
+      this.schedule();
+    }
+  }
+}
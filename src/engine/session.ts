@@ -0,0 +1,524 @@
+// Ping session records and their CSV / JSON / HAR 1.2 serializations.
+//
+// A record describes one ping; outcome is one of OUTCOMES, timing is a phase
+// breakdown from timing.ts (or null) and assertions holds one
+// { passed, message } per configured assertion when they were checked.
+
+import type { PingConfig } from './config.ts';
+import { isSecretHeader } from './request.ts';
+import { TIMING_PHASES } from './timing.ts';
+import type { DetailedPhases, TimingPhases } from './timing.ts';
+import type { TraceHop } from './trace.ts';
+import { withoutCredentials } from './url.ts';
+
+export const SESSION_VERSION = 1;
+
+export const OUTCOMES = ['success', 'http-error', 'redirect', 'opaque', 'timeout', 'network-error', 'redirect-error', 'cors-blocked', 'assertion-failed'] as const;
+
+export type Outcome = typeof OUTCOMES[number];
+
+// Outcomes where the server answered: the ping counts as received, not
+// lost. A no-cors answer and a redirect that was not followed are answers
+// too, even though the browser hides what they say.
+const RECEIVED_OUTCOMES: readonly Outcome[] = ['success', 'redirect', 'opaque'];
+
+// Marker kinds of the latency chart
+export type ChartKind = 'success' | 'http-error' | 'warning' | 'timeout' | 'error';
+
+// Timings of a WebSocket or SSE ping (realtime.ts): the handshake or the
+// response headers, and the gaps between events after the first
+export interface RealtimeTiming {
+  kind: 'websocket' | 'sse';
+  connect: number | null;
+  gaps: number[];
+}
+
+export interface PingRecord {
+  sequence: number;
+  timestamp: number;
+  method: string;
+  url: string;
+  address: string | null;
+  status: number;
+  statusText: string;
+  time: number | null;
+  size: number | null;
+  outcome: Outcome;
+  message: string | null;
+  // When the ping was due (epoch ms); timestamp is when it was sent
+  scheduledAt?: number | null;
+  // Taken while the page was hidden, or late because the machine slept
+  hidden?: boolean;
+  asleep?: boolean;
+  // Lower-cased names
+  headers: Record<string, string>;
+  requestHeaders?: Record<string, string>;
+  requestBody?: string | null;
+  timing: TimingPhases | null;
+  assertions?: { passed: boolean; message: string | null }[] | null;
+  // Every request of a traced ping, the final one included
+  hops?: TraceHop[] | null;
+  realtime?: RealtimeTiming | null;
+}
+
+export interface SessionTarget {
+  host: string;
+  address: string | null;
+}
+
+export interface Session {
+  target: SessionTarget;
+  config: Partial<PingConfig>;
+  records: PingRecord[];
+  exportedAt?: string;
+}
+
+const CHART_KINDS: Record<Outcome, ChartKind> = {
+  'success': 'success',
+  'http-error': 'http-error',
+  'redirect': 'warning',
+  'opaque': 'warning',
+  'timeout': 'timeout',
+  'network-error': 'error',
+  'redirect-error': 'error',
+  'cors-blocked': 'error',
+  'assertion-failed': 'http-error',
+};
+
+const CSV_COLUMNS = ['sequence', 'timestamp', 'method', 'url', 'address', 'status', 'status_text', 'time_ms',
+  'size', 'outcome', 'message', 'scheduled', 'hidden', 'asleep', ...TIMING_PHASES.map(phase => `${phase}_ms`), 'headers'];
+
+export function chartKind(outcome: Outcome): ChartKind {
+  return CHART_KINDS[outcome] || 'error';
+}
+
+export function isReceivedOutcome(outcome: Outcome): boolean {
+  return RECEIVED_OUTCOMES.includes(outcome);
+}
+
+export function isReceived(record: PingRecord): boolean {
+  return isReceivedOutcome(record.outcome) && record.time !== null;
+}
+
+export function isOutcome(value: unknown): value is Outcome {
+  return (OUTCOMES as readonly unknown[]).includes(value);
+}
+
+type HeaderSource = Headers | Record<string, string | string[]> | null | undefined;
+
+export function normalizeHeaders(headers: HeaderSource): Record<string, string> {
+  const normalized: Record<string, string> = {};
+  if (!headers) {
+    return normalized;
+  }
+
+  const entries = headers instanceof Headers ? Array.from(headers.entries()) : Object.entries(headers);
+  entries.forEach(([name, value]) => {
+    normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return normalized;
+}
+
+// The records as withoutSecrets(config) would have them: no credential
+// headers (the auth helper's API key header included), no API key in the
+// query and no user:password@ in the URLs.
+export function recordsWithoutSecrets(records: PingRecord[], config: PingConfig): PingRecord[] {
+  const { auth } = config.request;
+  const keyName = auth.type === 'apikey' ? auth.keyName.trim() : '';
+  const cleanUrl = (url: string) => {
+    const clean = withoutCredentials(url);
+    if (!keyName || auth.keyIn !== 'query') {
+      return clean;
+    }
+    try {
+      const parsed = new URL(clean);
+      if (!parsed.searchParams.has(keyName)) {
+        return clean;
+      }
+      parsed.searchParams.delete(keyName);
+      return parsed.toString();
+    } catch {
+      return clean;
+    }
+  };
+  const cleanHeaders = (headers: Record<string, string>) => Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => !isSecretHeader(name) && !(auth.keyIn === 'header' && name === keyName.toLowerCase())));
+
+  return records.map(record => ({
+    ...record,
+    url: cleanUrl(record.url),
+    requestHeaders: record.requestHeaders && cleanHeaders(record.requestHeaders),
+    hops: record.hops && record.hops.map(hop => ({ ...hop, url: cleanUrl(hop.url) })),
+  }));
+}
+
+function csvEscape(value: unknown): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(session: Session): string {
+  const rows = session.records.map(record => [
+    record.sequence,
+    new Date(record.timestamp).toISOString(),
+    record.method,
+    record.url,
+    record.address,
+    record.status,
+    record.statusText,
+    record.time,
+    record.size,
+    record.outcome,
+    record.message,
+    record.scheduledAt ? new Date(record.scheduledAt).toISOString() : '',
+    record.hidden ? 'true' : '',
+    record.asleep ? 'true' : '',
+    ...TIMING_PHASES.map(phase => (record.timing && !record.timing.restricted ? record.timing[phase] : '')),
+    JSON.stringify(record.headers || {}),
+  ].map(csvEscape).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function toJSON(session: Session): string {
+  return JSON.stringify({ version: SESSION_VERSION, tool: 'http-ping', ...session }, null, 2);
+}
+
+function harHeaders(headers: Record<string, string> | undefined) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value }));
+}
+
+function harTimings(record: PingRecord) {
+  const timing = record.timing;
+  if (!timing || timing.restricted) {
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: record.time || 0, receive: 0, ssl: -1 };
+  }
+
+  return {
+    blocked: -1,
+    dns: timing.dns,
+    // HAR counts the TLS handshake as part of connect
+    connect: timing.connect + timing.tls,
+    send: timing.request,
+    wait: timing.ttfb,
+    receive: timing.download,
+    ssl: timing.tls > 0 ? timing.tls : -1,
+  };
+}
+
+export function toHAR(session: Session): string {
+  const entries = session.records.map(record => {
+    const url = new URL(record.url);
+    const requestHeaders = record.requestHeaders || {};
+    const entry: Record<string, unknown> & { request: Record<string, unknown>; response: Record<string, unknown> } = {
+      startedDateTime: new Date(record.timestamp).toISOString(),
+      time: record.time || 0,
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(requestHeaders),
+        queryString: Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: record.requestBody ? record.requestBody.length : 0,
+      },
+      response: {
+        status: record.status || 0,
+        statusText: record.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(record.headers),
+        content: {
+          size: record.size ?? -1,
+          mimeType: (record.headers && record.headers['content-type']) || 'x-unknown',
+        },
+        redirectURL: (record.headers && record.headers.location) || '',
+        headersSize: -1,
+        bodySize: record.size ?? -1,
+      },
+      cache: {},
+      timings: harTimings(record),
+      _sequence: record.sequence,
+      _outcome: record.outcome,
+    };
+
+    if (record.requestBody) {
+      entry.request.postData = {
+        mimeType: requestHeaders['content-type'] || 'text/plain',
+        text: record.requestBody,
+      };
+    }
+    if (record.address) {
+      entry.serverIPAddress = record.address;
+    }
+    if (record.message) {
+      entry.comment = record.message;
+      entry.response._error = record.message;
+    }
+    if (record.assertions) {
+      entry._assertions = record.assertions;
+    }
+    return entry;
+  });
+
+  return JSON.stringify({
+    log: {
+      version: '1.2',
+      creator: { name: 'HTTP Ping', version: '1.0.0' },
+      comment: `${session.target.host} ping session`,
+      pages: [],
+      entries,
+      _target: session.target,
+      _config: session.config,
+    },
+  }, null, 2);
+}
+
+function outcomeFromStatus(status: number): Outcome {
+  if (status >= 200 && status < 300) return 'success';
+  if (status >= 300 && status < 400) return 'redirect';
+  if (status > 0) return 'http-error';
+  return 'network-error';
+}
+
+interface HarEntry {
+  startedDateTime: string;
+  time: number;
+  request: { method: string; url: string };
+  response: {
+    status: number;
+    statusText: string;
+    headers?: { name: string; value: string }[];
+    content?: { size: number };
+    _error?: string;
+  };
+  timings?: { dns?: number; connect?: number; ssl?: number; send?: number; wait?: number; receive?: number };
+  serverIPAddress?: string;
+  comment?: string;
+  _sequence?: number;
+  _outcome?: string;
+  _assertions?: PingRecord['assertions'];
+}
+
+interface HarLog {
+  log: { entries: HarEntry[]; _target?: SessionTarget; _config?: Partial<PingConfig> };
+}
+
+// What is wrong with an imported record, or null when it has the fields
+// the charts, statistics and exports read.
+function recordProblem(record: Partial<PingRecord> | null): string | null {
+  if (!record || typeof record !== 'object') {
+    return 'not an object';
+  }
+  if (typeof record.url !== 'string' || record.url === '') {
+    return 'no url';
+  }
+  try {
+    new URL(record.url);
+  } catch {
+    return `invalid url "${record.url}"`;
+  }
+  if (typeof record.timestamp !== 'number' || !Number.isFinite(record.timestamp)) {
+    return 'no valid timestamp';
+  }
+  if (typeof record.sequence !== 'number' || !Number.isFinite(record.sequence)) {
+    return 'no sequence number';
+  }
+  if (typeof record.method !== 'string' || record.method === '') {
+    return 'no method';
+  }
+  if (!isOutcome(record.outcome)) {
+    return `unknown outcome "${record.outcome}"`;
+  }
+  if (record.time != null && typeof record.time !== 'number') {
+    return 'time is not a number';
+  }
+  return null;
+}
+
+// Throws on the first record that is not a ping; fills in the optional
+// fields older or hand-made files leave out.
+function checkRecords(records: Partial<PingRecord>[]): PingRecord[] {
+  return records.map((record, index) => {
+    const problem = recordProblem(record);
+    if (problem) {
+      throw new Error(`Record ${index + 1} is not a ping: ${problem}`);
+    }
+    return {
+      address: null,
+      status: 0,
+      statusText: '',
+      time: null,
+      size: null,
+      message: null,
+      timing: null,
+      ...record,
+      headers: record.headers && typeof record.headers === 'object' ? record.headers : {},
+    } as PingRecord;
+  });
+}
+
+function firstTarget(records: PingRecord[]): SessionTarget {
+  const first = records[0];
+  return { host: first ? new URL(first.url).hostname : 'unknown', address: first ? first.address : null };
+}
+
+function fromHAR(har: HarLog): Session {
+  const entries = har.log.entries || [];
+  const records = checkRecords(entries.map((entry, index): PingRecord => {
+    const timings = entry.timings || {};
+    const headers: Record<string, string> = {};
+    (entry.response.headers || []).forEach(({ name, value }) => { headers[name.toLowerCase()] = value; });
+    const hasPhases = (timings.dns ?? -1) >= 0 && (timings.connect ?? -1) >= 0;
+    const tls = (timings.ssl ?? -1) > 0 ? timings.ssl as number : 0;
+
+    return {
+      sequence: entry._sequence || index + 1,
+      timestamp: Date.parse(entry.startedDateTime),
+      method: entry.request.method,
+      url: entry.request.url,
+      address: entry.serverIPAddress || null,
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      time: entry.time,
+      size: entry.response.content && entry.response.content.size >= 0 ? entry.response.content.size : null,
+      outcome: isOutcome(entry._outcome) ? entry._outcome : outcomeFromStatus(entry.response.status),
+      message: entry.response._error || entry.comment || null,
+      headers,
+      assertions: entry._assertions || null,
+      timing: hasPhases ? {
+        restricted: false,
+        dns: timings.dns as number,
+        connect: (timings.connect as number) - tls,
+        tls,
+        request: Math.max(0, timings.send || 0),
+        ttfb: Math.max(0, timings.wait || 0),
+        download: Math.max(0, timings.receive || 0),
+        total: entry.time,
+      } : null,
+    };
+  }));
+
+  return {
+    target: har.log._target || firstTarget(records),
+    config: har.log._config || {},
+    records,
+  };
+}
+
+function parseCSVRows(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseHeaders(text: string | undefined, index: number): Record<string, string> {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    throw new Error(`Record ${index + 1}: the headers column is not JSON`);
+  }
+}
+
+function fromCSV(text: string): Session {
+  const [header, ...rows] = parseCSVRows(text).filter(row => row.some(cell => cell !== ''));
+  const column = (row: string[], name: string) => row[header.indexOf(name)];
+  const number = (value: string | undefined) => (value === '' || value === undefined ? null : Number(value));
+
+  const records = checkRecords(rows.map((row, index): PingRecord => {
+    const phases = TIMING_PHASES.map(phase => number(column(row, `${phase}_ms`)));
+    let timing: DetailedPhases | null = null;
+    if (phases.every(value => value !== null)) {
+      timing = { restricted: false, total: number(column(row, 'time_ms')) ?? 0 } as DetailedPhases;
+      TIMING_PHASES.forEach((phase, index) => { (timing as DetailedPhases)[phase] = phases[index] as number; });
+    }
+    const outcome = column(row, 'outcome');
+    const scheduled = column(row, 'scheduled');
+
+    return {
+      sequence: number(column(row, 'sequence')) ?? 0,
+      timestamp: Date.parse(column(row, 'timestamp')),
+      method: column(row, 'method'),
+      url: column(row, 'url'),
+      address: column(row, 'address') || null,
+      status: number(column(row, 'status')) ?? 0,
+      statusText: column(row, 'status_text') || '',
+      time: number(column(row, 'time_ms')),
+      size: number(column(row, 'size')),
+      outcome: isOutcome(outcome) ? outcome : 'network-error',
+      message: column(row, 'message') || null,
+      scheduledAt: scheduled ? Date.parse(scheduled) : null,
+      hidden: column(row, 'hidden') === 'true',
+      asleep: column(row, 'asleep') === 'true',
+      headers: parseHeaders(column(row, 'headers'), index),
+      timing,
+    };
+  }));
+
+  return { target: firstTarget(records), config: {}, records };
+}
+
+// Parses an exported session (JSON, HAR or CSV). Throws on anything it does
+// not recognize, and on records without the fields a ping has.
+export function parseSessionFile(text: string, filename = ''): Session {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (data.log && Array.isArray(data.log.entries)) {
+      return fromHAR(data);
+    }
+    if (Array.isArray(data.records)) {
+      return {
+        target: data.target || { host: 'unknown', address: null },
+        config: data.config || {},
+        records: checkRecords(data.records),
+      };
+    }
+    throw new Error('Unrecognized JSON file: expected an HTTP Ping session or a HAR log');
+  }
+
+  if (filename.toLowerCase().endsWith('.csv') || trimmed.startsWith('sequence,')) {
+    return fromCSV(trimmed);
+  }
+
+  throw new Error('Unrecognized file format: expected JSON, HAR or CSV');
+}
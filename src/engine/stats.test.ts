@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { RttStatistics } from './stats.ts';
+
+function statistics(values: number[]): RttStatistics {
+  const stats = new RttStatistics();
+  values.forEach(value => stats.add(value));
+  return stats;
+}
+
+// Within the histogram's 1% of the nearest-rank percentile
+function assertClose(actual: number, expected: number): void {
+  assert.ok(Math.abs(actual - expected) <= expected * 0.01, `${actual} is not within 1% of ${expected}`);
+}
+
+test('keeps sub-millisecond percentiles apart', () => {
+  const stats = statistics([0.2, 0.3, 0.9]);
+  assertClose(stats.percentile(50), 0.3);
+  assertClose(stats.percentile(90), 0.9);
+  assert.ok(stats.percentile(50) < stats.mean);
+});
+
+test('reads times of 0 as the minimum', () => {
+  const stats = statistics([0, 0, 0, 0.1]);
+  assert.equal(stats.percentile(50), 0);
+  assertClose(stats.percentile(99), 0.1);
+});
+
+test('stays within 1% across the range', () => {
+  const values = Array.from({ length: 1000 }, (_, index) => 0.05 * 1.01 ** index);
+  const stats = statistics(values);
+  [50, 90, 95, 99].forEach(p => assertClose(stats.percentile(p), values[Math.ceil((p / 100) * values.length) - 1]));
+});
@@ -0,0 +1,149 @@
+// Incremental round-trip statistics.
+//
+// Every figure is updated in O(1) per sample, and percentiles come from a
+// log-bucketed histogram (about 1% relative error), so the cost stays flat
+// no matter how long a run goes on. The buckets start at a microsecond, so
+// sub-millisecond times on a LAN keep the same precision.
+
+const DEFAULT_PRECISION = 0.01;
+// Upper bound (ms) of the first bucket, which holds everything down to 0
+const BUCKET_FLOOR = 0.001;
+
+// The log buckets, also used by uptime.ts: bucket i holds values in
+// (BUCKET_FLOOR * base^(i - 1), BUCKET_FLOOR * base^i], for a `logBase`
+// of ln(base).
+export function bucketIndex(value: number, logBase: number): number {
+  return value <= BUCKET_FLOOR ? 0 : Math.ceil(Math.log(value / BUCKET_FLOOR) / logBase);
+}
+
+// The geometric midpoint of bucket `index`'s bounds; 0 for the first one,
+// which percentile() clamps to the minimum.
+export function bucketValue(index: number, logBase: number): number {
+  return index === 0 ? 0 : BUCKET_FLOOR * Math.exp((index - 0.5) * logBase);
+}
+
+export interface RttSummary {
+  count: number;
+  min: number;
+  max: number;
+  avg: number;
+  mdev: number;
+  stddev: number;
+  jitter: number;
+  p50: number;
+  p90: number;
+  p95: number;
+  p99: number;
+}
+
+export class RttStatistics {
+  count = 0;
+  min = Infinity;
+  max = -Infinity;
+  private logBase: number;
+  private sum = 0;
+  private sumSquares = 0;
+  // Welford's running mean and sum of squared deltas, for stddev
+  private welfordMean = 0;
+  private welfordM2 = 0;
+  private last: number | null = null;
+  private jitterSum = 0;
+  private jitterCount = 0;
+  private buckets: number[] = [];
+
+  constructor({ precision = DEFAULT_PRECISION }: { precision?: number } = {}) {
+    this.logBase = Math.log(1 + precision);
+  }
+
+  reset(): void {
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.sum = 0;
+    this.sumSquares = 0;
+    this.welfordMean = 0;
+    this.welfordM2 = 0;
+    this.last = null;
+    this.jitterSum = 0;
+    this.jitterCount = 0;
+    this.buckets = [];
+  }
+
+  add(value: number): void {
+    this.count++;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+    this.sum += value;
+    this.sumSquares += value * value;
+
+    const delta = value - this.welfordMean;
+    this.welfordMean += delta / this.count;
+    this.welfordM2 += delta * (value - this.welfordMean);
+
+    if (this.last !== null) {
+      this.jitterSum += Math.abs(value - this.last);
+      this.jitterCount++;
+    }
+    this.last = value;
+
+    const index = bucketIndex(value, this.logBase);
+    this.buckets[index] = (this.buckets[index] || 0) + 1;
+  }
+
+  get mean(): number {
+    return this.count > 0 ? this.sum / this.count : 0;
+  }
+
+  // Mean deviation as iputils ping reports it: sqrt(E[x^2] - E[x]^2)
+  get mdev(): number {
+    if (this.count === 0) {
+      return 0;
+    }
+    const mean = this.mean;
+    return Math.sqrt(Math.max(0, this.sumSquares / this.count - mean * mean));
+  }
+
+  // Sample standard deviation (n - 1)
+  get stddev(): number {
+    return this.count > 1 ? Math.sqrt(this.welfordM2 / (this.count - 1)) : 0;
+  }
+
+  // Mean absolute difference between consecutive samples
+  get jitter(): number {
+    return this.jitterCount > 0 ? this.jitterSum / this.jitterCount : 0;
+  }
+
+  // Nearest-rank percentile, p in [0, 100]
+  percentile(p: number): number {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const rank = Math.max(1, Math.ceil((p / 100) * this.count));
+    let seen = 0;
+    for (let index = 0; index < this.buckets.length; index++) {
+      seen += this.buckets[index] || 0;
+      if (seen >= rank) {
+        return Math.min(this.max, Math.max(this.min, bucketValue(index, this.logBase)));
+      }
+    }
+
+    return this.max;
+  }
+
+  summary(): RttSummary {
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.min : 0,
+      max: this.count > 0 ? this.max : 0,
+      avg: this.mean,
+      mdev: this.mdev,
+      stddev: this.stddev,
+      jitter: this.jitter,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+    };
+  }
+}
@@ -0,0 +1,80 @@
+// Supabase backend for TeamSync.
+//
+// Talks to the tables of supabase/migrations (monitors, runs,
+// ping_results) through the project's REST API and listens to monitor and
+// run changes over Realtime. Works the same against a local stack from
+// `supabase start`.
+
+import { createClient } from '@supabase/supabase-js';
+import { SyncRejected } from './sync.ts';
+import type { MonitorRow, RunRow, SyncBackend, SyncOperation, SyncTable } from './sync.ts';
+
+const CONFLICT_COLUMNS: Record<SyncTable, string> = {
+  monitors: 'team,member,key',
+  runs: 'id',
+  ping_results: 'run_id,sequence',
+};
+
+// Statuses that will not change on a retry; auth failures are left to be
+// retried since a fixed key or policy makes them go through.
+function refused(status: number): boolean {
+  return status >= 400 && status < 500 && ![401, 403, 408, 429].includes(status);
+}
+
+export function supabaseBackend(url: string, anonKey: string): SyncBackend {
+  const client = createClient(url, anonKey, { auth: { persistSession: false, autoRefreshToken: false } });
+
+  return {
+    async upsert(table: SyncTable, rows: SyncOperation['rows']): Promise<void> {
+      const { error, status } = await client.from(table).upsert(rows, { onConflict: CONFLICT_COLUMNS[table] });
+      if (error) {
+        // A request that never reached the server has status 0
+        throw refused(status) ? new SyncRejected(`${table}: ${error.message}`) : new Error(error.message || 'request failed');
+      }
+    },
+
+    async monitors(team: string): Promise<MonitorRow[]> {
+      const { data, error } = await client.from('monitors').select('*').eq('team', team).order('member').order('name');
+      if (error) {
+        throw new Error(error.message || 'cannot load monitors');
+      }
+      return data as MonitorRow[];
+    },
+
+    async runs(team: string, limit: number): Promise<RunRow[]> {
+      const { data, error } = await client
+        .from('runs')
+        .select('*')
+        .eq('team', team)
+        .order('started_at', { ascending: false })
+        .limit(limit);
+      if (error) {
+        throw new Error(error.message || 'cannot load runs');
+      }
+      return data as RunRow[];
+    },
+
+    subscribe(team, listener) {
+      const channel = client.channel(`http-ping:${team}`);
+      (['monitors', 'runs'] as const).forEach(table => {
+        channel.on(
+          'postgres_changes',
+          { event: '*', schema: 'public', table, filter: `team=eq.${team}` },
+          payload => {
+            if (payload.eventType !== 'DELETE') {
+              listener(table, payload.new as MonitorRow | RunRow);
+            }
+          },
+        );
+      });
+      channel.subscribe();
+      return () => {
+        client.removeChannel(channel);
+      };
+    },
+
+    close() {
+      client.removeAllChannels();
+    },
+  };
+}
@@ -0,0 +1,145 @@
+// TeamSync against an in-memory backend whose writes can fail, refuse rows
+// or hang until the test lets them through.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { SyncRejected, TeamSync } from './sync.ts';
+import type { MonitorRow, ResultRow, RunRow, SyncBackend, SyncOperation, SyncState, SyncTable } from './sync.ts';
+
+class FakeBackend implements SyncBackend {
+  // "<table> <first sequence>" of every operation stored, in order
+  stored: string[] = [];
+  // Decides what each upsert does; resolving it stores the rows
+  write: (table: SyncTable) => Promise<void> = () => Promise.resolve();
+
+  async upsert(table: SyncTable, rows: SyncOperation['rows']): Promise<void> {
+    await this.write(table);
+    this.stored.push(`${table} ${(rows[0] as ResultRow).sequence}`);
+  }
+
+  async monitors(): Promise<MonitorRow[]> {
+    return [];
+  }
+
+  async runs(): Promise<RunRow[]> {
+    return [];
+  }
+
+  subscribe(): () => void {
+    return () => {};
+  }
+}
+
+function results(sequence: number): SyncOperation {
+  const row: ResultRow = {
+    run_id: 'run',
+    sequence,
+    timestamp: new Date(Date.UTC(2026, 0, 1)).toISOString(),
+    status: 200,
+    time: 20,
+    outcome: 'success',
+    message: null,
+  };
+  return { table: 'ping_results', rows: [row] };
+}
+
+function reached(sync: TeamSync, state: SyncState): Promise<void> {
+  return new Promise(resolve => {
+    const off = sync.on('status', status => {
+      if (status.state === state) {
+        off();
+        resolve();
+      }
+    });
+  });
+}
+
+test('replays the outbox in order when it connects', async () => {
+  const sync = new TeamSync({ outbox: [results(1), results(2), results(3)] });
+  const backend = new FakeBackend();
+  const outboxes: number[] = [];
+  sync.on('outbox', outbox => outboxes.push(outbox.length));
+  const synced = reached(sync, 'synced');
+
+  sync.connect(backend, 'ops', 'ana');
+  await synced;
+
+  assert.deepEqual(backend.stored, ['ping_results 1', 'ping_results 2', 'ping_results 3']);
+  assert.deepEqual(sync.outbox, []);
+  assert.deepEqual(outboxes, [0]);
+  assert.equal(sync.status.pending, 0);
+  sync.disconnect();
+});
+
+test('keeps the outbox while offline and sends it once back', async () => {
+  const sync = new TeamSync({ outbox: [results(1)] });
+  const backend = new FakeBackend();
+  backend.write = () => Promise.reject(new Error('Failed to fetch'));
+  const offline = reached(sync, 'offline');
+
+  sync.connect(backend, 'ops', 'ana');
+  await offline;
+  assert.deepEqual(sync.status, { state: 'offline', pending: 1, message: 'Failed to fetch; retrying in 5s' });
+
+  const outboxes: number[] = [];
+  sync.on('outbox', outbox => outboxes.push(outbox.length));
+  sync.publishRun({
+    name: 'api',
+    startedAt: Date.UTC(2026, 0, 1),
+    finishedAt: Date.UTC(2026, 0, 1, 0, 1),
+    config: {},
+    target: { host: 'api.example', address: null },
+    records: [],
+  });
+  assert.deepEqual(outboxes, [2]);
+  assert.equal(sync.status.state, 'offline');
+  assert.equal(sync.status.pending, 2);
+
+  backend.write = () => Promise.resolve();
+  await sync.flush();
+  assert.equal(sync.status.state, 'synced');
+  assert.deepEqual(backend.stored.map(entry => entry.split(' ')[0]), ['ping_results', 'runs']);
+  sync.disconnect();
+});
+
+test('flushes a new backend while a write to the old one hangs', async () => {
+  const sync = new TeamSync({ outbox: [results(1), results(2)] });
+  const old = new FakeBackend();
+  let release = () => {};
+  old.write = () => new Promise(resolve => {
+    release = resolve;
+  });
+  sync.connect(old, 'ops', 'ana');
+
+  const backend = new FakeBackend();
+  const synced = reached(sync, 'synced');
+  sync.connect(backend, 'ops', 'ana');
+  await synced;
+  assert.deepEqual(backend.stored, ['ping_results 1', 'ping_results 2']);
+
+  release();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(old.stored, ['ping_results 1']);
+  assert.equal(sync.status.state, 'synced');
+  sync.disconnect();
+});
+
+test('drops rows the server refuses and sends the rest', async () => {
+  const sync = new TeamSync({ outbox: [results(1), results(2)] });
+  const backend = new FakeBackend();
+  let writes = 0;
+  backend.write = () => writes++ === 0
+    ? Promise.reject(new SyncRejected('invalid input syntax for type uuid'))
+    : Promise.resolve();
+  const rejected: unknown[] = [];
+  sync.on('rejected', event => rejected.push(event));
+  const synced = reached(sync, 'synced');
+
+  sync.connect(backend, 'ops', 'ana');
+  await synced;
+
+  assert.deepEqual(rejected, [{ table: 'ping_results', rows: 1, message: 'invalid input syntax for type uuid' }]);
+  assert.deepEqual(backend.stored, ['ping_results 2']);
+  assert.deepEqual(sync.outbox, []);
+  sync.disconnect();
+});
@@ -0,0 +1,398 @@
+// Optional team sync.
+//
+// Shares dashboard monitors and finished runs (their config, summary and
+// pings) with a team through a SyncBackend, Supabase in the page. Every
+// change goes into an outbox first and is sent in order, so nothing is lost
+// while offline: the outbox is retried with a growing delay and kept by the
+// page between visits. Monitor changes by other members arrive as events.
+
+import type { PingConfig } from './config.ts';
+import { Emitter } from './events.ts';
+import { summarizeRecords } from './history.ts';
+import type { NewRun, RunSummary } from './history.ts';
+import type { TargetStatus } from './multi.ts';
+import { uuid } from './request.ts';
+import type { Outcome, PingRecord } from './session.ts';
+import { normalizeTargetUrl, targetLabel } from './targets.ts';
+import type { Target } from './targets.ts';
+import { withoutCredentials } from './url.ts';
+
+export const RECENT_RUNS = 20;
+// A monitor whose state has not changed is sent again at most this often
+export const MONITOR_HEARTBEAT = 60000;
+// Rows the outbox holds at most; the oldest pings give way first
+export const MAX_OUTBOX_ROWS = 50000;
+const RESULTS_PER_UPSERT = 1000;
+const RETRY_DELAYS = [5000, 15000, 60000, 300000];
+
+export type SyncTable = 'monitors' | 'runs' | 'ping_results';
+
+// Rows as they are stored: snake_case columns, ISO timestamps
+export interface MonitorRow {
+  team: string;
+  member: string;
+  // "<method> <url>"; a member has one row per key
+  key: string;
+  name: string;
+  url: string;
+  method: string;
+  interval: number;
+  timeout: number;
+  state: TargetStatus;
+  status: number;
+  latency: number | null;
+  message: string | null;
+  checked_at: string;
+}
+
+export interface RunRow {
+  id: string;
+  team: string;
+  member: string;
+  name: string;
+  host: string;
+  started_at: string;
+  finished_at: string;
+  config: Partial<PingConfig>;
+  summary: RunSummary;
+}
+
+export interface ResultRow {
+  run_id: string;
+  sequence: number;
+  timestamp: string;
+  status: number;
+  time: number | null;
+  outcome: Outcome;
+  message: string | null;
+}
+
+export interface SyncOperation {
+  table: SyncTable;
+  rows: (MonitorRow | RunRow | ResultRow)[];
+}
+
+export interface SyncBackend {
+  upsert(table: SyncTable, rows: SyncOperation['rows']): Promise<void>;
+  monitors(team: string): Promise<MonitorRow[]>;
+  runs(team: string, limit: number): Promise<RunRow[]>;
+  // Calls back with every monitor or run row written for the team, by
+  // anyone; returns an unsubscribe function
+  subscribe(team: string, listener: (table: 'monitors' | 'runs', row: MonitorRow | RunRow) => void): () => void;
+  close?(): void;
+}
+
+// Thrown by a backend when the server refuses rows for good (a bad value,
+// a missing table); those rows are dropped rather than retried forever.
+export class SyncRejected extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SyncRejected';
+  }
+}
+
+export type SyncState = 'off' | 'syncing' | 'synced' | 'offline';
+
+export interface SyncStatus {
+  state: SyncState;
+  // Rows still in the outbox
+  pending: number;
+  message: string | null;
+}
+
+export interface SyncEvents {
+  status: SyncStatus;
+  // The outbox changed; the page keeps it for the next visit. Sent once
+  // per flush, and for every change while nothing is being flushed.
+  outbox: SyncOperation[];
+  // Team monitors or runs changed
+  team: void;
+  // Another member's monitor changed state
+  'monitor-change': { row: MonitorRow; previous: TargetStatus | null };
+  // The server refused rows for good; they were dropped from the outbox
+  rejected: { table: SyncTable; rows: number; message: string };
+}
+
+export interface SyncSettings {
+  // Supabase project URL and anon key
+  url: string;
+  anonKey: string;
+  team: string;
+  member: string;
+  enabled: boolean;
+}
+
+export function defaultSyncSettings(): SyncSettings {
+  return { url: '', anonKey: '', team: '', member: '', enabled: false };
+}
+
+// Returns a list of problems (empty when the settings can connect).
+export function validateSyncSettings(settings: SyncSettings): string[] {
+  const problems: string[] = [];
+  try {
+    const url = new URL(settings.url);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      problems.push('Project URL must start with http:// or https://');
+    }
+  } catch {
+    problems.push(`Invalid project URL "${settings.url}"`);
+  }
+  if (!settings.anonKey.trim()) {
+    problems.push('Enter the project\'s anon key');
+  }
+  // Used in a Realtime filter, so no commas or parentheses
+  if (!/^[\w.-]{1,64}$/.test(settings.team)) {
+    problems.push('Team must be 1 to 64 letters, digits, ".", "-" or "_"');
+  }
+  if (!settings.member.trim()) {
+    problems.push('Enter your name so the team can tell your monitors apart');
+  }
+  return problems;
+}
+
+export function monitorKey(method: string, url: string): string {
+  return `${method} ${url}`;
+}
+
+function rowCount(outbox: SyncOperation[]): number {
+  return outbox.reduce((count, operation) => count + operation.rows.length, 0);
+}
+
+export class TeamSync extends Emitter<SyncEvents> {
+  backend: SyncBackend | null = null;
+  team = '';
+  member = '';
+  outbox: SyncOperation[];
+  // Team monitors by "<member>\n<key>", this member's included
+  monitors = new Map<string, MonitorRow>();
+  // Newest first
+  runs: RunRow[] = [];
+  status: SyncStatus;
+  private unsubscribe: (() => void) | null = null;
+  // The backend a flush is running for; one for an earlier backend does not
+  // hold up the current one
+  private flushing: SyncBackend | null = null;
+  private failures = 0;
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
+  // Last monitor state sent per key, and when
+  private sent = new Map<string, { state: TargetStatus; at: number }>();
+
+  constructor({ outbox = [] }: { outbox?: SyncOperation[] } = {}) {
+    super();
+    this.outbox = outbox;
+    this.status = { state: 'off', pending: rowCount(outbox), message: null };
+  }
+
+  get connected(): boolean {
+    return this.backend !== null;
+  }
+
+  // Starts sharing as `member` of `team`: sends whatever the outbox holds,
+  // loads the team's monitors and runs and listens for changes.
+  connect(backend: SyncBackend, team: string, member: string): void {
+    this.disconnect();
+    this.backend = backend;
+    this.team = team;
+    this.member = member;
+    this.unsubscribe = backend.subscribe(team, (table, row) => this.received(table, row));
+    this.flush();
+  }
+
+  disconnect(): void {
+    this.cancelRetry();
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.backend && this.backend.close) {
+      this.backend.close();
+    }
+    this.backend = null;
+    this.monitors.clear();
+    this.runs = [];
+    this.sent.clear();
+    this.setStatus('off', null);
+    this.emit('team', undefined);
+  }
+
+  // Called for every ping of a monitored target; queues the monitor when its
+  // state changed or the last copy is older than the heartbeat.
+  publishMonitor(target: Target, state: TargetStatus, record: PingRecord): void {
+    if (!this.backend) {
+      return;
+    }
+    const url = withoutCredentials(normalizeTargetUrl(target.url));
+    const key = monitorKey(target.method, url);
+    const last = this.sent.get(key);
+    if (last && last.state === state && record.timestamp - last.at < MONITOR_HEARTBEAT) {
+      return;
+    }
+    this.sent.set(key, { state, at: record.timestamp });
+
+    const row: MonitorRow = {
+      team: this.team,
+      member: this.member,
+      key,
+      name: targetLabel(target),
+      url,
+      method: target.method,
+      interval: target.interval,
+      timeout: target.timeout,
+      state,
+      status: record.status,
+      latency: record.time === null ? null : Math.round(record.time),
+      message: record.message,
+      checked_at: new Date(record.timestamp).toISOString(),
+    };
+    this.monitors.set(`${row.member}\n${key}`, row);
+    this.emit('team', undefined);
+    // Only the newest copy of a monitor is worth sending
+    this.outbox = this.outbox.filter(operation => !(operation.table === 'monitors'
+      && (operation.rows[0] as MonitorRow).key === key));
+    this.enqueue({ table: 'monitors', rows: [row] });
+  }
+
+  // Queues a finished run; `config` should already be stripped of secrets.
+  publishRun(run: NewRun): void {
+    if (!this.backend) {
+      return;
+    }
+    const row: RunRow = {
+      id: uuid(),
+      team: this.team,
+      member: this.member,
+      name: run.name,
+      host: run.target.host,
+      started_at: new Date(run.startedAt).toISOString(),
+      finished_at: new Date(run.finishedAt).toISOString(),
+      config: run.config,
+      summary: summarizeRecords(run.records),
+    };
+    this.runs = [row, ...this.runs].slice(0, RECENT_RUNS);
+    this.emit('team', undefined);
+
+    const operations: SyncOperation[] = [{ table: 'runs', rows: [row] }];
+    for (let start = 0; start < run.records.length; start += RESULTS_PER_UPSERT) {
+      operations.push({
+        table: 'ping_results',
+        rows: run.records.slice(start, start + RESULTS_PER_UPSERT).map(record => ({
+          run_id: row.id,
+          sequence: record.sequence,
+          timestamp: new Date(record.timestamp).toISOString(),
+          status: record.status,
+          time: record.time,
+          outcome: record.outcome,
+          message: record.message,
+        })),
+      });
+    }
+    this.enqueue(...operations);
+  }
+
+  // Sends the outbox in order, then reloads the team's monitors and runs to
+  // catch up on changes missed while offline. Safe to call at any time.
+  async flush(): Promise<void> {
+    if (!this.backend || this.flushing === this.backend) {
+      return;
+    }
+    const backend = this.backend;
+    this.flushing = backend;
+    this.cancelRetry();
+    this.setStatus('syncing', null);
+
+    try {
+      while (this.outbox.length > 0 && this.backend === backend) {
+        const operation = this.outbox[0];
+        try {
+          await backend.upsert(operation.table, operation.rows);
+        } catch (error) {
+          if (!(error instanceof SyncRejected)) throw error;
+          this.emit('rejected', { table: operation.table, rows: operation.rows.length, message: error.message });
+        }
+        this.outbox = this.outbox.filter(entry => entry !== operation);
+      }
+      if (this.backend !== backend) {
+        return;
+      }
+
+      const [monitors, runs] = await Promise.all([backend.monitors(this.team), backend.runs(this.team, RECENT_RUNS)]);
+      if (this.backend !== backend) {
+        return;
+      }
+      this.monitors = new Map(monitors.map(row => [`${row.member}\n${row.key}`, row]));
+      this.runs = runs;
+      this.failures = 0;
+      this.setStatus('synced', null);
+      this.emit('team', undefined);
+    } catch (error) {
+      if (this.backend === backend) {
+        const delay = RETRY_DELAYS[Math.min(this.failures, RETRY_DELAYS.length - 1)];
+        this.failures++;
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+        this.setStatus('offline', `${(error as Error).message}; retrying in ${delay / 1000}s`);
+      }
+    } finally {
+      if (this.flushing === backend) {
+        this.flushing = null;
+      }
+      this.emit('outbox', this.outbox);
+    }
+    // Anything queued while the last batch was on its way
+    if (this.backend === backend && this.status.state === 'synced' && this.outbox.length > 0) {
+      this.flush();
+    }
+  }
+
+  private enqueue(...operations: SyncOperation[]): void {
+    this.outbox.push(...operations);
+    let excess = rowCount(this.outbox) - MAX_OUTBOX_ROWS;
+    while (excess > 0) {
+      const index = this.outbox.findIndex(operation => operation.table === 'ping_results');
+      if (index === -1) {
+        break;
+      }
+      excess -= this.outbox[index].rows.length;
+      this.outbox.splice(index, 1);
+    }
+    if (this.status.state === 'offline') {
+      this.emit('outbox', this.outbox);
+      this.setStatus('offline', this.status.message);
+    } else {
+      // Sends it now, or after the flush under way, which saves it as well
+      this.flush();
+    }
+  }
+
+  private received(table: 'monitors' | 'runs', row: MonitorRow | RunRow): void {
+    if (row.team !== this.team) {
+      return;
+    }
+    if (table === 'runs') {
+      const run = row as RunRow;
+      this.runs = [run, ...this.runs.filter(entry => entry.id !== run.id)]
+        .sort((a, b) => b.started_at.localeCompare(a.started_at))
+        .slice(0, RECENT_RUNS);
+    } else {
+      const monitor = row as MonitorRow;
+      const id = `${monitor.member}\n${monitor.key}`;
+      const previous = this.monitors.get(id);
+      this.monitors.set(id, monitor);
+      if (monitor.member !== this.member && (!previous || previous.state !== monitor.state)) {
+        this.emit('monitor-change', { row: monitor, previous: previous ? previous.state : null });
+      }
+    }
+    this.emit('team', undefined);
+  }
+
+  private setStatus(state: SyncState, message: string | null): void {
+    this.status = { state, pending: rowCount(this.outbox), message };
+    this.emit('status', this.status);
+  }
+
+  private cancelRetry(): void {
+    if (this.retryTimer !== null) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
@@ -0,0 +1,107 @@
+// Target list for the multi-target dashboard.
+//
+// The list is exported as { version, targets } JSON without the ids, which
+// are only used to tell targets apart on the page.
+
+import { isHttpMethod } from './request.ts';
+import type { HttpMethod } from './request.ts';
+import { parseTargetUrl, parseUrl } from './url.ts';
+
+export const TARGETS_VERSION = 1;
+
+export interface Target {
+  id: string;
+  name: string;
+  url: string;
+  method: HttpMethod;
+  interval: number;
+  timeout: number;
+}
+
+let nextId = 1;
+
+export function createTarget(fields: Partial<Omit<Target, 'id'>> = {}): Target {
+  return {
+    id: `target-${nextId++}`,
+    name: fields.name || '',
+    url: fields.url || '',
+    method: isHttpMethod(fields.method) ? fields.method : 'GET',
+    interval: Number(fields.interval) || 1000,
+    timeout: Number(fields.timeout) || 5000,
+  };
+}
+
+// Adds a scheme to bare hosts the same way the single-target form does
+// (see parseTargetUrl); input that does not parse is returned trimmed.
+export function normalizeTargetUrl(input: string): string {
+  const parsed = parseUrl(input);
+  return parsed ? parsed.fullUrl : input.trim();
+}
+
+export function targetLabel(target: Target): string {
+  if (target.name) {
+    return target.name;
+  }
+  try {
+    return new URL(normalizeTargetUrl(target.url)).host;
+  } catch {
+    return target.url;
+  }
+}
+
+// Checks a list before the dashboard starts. Returns a list of problems
+// (empty when every target is usable).
+export function validateTargets(targets: Target[]): string[] {
+  const problems: string[] = [];
+
+  if (targets.length === 0) {
+    problems.push('Add at least one target');
+  }
+  targets.forEach((target, index) => {
+    const label = target.name || target.url || `#${index + 1}`;
+    try {
+      if (!parseTargetUrl(target.url).protocol.startsWith('http')) {
+        problems.push(`Target ${label}: only http:// and https:// targets can be checked`);
+      }
+    } catch (error) {
+      problems.push(`Target ${label}: ${(error as Error).message}`);
+    }
+    if (!(target.interval >= 100)) {
+      problems.push(`Target ${label}: interval must be at least 100ms`);
+    }
+    if (!(target.timeout >= 100)) {
+      problems.push(`Target ${label}: timeout must be at least 100ms`);
+    }
+  });
+
+  return problems;
+}
+
+export function serializeTargets(targets: Target[]): string {
+  return JSON.stringify({
+    version: TARGETS_VERSION,
+    targets: targets.map(({ name, url, method, interval, timeout }) => ({ name, url, method, interval, timeout })),
+  }, null, 2);
+}
+
+// Parses an exported target list, or a bare array of targets. Throws on
+// anything it does not recognize.
+export function parseTargets(text: string): Target[] {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`not valid JSON (${(error as Error).message})`);
+  }
+
+  const list = Array.isArray(data) ? data : data && data.targets;
+  if (!Array.isArray(list)) {
+    throw new Error('expected a "targets" array');
+  }
+  return list.map((entry, index) => {
+    if (!entry || typeof entry.url !== 'string' || entry.url.trim() === '') {
+      throw new Error(`target ${index + 1} has no url`);
+    }
+    return createTarget(entry);
+  });
+}
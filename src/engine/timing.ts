@@ -0,0 +1,133 @@
+// Per-request timing breakdown from the Resource Timing API.
+//
+// Phases follow curl's -w timers: DNS lookup, TCP connect, TLS handshake,
+// request (connection ready until the request is sent), TTFB (waiting for
+// the first byte) and content download.
+
+export const TIMING_PHASES = ['dns', 'connect', 'tls', 'request', 'ttfb', 'download'] as const;
+
+export type TimingPhase = typeof TIMING_PHASES[number];
+
+export type DetailedPhases = { restricted: false; total: number } & Record<TimingPhase, number>;
+
+// Cross-origin responses without Timing-Allow-Origin only report the total
+export type TimingPhases = DetailedPhases | { restricted: true; total: number };
+
+export interface PhaseSummary {
+  samples: number;
+  restricted: number;
+  phases: Partial<Record<TimingPhase, { min: number; avg: number; max: number }>>;
+}
+
+function nextTick(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resource timing entries are queued once the response body has been read,
+// which can land a moment after fetch() settles, so poll briefly. Outside a
+// page (no `location`) there is nothing to look up.
+export async function findResourceTiming(url: string, startTime: number): Promise<PerformanceResourceTiming | null> {
+  if (typeof location === 'undefined' || typeof performance.getEntriesByName !== 'function') {
+    return null;
+  }
+  const absoluteUrl = new URL(url, location.href).href;
+
+  for (const wait of [0, 10, 50]) {
+    await nextTick(wait);
+    const entries = (performance.getEntriesByName(absoluteUrl, 'resource') as PerformanceResourceTiming[])
+      .filter(entry => entry.startTime >= startTime - 1);
+
+    if (entries.length > 0) {
+      const entry = entries[entries.length - 1];
+      // Keep the timeline buffer from filling up on long runs
+      performance.clearResourceTimings();
+      return entry;
+    }
+  }
+
+  return null;
+}
+
+function span(start: number, end: number): number {
+  return start > 0 && end >= start ? end - start : 0;
+}
+
+// Converts a PerformanceResourceTiming entry into phase durations in ms.
+export function extractPhases(entry: PerformanceResourceTiming): TimingPhases {
+  const total = entry.duration;
+
+  if (entry.requestStart === 0 || entry.responseStart === 0) {
+    return { restricted: true, total };
+  }
+
+  const hasTls = entry.secureConnectionStart > 0;
+  const connectEnd = entry.connectEnd || entry.fetchStart;
+
+  return {
+    restricted: false,
+    dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+    connect: span(entry.connectStart, hasTls ? entry.secureConnectionStart : entry.connectEnd),
+    tls: hasTls ? span(entry.secureConnectionStart, entry.connectEnd) : 0,
+    request: span(connectEnd, entry.requestStart),
+    ttfb: span(entry.requestStart, entry.responseStart),
+    download: span(entry.responseStart, entry.responseEnd),
+    total,
+  };
+}
+
+// Normalizes the breakdown reported by the companion proxy.
+export function fromProxyTiming(timing: Partial<Record<TimingPhase, number>> & { total: number }): TimingPhases {
+  const phases = { restricted: false, total: timing.total } as DetailedPhases;
+  TIMING_PHASES.forEach(phase => { phases[phase] = timing[phase] || 0; });
+  return phases;
+}
+
+export function formatPhases(phases: TimingPhases): string {
+  if (phases.restricted) {
+    return `breakdown hidden by server (no Timing-Allow-Origin) total=${phases.total.toFixed(1)}ms`;
+  }
+
+  return TIMING_PHASES.map(phase => `${phase}=${phases[phase].toFixed(1)}ms`).join(' ')
+    + ` total=${phases.total.toFixed(1)}ms`;
+}
+
+// Min/avg/max per phase over every breakdown added, kept in O(1) per sample
+// like RttStatistics so a run of any length costs the same.
+export class PhaseStatistics {
+  private detailed = 0;
+  private restricted = 0;
+  private totals = new Map<TimingPhase, { min: number; max: number; sum: number }>();
+
+  reset(): void {
+    this.detailed = 0;
+    this.restricted = 0;
+    this.totals.clear();
+  }
+
+  add(sample: TimingPhases): void {
+    if (sample.restricted) {
+      this.restricted++;
+      return;
+    }
+    this.detailed++;
+    TIMING_PHASES.forEach(phase => {
+      const value = sample[phase];
+      const total = this.totals.get(phase);
+      if (total) {
+        total.min = Math.min(total.min, value);
+        total.max = Math.max(total.max, value);
+        total.sum += value;
+      } else {
+        this.totals.set(phase, { min: value, max: value, sum: value });
+      }
+    });
+  }
+
+  summary(): PhaseSummary {
+    const summary: PhaseSummary = { samples: this.detailed, restricted: this.restricted, phases: {} };
+    this.totals.forEach(({ min, max, sum }, phase) => {
+      summary.phases[phase] = { min, avg: sum / this.detailed, max };
+    });
+    return summary;
+  }
+}
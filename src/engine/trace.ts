@@ -0,0 +1,168 @@
+// Redirect tracing (--trace).
+//
+// Instead of letting fetch or the proxy follow redirects, every 3xx hop is
+// requested on its own so each one reports its status, Location and timing.
+// Hops are checked for protocol and host changes, loops and downgrades from
+// HTTPS to plain HTTP.
+
+import { probe } from './probe.ts';
+import type { ProbeOptions, ProbeResult } from './probe.ts';
+import { defaultRequestSpec, isSecretHeader } from './request.ts';
+import type { TimingPhases } from './timing.ts';
+
+export const DEFAULT_MAX_HOPS = 10;
+
+export interface TraceHop {
+  url: string;
+  method: string;
+  status: number;
+  statusText: string;
+  // Absolute URL of the next hop, null on the last one
+  location: string | null;
+  time: number | null;
+  timing: TimingPhases | null;
+  address: string | null;
+  // "http → https", "apex → www", ...
+  changes: string[];
+  // Downgrades and loops
+  warnings: string[];
+}
+
+export interface TraceResult {
+  hops: TraceHop[];
+  // The browser answered with an opaque redirect: no status, no Location
+  hidden: boolean;
+  loop: boolean;
+  // Stopped at maxHops while still being redirected
+  exceeded: boolean;
+  // A Location that is not a URL ends the trace
+  invalidLocation: string | null;
+}
+
+function isRedirect(result: ProbeResult): boolean {
+  const { record } = result;
+  return record.status >= 300 && record.status < 400 && Boolean(record.headers.location);
+}
+
+// What changes between a hop and the next one.
+function describeHopChanges(from: URL, to: URL): { changes: string[]; warnings: string[] } {
+  const changes: string[] = [];
+  const warnings: string[] = [];
+
+  if (from.protocol !== to.protocol) {
+    changes.push(`${from.protocol.slice(0, -1)} → ${to.protocol.slice(0, -1)}`);
+    if (from.protocol === 'https:' && to.protocol === 'http:') {
+      warnings.push('downgrade from HTTPS to plain HTTP (mixed content: blocked on HTTPS pages)');
+    }
+  }
+  if (from.hostname !== to.hostname) {
+    if (to.hostname === `www.${from.hostname}`) {
+      changes.push('apex → www');
+    } else if (from.hostname === `www.${to.hostname}`) {
+      changes.push('www → apex');
+    } else {
+      changes.push(`host ${from.hostname} → ${to.hostname}`);
+    }
+  } else if (from.port !== to.port) {
+    changes.push(`port ${from.port || 'default'} → ${to.port || 'default'}`);
+  }
+
+  return { changes, warnings };
+}
+
+// Pings `options.url` hop by hop, up to maxHops redirects. Resolves with the
+// final hop as the ping's result: its record carries the whole chain's time,
+// the original URL and every hop.
+export async function traceRedirects(options: ProbeOptions & { maxHops?: number }): Promise<ProbeResult> {
+  const maxHops = options.maxHops || DEFAULT_MAX_HOPS;
+  const trace: TraceResult = { hops: [], hidden: false, loop: false, exceeded: false, invalidLocation: null };
+  const visited = new Set<string>();
+  let url = options.url;
+  let method = options.method;
+  let request = options.request;
+  let total = 0;
+  let result: ProbeResult;
+
+  for (;;) {
+    result = await probe({ ...options, url, method, request, followRedirects: false });
+    const { record } = result;
+    total += record.time ?? 0;
+    visited.add(`${method} ${new URL(record.url).href}`);
+
+    const hop: TraceHop = {
+      url: record.url,
+      method,
+      status: record.status,
+      statusText: record.statusText,
+      location: null,
+      time: record.time,
+      timing: record.timing,
+      address: record.address,
+      changes: [],
+      warnings: [],
+    };
+    trace.hops.push(hop);
+
+    if (record.outcome === 'redirect' && record.status === 0) {
+      trace.hidden = true;
+      break;
+    }
+    if (!isRedirect(result)) {
+      break;
+    }
+
+    let next: URL;
+    try {
+      next = new URL(record.headers.location, record.url);
+    } catch {
+      trace.invalidLocation = record.headers.location;
+      hop.warnings.push(`invalid Location "${record.headers.location}"`);
+      break;
+    }
+    hop.location = next.href;
+    Object.assign(hop, describeHopChanges(new URL(record.url), next));
+
+    // Same rewrite as browsers and the companion proxy
+    if (record.status === 303 || ([301, 302].includes(record.status) && method === 'POST')) {
+      method = 'GET';
+    }
+    // Nor do they, or the proxy, send credentials on to another origin
+    if (next.origin !== new URL(record.url).origin) {
+      request = {
+        ...request,
+        auth: defaultRequestSpec().auth,
+        headers: request.headers.filter(header => !isSecretHeader(header.name)),
+      };
+    }
+    if (visited.has(`${method} ${next.href}`)) {
+      trace.loop = true;
+      hop.warnings.push(`redirect loop back to ${next.href}`);
+      break;
+    }
+    if (trace.hops.length > maxHops) {
+      trace.exceeded = true;
+      break;
+    }
+    url = next.href;
+  }
+
+  const { record } = result;
+  record.url = options.url;
+  record.time = record.time === null ? null : Math.round(total);
+  record.hops = trace.hops;
+
+  // Like a client that gives up following: lost, but the server did answer,
+  // so neither the HTTP fallback nor the stop at a network error applies
+  if (trace.loop) {
+    record.outcome = 'redirect-error';
+    record.message = `redirect loop after ${trace.hops.length} redirect${trace.hops.length === 1 ? '' : 's'}`;
+  } else if (trace.exceeded) {
+    record.outcome = 'redirect-error';
+    record.message = `more than ${maxHops} redirects`;
+  } else if (trace.invalidLocation !== null) {
+    record.outcome = 'redirect-error';
+    record.message = `invalid Location "${trace.invalidLocation}"`;
+  }
+
+  return { ...result, trace };
+}
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { defaultSlo, uptimeReport, UptimeLog } from './uptime.ts';
+
+const target = { name: 'api', url: 'https://api.example/health', method: 'GET' };
+const start = Date.UTC(2026, 0, 1);
+
+function report(log: UptimeLog) {
+  return uptimeReport(log, { days: 1, slo: defaultSlo(), now: start + 3600000 }).targets[0];
+}
+
+test('keeps sub-millisecond latencies apart from slower ones', () => {
+  const log = new UptimeLog();
+  [0.3, 0.3, 0.4, 250, 400].forEach((time, index) => log.record(target, { at: start + index * 60000, up: true, time }));
+  const { p50, p95 } = report(log);
+  assert.equal(p50, 0);
+  assert.ok(p95 !== undefined && Math.abs(p95 - 400) <= 8, `${p95} is not within 2% of 400`);
+});
+
+test('reads the latencies of a version 1 log once', () => {
+  const bucket = { start, checks: 4, up: 4, latencies: { 0: 3, 233: 1 } };
+  const saved = { version: 1, targets: [{ ...target, hourly: [], daily: [bucket], outages: [], lastCheck: start }] };
+  const log = UptimeLog.parse(JSON.stringify(saved));
+  assert.deepEqual([report(log).p50, report(log).p99], [1, 100]);
+
+  const again = UptimeLog.parse(log.serialize());
+  assert.deepEqual([report(again).p50, report(again).p99], [1, 100]);
+});
@@ -0,0 +1,509 @@
+// Uptime rollups and SLA reports from scheduled checks.
+//
+// Every check lands in an hourly and a daily bucket of its target: the
+// number of checks, how many were up, and the latencies of those as counts
+// per log bucket (stats.ts's buckets, 2% wide instead of 1%), which keeps a
+// year of days small enough for localStorage. Hourly buckets are kept for a week,
+// daily ones for 400 days. An outage runs from the first failed check to
+// the next one that is up; one still going on is counted up to the latest
+// check, so time without checks is not counted as down. Days are UTC days.
+
+import { isReceived } from './session.ts';
+import type { PingRecord } from './session.ts';
+import { bucketIndex, bucketValue } from './stats.ts';
+
+// Version 1 counted everything up to 1 ms in one bucket
+export const UPTIME_VERSION = 2;
+export const DEFAULT_CHECK_INTERVAL = 60000;
+export const REPORT_RANGES = [1, 7, 30, 90];
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const HOURLY_RETENTION = 7 * DAY;
+const DAILY_RETENTION = 400 * DAY;
+const LOG_BASE = Math.log(1.02);
+
+// Availability target in percent, and a p95 latency target in ms (0 for
+// none)
+export interface Slo {
+  availability: number;
+  latency: number;
+}
+
+export interface Check {
+  at: number;
+  up: boolean;
+  time: number | null;
+}
+
+export interface UptimeBucket {
+  start: number;
+  checks: number;
+  up: number;
+  // Latency bucket index -> checks
+  latencies: Record<string, number>;
+}
+
+export interface Outage {
+  start: number;
+  // null while it is still going on
+  end: number | null;
+  checks: number;
+}
+
+export interface TargetUptime {
+  name: string;
+  url: string;
+  method: string;
+  hourly: UptimeBucket[];
+  daily: UptimeBucket[];
+  outages: Outage[];
+  lastCheck: number | null;
+}
+
+export interface CheckTarget {
+  name: string;
+  url: string;
+  method: string;
+}
+
+export function defaultSlo(): Slo {
+  return { availability: 99.9, latency: 0 };
+}
+
+export function validateSlo(slo: Slo): string[] {
+  const problems: string[] = [];
+  if (!(slo.availability > 0 && slo.availability <= 100)) {
+    problems.push('SLO availability must be a percentage above 0 and at most 100');
+  }
+  if (!(slo.latency >= 0)) {
+    problems.push('SLO latency must be a number of milliseconds (0 for none)');
+  }
+  return problems;
+}
+
+export function checkFromRecord(record: PingRecord): Check {
+  const up = isReceived(record);
+  return { at: record.timestamp, up, time: up ? record.time : null };
+}
+
+function targetKey(target: CheckTarget): string {
+  return `${target.method} ${target.url}`;
+}
+
+// Version 1 buckets started at 1 ms rather than stats.ts's floor; moved up
+// by this many they cover (about) the same latencies
+const V1_BUCKET_OFFSET = bucketIndex(1, LOG_BASE);
+
+function fromV1(buckets: UptimeBucket[]): UptimeBucket[] {
+  return buckets.map(bucket => ({
+    ...bucket,
+    latencies: Object.fromEntries(Object.entries(bucket.latencies)
+      .map(([index, count]) => [String(Number(index) + V1_BUCKET_OFFSET), count])),
+  }));
+}
+
+function addToBucket(buckets: UptimeBucket[], start: number, check: Check): void {
+  let bucket = buckets[buckets.length - 1];
+  if (!bucket || bucket.start !== start) {
+    // Checks arrive in order, so a new bucket always goes at the end
+    bucket = { start, checks: 0, up: 0, latencies: {} };
+    buckets.push(bucket);
+  }
+  bucket.checks++;
+  if (check.up) {
+    bucket.up++;
+    if (check.time !== null) {
+      const index = bucketIndex(check.time, LOG_BASE);
+      bucket.latencies[index] = (bucket.latencies[index] || 0) + 1;
+    }
+  }
+}
+
+// The checks of every target, rolled up.
+export class UptimeLog {
+  targets = new Map<string, TargetUptime>();
+
+  record(target: CheckTarget, check: Check): TargetUptime {
+    const key = targetKey(target);
+    let uptime = this.targets.get(key);
+    if (!uptime) {
+      uptime = { ...target, hourly: [], daily: [], outages: [], lastCheck: null };
+      this.targets.set(key, uptime);
+    }
+    uptime.name = target.name;
+
+    addToBucket(uptime.hourly, check.at - (check.at % HOUR), check);
+    addToBucket(uptime.daily, check.at - (check.at % DAY), check);
+    uptime.lastCheck = check.at;
+
+    const open = uptime.outages[uptime.outages.length - 1];
+    if (open && open.end === null) {
+      if (check.up) {
+        open.end = check.at;
+      } else {
+        open.checks++;
+      }
+    } else if (!check.up) {
+      uptime.outages.push({ start: check.at, end: null, checks: 1 });
+    }
+    return uptime;
+  }
+
+  // Drops buckets and outages past their retention.
+  prune(now = Date.now()): void {
+    this.targets.forEach(uptime => {
+      uptime.hourly = uptime.hourly.filter(bucket => bucket.start >= now - HOURLY_RETENTION);
+      uptime.daily = uptime.daily.filter(bucket => bucket.start >= now - DAILY_RETENTION);
+      uptime.outages = uptime.outages.filter(outage => outage.end === null || outage.end >= now - DAILY_RETENTION);
+    });
+  }
+
+  clear(): void {
+    this.targets.clear();
+  }
+
+  serialize(): string {
+    return JSON.stringify({ version: UPTIME_VERSION, targets: [...this.targets.values()] });
+  }
+
+  // Reads what serialize() wrote. Throws on anything else.
+  static parse(text: string): UptimeLog {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`not valid JSON (${(error as Error).message})`);
+    }
+    if (!data || !Array.isArray(data.targets)) {
+      throw new Error('expected a "targets" array');
+    }
+
+    const log = new UptimeLog();
+    const migrate = data.version === 1 ? fromV1 : (buckets: UptimeBucket[]) => buckets;
+    data.targets.forEach((entry: TargetUptime, index: number) => {
+      if (!entry || typeof entry.url !== 'string' || !Array.isArray(entry.hourly) || !Array.isArray(entry.daily)) {
+        throw new Error(`target ${index + 1} is not an uptime record`);
+      }
+      const uptime: TargetUptime = {
+        name: String(entry.name || ''),
+        url: entry.url,
+        method: String(entry.method || 'GET'),
+        hourly: migrate(entry.hourly),
+        daily: migrate(entry.daily),
+        outages: Array.isArray(entry.outages) ? entry.outages : [],
+        lastCheck: typeof entry.lastCheck === 'number' ? entry.lastCheck : null,
+      };
+      log.targets.set(targetKey(uptime), uptime);
+    });
+    return log;
+  }
+}
+
+export interface Percentiles {
+  p50: number;
+  p95: number;
+  p99: number;
+}
+
+export interface DayReport extends Partial<Percentiles> {
+  start: number;
+  checks: number;
+  up: number;
+  // null on days without checks
+  availability: number | null;
+  met: boolean | null;
+}
+
+export interface TargetReport extends Partial<Percentiles> {
+  name: string;
+  url: string;
+  method: string;
+  checks: number;
+  up: number;
+  availability: number | null;
+  outages: Outage[];
+  // Time spent in outages within the report, in ms
+  downtime: number;
+  // Mean time to recovery of the outages that ended, in ms
+  mttr: number | null;
+  met: boolean | null;
+  lastCheck: number | null;
+  days: DayReport[];
+  // Availability per hour over the last 24 hours, oldest first
+  hours: (number | null)[];
+}
+
+export interface UptimeReport {
+  generatedAt: number;
+  from: number;
+  to: number;
+  days: number;
+  slo: Slo;
+  targets: TargetReport[];
+}
+
+// Nearest-rank percentiles over the latencies of `buckets`.
+function percentiles(buckets: UptimeBucket[]): Percentiles | null {
+  const counts = new Map<number, number>();
+  let total = 0;
+  buckets.forEach(bucket => {
+    Object.entries(bucket.latencies).forEach(([index, count]) => {
+      counts.set(Number(index), (counts.get(Number(index)) || 0) + count);
+      total += count;
+    });
+  });
+  if (total === 0) {
+    return null;
+  }
+
+  const sorted = [...counts.entries()].sort((a, b) => a[0] - b[0]);
+  const at = (p: number) => {
+    const rank = Math.max(1, Math.ceil((p / 100) * total));
+    let seen = 0;
+    for (const [index, count] of sorted) {
+      seen += count;
+      if (seen >= rank) {
+        return Math.round(bucketValue(index, LOG_BASE));
+      }
+    }
+    return Math.round(bucketValue(sorted[sorted.length - 1][0], LOG_BASE));
+  };
+  return { p50: at(50), p95: at(95), p99: at(99) };
+}
+
+function meetsSlo(availability: number | null, latency: Percentiles | null, slo: Slo): boolean | null {
+  if (availability === null) {
+    return null;
+  }
+  return availability >= slo.availability && (!slo.latency || !latency || latency.p95 <= slo.latency);
+}
+
+// `to` is the end of the last day, `now` the end of the data.
+function targetReport(uptime: TargetUptime, from: number, to: number, now: number, slo: Slo): TargetReport {
+  const daily = uptime.daily.filter(bucket => bucket.start >= from && bucket.start < to);
+  const checks = daily.reduce((sum, bucket) => sum + bucket.checks, 0);
+  const up = daily.reduce((sum, bucket) => sum + bucket.up, 0);
+  const availability = checks > 0 ? (up / checks) * 100 : null;
+  const latency = percentiles(daily);
+
+  const days: DayReport[] = [];
+  for (let start = from; start < to; start += DAY) {
+    const bucket = daily.find(entry => entry.start === start);
+    const dayAvailability = bucket ? (bucket.up / bucket.checks) * 100 : null;
+    const dayLatency = bucket ? percentiles([bucket]) : null;
+    days.push({
+      start,
+      checks: bucket ? bucket.checks : 0,
+      up: bucket ? bucket.up : 0,
+      availability: dayAvailability,
+      ...dayLatency,
+      met: meetsSlo(dayAvailability, dayLatency, slo),
+    });
+  }
+
+  const until = (outage: Outage) => outage.end ?? Math.max(outage.start, uptime.lastCheck ?? outage.start);
+  const outages = uptime.outages.filter(outage => outage.start < now && until(outage) >= from);
+  const downtime = outages.reduce((sum, outage) => sum + Math.min(until(outage), now) - Math.max(outage.start, from), 0);
+  const ended = outages.filter(outage => outage.end !== null);
+  const mttr = ended.length > 0
+    ? ended.reduce((sum, outage) => sum + (outage.end as number) - outage.start, 0) / ended.length
+    : null;
+
+  const hourStart = now - (now % HOUR);
+  const hours: (number | null)[] = [];
+  for (let start = hourStart - 23 * HOUR; start <= hourStart; start += HOUR) {
+    const bucket = uptime.hourly.find(entry => entry.start === start);
+    hours.push(bucket ? (bucket.up / bucket.checks) * 100 : null);
+  }
+
+  return {
+    name: uptime.name,
+    url: uptime.url,
+    method: uptime.method,
+    checks,
+    up,
+    availability,
+    ...latency,
+    outages,
+    downtime,
+    mttr,
+    met: meetsSlo(availability, latency, slo),
+    lastCheck: uptime.lastCheck,
+    days,
+    hours,
+  };
+}
+
+// The report over the last `days` UTC days, today included.
+export function uptimeReport(log: UptimeLog, { days, slo, now = Date.now() }: { days: number; slo: Slo; now?: number }): UptimeReport {
+  const to = now - (now % DAY) + DAY;
+  const from = to - days * DAY;
+  return {
+    generatedAt: now,
+    from,
+    to: now,
+    days,
+    slo,
+    targets: [...log.targets.values()].map(uptime => targetReport(uptime, from, to, now, slo)),
+  };
+}
+
+// "2h 05m", "3m 20s" or "45s".
+export function formatDuration(ms: number): string {
+  const seconds = Math.round(ms / 1000);
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')}m`;
+  }
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+export function formatAvailability(availability: number | null): string {
+  return availability === null ? '–' : `${availability.toFixed(availability === 100 ? 0 : 3)}%`;
+}
+
+function formatLatency(value: number | undefined): string {
+  return value === undefined ? '–' : `${value}ms`;
+}
+
+function formatMet(met: boolean | null): string {
+  return met === null ? '–' : met ? 'met' : 'MISSED';
+}
+
+function utcDay(time: number): string {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function utcTime(time: number): string {
+  return `${new Date(time).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+function describeSlo(slo: Slo): string {
+  return `${slo.availability}% availability${slo.latency ? `, p95 at most ${slo.latency}ms` : ''}`;
+}
+
+function describeOutage(outage: Outage, lastCheck: number | null): string {
+  const length = formatDuration((outage.end ?? Math.max(outage.start, lastCheck ?? outage.start)) - outage.start);
+  const end = outage.end === null ? 'ongoing' : utcTime(outage.end);
+  return `${utcTime(outage.start)} to ${end}: ${length}, ${outage.checks} failed check${outage.checks === 1 ? '' : 's'}`;
+}
+
+function targetTitle(target: TargetReport): string {
+  return target.name ? `${target.name} (${target.method} ${target.url})` : `${target.method} ${target.url}`;
+}
+
+// Markdown for incident reviews: a summary table, then per target its
+// days and outages.
+export function toMarkdown(report: UptimeReport): string {
+  const cell = (text: string) => text.replace(/\|/g, '\\|');
+  const lines = [
+    `# Uptime report: ${utcDay(report.from)} to ${utcDay(report.to)}`,
+    '',
+    `SLO: ${describeSlo(report.slo)}. Generated ${utcTime(report.generatedAt)}.`,
+    '',
+    '| Target | Availability | Checks | Outages | Downtime | MTTR | p50 | p95 | p99 | SLO |',
+    '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | --- |',
+    ...report.targets.map(target => `| ${cell(targetTitle(target))} | ${[
+      formatAvailability(target.availability),
+      String(target.checks),
+      String(target.outages.length),
+      formatDuration(target.downtime),
+      target.mttr === null ? '–' : formatDuration(target.mttr),
+      formatLatency(target.p50),
+      formatLatency(target.p95),
+      formatLatency(target.p99),
+      formatMet(target.met),
+    ].join(' | ')} |`),
+  ];
+
+  report.targets.forEach(target => {
+    lines.push(
+      '',
+      `## ${targetTitle(target)}`,
+      '',
+      '| Day | Availability | Checks | p50 | p95 | p99 | SLO |',
+      '| --- | ---: | ---: | ---: | ---: | ---: | --- |',
+      ...target.days.map(day => `| ${utcDay(day.start)} | ${[
+        formatAvailability(day.availability),
+        String(day.checks),
+        formatLatency(day.p50),
+        formatLatency(day.p95),
+        formatLatency(day.p99),
+        formatMet(day.met),
+      ].join(' | ')} |`),
+    );
+    if (target.outages.length > 0) {
+      lines.push('', 'Outages:', '');
+      target.outages.forEach(outage => lines.push(`- ${describeOutage(outage, target.lastCheck)}`));
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// A standalone HTML page with the same content as toMarkdown().
+export function toHTML(report: UptimeReport): string {
+  const row = (cells: string[], tag = 'td') => `<tr>${cells.map(text => `<${tag}>${escapeHtml(text)}</${tag}>`).join('')}</tr>`;
+  const missed = (met: boolean | null) => (met === false ? ' class="missed"' : '');
+  const title = `Uptime report: ${utcDay(report.from)} to ${utcDay(report.to)}`;
+
+  const sections = report.targets.map(target => {
+    const outages = target.outages.map(outage => `<li>${escapeHtml(describeOutage(outage, target.lastCheck))}</li>`);
+    return [
+      `<h2>${escapeHtml(targetTitle(target))}</h2>`,
+      '<table>',
+      row(['Day', 'Availability', 'Checks', 'p50', 'p95', 'p99', 'SLO'], 'th'),
+      ...target.days.map(day => row([
+        utcDay(day.start),
+        formatAvailability(day.availability),
+        String(day.checks),
+        formatLatency(day.p50),
+        formatLatency(day.p95),
+        formatLatency(day.p99),
+        formatMet(day.met),
+      ]).replace('<tr>', `<tr${missed(day.met)}>`)),
+      '</table>',
+      outages.length > 0 ? `<h3>Outages</h3>\n<ul>\n${outages.join('\n')}\n</ul>` : '',
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+tr.missed td { color: #b00; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(`SLO: ${describeSlo(report.slo)}. Generated ${utcTime(report.generatedAt)}.`)}</p>
+<table>
+${row(['Target', 'Availability', 'Checks', 'Outages', 'Downtime', 'MTTR', 'p50', 'p95', 'p99', 'SLO'], 'th')}
+${report.targets.map(target => row([
+    targetTitle(target),
+    formatAvailability(target.availability),
+    String(target.checks),
+    String(target.outages.length),
+    formatDuration(target.downtime),
+    target.mttr === null ? '–' : formatDuration(target.mttr),
+    formatLatency(target.p50),
+    formatLatency(target.p95),
+    formatLatency(target.p99),
+    formatMet(target.met),
+  ]).replace('<tr>', `<tr${missed(target.met)}>`)).join('\n')}
+</table>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,326 @@
+// Target URL parsing for the ping form and command line.
+//
+// Besides full URLs this takes the shorthand people type at a ping
+// prompt: a bare domain, host:port, an IPv4 address or an IPv6 one,
+// compressed or not, bare or in brackets with a port. IP literals and
+// localhost get http://, other hosts https://, which the engine may
+// replace with http:// after the first ping (see `inferred`). Input that
+// is not usable throws a UrlError that points at the bad part.
+
+export const URL_SCHEMES = ['http:', 'https:', 'ws:', 'wss:'];
+
+export interface ParsedUrl {
+  // The input with the scheme (and IPv6 brackets) added, as requested
+  fullUrl: string;
+  // fullUrl with the host shown as displayHost
+  displayUrl: string;
+  protocol: string;
+  // ASCII host name, or the IP address without brackets
+  hostname: string;
+  // hostname with IDN labels decoded, for display
+  displayHost: string;
+  // The IP address when the host is one, otherwise null
+  address: string | null;
+  port: string;
+  pathname: string;
+  // The scheme was not typed but chosen here
+  inferred: boolean;
+}
+
+// `start` and `end` are offsets of the bad part in the trimmed input.
+export class UrlError extends Error {
+  input: string;
+  start: number;
+  end: number;
+
+  constructor(message: string, input: string, start = 0, end = input.length) {
+    super(message);
+    this.name = 'UrlError';
+    this.input = input;
+    this.start = start;
+    this.end = Math.max(end, start + 1);
+  }
+}
+
+export function isIPv4(text: string): boolean {
+  const octets = text.split('.');
+  return octets.length === 4 && octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255);
+}
+
+// Full, compressed (::) and IPv4-suffixed forms, without brackets or zone.
+export function isIPv6(text: string): boolean {
+  let address = text;
+  let groups = 8;
+  const ipv4 = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4) {
+    if (!isIPv4(ipv4[2])) {
+      return false;
+    }
+    address = ipv4[1].endsWith('::') ? ipv4[1] : ipv4[1].slice(0, -1);
+    groups = 6;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return false;
+  }
+  const parts = halves.map(half => (half === '' ? [] : half.split(':')));
+  const all = [...parts[0], ...(parts[1] || [])];
+  if (!all.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+    return false;
+  }
+  return halves.length === 2 ? all.length < groups : all.length === groups;
+}
+
+// Takes an IPv6 address in brackets too, and ignores a zone ID (%eth0).
+export function isIPAddress(text: string): boolean {
+  const address = text.replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+  return isIPv4(address) || isIPv6(address);
+}
+
+// RFC 3492 punycode, decoding only
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+
+function adapt(delta: number, points: number, first: boolean): number {
+  let value = first ? Math.floor(delta / 700) : delta >> 1;
+  value += Math.floor(value / points);
+  let k = 0;
+  while (value > ((BASE - T_MIN) * T_MAX) >> 1) {
+    value = Math.floor(value / (BASE - T_MIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * value) / (value + 38));
+}
+
+function digitValue(code: number): number {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return BASE;
+}
+
+function decodePunycode(input: string): string {
+  const basic = Math.max(input.lastIndexOf('-'), 0);
+  const output = Array.from(input.slice(0, basic), char => char.charCodeAt(0));
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+
+  for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+    const previous = i;
+    for (let weight = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length) {
+        throw new Error('truncated');
+      }
+      const digit = digitValue(input.charCodeAt(index++));
+      if (digit >= BASE) {
+        throw new Error('bad digit');
+      }
+      i += digit * weight;
+      const threshold = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+      if (digit < threshold) {
+        break;
+      }
+      weight *= BASE - threshold;
+    }
+    const length = output.length + 1;
+    bias = adapt(i - previous, length, previous === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+// "xn--bcher-kva.example" -> "bücher.example"; labels that do not decode
+// are left as they are.
+export function toUnicodeHost(hostname: string): string {
+  return hostname.split('.').map(label => {
+    if (!/^xn--/i.test(label)) {
+      return label;
+    }
+    try {
+      return decodePunycode(label.slice(4).toLowerCase());
+    } catch {
+      return label;
+    }
+  }).join('.');
+}
+
+// localhost and *.localhost, which always point at this machine (RFC 6761)
+export function isLocalhost(hostname: string): boolean {
+  return /^localhost\.?$|\.localhost\.?$/i.test(hostname);
+}
+
+// Host name characters the URL parser rejects or would take as a delimiter
+const BAD_HOST_CHARACTER = /[\s<>^`{|}\\%"'[\]#?@/:]/u;
+
+function checkHostName(input: string, host: string, offset: number): void {
+  const bad = host.search(BAD_HOST_CHARACTER);
+  if (bad !== -1) {
+    throw new UrlError(`invalid character "${host[bad]}" in host "${host}"`, input, offset + bad, offset + bad + 1);
+  }
+  let position = offset;
+  host.replace(/\.$/, '').split('.').forEach(label => {
+    if (label === '') {
+      throw new UrlError(`empty label in host "${host}"`, input, position - 1, position + 1);
+    }
+    if (label.length > 63) {
+      throw new UrlError(`label longer than 63 characters in host "${host}"`, input, position, position + label.length);
+    }
+    if (/^\d+$/.test(label) && /^[\d.]+$/.test(host)) {
+      // All digits and dots: meant as an IPv4 address
+      const octets = host.split('.');
+      if (octets.length !== 4) {
+        throw new UrlError(`IPv4 address "${host}" needs four numbers, not ${octets.length}`, input, offset, offset + host.length);
+      }
+      if (Number(label) > 255) {
+        throw new UrlError(`${label} is above 255 in IPv4 address "${host}"`, input, position, position + label.length);
+      }
+    }
+    position += label.length + 1;
+  });
+}
+
+function checkPort(input: string, port: string, offset: number): void {
+  if (!/^\d{1,5}$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+    throw new UrlError(
+      port === '' ? 'missing port number after ":"' : `invalid port "${port}" (1-65535)`,
+      input,
+      port === '' ? offset - 1 : offset,
+      offset + Math.max(port.length, 1),
+    );
+  }
+}
+
+function checkIPv6(input: string, address: string, offset: number): void {
+  const zone = address.indexOf('%');
+  if (zone !== -1) {
+    throw new UrlError(
+      `IPv6 zone ID "${address.slice(zone)}" cannot be used in a URL`,
+      input,
+      offset + zone,
+      offset + address.length,
+    );
+  }
+  if (!isIPv6(address)) {
+    throw new UrlError(`invalid IPv6 address "${address}"`, input, offset, offset + address.length);
+  }
+}
+
+// Throws a UrlError when the input is not a usable target.
+export function parseTargetUrl(text: string): ParsedUrl {
+  const input = text.trim();
+  if (!input) {
+    throw new UrlError('no target given', input);
+  }
+
+  const scheme = input.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  if (scheme && !URL_SCHEMES.includes(`${scheme[1].toLowerCase()}:`)) {
+    throw new UrlError(`unsupported scheme "${scheme[1]}" (use http, https, ws or wss)`, input, 0, scheme[1].length);
+  }
+  const authorityStart = scheme ? scheme[0].length : 0;
+  const rest = input.slice(authorityStart);
+  const authorityEnd = authorityStart + (rest.search(/[/?#]/) === -1 ? rest.length : rest.search(/[/?#]/));
+  const authority = input.slice(authorityStart, authorityEnd);
+  const hostStart = authorityStart + authority.lastIndexOf('@') + 1;
+  const hostPort = input.slice(hostStart, authorityEnd);
+
+  let host: string;
+  let port = '';
+  let ipv6 = false;
+  if (hostPort.startsWith('[')) {
+    const close = hostPort.indexOf(']');
+    if (close === -1) {
+      throw new UrlError('missing "]" after the IPv6 address', input, hostStart, authorityEnd);
+    }
+    host = hostPort.slice(1, close);
+    checkIPv6(input, host, hostStart + 1);
+    ipv6 = true;
+    const after = hostPort.slice(close + 1);
+    if (after) {
+      if (!after.startsWith(':')) {
+        throw new UrlError(`unexpected "${after}" after the IPv6 address`, input, hostStart + close + 1, authorityEnd);
+      }
+      port = after.slice(1);
+      checkPort(input, port, hostStart + close + 2);
+    }
+  } else if ((hostPort.match(/:/g) || []).length > 1) {
+    // Several colons: an IPv6 address, which only works bare (no port)
+    if (scheme || hostStart !== authorityStart) {
+      throw new UrlError('an IPv6 address in a URL needs brackets, as in http://[::1]:8080/', input, hostStart, authorityEnd);
+    }
+    host = hostPort;
+    checkIPv6(input, host, hostStart);
+    ipv6 = true;
+  } else {
+    const colon = hostPort.indexOf(':');
+    host = colon === -1 ? hostPort : hostPort.slice(0, colon);
+    if (colon !== -1) {
+      port = hostPort.slice(colon + 1);
+      checkPort(input, port, hostStart + colon + 1);
+    }
+  }
+  if (!host) {
+    throw new UrlError('missing host', input, hostStart, hostStart + 1);
+  }
+  if (!ipv6) {
+    checkHostName(input, host, hostStart);
+  }
+
+  const address = ipv6 ? host : isIPv4(host) ? host : null;
+  const local = isLocalhost(host);
+  let url = input;
+  if (!scheme) {
+    const protocol = address || local || port === '80' ? 'http' : 'https';
+    const bracketed = ipv6 && !hostPort.startsWith('[') ? `[${host}]` : hostPort;
+    url = `${protocol}://${input.slice(0, hostStart)}${bracketed}${input.slice(authorityEnd)}`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new UrlError(`invalid URL: ${(error as Error).message}`, input);
+  }
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  const displayHost = ipv6 ? hostname : toUnicodeHost(hostname);
+  // Only a scheme was added in front of a name, so the host moved by its length
+  const hostAt = url.length - input.length + hostStart;
+  return {
+    fullUrl: url,
+    displayUrl: ipv6 ? url : `${url.slice(0, hostAt)}${displayHost}${url.slice(hostAt + host.length)}`,
+    protocol: parsed.protocol,
+    hostname,
+    displayHost,
+    address: address ? hostname : null,
+    port: parsed.port || (['https:', 'wss:'].includes(parsed.protocol) ? '443' : '80'),
+    pathname: parsed.pathname || '/',
+    inferred: !scheme && !address && !local && port !== '80',
+  };
+}
+
+// The URL (or shorthand) with any user:password@ taken out of it.
+export function withoutCredentials(url: string): string {
+  return url.replace(/^(\s*(?:[a-z][a-z0-9+.-]*:\/\/)?)[^/?#]*@/i, '$1');
+}
+
+// parseTargetUrl without the reason: null when the input is not usable.
+export function parseUrl(input: string): ParsedUrl | null {
+  try {
+    return parseTargetUrl(input);
+  } catch {
+    return null;
+  }
+}
+
+// The http:// URL to try when the https:// one the parser chose does not
+// connect; null when the scheme was typed or is not https.
+export function httpFallback(parsed: ParsedUrl): string | null {
+  if (!parsed.inferred || parsed.protocol !== 'https:') {
+    return null;
+  }
+  return `http${parsed.fullUrl.slice('https'.length)}`;
+}
@@ -0,0 +1,145 @@
+// WebhookNotifier against companion/webhook-receiver.js, which answers
+// the first --fail requests with 503 and flags repeated Idempotency-Keys.
+
+import { spawn } from 'node:child_process';
+import type { ChildProcess } from 'node:child_process';
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import type { StateChange } from './metrics.ts';
+import { changeId, WebhookNotifier } from './webhooks.ts';
+import type { WebhookEvents } from './webhooks.ts';
+
+const RECEIVER = new URL('../../companion/webhook-receiver.js', import.meta.url).pathname;
+
+interface Receiver {
+  url: string;
+  output: string[];
+}
+
+const receivers: ChildProcess[] = [];
+
+after(() => receivers.forEach(child => child.kill()));
+
+function startReceiver(fail: number): Promise<Receiver> {
+  const child = spawn(process.execPath, [RECEIVER, '--port', '0', '--fail', String(fail)]);
+  receivers.push(child);
+  const output: string[] = [];
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`receiver exited with ${code}`)));
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (text: string) => {
+      output.push(...text.split('\n').filter(Boolean));
+      const listening = text.match(/listening on (\S+)/);
+      if (listening) {
+        resolve({ url: listening[1], output });
+      }
+    });
+  });
+}
+
+// The receiver prints each request before answering it, but its output
+// can still reach us after the answer did.
+async function printed(receiver: Receiver, pattern: RegExp, count: number): Promise<string[]> {
+  for (let waited = 0; waited < 2000; waited += 10) {
+    const lines = receiver.output.filter(line => pattern.test(line));
+    if (lines.length >= count) {
+      return lines;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return receiver.output.filter(line => pattern.test(line));
+}
+
+function change(overrides: Partial<StateChange> = {}): StateChange {
+  return {
+    target: { name: 'api', url: 'https://api.example/health', method: 'GET' },
+    state: 'down',
+    previous: 'up',
+    since: Date.UTC(2026, 0, 1),
+    record: {
+      sequence: 3,
+      timestamp: Date.UTC(2026, 0, 1),
+      method: 'GET',
+      url: 'https://api.example/health',
+      address: null,
+      status: 503,
+      statusText: 'Service Unavailable',
+      time: 12,
+      size: 0,
+      outcome: 'http-error',
+      message: null,
+      headers: {},
+      timing: null,
+    },
+    sent: 3,
+    received: 2,
+    rtt: null,
+    ...overrides,
+  };
+}
+
+function track(notifier: WebhookNotifier) {
+  const delivered: WebhookEvents['delivered'][] = [];
+  const failed: WebhookEvents['failed'][] = [];
+  notifier.on('delivered', event => delivered.push(event));
+  notifier.on('failed', event => failed.push(event));
+  return { delivered, failed };
+}
+
+test('retries a failing hook until it takes the change', async () => {
+  const receiver = await startReceiver(2);
+  const hook = { url: `${receiver.url}hook`, format: 'json' as const };
+  const notifier = new WebhookNotifier({ hooks: [hook], delays: [10, 10, 10] });
+  const { delivered, failed } = track(notifier);
+
+  notifier.notify(change());
+  await notifier.drain();
+
+  assert.deepEqual(failed, []);
+  assert.deepEqual(delivered, [{ hook, id: changeId(change()), attempts: 3 }]);
+  assert.equal((await printed(receiver, /answered 503/, 2)).length, 2);
+});
+
+test('gives up after the last retry', async () => {
+  const receiver = await startReceiver(10);
+  const hook = { url: `${receiver.url}hook`, format: 'slack' as const };
+  const notifier = new WebhookNotifier({ hooks: [hook], delays: [10, 10] });
+  const { delivered, failed } = track(notifier);
+
+  notifier.notify(change());
+  await notifier.drain();
+
+  assert.deepEqual(delivered, []);
+  assert.deepEqual(failed, [{ hook, id: changeId(change()), attempts: 3, error: 'HTTP 503' }]);
+});
+
+test('sends each change to each hook once', async () => {
+  const receiver = await startReceiver(0);
+  const hooks = [
+    { url: `${receiver.url}one`, format: 'json' as const },
+    { url: `${receiver.url}two`, format: 'slack' as const },
+  ];
+  const notifier = new WebhookNotifier({ hooks, delays: [10] });
+  const { delivered } = track(notifier);
+
+  notifier.notify(change());
+  notifier.notify(change());
+  notifier.notify(change({ state: 'up', previous: 'down', since: Date.UTC(2026, 0, 1, 0, 5) }));
+  notifier.notify(change({ state: 'up', previous: 'down', since: Date.UTC(2026, 0, 1, 0, 5) }));
+  await notifier.drain();
+
+  assert.equal(delivered.length, 4);
+  const posts = await printed(receiver, / POST \//, 4);
+  assert.equal(posts.length, 4);
+  assert.ok(posts.every(line => !line.includes('DUPLICATE')), posts.join('\n'));
+});
+
+test('does not announce a target that starts up', async () => {
+  const notifier = new WebhookNotifier({
+    hooks: [{ url: 'http://127.0.0.1:9/', format: 'json' }],
+    fetch: () => assert.fail('nothing should be sent'),
+  });
+  notifier.notify(change({ state: 'up', previous: null }));
+  await notifier.drain();
+});
@@ -0,0 +1,152 @@
+// Outbound webhooks on target state changes.
+//
+// Each hook gets a generic JSON document or a Slack-compatible { text }
+// message. Deliveries to one hook go out in order; a failed one (network
+// error, timeout, 408, 429 or 5xx) is retried after growing delays, and
+// every change carries an id so the same change is never sent to a hook
+// twice.
+
+import { Emitter } from './events.ts';
+import type { StateChange } from './metrics.ts';
+
+export const WEBHOOK_TIMEOUT = 10000;
+export const RETRY_DELAYS = [1000, 5000, 15000];
+
+export type WebhookFormat = 'json' | 'slack';
+
+export interface Webhook {
+  url: string;
+  format: WebhookFormat;
+}
+
+export interface WebhookEvents {
+  delivered: { hook: Webhook; id: string; attempts: number };
+  failed: { hook: Webhook; id: string; attempts: number; error: string };
+}
+
+// Identifies a change: the same target going the same way at the same time
+export function changeId(change: StateChange): string {
+  const { target, state, since } = change;
+  return `${target.method} ${target.url}|${state}|${since}`;
+}
+
+function loss(change: StateChange): number {
+  return change.sent > 0 ? Math.round(((change.sent - change.received) / change.sent) * 10000) / 100 : 0;
+}
+
+function reason(change: StateChange): string {
+  const { record } = change;
+  return record.message || (record.status ? `HTTP ${record.status}` : record.outcome);
+}
+
+export function jsonPayload(change: StateChange): Record<string, unknown> {
+  const { target, state, previous, since, record, sent, received, rtt } = change;
+  return {
+    event: state === 'down' ? 'target.down' : 'target.up',
+    id: changeId(change),
+    target,
+    state,
+    previous,
+    since: new Date(since).toISOString(),
+    outcome: record.outcome,
+    status: record.status,
+    reason: state === 'down' ? reason(change) : null,
+    statistics: { sent, received, loss: loss(change), rtt },
+  };
+}
+
+export function slackPayload(change: StateChange): { text: string } {
+  const { target, state, since, rtt } = change;
+  const subject = `*${target.name}* (${target.method} ${target.url})`;
+  const at = new Date(since).toISOString();
+  if (state === 'down') {
+    return { text: `:red_circle: ${subject} is DOWN since ${at}: ${reason(change)}` };
+  }
+  const p95 = rtt ? `, p95 ${Math.round(rtt.p95)}ms` : '';
+  return { text: `:large_green_circle: ${subject} is UP again since ${at} (${loss(change)}% loss so far${p95})` };
+}
+
+function retryable(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class WebhookNotifier extends Emitter<WebhookEvents> {
+  hooks: Webhook[];
+  private fetch: typeof fetch;
+  private delays: number[];
+  // Per hook: ids already queued, and the tail of its delivery chain
+  private seen = new Map<Webhook, Set<string>>();
+  private queues = new Map<Webhook, Promise<void>>();
+
+  constructor({ hooks, fetch: fetcher = globalThis.fetch, delays = RETRY_DELAYS }: {
+    hooks: Webhook[];
+    fetch?: typeof fetch;
+    delays?: number[];
+  }) {
+    super();
+    this.hooks = hooks;
+    this.fetch = fetcher;
+    this.delays = delays;
+  }
+
+  // Sends the change to every hook. The first state of a target is only
+  // announced when it is down.
+  notify(change: StateChange): void {
+    if (change.previous === null && change.state === 'up') {
+      return;
+    }
+    const id = changeId(change);
+    this.hooks.forEach(hook => {
+      const seen = this.seen.get(hook) || new Set();
+      this.seen.set(hook, seen);
+      if (seen.has(id)) {
+        return;
+      }
+      seen.add(id);
+      const body = JSON.stringify(hook.format === 'slack' ? slackPayload(change) : jsonPayload(change));
+      const queue = (this.queues.get(hook) || Promise.resolve()).then(() => this.deliver(hook, id, body));
+      this.queues.set(hook, queue);
+    });
+  }
+
+  // Resolves once every queued delivery has gone out or given up.
+  async drain(): Promise<void> {
+    await Promise.all(this.queues.values());
+  }
+
+  private async deliver(hook: Webhook, id: string, body: string): Promise<void> {
+    let error = '';
+    let attempts = 0;
+    while (attempts <= this.delays.length) {
+      if (attempts > 0) {
+        await sleep(this.delays[attempts - 1]);
+      }
+      attempts++;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+      try {
+        const response = await this.fetch(hook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': id },
+          body,
+          signal: controller.signal,
+        });
+        if (response.ok) {
+          this.emit('delivered', { hook, id, attempts });
+          return;
+        }
+        error = `HTTP ${response.status}`;
+        if (!retryable(response.status)) {
+          break;
+        }
+      } catch (failure) {
+        error = controller.signal.aborted ? `no answer in ${WEBHOOK_TIMEOUT / 1000}s` : (failure as Error).message;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    this.emit('failed', { hook, id, attempts, error });
+  }
+}
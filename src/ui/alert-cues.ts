@@ -0,0 +1,46 @@
+// Browser notification and sound cues for alert episodes.
+
+import type { AlertEpisode } from '../engine/alerts.ts';
+
+type AudioWindow = typeof window & { webkitAudioContext?: typeof AudioContext };
+
+let audioContext: AudioContext | null = null;
+
+export function requestNotificationPermission(): void {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+}
+
+export function notify(title: string, body: string): void {
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    return;
+  }
+  new Notification(title, { body, tag: 'http-ping-alert' });
+}
+
+// Short two-tone cue: falling for an alert, rising for a recovery.
+export function beep(frequencies: number[]): void {
+  const AudioContextClass = window.AudioContext || (window as AudioWindow).webkitAudioContext;
+  if (!AudioContextClass) {
+    return;
+  }
+
+  audioContext = audioContext || new AudioContextClass();
+  const context = audioContext;
+  const start = context.currentTime;
+  frequencies.forEach((frequency, index) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start + index * 0.18);
+    oscillator.stop(start + index * 0.18 + 0.15);
+  });
+}
+
+export function episodeDuration(episode: AlertEpisode): string {
+  const seconds = Math.round(((episode.endedAt ?? Date.now()) - episode.startedAt) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
@@ -0,0 +1,475 @@
+// Canvas latency charts for the stats panel.
+//
+// LatencyChart draws RTT over sequence number. When there are more samples
+// than pixel columns, each column shows the min-max band of the samples it
+// covers, and failures in that column are still drawn as markers, so long
+// runs stay readable and cheap to redraw. LatencyHistogram bins the
+// successful RTTs. DistributionChart overlays the RTT distributions of
+// compared runs, and Sparkline is the compact per-target trend on dashboard
+// cards.
+
+import type { ChartKind } from '../engine/session.ts';
+
+const MAX_SAMPLES = 100000;
+
+const COLORS = {
+  grid: '#2a2a2a',
+  axis: '#00cc00',
+  success: '#00ff00',
+  warning: '#ffff00',
+  error: '#ff0000',
+  timeout: '#ffff00',
+  bar: '#00cc00',
+};
+
+// Sample kinds drawn at their RTT; the rest are drawn as markers on top.
+const TIMED_KINDS: ChartKind[] = ['success', 'http-error', 'warning'];
+
+export interface ChartSample {
+  sequence: number;
+  time: number | null;
+  kind: ChartKind;
+  label: string;
+}
+
+interface Column {
+  start: number;
+  end: number;
+  min: number;
+  max: number;
+  worst: ChartSample | null;
+  peak: ChartSample | null;
+}
+
+function setupCanvas(canvas: HTMLCanvasElement) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+
+  const context = canvas.getContext('2d') as CanvasRenderingContext2D;
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = '10px "Courier New", monospace';
+  return { context, width, height };
+}
+
+function niceCeiling(value: number): number {
+  if (value <= 0) {
+    return 10;
+  }
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const steps = [1, 2, 2.5, 5, 10];
+  return (steps.find(step => step * magnitude >= value) as number) * magnitude;
+}
+
+export class LatencyChart {
+  samples: ChartSample[] = [];
+  private canvas: HTMLCanvasElement;
+  private tooltip: HTMLElement;
+  private padding = { top: 10, right: 8, bottom: 16, left: 36 };
+  private columns: Column[] = [];
+  private scale: { left: number; plotWidth: number } | null = null;
+  private pendingFrame: number | null = null;
+  private observer: ResizeObserver | null = null;
+
+  constructor(canvas: HTMLCanvasElement, tooltip: HTMLElement) {
+    this.canvas = canvas;
+    this.tooltip = tooltip;
+    this.handleHover = this.handleHover.bind(this);
+    this.hideTooltip = this.hideTooltip.bind(this);
+
+    this.canvas.addEventListener('mousemove', this.handleHover);
+    this.canvas.addEventListener('mouseleave', this.hideTooltip);
+
+    if (window.ResizeObserver) {
+      this.observer = new ResizeObserver(() => this.scheduleDraw());
+      this.observer.observe(this.canvas);
+    }
+  }
+
+  dispose(): void {
+    this.canvas.removeEventListener('mousemove', this.handleHover);
+    this.canvas.removeEventListener('mouseleave', this.hideTooltip);
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+  }
+
+  addSample(sample: ChartSample): void {
+    this.samples.push(sample);
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+    }
+    this.scheduleDraw();
+  }
+
+  reset(): void {
+    this.samples = [];
+    this.hideTooltip();
+    this.scheduleDraw();
+  }
+
+  scheduleDraw(): void {
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.draw();
+      });
+    }
+  }
+
+  // Groups samples into one bucket per pixel column (or one per sample
+  // when they fit).
+  private buildColumns(plotWidth: number): Column[] {
+    const count = this.samples.length;
+    const columnCount = Math.max(1, Math.min(count, Math.floor(plotWidth)));
+    const columns: Column[] = [];
+
+    for (let column = 0; column < columnCount; column++) {
+      const start = Math.floor((column * count) / columnCount);
+      const end = Math.floor(((column + 1) * count) / columnCount);
+      const bucket: Column = { start, end, min: Infinity, max: -Infinity, worst: null, peak: null };
+
+      for (let i = start; i < end; i++) {
+        const sample = this.samples[i];
+
+        if (TIMED_KINDS.includes(sample.kind) && sample.time !== null) {
+          bucket.min = Math.min(bucket.min, sample.time);
+          if (sample.time > bucket.max) {
+            bucket.max = sample.time;
+            bucket.peak = sample;
+          }
+        }
+        if (sample.kind !== 'success' && !bucket.worst) {
+          bucket.worst = sample;
+        }
+      }
+      columns.push(bucket);
+    }
+
+    return columns;
+  }
+
+  draw(): void {
+    const { context, width, height } = setupCanvas(this.canvas);
+    const { top, right, bottom, left } = this.padding;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    if (plotWidth <= 0 || plotHeight <= 0) {
+      return;
+    }
+
+    this.columns = this.samples.length > 0 ? this.buildColumns(plotWidth) : [];
+    const highest = this.columns.reduce((max, column) => Math.max(max, column.max), 0);
+    const ceiling = niceCeiling(highest * 1.1);
+    this.scale = { left, plotWidth };
+
+    // Grid and axis labels
+    context.strokeStyle = COLORS.grid;
+    context.fillStyle = COLORS.axis;
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (let step = 0; step <= 4; step++) {
+      const y = top + plotHeight - (step / 4) * plotHeight;
+      context.beginPath();
+      context.moveTo(left, Math.round(y) + 0.5);
+      context.lineTo(left + plotWidth, Math.round(y) + 0.5);
+      context.stroke();
+      context.fillText(`${Math.round((step / 4) * ceiling)}`, left - 4, y);
+    }
+
+    if (this.columns.length === 0) {
+      context.textAlign = 'center';
+      context.fillText('No samples yet', left + plotWidth / 2, top + plotHeight / 2);
+      return;
+    }
+
+    const columnWidth = plotWidth / this.columns.length;
+    const toY = (time: number) => top + plotHeight - Math.min(1, time / ceiling) * plotHeight;
+
+    // RTT line through each column's peak, with the min-max band behind it
+    context.strokeStyle = COLORS.success;
+    context.lineWidth = 1;
+    context.beginPath();
+    let drawing = false;
+    this.columns.forEach((column, index) => {
+      const x = left + index * columnWidth + columnWidth / 2;
+      if (column.peak) {
+        if (column.end - column.start > 1 && column.max > column.min) {
+          context.fillStyle = 'rgba(0, 255, 0, 0.25)';
+          context.fillRect(x - Math.max(0.5, columnWidth / 2), toY(column.max), Math.max(1, columnWidth), toY(column.min) - toY(column.max));
+        }
+        if (drawing) {
+          context.lineTo(x, toY(column.max));
+        } else {
+          context.moveTo(x, toY(column.max));
+          drawing = true;
+        }
+      }
+    });
+    context.stroke();
+
+    // Failure markers
+    this.columns.forEach((column, index) => {
+      const sample = column.worst;
+      if (!sample) {
+        return;
+      }
+      const x = left + index * columnWidth + columnWidth / 2;
+
+      if (sample.kind === 'timeout' || sample.kind === 'error') {
+        context.strokeStyle = sample.kind === 'timeout' ? COLORS.timeout : COLORS.error;
+        context.beginPath();
+        context.moveTo(x - 3, top + 1);
+        context.lineTo(x + 3, top + 7);
+        context.moveTo(x + 3, top + 1);
+        context.lineTo(x - 3, top + 7);
+        context.stroke();
+      } else if (sample.time !== null) {
+        context.fillStyle = sample.kind === 'http-error' ? COLORS.error : COLORS.warning;
+        context.beginPath();
+        context.arc(x, toY(sample.time), 2.5, 0, Math.PI * 2);
+        context.fill();
+      }
+    });
+
+    // Sequence range along the bottom
+    context.fillStyle = COLORS.axis;
+    context.textBaseline = 'top';
+    context.textAlign = 'left';
+    context.fillText(`seq ${this.samples[0].sequence}`, left, top + plotHeight + 4);
+    context.textAlign = 'right';
+    context.fillText(`${this.samples[this.samples.length - 1].sequence}`, left + plotWidth, top + plotHeight + 4);
+  }
+
+  private handleHover(event: MouseEvent): void {
+    if (!this.scale || this.columns.length === 0) {
+      return;
+    }
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left - this.scale.left;
+    const index = Math.floor((x / this.scale.plotWidth) * this.columns.length);
+    const column = this.columns[index];
+
+    if (!column) {
+      this.hideTooltip();
+      return;
+    }
+
+    const sample = column.worst || column.peak || this.samples[column.start];
+    const time = sample.time !== null ? ` time=${Math.round(sample.time)}ms` : '';
+    const span = column.end - column.start > 1
+      ? ` (${column.end - column.start} pings, seq ${this.samples[column.start].sequence}-${this.samples[column.end - 1].sequence})`
+      : '';
+
+    this.tooltip.textContent = `seq=${sample.sequence} ${sample.label}${time}${span}`;
+    this.tooltip.style.display = 'block';
+    this.tooltip.style.left = `${Math.min(event.clientX - rect.left + 10, rect.width - this.tooltip.offsetWidth)}px`;
+    this.tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+  }
+
+  private hideTooltip(): void {
+    this.tooltip.style.display = 'none';
+  }
+}
+
+export class LatencyHistogram {
+  private canvas: HTMLCanvasElement;
+  private binCount: number;
+  private pendingFrame: number | null = null;
+  private latestSamples: ChartSample[] = [];
+
+  constructor(canvas: HTMLCanvasElement, binCount = 20) {
+    this.canvas = canvas;
+    this.binCount = binCount;
+  }
+
+  dispose(): void {
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+  }
+
+  scheduleDraw(samples: ChartSample[]): void {
+    this.latestSamples = samples;
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.draw(this.latestSamples);
+      });
+    }
+  }
+
+  // Bins successful RTTs between min and p99; slower samples land in an
+  // overflow bar so one outlier does not squash the rest of the shape.
+  draw(samples: ChartSample[]): void {
+    const { context, width, height } = setupCanvas(this.canvas);
+    const times = samples.filter(sample => sample.kind === 'success').map(sample => sample.time ?? 0);
+    const bottom = 14;
+    const plotHeight = height - bottom - 4;
+
+    context.fillStyle = COLORS.axis;
+    context.textBaseline = 'top';
+
+    if (times.length === 0) {
+      context.textAlign = 'center';
+      context.fillText('No successful samples', width / 2, plotHeight / 2);
+      return;
+    }
+
+    const sorted = Float64Array.from(times).sort();
+    const low = sorted[0];
+    const high = sorted[Math.max(0, Math.ceil(sorted.length * 0.99) - 1)];
+    const overflow = sorted[sorted.length - 1] > high;
+    const binWidth = Math.max((high - low) / this.binCount, 1);
+    const bins = new Array(this.binCount + (overflow ? 1 : 0)).fill(0);
+
+    sorted.forEach(time => {
+      const index = time > high ? this.binCount : Math.min(this.binCount - 1, Math.floor((time - low) / binWidth));
+      bins[index]++;
+    });
+
+    const tallest = Math.max(...bins);
+    const barWidth = width / bins.length;
+    bins.forEach((count, index) => {
+      const barHeight = (count / tallest) * plotHeight;
+      context.fillStyle = index === this.binCount ? COLORS.warning : COLORS.bar;
+      context.fillRect(index * barWidth + 1, 4 + plotHeight - barHeight, Math.max(1, barWidth - 2), barHeight);
+    });
+
+    context.fillStyle = COLORS.axis;
+    context.textAlign = 'left';
+    context.fillText(`${Math.round(low)}ms`, 0, height - bottom + 2);
+    context.textAlign = 'right';
+    context.fillText(overflow ? `${Math.round(high)}ms+` : `${Math.round(high)}ms`, width, height - bottom + 2);
+  }
+}
+
+export interface DistributionSeries {
+  label: string;
+  color: string;
+  times: number[];
+}
+
+export class DistributionChart {
+  private canvas: HTMLCanvasElement;
+  private padding = { top: 10, right: 10, bottom: 18, left: 36 };
+
+  constructor(canvas: HTMLCanvasElement) {
+    this.canvas = canvas;
+  }
+
+  // Overlays the cumulative RTT distribution of each series.
+  draw(series: DistributionSeries[]): void {
+    const { context, width, height } = setupCanvas(this.canvas);
+    const { top, right, bottom, left } = this.padding;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const sortedSeries = series.map(entry => ({ ...entry, sorted: Float64Array.from(entry.times).sort() }));
+
+    // Cut the x axis at the slower p99 so a single outlier does not flatten the curves
+    const ceiling = niceCeiling(Math.max(0, ...sortedSeries
+      .filter(entry => entry.sorted.length > 0)
+      .map(entry => entry.sorted[Math.max(0, Math.ceil(entry.sorted.length * 0.99) - 1)])));
+
+    context.strokeStyle = COLORS.grid;
+    context.fillStyle = COLORS.axis;
+    for (let step = 0; step <= 4; step++) {
+      const y = top + plotHeight - (step / 4) * plotHeight;
+      const x = left + (step / 4) * plotWidth;
+      context.beginPath();
+      context.moveTo(left, Math.round(y) + 0.5);
+      context.lineTo(left + plotWidth, Math.round(y) + 0.5);
+      context.stroke();
+
+      context.textAlign = 'right';
+      context.textBaseline = 'middle';
+      context.fillText(`${step * 25}%`, left - 4, y);
+      context.textAlign = 'center';
+      context.textBaseline = 'top';
+      context.fillText(`${Math.round((step / 4) * ceiling)}ms`, x, top + plotHeight + 4);
+    }
+
+    sortedSeries.forEach(entry => {
+      if (entry.sorted.length === 0) {
+        return;
+      }
+
+      // One point per pixel column is plenty for a CDF
+      const step = Math.max(1, Math.floor(entry.sorted.length / plotWidth));
+      context.strokeStyle = entry.color;
+      context.lineWidth = 1.5;
+      context.beginPath();
+      context.moveTo(left, top + plotHeight);
+      for (let i = 0; i < entry.sorted.length; i += step) {
+        const x = left + Math.min(1, entry.sorted[i] / ceiling) * plotWidth;
+        const y = top + plotHeight - ((i + 1) / entry.sorted.length) * plotHeight;
+        context.lineTo(x, y);
+      }
+      context.lineTo(left + Math.min(1, entry.sorted[entry.sorted.length - 1] / ceiling) * plotWidth, top);
+      context.stroke();
+    });
+    context.lineWidth = 1;
+  }
+}
+
+export class Sparkline {
+  private canvas: HTMLCanvasElement;
+
+  constructor(canvas: HTMLCanvasElement) {
+    this.canvas = canvas;
+  }
+
+  // samples are oldest first. Successful RTTs form the line; failures are
+  // red ticks along the bottom.
+  draw(samples: { time: number | null; ok: boolean }[]): void {
+    const { context, width, height } = setupCanvas(this.canvas);
+    if (samples.length === 0) {
+      return;
+    }
+
+    const times = samples.filter(sample => sample.ok).map(sample => sample.time ?? 0);
+    const ceiling = niceCeiling(Math.max(0, ...times));
+    const step = samples.length > 1 ? width / (samples.length - 1) : width;
+    const plotHeight = height - 3;
+
+    context.strokeStyle = COLORS.success;
+    context.lineWidth = 1;
+    context.beginPath();
+    let drawing = false;
+    samples.forEach((sample, index) => {
+      const x = index * step;
+      if (!sample.ok) {
+        drawing = false;
+        return;
+      }
+      const y = plotHeight - ((sample.time ?? 0) / ceiling) * (plotHeight - 1);
+      if (drawing) {
+        context.lineTo(x, y);
+      } else {
+        context.moveTo(x, y);
+        drawing = true;
+      }
+    });
+    context.stroke();
+
+    context.fillStyle = COLORS.error;
+    samples.forEach((sample, index) => {
+      if (!sample.ok) {
+        context.fillRect(Math.round(index * step) - 1, height - 3, 2, 3);
+      }
+    });
+  }
+}
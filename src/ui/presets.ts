@@ -0,0 +1,122 @@
+// Named presets, the last used config and shareable links.
+//
+// Presets and the last config are kept whole in localStorage. A link
+// carries only what differs from the defaults, as base64url JSON in the
+// fragment (#config=...&run=1), so it never reaches a server; credentials
+// are stripped from it before it is made. Where requests are sent through
+// (companion proxy, DNS resolver) stays the reader's own choice, and a load
+// test from a link is never started by it.
+
+import { defaultPingConfig, mergeConfig, withoutSecrets } from '../engine/config.ts';
+import type { PingConfig } from '../engine/config.ts';
+
+const PRESETS_KEY = 'http-ping-presets';
+const CONFIG_KEY = 'http-ping-config';
+
+// Settings a link neither carries nor applies: a link could otherwise send
+// every later request, auth included, through a host of its choosing
+const LOCAL_KEYS: (keyof PingConfig)[] = ['companionUrl', 'dns'];
+
+export interface Preset {
+  name: string;
+  config: PingConfig;
+}
+
+// `warn` hears about saved presets that cannot be read.
+export function loadPresets(warn: (message: string) => void): Preset[] {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+    if (Array.isArray(saved)) {
+      return saved
+        .filter(preset => preset && typeof preset.name === 'string' && preset.config)
+        .map(preset => ({ name: preset.name, config: mergeConfig(defaultPingConfig(), preset.config) }));
+    }
+  } catch (error) {
+    warn(`ignoring the saved presets: ${(error as Error).message}`);
+  }
+  return [];
+}
+
+export function savePresets(presets: Preset[]): void {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    // Private mode or storage full; presets last for this page
+  }
+}
+
+// The controls as they were left in an earlier visit; `warn` hears about a
+// saved config that cannot be read.
+export function loadLastConfig(warn: (message: string) => void): PingConfig {
+  try {
+    const saved = localStorage.getItem(CONFIG_KEY);
+    if (saved) {
+      return mergeConfig(defaultPingConfig(), JSON.parse(saved));
+    }
+  } catch (error) {
+    warn(`ignoring the saved config: ${(error as Error).message}`);
+  }
+  return defaultPingConfig();
+}
+
+export function saveLastConfig(config: PingConfig): void {
+  try {
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  } catch {
+    // Private mode or storage full
+  }
+}
+
+function encodeBase64Url(text: string): string {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(text: string): string {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// A link to this page that opens with `config` (minus its secrets) and,
+// with `autoStart`, starts pinging straight away.
+export function configLink(config: PingConfig, autoStart: boolean, page = location.href): string {
+  const defaults = defaultPingConfig();
+  const shared = withoutSecrets(config);
+  const changes: Partial<PingConfig> = {};
+  (Object.keys(shared) as (keyof PingConfig)[]).forEach(key => {
+    if (!LOCAL_KEYS.includes(key) && JSON.stringify(shared[key]) !== JSON.stringify(defaults[key])) {
+      Object.assign(changes, { [key]: shared[key] });
+    }
+  });
+
+  const link = new URL(page);
+  link.hash = `config=${encodeBase64Url(JSON.stringify(changes))}${autoStart && !config.loadTest ? '&run=1' : ''}`;
+  return link.toString();
+}
+
+// Reads a link made by configLink(); the LOCAL_KEYS settings come from
+// `local`. Returns null when `hash` has no config; throws when it has one
+// that cannot be read.
+export function parseConfigLink(hash: string, local: PingConfig = defaultPingConfig()): { config: PingConfig; autoStart: boolean } | null {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get('config');
+  if (!encoded) {
+    return null;
+  }
+
+  let changes;
+  try {
+    changes = JSON.parse(decodeBase64Url(encoded));
+  } catch {
+    throw new Error('the link is damaged or incomplete');
+  }
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error('the link holds no config');
+  }
+  LOCAL_KEYS.forEach(key => delete changes[key]);
+  const config = { ...mergeConfig(defaultPingConfig(), changes), companionUrl: local.companionUrl, dns: local.dns };
+  return { config, autoStart: params.get('run') === '1' && !config.loadTest };
+}
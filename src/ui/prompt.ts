@@ -0,0 +1,132 @@
+// Command history and tab completion for the terminal prompt.
+//
+// Both are plain state with no DOM: the Terminal component feeds them key
+// presses and renders what they return.
+
+import { FLAGS, parseArgs, splitCommandLine } from '../cli/args.ts';
+
+export const COMMANDS = ['ping', 'stop', 'stats', 'clear', 'history', 'export', 'help'];
+
+const STORAGE_KEY = 'http-ping-prompt-history';
+const MAX_HISTORY = 200;
+
+// Commands typed at the prompt, oldest first, kept across page loads.
+// up()/down() walk through them like a shell, keeping what was being typed
+// as the entry below the newest.
+export class CommandHistory {
+  entries: string[];
+  private position: number;
+  private draft = '';
+
+  constructor() {
+    this.entries = CommandHistory.load();
+    this.position = this.entries.length;
+  }
+
+  private static load(): string[] {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(entry => typeof entry === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  add(command: string): void {
+    if (command && command !== this.entries[this.entries.length - 1]) {
+      this.entries.push(command);
+      if (this.entries.length > MAX_HISTORY) {
+        this.entries.splice(0, this.entries.length - MAX_HISTORY);
+      }
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+      } catch {
+        // Private mode or storage full; history still works for this page
+      }
+    }
+    this.position = this.entries.length;
+    this.draft = '';
+  }
+
+  up(current: string): string | null {
+    if (this.position === 0) {
+      return null;
+    }
+    if (this.position === this.entries.length) {
+      this.draft = current;
+    }
+    return this.entries[--this.position];
+  }
+
+  down(): string | null {
+    if (this.position >= this.entries.length) {
+      return null;
+    }
+    this.position++;
+    return this.position === this.entries.length ? this.draft : this.entries[this.position];
+  }
+
+  // Targets of earlier ping commands, newest first.
+  hosts(): string[] {
+    const hosts: string[] = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      try {
+        const [command, ...argv] = splitCommandLine(this.entries[i]);
+        const { url } = command === 'ping' ? parseArgs(argv) : { url: null };
+        if (url && !hosts.includes(url)) {
+          hosts.push(url);
+        }
+      } catch {
+        // Not a valid ping command; nothing to complete from
+      }
+    }
+    return hosts;
+  }
+}
+
+export interface Completion {
+  // The input with the last word completed as far as it is unambiguous
+  value: string;
+  // All candidates when there is more than one
+  options: string[];
+}
+
+function commonPrefix(words: string[]): string {
+  return words.reduce((prefix, word) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === word[i]) i++;
+    return prefix.slice(0, i);
+  });
+}
+
+// Completes the last word of `input`: a command name first, then flags
+// for words starting with "-" and recent hosts for anything else.
+export function complete(input: string, hosts: string[]): Completion {
+  const start = /\S*$/.exec(input)?.index ?? input.length;
+  const word = input.slice(start);
+  const first = input.slice(0, start).trim() === '';
+
+  const candidates = first ? COMMANDS
+    : word.startsWith('-') ? FLAGS
+      : hosts;
+  const matches = [...new Set(candidates.filter(candidate => candidate.startsWith(word)))].sort();
+
+  if (matches.length === 0) {
+    return { value: input, options: [] };
+  }
+  if (matches.length === 1) {
+    return { value: `${input.slice(0, start)}${matches[0]} `, options: [] };
+  }
+  return { value: `${input.slice(0, start)}${commonPrefix(matches)}`, options: matches };
+}
+
+export const PROMPT_HELP = `Commands:
+  ping [options] [url]   Fill in the controls and start pinging (default: the URL in the controls)
+  stop                   Stop the current run (or press Ctrl+C)
+  stats                  Print the statistics of the current run
+  clear                  Clear the terminal
+  history                List the commands typed here (Up/Down recall them)
+  export [json|csv|har]  Download the current session
+  help                   Show this help
+
+Tab completes commands, flags and recent hosts.`;
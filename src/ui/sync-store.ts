@@ -0,0 +1,63 @@
+// Team sync settings and the outbox of changes not sent yet, kept in
+// localStorage so changes made offline go out on a later visit.
+
+import { defaultSyncSettings } from '../engine/sync.ts';
+import type { SyncOperation, SyncSettings } from '../engine/sync.ts';
+
+const SETTINGS_KEY = 'http-ping-sync';
+const OUTBOX_KEY = 'http-ping-sync-outbox';
+// Characters of outbox kept; localStorage holds about 5 MB per page, shared
+// with the presets, history settings and the rest
+const MAX_OUTBOX_CHARS = 2000000;
+
+export function loadSyncSettings(): SyncSettings {
+  try {
+    return { ...defaultSyncSettings(), ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return defaultSyncSettings();
+  }
+}
+
+export function saveSyncSettings(settings: SyncSettings): void {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or storage full; the settings last for this page
+  }
+}
+
+// `warn` hears about a saved outbox that cannot be read, whose changes are lost.
+export function loadOutbox(warn: (message: string) => void): SyncOperation[] {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+    if (Array.isArray(saved)) {
+      return saved.filter(operation => operation && typeof operation.table === 'string' && Array.isArray(operation.rows));
+    }
+  } catch (error) {
+    warn(`ignoring the saved team sync outbox: ${(error as Error).message}`);
+  }
+  return [];
+}
+
+// Past MAX_OUTBOX_CHARS the oldest pings are left out of what is kept, as
+// the outbox itself does past MAX_OUTBOX_ROWS; they are still sent if this
+// page lasts until the sync is back.
+export function saveOutbox(outbox: SyncOperation[]): void {
+  try {
+    if (outbox.length === 0) {
+      localStorage.removeItem(OUTBOX_KEY);
+      return;
+    }
+    const parts = outbox.map(operation => JSON.stringify(operation));
+    let size = parts.reduce((total, part) => total + part.length + 1, 1);
+    for (let index = 0; index < parts.length && size > MAX_OUTBOX_CHARS; index++) {
+      if (outbox[index].table === 'ping_results') {
+        size -= parts[index].length + 1;
+        parts[index] = '';
+      }
+    }
+    localStorage.setItem(OUTBOX_KEY, `[${parts.filter(Boolean).join(',')}]`);
+  } catch {
+    // Private mode or storage full; unsent changes last for this page
+  }
+}
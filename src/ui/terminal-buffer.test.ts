@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import type { LineType } from '../engine/format.ts';
+import { matchesFilter, TerminalBuffer } from './terminal-buffer.ts';
+import type { LineFilter } from './terminal-buffer.ts';
+
+const TYPES: LineType[] = ['success', 'warning', 'error', 'info'];
+
+before(() => {
+  // Listeners are not under test; the frame never comes
+  globalThis.requestAnimationFrame = () => 0;
+});
+
+function shownLines(buffer: TerminalBuffer): string[] {
+  return Array.from({ length: buffer.shownCount }, (_, row) => buffer.shown(row).text);
+}
+
+function expected(buffer: TerminalBuffer, filter: LineFilter): string[] {
+  return buffer.slice(0).filter(line => matchesFilter(line, filter)).map(line => line.text);
+}
+
+test('keeps the filtered lines as the ring wraps', () => {
+  const buffer = new TerminalBuffer(100);
+  const filter = { types: [], text: 'TIMEOUT' };
+  buffer.setFilter(filter);
+  for (let index = 0; index < 5000; index++) {
+    buffer.push({ text: `seq=${index} ${index % 3 === 0 ? 'timeout' : 'ok'}`, type: TYPES[index % 4] });
+    if (index % 97 === 0) {
+      assert.deepEqual(shownLines(buffer), expected(buffer, filter));
+    }
+  }
+  assert.equal(buffer.shownCount, 33);
+});
+
+test('rebuilds when the filter changes and follows clear and the scrollback', () => {
+  const buffer = new TerminalBuffer(50);
+  for (let index = 0; index < 80; index++) {
+    buffer.push({ text: `line ${index}`, type: TYPES[index % 4] });
+  }
+  const errors = { types: ['error' as LineType], text: '' };
+  buffer.setFilter(errors);
+  assert.deepEqual(shownLines(buffer), expected(buffer, errors));
+
+  buffer.setLimit(20);
+  assert.deepEqual(shownLines(buffer), expected(buffer, errors));
+
+  buffer.setFilter({ types: [], text: '' });
+  assert.equal(buffer.shownCount, 20);
+
+  buffer.setFilter(errors);
+  buffer.clear();
+  assert.equal(buffer.shownCount, 0);
+  buffer.push({ text: 'failed', type: 'error' }, { text: 'fine', type: 'success' });
+  assert.deepEqual(shownLines(buffer), ['failed']);
+});
+
+test('counts the shown lines of a selection', () => {
+  const buffer = new TerminalBuffer(30);
+  for (let index = 0; index < 100; index++) {
+    buffer.push({ text: `line ${index}`, type: TYPES[index % 4] });
+  }
+  const filter = { types: ['warning' as LineType], text: '' };
+  [{ types: [], text: '' }, filter].forEach(current => {
+    buffer.setFilter(current);
+    [[1, 100], [75, 90], [90, 75], [95, 200]].forEach(([from, to]) => {
+      const text = buffer.text(from, to, current);
+      assert.equal(buffer.count(from, to), text === '' ? 0 : text.split('\n').length, `${from}-${to}`);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Scrollback store behind the terminal component.
+//
+// Lines live in a ring buffer of `limit` entries: once it is full, every new
+// line overwrites the oldest one, so a long run costs the same per line no
+// matter how much it has printed. Listeners are told at most once per
+// animation frame, and the snapshot is a revision number rather than a
+// copy of the lines, so the terminal reads only the rows it shows. The
+// lines passing the terminal's filter are tracked the same way: each new
+// line is tested once, and the list is only rebuilt when the filter changes.
+
+import type { LineType, TerminalLine } from '../engine/format.ts';
+
+export const DEFAULT_SCROLLBACK = 10000;
+export const SCROLLBACK_OPTIONS = [1000, 10000, 100000, 500000];
+
+const SCROLLBACK_KEY = 'http-ping-scrollback';
+
+export interface BufferedLine extends TerminalLine {
+  id: number;
+}
+
+// Lines shown when a filter is set: any of `types` (all when empty) that
+// contain `text`, ignoring case.
+export interface LineFilter {
+  types: LineType[];
+  text: string;
+}
+
+export function isFiltered(filter: LineFilter): boolean {
+  return filter.types.length > 0 || filter.text !== '';
+}
+
+function sameFilter(a: LineFilter, b: LineFilter): boolean {
+  return a.text === b.text && a.types.length === b.types.length && a.types.every(type => b.types.includes(type));
+}
+
+export function matchesFilter(line: TerminalLine, filter: LineFilter): boolean {
+  return (filter.types.length === 0 || filter.types.includes(line.type))
+    && (filter.text === '' || line.text.toLowerCase().includes(filter.text.toLowerCase()));
+}
+
+// The scrollback chosen in an earlier visit.
+export function savedScrollback(): number {
+  try {
+    const saved = Number(localStorage.getItem(SCROLLBACK_KEY));
+    return SCROLLBACK_OPTIONS.includes(saved) ? saved : DEFAULT_SCROLLBACK;
+  } catch {
+    return DEFAULT_SCROLLBACK;
+  }
+}
+
+// Index of the first entry of `sorted` from `low` on that is `value` or more.
+function firstAtLeast(sorted: number[], value: number, low = 0): number {
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+export function saveScrollback(limit: number): void {
+  try {
+    localStorage.setItem(SCROLLBACK_KEY, String(limit));
+  } catch {
+    // Private mode or storage full; the setting lasts for this page
+  }
+}
+
+export class TerminalBuffer {
+  limit: number;
+  private ring: BufferedLine[] = [];
+  // Index of the oldest line in `ring`
+  private head = 0;
+  private nextId = 1;
+  private revision = 0;
+  // The revision React has been told about
+  private published = 0;
+  private pendingFrame: number | null = null;
+  private listeners = new Set<() => void>();
+  // Ids of the lines that pass `filter`, oldest first. Entries before
+  // `start` belong to lines the ring has since dropped.
+  private shownFilter: LineFilter = { types: [], text: '' };
+  private needle = '';
+  private shownIds: number[] = [];
+  private start = 0;
+
+  constructor(limit = DEFAULT_SCROLLBACK) {
+    this.limit = limit;
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  // useSyncExternalStore interface
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot(): number {
+    return this.published;
+  }
+
+  get length(): number {
+    return this.ring.length;
+  }
+
+  // The line at `index`, 0 being the oldest one kept.
+  at(index: number): BufferedLine {
+    return this.ring[(this.head + index) % this.ring.length];
+  }
+
+  slice(start: number, end = this.length): BufferedLine[] {
+    const lines: BufferedLine[] = [];
+    for (let index = Math.max(0, start); index < Math.min(end, this.length); index++) {
+      lines.push(this.at(index));
+    }
+    return lines;
+  }
+
+  // Sets the filter that shown() and shownCount follow. Cheap when it is
+  // the one already set, so a render can call it.
+  setFilter(filter: LineFilter): void {
+    if (sameFilter(filter, this.shownFilter)) {
+      return;
+    }
+    this.shownFilter = { types: [...filter.types], text: filter.text };
+    this.needle = filter.text.toLowerCase();
+    this.shownIds = [];
+    this.start = 0;
+    if (isFiltered(filter)) {
+      for (let index = 0; index < this.length; index++) {
+        this.track(this.at(index));
+      }
+    }
+  }
+
+  // Lines passing the filter; all of them when none is set.
+  get shownCount(): number {
+    return isFiltered(this.shownFilter) ? this.shownIds.length - this.start : this.length;
+  }
+
+  // The `row`th line passing the filter, 0 being the oldest one.
+  shown(row: number): BufferedLine {
+    return isFiltered(this.shownFilter) ? this.at(this.position(this.shownIds[this.start + row])) : this.at(row);
+  }
+
+  // Position of the line with id `id`, or of the first newer one (length
+  // when there is none). Ids of the lines kept are consecutive.
+  private position(id: number): number {
+    return this.length === 0 ? 0 : Math.min(this.length, Math.max(0, id - this.at(0).id));
+  }
+
+  // How many of the lines from id `from` to id `to` pass the filter,
+  // without going through them.
+  count(from: number, to: number): number {
+    if (!isFiltered(this.shownFilter)) {
+      return Math.max(0, this.position(to + 1) - this.position(from));
+    }
+    const ids = this.shownIds;
+    return Math.max(0, firstAtLeast(ids, to + 1, this.start) - firstAtLeast(ids, from, this.start));
+  }
+
+  // The text of the lines from id `from` to id `to` that pass `filter`, one
+  // per line.
+  text(from: number, to: number, filter: LineFilter = { types: [], text: '' }): string {
+    const lines: string[] = [];
+    for (let index = 0; index < this.length; index++) {
+      const line = this.at(index);
+      if (line.id >= from && line.id <= to && matchesFilter(line, filter)) {
+        lines.push(line.text);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  push(...lines: TerminalLine[]): void {
+    lines.forEach(({ text, type }) => {
+      const entry = { id: this.nextId++, text, type };
+      if (this.ring.length < this.limit) {
+        this.ring.push(entry);
+      } else {
+        this.ring[this.head] = entry;
+        this.head = (this.head + 1) % this.ring.length;
+      }
+      this.track(entry);
+    });
+    this.forgetDropped();
+    this.changed();
+  }
+
+  clear(): void {
+    this.ring = [];
+    this.head = 0;
+    this.shownIds = [];
+    this.start = 0;
+    this.changed();
+  }
+
+  // Changes the scrollback, keeping the newest lines that still fit.
+  setLimit(limit: number): void {
+    const kept = this.slice(Math.max(0, this.length - limit));
+    this.limit = limit;
+    this.ring = kept;
+    this.head = 0;
+    this.forgetDropped();
+    this.changed();
+  }
+
+  private track(line: BufferedLine): void {
+    const filter = this.shownFilter;
+    if (isFiltered(filter)
+      && (filter.types.length === 0 || filter.types.includes(line.type))
+      && (this.needle === '' || line.text.toLowerCase().includes(this.needle))) {
+      this.shownIds.push(line.id);
+    }
+  }
+
+  // Skips ids of lines no longer kept, and drops them from the array once
+  // they make up half of it.
+  private forgetDropped(): void {
+    const oldest = this.length === 0 ? this.nextId : this.at(0).id;
+    while (this.start < this.shownIds.length && this.shownIds[this.start] < oldest) {
+      this.start++;
+    }
+    if (this.start > 1024 && this.start * 2 > this.shownIds.length) {
+      this.shownIds = this.shownIds.slice(this.start);
+      this.start = 0;
+    }
+  }
+
+  private changed(): void {
+    this.revision++;
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.published = this.revision;
+        this.listeners.forEach(listener => listener());
+      });
+    }
+  }
+}
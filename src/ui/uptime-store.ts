@@ -0,0 +1,54 @@
+// Scheduled check results and settings, kept in localStorage so the uptime
+// report covers every visit, not only the current one.
+
+import { DEFAULT_CHECK_INTERVAL, defaultSlo, UptimeLog } from '../engine/uptime.ts';
+import type { Slo } from '../engine/uptime.ts';
+
+const LOG_KEY = 'http-ping-uptime';
+const SETTINGS_KEY = 'http-ping-uptime-settings';
+
+export interface UptimeSettings {
+  // Seconds between checks of a target
+  interval: number;
+  slo: Slo;
+  days: number;
+}
+
+// `warn` hears about saved checks that cannot be read.
+export function loadUptimeLog(warn: (message: string) => void): UptimeLog {
+  try {
+    const saved = localStorage.getItem(LOG_KEY);
+    if (saved) {
+      return UptimeLog.parse(saved);
+    }
+  } catch (error) {
+    warn(`ignoring the saved uptime checks: ${(error as Error).message}`);
+  }
+  return new UptimeLog();
+}
+
+export function saveUptimeLog(log: UptimeLog): void {
+  try {
+    localStorage.setItem(LOG_KEY, log.serialize());
+  } catch {
+    // Private mode or storage full; the report still covers this page
+  }
+}
+
+export function loadUptimeSettings(): UptimeSettings {
+  const defaults = { interval: DEFAULT_CHECK_INTERVAL / 1000, slo: defaultSlo(), days: 7 };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { ...defaults, ...saved, slo: { ...defaults.slo, ...saved.slo } };
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveUptimeSettings(settings: UptimeSettings): void {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or storage full; the settings last for this page
+  }
+}
@@ -0,0 +1,62 @@
+-- Team sync for HTTP Ping: shared monitors, finished runs and their pings.
+--
+-- `team` separates teams sharing one project; it is not access control.
+-- Anyone holding the project's anon key can read and write every team, so
+-- keep the key within the team or replace these policies with ones based on
+-- Supabase Auth.
+
+create table if not exists public.monitors (
+  team text not null,
+  member text not null,
+  key text not null,
+  name text not null,
+  url text not null,
+  method text not null,
+  interval integer not null,
+  timeout integer not null,
+  state text not null check (state in ('idle', 'up', 'degraded', 'down')),
+  status integer not null,
+  latency integer,
+  message text,
+  checked_at timestamptz not null,
+  primary key (team, member, key)
+);
+
+create table if not exists public.runs (
+  id uuid primary key,
+  team text not null,
+  member text not null,
+  name text not null,
+  host text not null,
+  started_at timestamptz not null,
+  finished_at timestamptz not null,
+  config jsonb not null default '{}',
+  summary jsonb not null
+);
+
+create index if not exists runs_team_started_at on public.runs (team, started_at desc);
+
+create table if not exists public.ping_results (
+  run_id uuid not null references public.runs (id) on delete cascade,
+  sequence integer not null,
+  timestamp timestamptz not null,
+  status integer not null,
+  time double precision,
+  outcome text not null,
+  message text,
+  primary key (run_id, sequence)
+);
+
+alter table public.monitors enable row level security;
+alter table public.runs enable row level security;
+alter table public.ping_results enable row level security;
+
+create policy "team members share monitors" on public.monitors
+  for all to anon, authenticated using (true) with check (true);
+create policy "team members share runs" on public.runs
+  for all to anon, authenticated using (true) with check (true);
+create policy "team members share ping results" on public.ping_results
+  for all to anon, authenticated using (true) with check (true);
+
+-- Realtime sends monitor and run changes to the other members' pages
+alter publication supabase_realtime add table public.monitors, public.runs;
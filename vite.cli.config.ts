@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite';
+
+// Builds the httping command line (src/cli) into a single Node script.
+export default defineConfig({
+  build: {
+    ssr: 'src/cli/httping.ts',
+    outDir: 'dist-cli',
+    target: 'node18',
+    rollupOptions: {
+      output: {
+        entryFileNames: 'httping.js',
+        banner: '#!/usr/bin/env node',
+      },
+    },
+  },
+});